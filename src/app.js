@@ -18,6 +18,7 @@ const monitoringService = require('./services/monitoringService');
 const cacheService = require('./services/cacheService');
 const notificationService = require('./services/notificationService');
 const documentService = require('./services/documentService');
+const storageService = require('./services/storageService');
 
 // Load environment variables
 require('dotenv').config();
@@ -58,6 +59,10 @@ async function initializeServices() {
         await documentService.initialize();
         logger.info('Document service initialized');
 
+        // 7. Initialize Document Storage
+        await storageService.initialize();
+        logger.info('Storage service initialized');
+
         // Health check endpoint
         app.get('/health', async (req, res) => {
             const health = {
@@ -70,7 +75,8 @@ async function initializeServices() {
                     monitoring: monitoring.isRunning(),
                     scheduler: schedulerService.isRunning(),
                     notification: notificationService.isInitialized(),
-                    document: documentService.isInitialized()
+                    document: documentService.isInitialized(),
+                    storage: storageService.isInitialized
                 }
             };
 
@@ -135,6 +141,16 @@ app.use('/api/vendors', require('./routes/vendorRoutes'));
 app.use('/api/vehicles', require('./routes/vehicleRoutes'));
 app.use('/api/drivers', require('./routes/driverRoutes'));
 app.use('/api/documents', require('./routes/documentRoutes'));
+app.use('/api/trips', require('./routes/tripRoutes'));
+app.use('/api/ledger', require('./routes/ledgerRoutes'));
+app.use('/api/document-types', require('./routes/documentTypeRoutes'));
+app.use('/api/inspection-templates', require('./routes/inspectionTemplateRoutes'));
+app.use('/api/notification-templates', require('./routes/notificationTemplateRoutes'));
+app.use('/api/notification-outbox', require('./routes/notificationOutboxRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/assignments', require('./routes/assignmentRoutes'));
+app.use('/api/audit', require('./routes/auditRoutes'));
 app.use('/api/v1/monitoring', require('./routes/monitoringRoutes'));
 
 
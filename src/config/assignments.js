@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+const number = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Driver-vehicle assignments and planned shifts
+module.exports = {
+    // How often due shifts are started and finished ones ended
+    shiftCron: process.env.SHIFT_CRON || '* * * * *', // Every minute
+    // Longest shift that can be planned
+    maxShiftHours: number('SHIFT_MAX_HOURS', 24),
+    // How far ahead shifts can be planned
+    maxPlanningDays: number('SHIFT_MAX_PLANNING_DAYS', 60),
+    consistency: {
+        // How often one-sided vehicle/driver links are looked for and repaired
+        cron: process.env.ASSIGNMENT_CONSISTENCY_CRON || '*/30 * * * *', // Every 30 minutes
+        // Links changed more recently than this are left alone, as an assignment may still be in flight
+        graceSeconds: number('ASSIGNMENT_CONSISTENCY_GRACE_SECONDS', 300),
+        // Reports are deleted after this many days
+        retentionDays: number('ASSIGNMENT_CONSISTENCY_RETENTION_DAYS', 90)
+    }
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+// Comma-separated list of day counts, e.g. "30,15,7,1"
+const days = (name, fallback) => {
+    const values = (process.env[name] || '').split(',')
+        .map(value => parseInt(value, 10))
+        .filter(Number.isFinite);
+    return values.length > 0 ? values : fallback;
+};
+
+// Document compliance: expiry reminders and enforcement
+module.exports = {
+    // How often expired documents are marked and non-compliant vehicles/drivers suspended or restored
+    enforcementCron: process.env.COMPLIANCE_ENFORCEMENT_CRON || '0 * * * *', // Hourly
+    expiryReminders: {
+        // Days before expiry at which the owning vendor is reminded (each one once per document)
+        daysBefore: days('EXPIRY_REMINDER_DAYS', [30, 15, 7, 1]).sort((a, b) => b - a),
+        // After expiry the reminder repeats every this many days until the document is renewed
+        overdueIntervalDays: Math.max(days('EXPIRY_OVERDUE_REMINDER_INTERVAL_DAYS', [1])[0], 1),
+        // Days before expiry (negative: after) from which the parent, then the grandparent vendor (and so on), is copied in
+        escalationDays: days('EXPIRY_ESCALATION_DAYS', [7, 0])
+    }
+};
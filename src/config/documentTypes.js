@@ -0,0 +1,68 @@
+// Document types seeded into the registry the first time it is used. After that the registry
+// is managed through /api/document-types and these defaults are not consulted again.
+const DEFAULT_DOCUMENT_TYPES = [
+    {
+        code: 'registrationCertificate',
+        name: 'Registration Certificate (RC)',
+        entityTypes: ['VEHICLE'],
+        isRequired: true,
+        expires: true,
+        validityDays: 5475 // 15 years
+    },
+    {
+        code: 'permit',
+        name: 'Permit',
+        entityTypes: ['VEHICLE'],
+        isRequired: true,
+        expires: true,
+        validityDays: 1825 // 5 years
+    },
+    {
+        code: 'pollutionCertificate',
+        name: 'Pollution Under Control Certificate (PUC)',
+        entityTypes: ['VEHICLE'],
+        isRequired: true,
+        expires: true,
+        validityDays: 365
+    },
+    {
+        code: 'drivingLicense',
+        name: 'Driving Licence',
+        entityTypes: ['DRIVER'],
+        isRequired: true,
+        expires: true,
+        validityDays: 7300 // 20 years
+    },
+    {
+        code: 'addressProof',
+        name: 'Address Proof',
+        entityTypes: ['DRIVER'],
+        isRequired: true,
+        expires: false
+    },
+    {
+        code: 'identityProof',
+        name: 'Identity Proof',
+        entityTypes: ['DRIVER'],
+        isRequired: true,
+        expires: false
+    },
+    {
+        code: 'businessRegistration',
+        name: 'Business Registration',
+        entityTypes: ['VENDOR'],
+        isRequired: true,
+        expires: false
+    },
+    {
+        code: 'taxRegistration',
+        name: 'Tax Registration',
+        entityTypes: ['VENDOR'],
+        isRequired: false,
+        expires: false
+    }
+];
+
+module.exports = {
+    DEFAULT_DOCUMENT_TYPES
+};
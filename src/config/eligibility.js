@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+// Comma-separated list, e.g. "MAINTENANCE,SUSPENDED"
+const list = (name, fallback) => {
+    const values = (process.env[name] || '').split(',')
+        .map(value => value.trim())
+        .filter(Boolean);
+    return values.length > 0 ? values : fallback;
+};
+
+// Driving license classes a driver can hold
+const LICENSE_CLASSES = ['MCWG', 'LMV', 'LMV_TR', 'HMV', 'HPMV', 'HGMV'];
+
+// Vehicle types and the license classes that may drive them (any one is enough)
+const VEHICLE_TYPES = {
+    TWO_WHEELER: ['MCWG'],
+    CAR: ['LMV', 'LMV_TR'],
+    SUV: ['LMV', 'LMV_TR'],
+    VAN: ['LMV', 'LMV_TR'],
+    MINI_BUS: ['LMV_TR', 'HPMV', 'HMV'],
+    BUS: ['HPMV', 'HMV'],
+    TRUCK: ['HGMV', 'HMV']
+};
+
+// Which drivers may be assigned to which vehicles
+module.exports = {
+    LICENSE_CLASSES,
+    VEHICLE_TYPES,
+    // Rules (by name) that are not checked
+    disabledRules: list('ASSIGNMENT_RULES_DISABLED', []),
+    // Statuses in which a vehicle or driver can't be assigned
+    blockedVehicleStatuses: list('ASSIGNMENT_BLOCKED_VEHICLE_STATUSES', ['MAINTENANCE', 'SUSPENDED']),
+    blockedDriverStatuses: list('ASSIGNMENT_BLOCKED_DRIVER_STATUSES', ['SUSPENDED']),
+    // VENDOR: the driver must belong to the vehicle's vendor;
+    // SUBTREE: also to a vendor above or below it
+    ownership: (process.env.ASSIGNMENT_OWNERSHIP || 'SUBTREE').toUpperCase()
+};
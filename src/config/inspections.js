@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+const number = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Inspection templates seeded the first time the template registry is used. After that templates
+// are managed through /api/inspection-templates and these defaults are not consulted again.
+const DEFAULT_INSPECTION_TEMPLATES = [
+    {
+        code: 'preActivation',
+        name: 'Pre-activation inspection',
+        description: 'Physical check of a vehicle before it goes ACTIVE',
+        vehicleTypes: [],
+        items: [
+            { key: 'brakes', label: 'Brakes', description: 'Service and parking brakes hold; no warning lights' },
+            { key: 'tyres', label: 'Tyres', description: 'Tread depth, pressure and no visible damage, including the spare' },
+            { key: 'lights', label: 'Lights', description: 'Headlights, tail lights, indicators and brake lights work' },
+            { key: 'firstAidKit', label: 'First-aid kit', description: 'Present, complete and within expiry' }
+        ]
+    }
+];
+
+// Vehicle inspections: what activation needs and how much evidence an item can carry
+module.exports = {
+    DEFAULT_INSPECTION_TEMPLATES,
+    // Whether a vehicle needs a passed inspection to be activated (a failed latest inspection always blocks it)
+    requiredForActivation: process.env.INSPECTION_REQUIRED_FOR_ACTIVATION === 'true',
+    // How long a passed inspection counts for activation when one is required (0: no limit)
+    validityDays: number('INSPECTION_VALIDITY_DAYS', 90),
+    maxEvidencePerItem: number('INSPECTION_MAX_EVIDENCE_PER_ITEM', 10) || 10
+};
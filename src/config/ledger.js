@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+const rate = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+// Revenue split of a completed trip's fare. Every ancestor of the vendor that ran the trip
+// takes its vendor type's commission rate; the driver gets driverPayoutRate; the vendor keeps the rest.
+module.exports = {
+    currency: process.env.LEDGER_CURRENCY || 'INR',
+    commissionRates: {
+        SUPER: rate('COMMISSION_RATE_SUPER', 0.05),
+        REGIONAL: rate('COMMISSION_RATE_REGIONAL', 0.02),
+        CITY: rate('COMMISSION_RATE_CITY', 0.03),
+        SUB: rate('COMMISSION_RATE_SUB', 0.02),
+        LOCAL: rate('COMMISSION_RATE_LOCAL', 0)
+    },
+    driverPayoutRate: rate('DRIVER_PAYOUT_RATE', 0.6),
+    // Settlement statements are generated on this schedule for everything not yet settled
+    settlementCron: process.env.SETTLEMENT_CRON || '0 2 * * 1' // Mondays at 2 AM
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const number = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Kinds of work a service log or maintenance schedule can be for
+const SERVICE_TYPES = ['GENERAL_SERVICE', 'OIL_CHANGE', 'TYRES', 'BRAKES', 'BATTERY', 'INSPECTION', 'REPAIR', 'OTHER'];
+
+// Vehicle maintenance: service records, interval schedules and time off the road
+module.exports = {
+    SERVICE_TYPES,
+    // Currency of service costs when none is given
+    currency: process.env.MAINTENANCE_CURRENCY || process.env.LEDGER_CURRENCY || 'INR',
+    // How often planned maintenance that is due is started
+    startCron: process.env.MAINTENANCE_START_CRON || '*/5 * * * *', // Every 5 minutes
+    // How often schedules are checked for service that is due
+    reminderCron: process.env.MAINTENANCE_REMINDER_CRON || '0 8 * * *', // Daily at 8 AM
+    // A schedule is "due soon" this many days or kilometres before it falls due
+    dueSoonDays: number('MAINTENANCE_DUE_SOON_DAYS', 7),
+    dueSoonKm: number('MAINTENANCE_DUE_SOON_KM', 500)
+};
@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+// Ways a notification can reach a vendor
+const CHANNELS = ['EMAIL', 'SMS', 'WEBHOOK', 'IN_APP'];
+
+// Channels used for each notification type until the vendor sets its own preferences.
+// Types missing from CONFIGURABLE_TYPES always use their defaults (account emails, bulk announcements).
+const DEFAULT_CHANNELS = {
+    DOCUMENT_EXPIRY: ['EMAIL', 'IN_APP'],
+    DOCUMENT_VERIFICATION: ['EMAIL', 'IN_APP'],
+    ASSIGNMENT: ['EMAIL', 'IN_APP'],
+    COMPLIANCE_STATUS: ['EMAIL', 'IN_APP'],
+    MAINTENANCE_DUE: ['EMAIL', 'IN_APP'],
+    WELCOME: ['EMAIL', 'IN_APP'],
+    EMAIL_VERIFICATION: ['EMAIL'],
+    PASSWORD_RESET: ['EMAIL'],
+    BULK: ['EMAIL']
+};
+
+const CONFIGURABLE_TYPES = ['DOCUMENT_EXPIRY', 'DOCUMENT_VERIFICATION', 'ASSIGNMENT', 'COMPLIANCE_STATUS', 'MAINTENANCE_DUE', 'WELCOME'];
+
+module.exports = {
+    CHANNELS,
+    DEFAULT_CHANNELS,
+    CONFIGURABLE_TYPES,
+    sms: {
+        // 'stub' logs messages (and appends them to SMS_STUB_FILE when set) instead of sending; 'twilio' sends
+        provider: (process.env.SMS_PROVIDER || 'stub').toLowerCase(),
+        stubFile: process.env.SMS_STUB_FILE,
+        // Longer texts are cut to this many characters
+        maxLength: parseInt(process.env.SMS_MAX_LENGTH, 10) || 480,
+        twilio: {
+            accountSid: process.env.TWILIO_ACCOUNT_SID,
+            authToken: process.env.TWILIO_AUTH_TOKEN,
+            from: process.env.TWILIO_FROM_NUMBER
+        }
+    },
+    webhook: {
+        // A webhook that doesn't answer within this time counts as a failed attempt
+        timeoutMs: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS, 10) || 5000
+    }
+};
@@ -0,0 +1,208 @@
+require('dotenv').config();
+
+// Locale used when a vendor has none set, or no template exists in the vendor's locale
+const DEFAULT_LOCALE = (process.env.NOTIFICATION_DEFAULT_LOCALE || 'en').toLowerCase();
+
+// Notification types: the variables their templates can use, and sample values for previews
+const NOTIFICATION_TYPES = {
+    DOCUMENT_EXPIRY: {
+        description: 'Document expiry reminder, sent on the reminder cadence and escalated up the vendor chain',
+        variables: ['recipientName', 'documentType', 'expiryDate', 'daysUntilExpiry', 'daysOverdue', 'expired', 'escalated', 'ownerVendorName'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            documentType: 'permit',
+            expiryDate: '31 December 2026',
+            daysUntilExpiry: 7,
+            daysOverdue: 0,
+            expired: false,
+            escalated: false,
+            ownerVendorName: 'Metro Cabs'
+        }
+    },
+    DOCUMENT_VERIFICATION: {
+        description: 'A document moved through the review workflow',
+        variables: ['recipientName', 'documentId', 'documentType', 'status', 'remarks'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            documentId: '64b7f0c2e1a2b3c4d5e6f701',
+            documentType: 'drivingLicense',
+            status: 'APPROVED',
+            remarks: 'Looks good'
+        }
+    },
+    ASSIGNMENT: {
+        description: 'A driver was assigned to or unassigned from a vehicle',
+        variables: ['recipientName', 'vehicleId', 'driverId', 'action'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            vehicleId: '64b7f0c2e1a2b3c4d5e6f702',
+            driverId: '64b7f0c2e1a2b3c4d5e6f703',
+            action: 'assigned'
+        }
+    },
+    COMPLIANCE_STATUS: {
+        description: 'A vehicle or driver was suspended for missing/expired documents, or restored',
+        variables: ['recipientName', 'entityType', 'entityId', 'status', 'suspended', 'reasons'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            entityType: 'Vehicle',
+            entityId: '64b7f0c2e1a2b3c4d5e6f702',
+            status: 'SUSPENDED',
+            suspended: true,
+            reasons: 'Permit: expired'
+        }
+    },
+    MAINTENANCE_DUE: {
+        description: 'A vehicle maintenance schedule is due soon or overdue, by date or odometer reading',
+        variables: ['recipientName', 'vehicleId', 'registrationNumber', 'scheduleName', 'serviceType', 'overdue', 'dueDate', 'dueOdometer', 'odometer'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            vehicleId: '64b7f0c2e1a2b3c4d5e6f702',
+            registrationNumber: 'KA01AB1234',
+            scheduleName: 'Engine oil change',
+            serviceType: 'OIL_CHANGE',
+            overdue: false,
+            dueDate: '15 March 2027',
+            dueOdometer: 45000,
+            odometer: 44620
+        }
+    },
+    WELCOME: {
+        description: 'Sent to a newly registered vendor',
+        variables: ['recipientName', 'vendorId'],
+        sampleData: { recipientName: 'Metro Cabs', vendorId: '64b7f0c2e1a2b3c4d5e6f704' }
+    },
+    EMAIL_VERIFICATION: {
+        description: 'Email address confirmation link',
+        variables: ['recipientName', 'link'],
+        sampleData: { recipientName: 'Metro Cabs', link: 'https://example.com/verify-email?token=sample' }
+    },
+    PASSWORD_RESET: {
+        description: 'Password reset link',
+        variables: ['recipientName', 'link', 'expiresAt'],
+        sampleData: {
+            recipientName: 'Metro Cabs',
+            link: 'https://example.com/reset-password?token=sample',
+            expiresAt: '2026-01-01T10:30:00.000Z'
+        }
+    },
+    BULK: {
+        description: 'Announcement sent to many vendors at once (message may contain HTML)',
+        variables: ['subject', 'message'],
+        sampleData: { subject: 'Scheduled maintenance', message: 'The portal will be unavailable on Sunday from 1 to 3 AM.' }
+    }
+};
+
+// Templates seeded for DEFAULT_LOCALE the first time each type is used. After that they are
+// edited through /api/notification-templates. {{var}} is escaped in html, {{{var}}} is not;
+// {{#var}}...{{/var}} renders when var is truthy and {{^var}}...{{/var}} when it is not.
+const DEFAULT_NOTIFICATION_TEMPLATES = [
+    {
+        type: 'DOCUMENT_EXPIRY',
+        subject: '{{#escalated}}Escalated {{/escalated}}Document Expiry Alert: {{documentType}}',
+        text: '{{#escalated}}The {{documentType}} of {{ownerVendorName}}{{/escalated}}{{^escalated}}Your {{documentType}}{{/escalated}} {{#expired}}expired on {{expiryDate}}. Please renew it now.{{/expired}}{{^expired}}is expiring on {{expiryDate}}. Please renew it soon.{{/expired}}',
+        html: `
+            <h2>Document Expiry Alert</h2>
+            <p>{{#escalated}}The {{documentType}} of {{ownerVendorName}}{{/escalated}}{{^escalated}}Your {{documentType}}{{/escalated}} {{#expired}}expired on {{expiryDate}}{{/expired}}{{^expired}}is expiring on {{expiryDate}}{{/expired}}.</p>
+            <p>Please renew it {{#expired}}now{{/expired}}{{^expired}}soon{{/expired}} to maintain compliance.</p>
+        `
+    },
+    {
+        type: 'DOCUMENT_VERIFICATION',
+        subject: 'Document Verification: {{status}}',
+        text: 'Your {{documentType}} document ({{documentId}}) is now {{status}}.{{#remarks}} Remarks: {{remarks}}{{/remarks}}',
+        html: `
+            <h2>Document Verification</h2>
+            <p>Your {{documentType}} document ({{documentId}}) is now {{status}}.</p>
+            {{#remarks}}<p>Remarks: {{remarks}}</p>{{/remarks}}
+        `
+    },
+    {
+        type: 'ASSIGNMENT',
+        subject: 'Vehicle-Driver Assignment: {{action}}',
+        text: 'Vehicle {{vehicleId}} has been {{action}} to driver {{driverId}}.',
+        html: `
+            <h2>Vehicle-Driver Assignment</h2>
+            <p>Vehicle {{vehicleId}} has been {{action}} to driver {{driverId}}.</p>
+        `
+    },
+    {
+        type: 'COMPLIANCE_STATUS',
+        subject: '{{entityType}} {{entityId}} {{#suspended}}suspended: document compliance{{/suspended}}{{^suspended}}restored to {{status}}{{/suspended}}',
+        text: '{{#suspended}}{{entityType}} {{entityId}} has been suspended and unassigned because of missing or expired documents ({{reasons}}). It will be restored automatically once valid documents are verified.{{/suspended}}{{^suspended}}{{entityType}} {{entityId}} has valid, verified documents again and has been restored to {{status}}.{{/suspended}}',
+        html: `
+            <h2>Document Compliance</h2>
+            {{#suspended}}<p>{{entityType}} {{entityId}} has been suspended and unassigned because of missing or expired documents ({{reasons}}).</p>
+            <p>It will be restored automatically once valid documents are verified.</p>{{/suspended}}
+            {{^suspended}}<p>{{entityType}} {{entityId}} has valid, verified documents again and has been restored to {{status}}.</p>{{/suspended}}
+        `
+    },
+    {
+        type: 'MAINTENANCE_DUE',
+        subject: 'Maintenance {{#overdue}}overdue{{/overdue}}{{^overdue}}due soon{{/overdue}}: {{registrationNumber}} {{scheduleName}}',
+        text: '{{scheduleName}} for vehicle {{registrationNumber}} is {{#overdue}}overdue{{/overdue}}{{^overdue}}due soon{{/overdue}}.{{#dueDate}} Due by {{dueDate}}.{{/dueDate}}{{#dueOdometer}} Due at {{dueOdometer}} km; the odometer reads {{odometer}} km.{{/dueOdometer}} Schedule the maintenance to keep the vehicle on the road.',
+        html: `
+            <h2>Maintenance {{#overdue}}Overdue{{/overdue}}{{^overdue}}Due Soon{{/overdue}}</h2>
+            <p>{{scheduleName}} for vehicle {{registrationNumber}} is {{#overdue}}overdue{{/overdue}}{{^overdue}}due soon{{/overdue}}.</p>
+            {{#dueDate}}<p>Due by {{dueDate}}.</p>{{/dueDate}}
+            {{#dueOdometer}}<p>Due at {{dueOdometer}} km; the odometer reads {{odometer}} km.</p>{{/dueOdometer}}
+            <p>Schedule the maintenance to keep the vehicle on the road.</p>
+        `
+    },
+    {
+        type: 'WELCOME',
+        subject: 'Welcome to Fleet Management System',
+        text: 'Welcome to our Fleet Management System. Your vendor ID is {{vendorId}}.',
+        html: `
+            <h2>Welcome to Fleet Management System</h2>
+            <p>Welcome to our Fleet Management System.</p>
+            <p>Your vendor ID is {{vendorId}}.</p>
+        `
+    },
+    {
+        type: 'EMAIL_VERIFICATION',
+        subject: 'Confirm your email address',
+        text: 'Hello {{recipientName}}, please confirm your email address by opening {{link}}. Until then your account has limited access.',
+        html: `
+            <h2>Confirm your email address</h2>
+            <p>Hello {{recipientName}},</p>
+            <p>Please confirm your email address by clicking the link below:</p>
+            <p><a href="{{link}}">{{link}}</a></p>
+            <p>Until you confirm, your account has limited access.</p>
+        `
+    },
+    {
+        type: 'PASSWORD_RESET',
+        subject: 'Reset your password',
+        text: 'Hello {{recipientName}}, reset your password by opening {{link}}. The link expires at {{expiresAt}} and can only be used once. If you did not request this, ignore this email.',
+        html: `
+            <h2>Reset your password</h2>
+            <p>Hello {{recipientName}},</p>
+            <p>Click the link below to choose a new password:</p>
+            <p><a href="{{link}}">{{link}}</a></p>
+            <p>The link expires at {{expiresAt}} and can only be used once.</p>
+            <p>If you did not request a password reset, you can ignore this email.</p>
+        `
+    },
+    {
+        type: 'BULK',
+        subject: '{{subject}}',
+        text: '{{message}}',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #1976d2;">{{subject}}</h2>
+                <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0;">
+                    {{{message}}}
+                </div>
+                <hr style="border: 1px solid #eee; margin: 20px 0;">
+                <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+            </div>
+        `
+    }
+].map(template => ({ ...template, locale: DEFAULT_LOCALE }));
+
+module.exports = {
+    DEFAULT_LOCALE,
+    NOTIFICATION_TYPES,
+    DEFAULT_NOTIFICATION_TEMPLATES
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const number = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Outbound notification queue: every email is stored first and delivered by a background worker
+module.exports = {
+    // How often the worker picks up due messages (node-cron, with seconds)
+    workerCron: process.env.OUTBOX_WORKER_CRON || '*/15 * * * * *', // Every 15 seconds
+    // Messages delivered per worker run
+    batchSize: number('OUTBOX_BATCH_SIZE', 50),
+    // Attempts before a message is dead-lettered
+    maxAttempts: number('OUTBOX_MAX_ATTEMPTS', 6),
+    // Retry delay doubles after every failed attempt, from the base up to the max
+    backoffBaseSeconds: number('OUTBOX_BACKOFF_BASE_SECONDS', 30),
+    backoffMaxSeconds: number('OUTBOX_BACKOFF_MAX_SECONDS', 3600),
+    // A message stuck in SENDING this long (worker crashed mid-send) is picked up again
+    lockSeconds: number('OUTBOX_LOCK_SECONDS', 120),
+    // Sent messages are deleted after this many days; dead-lettered ones are kept until retried
+    retentionDays: number('OUTBOX_RETENTION_DAYS', 30)
+};
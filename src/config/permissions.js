@@ -0,0 +1,76 @@
+// Every permission a vendor can hold. 'ALL' is shorthand for the whole list.
+const PERMISSIONS = [
+    'FLEET_MANAGEMENT',
+    'DRIVER_MANAGEMENT',
+    'PAYMENT_PROCESSING',
+    'COMPLIANCE_TRACKING',
+    'DOCUMENT_VERIFICATION',
+    'REPORT_GENERATION',
+    'USER_MANAGEMENT',
+    'SETTINGS_MANAGEMENT'
+];
+
+// Named permission templates. The default template of a vendor type is applied at registration
+// when no explicit permissions are requested; any template can also be applied later by name.
+const PERMISSION_TEMPLATES = {
+    SUPER_ADMIN: {
+        vendorType: 'SUPER',
+        description: 'Full access to the platform',
+        permissions: ['ALL']
+    },
+    REGIONAL_MANAGER: {
+        vendorType: 'REGIONAL',
+        description: 'Manages city vendors, compliance and payouts across a region',
+        permissions: [
+            'FLEET_MANAGEMENT',
+            'DRIVER_MANAGEMENT',
+            'PAYMENT_PROCESSING',
+            'COMPLIANCE_TRACKING',
+            'DOCUMENT_VERIFICATION',
+            'REPORT_GENERATION',
+            'USER_MANAGEMENT'
+        ]
+    },
+    CITY_MANAGER: {
+        vendorType: 'CITY',
+        description: 'Runs a city: onboards sub/local vendors and verifies their documents',
+        permissions: [
+            'FLEET_MANAGEMENT',
+            'DRIVER_MANAGEMENT',
+            'COMPLIANCE_TRACKING',
+            'DOCUMENT_VERIFICATION',
+            'REPORT_GENERATION',
+            'USER_MANAGEMENT'
+        ]
+    },
+    SUB_OPERATOR: {
+        vendorType: 'SUB',
+        description: 'Operates a fleet and may onboard local vendors',
+        permissions: [
+            'FLEET_MANAGEMENT',
+            'DRIVER_MANAGEMENT',
+            'COMPLIANCE_TRACKING',
+            'REPORT_GENERATION',
+            'USER_MANAGEMENT'
+        ]
+    },
+    LOCAL_OPERATOR: {
+        vendorType: 'LOCAL',
+        description: 'Operates its own vehicles and drivers',
+        permissions: [
+            'FLEET_MANAGEMENT',
+            'DRIVER_MANAGEMENT',
+            'COMPLIANCE_TRACKING'
+        ]
+    },
+    READ_ONLY: {
+        vendorType: null,
+        description: 'Reporting access only',
+        permissions: ['REPORT_GENERATION']
+    }
+};
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_TEMPLATES
+};
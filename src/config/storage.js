@@ -0,0 +1,30 @@
+const path = require('path');
+require('dotenv').config();
+
+// Storage backend configuration. STORAGE_DRIVER selects 'local' (default) or 's3'.
+module.exports = {
+    driver: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+    local: {
+        rootDir: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'uploads')
+    },
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        // Set to e.g. http://localhost:9000 to point at a local MinIO
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : undefined
+    },
+    upload: {
+        maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024, // 5MB
+        allowedMimeTypes: ['application/pdf', 'image/jpeg', 'image/png']
+    },
+    signedUrl: {
+        secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+        expiresIn: parseInt(process.env.SIGNED_URL_TTL, 10) || 15 * 60, // seconds
+        baseUrl: process.env.APP_BASE_URL || ''
+    }
+};
@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+const number = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Document verification queue settings
+module.exports = {
+    // How long a reviewer holds a claimed document before others can take it
+    claimLeaseMinutes: number('VERIFICATION_CLAIM_LEASE_MINUTES', 30),
+    // Target time from upload to a review decision
+    slaHours: number('VERIFICATION_SLA_HOURS', 48)
+};
@@ -0,0 +1,18 @@
+require('dotenv').config();
+
+// Fleet events vendors can subscribe their webhook endpoints to
+const WEBHOOK_EVENTS = {
+    'vehicle.created': 'A vehicle was added',
+    'driver.assigned': 'A driver was assigned to a vehicle',
+    'driver.unassigned': 'A driver was unassigned from a vehicle',
+    'document.verified': 'A document was approved',
+    'document.expiring': 'A current document reached an expiry reminder stage (before or after expiry)',
+    'vendor.status_changed': 'A vendor was activated or deactivated'
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    // An endpoint that doesn't answer within this time counts as a failed attempt
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    maxEndpointsPerVendor: parseInt(process.env.WEBHOOK_MAX_ENDPOINTS_PER_VENDOR, 10) || 10
+};
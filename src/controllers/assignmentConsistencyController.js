@@ -0,0 +1,93 @@
+const assignmentConsistencyService = require('../services/assignmentConsistencyService');
+const logger = require('../config/logger');
+
+// List consistency check reports, newest first
+const getConsistencyReports = async (req, res) => {
+    try {
+        const result = await assignmentConsistencyService.getReports({ page: req.query.page, limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get consistency reports error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get a report with the issues it found
+const getConsistencyReport = async (req, res) => {
+    try {
+        const report = await assignmentConsistencyService.getReport(req.params.reportId);
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Get consistency report error:', {
+            error: error.message,
+            stack: error.stack,
+            reportId: req.params.reportId,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Run the check now; { repair: false } only reports what it finds
+const runConsistencyCheck = async (req, res) => {
+    try {
+        const report = await assignmentConsistencyService.run({
+            trigger: 'MANUAL',
+            triggeredBy: req.vendor._id,
+            repair: req.body.repair !== false
+        });
+
+        logger.info('Assignment consistency check run', { reportId: report._id, ...report.counts, vendorId: req.vendor._id });
+
+        res.status(201).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Run consistency check error:', {
+            error: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+module.exports = {
+    getConsistencyReports,
+    getConsistencyReport,
+    runConsistencyCheck
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const assignmentService = require('../services/assignmentService');
+const eligibilityService = require('../services/eligibilityService');
+const accessControlService = require('../services/accessControlService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+const FILTER_FIELDS = { VEHICLE: 'vehicle', DRIVER: 'driver' };
+
+// Get the assignment history (and planned shifts) of a vehicle or driver; access is enforced by checkEntityAccess on the route
+const getAssignmentHistory = async (req, res, entityType) => {
+    try {
+        const { from, to, at, status, source, page, limit } = req.query;
+
+        for (const [name, value] of Object.entries({ from, to, at })) {
+            if (value && isNaN(new Date(value))) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: `Invalid ${name} date`,
+                        statusCode: 400
+                    }
+                });
+            }
+        }
+
+        const result = await assignmentService.getHistory(
+            { [FILTER_FIELDS[entityType]]: req.params.id },
+            { from, to, at, status, source, page, limit }
+        );
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Get ${entityType.toLowerCase()} assignment history error:`, {
+            error: error.message,
+            stack: error.stack,
+            entityId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+const getVehicleAssignments = (req, res) => getAssignmentHistory(req, res, 'VEHICLE');
+const getDriverAssignments = (req, res) => getAssignmentHistory(req, res, 'DRIVER');
+
+// Dry run of an assignment: whether the driver could be assigned to the vehicle right now, and why not.
+// The entity in the URL is checked by checkEntityAccess on the route; the other one (from the query) here.
+const checkEligibility = async (req, res, entityType) => {
+    try {
+        const otherField = entityType === 'VEHICLE' ? 'driverId' : 'vehicleId';
+        const otherId = req.query[otherField];
+        if (!mongoose.Types.ObjectId.isValid(otherId)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `A valid ${otherField} is required`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const [vehicle, driver] = entityType === 'VEHICLE'
+            ? await Promise.all([Vehicle.findById(req.params.id), Driver.findById(otherId)])
+            : await Promise.all([Vehicle.findById(otherId), Driver.findById(req.params.id)]);
+        const other = entityType === 'VEHICLE' ? driver : vehicle;
+
+        if (!vehicle || !driver || !await accessControlService.canActOnVendor(req.vendor._id, other.vendor)) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `${!vehicle ? 'Vehicle' : 'Driver'} not found`,
+                    statusCode: 404
+                }
+            });
+        }
+
+        const eligibility = await eligibilityService.evaluate({ vehicle, driver });
+
+        res.json({
+            success: true,
+            data: {
+                vehicleId: vehicle._id,
+                driverId: driver._id,
+                ...eligibility
+            }
+        });
+    } catch (error) {
+        logger.error('Check assignment eligibility error:', {
+            error: error.message,
+            stack: error.stack,
+            entityType,
+            entityId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+const checkVehicleEligibility = (req, res) => checkEligibility(req, res, 'VEHICLE');
+const checkDriverEligibility = (req, res) => checkEligibility(req, res, 'DRIVER');
+
+// Plan a shift of a driver on the vehicle; 409 lists the overlapping shifts
+const planShift = async (req, res) => {
+    try {
+        const { driverId, startAt, endAt, notes } = req.body;
+
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Vehicle not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver || !await accessControlService.canActOnVendor(req.vendor._id, driver.vendor)) {
+            logger.error('Plan shift failed: Driver not found', { vehicleId: vehicle._id, driverId, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Driver not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const shift = await assignmentService.planShift({ vehicle, driver, startAt, endAt, notes, actorId: req.vendor._id });
+
+        await auditService.record({
+            req,
+            action: 'SHIFT_PLANNED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: { shiftId: shift._id, driverId: driver._id, startAt: shift.startAt, endAt: shift.endAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: shift
+        });
+    } catch (error) {
+        logger.error('Plan shift error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400,
+                ...error.details
+            }
+        });
+    }
+};
+
+// Cancel a planned shift of the vehicle
+const cancelShift = async (req, res) => {
+    try {
+        const shift = await assignmentService.getShift(req.params.id, req.params.shiftId);
+        const cancelled = await assignmentService.cancelShift(shift, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'SHIFT_CANCELLED',
+            entityType: 'VEHICLE',
+            entityId: shift.vehicle,
+            ownerVendorId: shift.vendor,
+            metadata: { shiftId: shift._id, driverId: shift.driver, startAt: shift.startAt, endAt: shift.endAt }
+        });
+
+        res.json({
+            success: true,
+            data: cancelled
+        });
+    } catch (error) {
+        logger.error('Cancel shift error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            shiftId: req.params.shiftId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getVehicleAssignments,
+    getDriverAssignments,
+    checkVehicleEligibility,
+    checkDriverEligibility,
+    planShift,
+    cancelShift
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+const accessControlService = require('../services/accessControlService');
+const logger = require('../config/logger');
+
+// Get audit log entries for the requesting vendor and everything below it
+const getAuditLogs = async (req, res) => {
+    try {
+        const { entityType, entityId, action, actorId, vendorId, from, to, page, limit } = req.query;
+
+        for (const [name, value] of Object.entries({ entityId, actorId, vendorId })) {
+            if (value && !mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: `Invalid ${name}`,
+                        statusCode: 400
+                    }
+                });
+            }
+        }
+
+        const filter = {};
+
+        // Narrow to one vendor when asked, but never outside the requester's subtree
+        if (vendorId) {
+            if (!await accessControlService.canActOnVendor(req.vendor._id, vendorId)) {
+                logger.warn('Audit log query denied: Vendor outside hierarchy', { vendorId: req.vendor._id, requestedVendorId: vendorId, ip: req.ip });
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: 'Permission denied',
+                        statusCode: 403
+                    }
+                });
+            }
+            filter.ownerVendor = vendorId;
+        } else {
+            filter.ownerVendor = { $in: await accessControlService.getAccessibleVendorIds(req.vendor._id) };
+        }
+
+        if (entityType) filter.entityType = entityType.toUpperCase();
+        if (entityId) filter.entityId = entityId;
+        if (action) filter.action = action.toUpperCase();
+        if (actorId) filter.actor = actorId;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+
+            if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+                logger.error('Get audit logs failed: Invalid date range', { from, to, vendorId: req.vendor._id, ip: req.ip });
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'from and to must be valid dates',
+                        statusCode: 400
+                    }
+                });
+            }
+        }
+
+        const result = await auditService.find(filter, { page, limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get audit logs error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get the audit history of a single entity; access is enforced by checkEntityAccess on the route
+const getEntityHistory = async (req, res, entityType, paramName) => {
+    try {
+        const entityId = req.params[paramName];
+        const { page, limit } = req.query;
+
+        const result = await auditService.getEntityHistory(entityType, entityId, { page, limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get entity history error:', {
+            error: error.message,
+            stack: error.stack,
+            entityType,
+            entityId: req.params[paramName],
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+const getVehicleHistory = (req, res) => getEntityHistory(req, res, 'VEHICLE', 'id');
+const getDriverHistory = (req, res) => getEntityHistory(req, res, 'DRIVER', 'id');
+const getDocumentHistory = (req, res) => getEntityHistory(req, res, 'DOCUMENT', 'documentId');
+const getVendorHistory = (req, res) => getEntityHistory(req, res, 'VENDOR', 'vendorId');
+const getTripHistory = (req, res) => getEntityHistory(req, res, 'TRIP', 'id');
+
+module.exports = {
+    getAuditLogs,
+    getVehicleHistory,
+    getDriverHistory,
+    getDocumentHistory,
+    getVendorHistory,
+    getTripHistory
+};
@@ -4,13 +4,16 @@ const Driver = require('../models/Driver');
 const Document = require('../models/Document');
 const cacheService = require('../services/cacheService');
 const documentService = require('../services/documentService');
+const verificationQueueService = require('../services/verificationQueueService');
+const storageService = require('../services/storageService');
+const auditService = require('../services/auditService');
 const logger = require('../config/logger');
 
 // Upload vehicle documents
 const uploadVehicleDocuments = async (req, res) => {
     try {
         const { id } = req.params; // Vehicle ID
-        const { documentType, number, expiryDate, documentUrl } = req.body;
+        const { documentType } = req.body;
 
         // Find the vehicle to ensure it exists
         const vehicle = await Vehicle.findById(id);
@@ -25,24 +28,25 @@ const uploadVehicleDocuments = async (req, res) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can upload documents for this vehicleId
-        // e.g., req.vendor._id.toString() === vehicle.vendor.toString() or req.vendor is parent of vehicle.vendor
-
-        // --- Refactored: Use Document model instead of embedding ---
-        const newDocument = new Document({
-            vendor: req.vendor._id, // Vendor performing the upload (the logged-in user)
-            entityType: 'Vehicle', // The type of entity the document belongs to
-            entityId: id, // The ID of the vehicle the document is for
-            documentType: documentType, // The type of document (e.g., REGISTRATION)
-            number: number, // Document number (if applicable)
-            expiryDate: expiryDate, // Document expiry date (if applicable)
-            documentUrl: documentUrl, // URL or path to the uploaded file
-            uploadedBy: req.vendor._id, // The user who uploaded it
-            uploadedAt: new Date(),
-            isVerified: false // Documents are not verified on upload
+        // Multipart uploads go through the storage service; a hosted documentUrl is still accepted
+        const newDocument = await documentService.createEntityDocument({
+            entityType: 'VEHICLE',
+            entityId: id,
+            vendorId: req.vendor._id, // Vendor performing the upload (the logged-in user)
+            uploadedBy: req.vendor._id,
+            body: req.body,
+            file: req.file
         });
 
-        await newDocument.save();
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_UPLOADED',
+            entityType: 'DOCUMENT',
+            entityId: newDocument._id,
+            ownerVendorId: vehicle.vendor,
+            after: newDocument,
+            metadata: { entityType: 'VEHICLE', entityId: id, documentType }
+        });
 
         // Respond with the newly created document details
         res.status(201).json({ // Use 201 for resource creation
@@ -58,11 +62,11 @@ const uploadVehicleDocuments = async (req, res) => {
             requestBody: req.body,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -72,7 +76,7 @@ const uploadVehicleDocuments = async (req, res) => {
 const uploadDriverDocuments = async (req, res) => {
     try {
         const { id } = req.params; // Driver ID
-        const { documentType, number, expiryDate, documentUrl } = req.body;
+        const { documentType } = req.body;
 
         // Find the driver to ensure they exist
         const driver = await Driver.findById(id);
@@ -87,24 +91,25 @@ const uploadDriverDocuments = async (req, res) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can upload documents for this driverId
-        // e.g., req.vendor._id.toString() === driver.vendor.toString() or req.vendor is parent of driver.vendor
-
-        // --- Refactored: Use Document model instead of embedding ---
-        const newDocument = new Document({
-            vendor: req.vendor._id, // Vendor performing the upload (the logged-in user)
-            entityType: 'Driver', // The type of entity the document belongs to
-            entityId: id, // The ID of the driver the document is for
-            documentType: documentType, // The type of document (e.g., DRIVING_LICENSE)
-            number: number, // Document number (if applicable)
-            expiryDate: expiryDate, // Document expiry date (if applicable)
-            documentUrl: documentUrl, // URL or path to the uploaded file
-            uploadedBy: req.vendor._id, // The user who uploaded it
-            uploadedAt: new Date(),
-            isVerified: false // Documents are not verified on upload
+        // Multipart uploads go through the storage service; a hosted documentUrl is still accepted
+        const newDocument = await documentService.createEntityDocument({
+            entityType: 'DRIVER',
+            entityId: id,
+            vendorId: req.vendor._id, // Vendor performing the upload (the logged-in user)
+            uploadedBy: req.vendor._id,
+            body: req.body,
+            file: req.file
         });
 
-        await newDocument.save();
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_UPLOADED',
+            entityType: 'DOCUMENT',
+            entityId: newDocument._id,
+            ownerVendorId: driver.vendor,
+            after: newDocument,
+            metadata: { entityType: 'DRIVER', entityId: id, documentType }
+        });
 
         // Respond with the newly created document details
         res.status(201).json({ // Use 201 for resource creation
@@ -120,11 +125,11 @@ const uploadDriverDocuments = async (req, res) => {
             requestBody: req.body,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -264,6 +269,37 @@ const getDriverDocumentStatus = async (req, res) => {
     }
 };
 
+// Compliance of a vehicle or driver as it stood at ?at= (default now)
+const getEntityComplianceAsOf = async (req, res, entityType) => {
+    try {
+        const compliance = await documentService.getEntityComplianceAsOf(entityType, req.params.id, req.query.at);
+
+        res.json({
+            success: true,
+            data: compliance
+        });
+    } catch (error) {
+        logger.error('Get compliance as of date error:', {
+            error: error.message,
+            stack: error.stack,
+            entityType,
+            entityId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+const getVehicleComplianceAsOf = (req, res) => getEntityComplianceAsOf(req, res, 'VEHICLE');
+const getDriverComplianceAsOf = (req, res) => getEntityComplianceAsOf(req, res, 'DRIVER');
+
 // Upload document
 const uploadDocument = async (req, res) => {
     try {
@@ -369,15 +405,417 @@ const getComplianceReport = async (req, res) => {
     }
 };
 
+const REVIEW_AUDIT_ACTIONS = {
+    START: 'DOCUMENT_REVIEW_STARTED',
+    APPROVE: 'DOCUMENT_APPROVED',
+    REJECT: 'DOCUMENT_REJECTED'
+};
+
+// Move a document through the review workflow (start review, approve or reject)
+const reviewDocument = async (req, res, decision) => {
+    try {
+        const { documentId } = req.params;
+        const { reason, remarks } = req.body;
+
+        // Access to the document is enforced by checkEntityAccess on the route
+        const before = await Document.findById(documentId).lean();
+        if (!before) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Document not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        let document;
+        if (decision === 'START') {
+            document = await documentService.startReview(documentId, req.vendor._id);
+        } else if (decision === 'APPROVE') {
+            document = await documentService.approveDocument(documentId, req.vendor._id, remarks);
+        } else {
+            document = await documentService.rejectDocument(documentId, req.vendor._id, reason, remarks);
+        }
+
+        // With two-reviewer types the first approval leaves the document under review
+        const action = decision === 'APPROVE' && document.reviewStatus !== 'APPROVED'
+            ? 'DOCUMENT_APPROVAL_RECORDED'
+            : REVIEW_AUDIT_ACTIONS[decision];
+
+        await auditService.record({
+            req,
+            action,
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: req.ownerVendorId,
+            before,
+            after: document,
+            metadata: { reason, remarks, reviewStatus: document.reviewStatus }
+        });
+
+        res.json({
+            success: true,
+            data: { document }
+        });
+    } catch (error) {
+        logger.error('Document review error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            decision,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+const startDocumentReview = (req, res) => reviewDocument(req, res, 'START');
+const approveDocument = (req, res) => reviewDocument(req, res, 'APPROVE');
+const rejectDocument = (req, res) => reviewDocument(req, res, 'REJECT');
+
+// Upload a new version of a rejected document
+const resubmitDocument = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+
+        const document = await documentService.resubmitDocument({
+            documentId,
+            uploadedBy: req.vendor._id,
+            body: req.body,
+            file: req.file
+        });
+
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_RESUBMITTED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: req.ownerVendorId,
+            after: document,
+            metadata: { previousVersion: documentId, version: document.version }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { document }
+        });
+    } catch (error) {
+        logger.error('Document resubmission error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Renewal timeline of a document: every version of the entity's document of that type
+const getDocumentTimeline = async (req, res) => {
+    try {
+        const timeline = await documentService.getRenewalTimeline(req.params.documentId, req.query.at);
+
+        res.json({
+            success: true,
+            data: timeline
+        });
+    } catch (error) {
+        logger.error('Get document timeline error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// List pending documents in the reviewer's subtree, by upload age or expiry proximity
+const getVerificationQueue = async (req, res) => {
+    try {
+        const { sort, claim, entityType, documentType, page = 1, limit = 20 } = req.query;
+
+        const queue = await verificationQueueService.getQueue(req.vendor._id, {
+            sort,
+            claim,
+            entityType,
+            documentType,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: queue
+        });
+    } catch (error) {
+        logger.error('Get verification queue error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Claim a pending document so no other reviewer picks it up while the lease runs
+const claimDocument = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const document = await verificationQueueService.claim(documentId, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_CLAIMED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: req.ownerVendorId,
+            metadata: { claimExpiresAt: document.claimExpiresAt }
+        });
+
+        res.json({
+            success: true,
+            data: { document }
+        });
+    } catch (error) {
+        logger.error('Document claim error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Release a claim so the document goes back to the queue
+const releaseDocumentClaim = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const document = await verificationQueueService.release(documentId, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_CLAIM_RELEASED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: req.ownerVendorId
+        });
+
+        res.json({
+            success: true,
+            data: { document }
+        });
+    } catch (error) {
+        logger.error('Document claim release error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Time-to-verify SLA metrics and current backlog for the reviewer's subtree
+const getVerificationMetrics = async (req, res) => {
+    try {
+        const metrics = await verificationQueueService.getMetrics(req.vendor._id, {
+            from: req.query.from,
+            to: req.query.to
+        });
+
+        res.json({
+            success: true,
+            data: metrics
+        });
+    } catch (error) {
+        logger.error('Get verification metrics error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Issue an expiring signed download url for a stored document
+const getDocumentDownloadUrl = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const document = await Document.findById(documentId);
+
+        if (!document || !document.storageKey) {
+            logger.error('Document download url failed: Stored document not found', { documentId, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Document file not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const { url, expiresAt } = await storageService.getDownloadUrl(document);
+
+        logger.info('Document download url issued', { documentId, vendorId: req.vendor._id, expiresAt });
+
+        res.json({
+            success: true,
+            data: { url, expiresAt }
+        });
+    } catch (error) {
+        logger.error('Get document download url error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Serve a stored document file through a signed url (no bearer token; the signature authorizes it)
+const downloadDocumentFile = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { expires, signature } = req.query;
+
+        if (!storageService.verifySignature(documentId, expires, signature)) {
+            logger.warn('Document download rejected: Invalid or expired signature', { documentId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Download link is invalid or has expired',
+                    statusCode: 403
+                }
+            });
+        }
+
+        const document = await Document.findById(documentId);
+        if (!document || !document.storageKey) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Document file not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const stream = await storageService.getFileStream(document);
+
+        res.set({
+            'Content-Type': document.mimeType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(document.originalName || document._id.toString())}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        if (document.size) {
+            res.set('Content-Length', String(document.size));
+        }
+
+        stream.on('error', (error) => {
+            logger.error('Document download stream error:', { error: error.message, documentId });
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('Download document file error:', {
+            error: error.message,
+            stack: error.stack,
+            documentId: req.params.documentId,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
 module.exports = {
     uploadVehicleDocuments,
     uploadDriverDocuments,
     getExpiringDocuments,
     getVehicleDocumentStatus,
     getDriverDocumentStatus,
+    getVehicleComplianceAsOf,
+    getDriverComplianceAsOf,
     uploadDocument,
     verifyDocument,
     getDocumentStatus,
     getExpiringDocumentsQuery,
-    getComplianceReport
+    getComplianceReport,
+    startDocumentReview,
+    approveDocument,
+    rejectDocument,
+    resubmitDocument,
+    getDocumentTimeline,
+    getVerificationQueue,
+    claimDocument,
+    releaseDocumentClaim,
+    getVerificationMetrics,
+    getDocumentDownloadUrl,
+    downloadDocumentFile
 }; 
\ No newline at end of file
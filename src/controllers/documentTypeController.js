@@ -0,0 +1,328 @@
+const DocumentType = require('../models/DocumentType');
+const documentTypeService = require('../services/documentTypeService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+const EDITABLE_FIELDS = ['name', 'description', 'entityTypes', 'isRequired', 'expires', 'validityDays', 'requiredApprovals', 'requiredMetadata', 'isActive'];
+const OVERRIDE_FIELDS = ['isRequired', 'expires', 'validityDays', 'requiredMetadata'];
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    error: {
+        message: 'Document type not found',
+        statusCode: 404
+    }
+});
+
+// Persist a registry change, drop the cached registry and record it
+const saveDocumentType = async (req, documentType, action, before) => {
+    await documentType.save();
+    await documentTypeService.clearCache();
+
+    await auditService.record({
+        req,
+        action,
+        entityType: 'DOCUMENT_TYPE',
+        entityId: documentType._id,
+        ownerVendorId: req.vendor._id,
+        before,
+        after: documentType
+    });
+};
+
+// List document types, optionally for one entity type with a city's overrides applied
+const getDocumentTypes = async (req, res) => {
+    try {
+        const { entityType, city, includeInactive } = req.query;
+
+        let documentTypes;
+        if (entityType) {
+            documentTypes = await documentTypeService.getTypesForEntity(entityType, city);
+        } else {
+            documentTypes = await documentTypeService.getAll({ includeInactive: includeInactive === 'true' });
+            if (city) {
+                documentTypes = documentTypes.map(type => DocumentType.resolveForCity(type, city));
+            }
+        }
+
+        res.json({
+            success: true,
+            data: documentTypes
+        });
+    } catch (error) {
+        logger.error('Get document types error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get a document type by code
+const getDocumentType = async (req, res) => {
+    try {
+        await documentTypeService.ensureDefaults();
+        const documentType = await DocumentType.findOne({ code: req.params.code });
+
+        if (!documentType) {
+            return notFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: req.query.city
+                ? DocumentType.resolveForCity(documentType.toObject(), req.query.city)
+                : documentType
+        });
+    } catch (error) {
+        logger.error('Get document type error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Register a new document type
+const createDocumentType = async (req, res) => {
+    try {
+        await documentTypeService.ensureDefaults();
+        if (await DocumentType.exists({ code: req.body.code })) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'A document type with this code already exists',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const documentType = new DocumentType({
+            code: req.body.code,
+            ...Object.fromEntries(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+            cityOverrides: req.body.cityOverrides
+        });
+        await saveDocumentType(req, documentType, 'DOCUMENT_TYPE_CREATED');
+
+        logger.info('Document type created', { code: documentType.code, vendorId: req.vendor._id });
+
+        res.status(201).json({
+            success: true,
+            data: documentType
+        });
+    } catch (error) {
+        logger.error('Create document type error:', {
+            error: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Update a document type's rules (the code is immutable; existing documents reference it)
+const updateDocumentType = async (req, res) => {
+    try {
+        const updates = Object.keys(req.body);
+        if (!updates.every(update => EDITABLE_FIELDS.includes(update))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Invalid updates',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const documentType = await DocumentType.findOne({ code: req.params.code });
+        if (!documentType) {
+            return notFound(res);
+        }
+
+        const before = documentType.toObject();
+        updates.forEach(update => documentType[update] = req.body[update]);
+        await saveDocumentType(req, documentType, 'DOCUMENT_TYPE_UPDATED', before);
+
+        logger.info('Document type updated', { code: documentType.code, updates, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: documentType
+        });
+    } catch (error) {
+        logger.error('Update document type error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Deactivate a document type. It is kept so existing documents still resolve; new uploads are rejected.
+const deactivateDocumentType = async (req, res) => {
+    try {
+        const documentType = await DocumentType.findOne({ code: req.params.code });
+        if (!documentType) {
+            return notFound(res);
+        }
+
+        const before = documentType.toObject();
+        documentType.isActive = false;
+        await saveDocumentType(req, documentType, 'DOCUMENT_TYPE_DEACTIVATED', before);
+
+        logger.info('Document type deactivated', { code: documentType.code, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: documentType
+        });
+    } catch (error) {
+        logger.error('Deactivate document type error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Set (or replace) a document type's rules for one city
+const setCityOverride = async (req, res) => {
+    try {
+        const fields = Object.keys(req.body);
+        if (fields.length === 0 || !fields.every(field => OVERRIDE_FIELDS.includes(field))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `City overrides may only set ${OVERRIDE_FIELDS.join(', ')}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const documentType = await DocumentType.findOne({ code: req.params.code });
+        if (!documentType) {
+            return notFound(res);
+        }
+
+        const city = req.params.city.trim().toLowerCase();
+        const before = documentType.toObject();
+        documentType.cityOverrides = [
+            ...documentType.cityOverrides.filter(override => override.city !== city),
+            { city, ...req.body }
+        ];
+        await saveDocumentType(req, documentType, 'DOCUMENT_TYPE_CITY_OVERRIDE_SET', before);
+
+        logger.info('Document type city override set', { code: documentType.code, city, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: documentType
+        });
+    } catch (error) {
+        logger.error('Set document type city override error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            city: req.params.city,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Remove a document type's override for one city
+const removeCityOverride = async (req, res) => {
+    try {
+        const documentType = await DocumentType.findOne({ code: req.params.code });
+        if (!documentType) {
+            return notFound(res);
+        }
+
+        const city = req.params.city.trim().toLowerCase();
+        const before = documentType.toObject();
+        documentType.cityOverrides = documentType.cityOverrides.filter(override => override.city !== city);
+        await saveDocumentType(req, documentType, 'DOCUMENT_TYPE_CITY_OVERRIDE_REMOVED', before);
+
+        res.json({
+            success: true,
+            data: documentType
+        });
+    } catch (error) {
+        logger.error('Remove document type city override error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            city: req.params.city,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getDocumentTypes,
+    getDocumentType,
+    createDocumentType,
+    updateDocumentType,
+    deactivateDocumentType,
+    setCityOverride,
+    removeCityOverride
+};
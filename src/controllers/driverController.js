@@ -1,21 +1,51 @@
 const Driver = require('../models/Driver');
 const Vehicle = require('../models/Vehicle');
 const cacheService = require('../services/cacheService');
+const documentService = require('../services/documentService');
+const accessControlService = require('../services/accessControlService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const assignmentService = require('../services/assignmentService');
+const eligibilityService = require('../services/eligibilityService');
+const { checkEntityDocuments } = require('../utils/documentUtils');
 const logger = require('../config/logger');
 
 // Add new driver
 const addDriver = async (req, res) => {
     try {
-        // Optional: Add check to ensure requesting vendor has permission to add drivers
-        // e.g., req.vendor.vendorType === 'CITY' || req.vendor.vendorType === 'SUB' || req.vendor.vendorType === 'LOCAL'
+        // Ancestors may add drivers on behalf of a vendor below them. Ratings and trip counts are built up
+        // from completed trips, and assignment and suspension through their own endpoints and jobs.
+        const { vendorId, rating, ratingCount, totalTrips, assignedVehicle, complianceSuspension, ...driverData } = req.body;
+        const ownerVendorId = vendorId || req.vendor._id;
+
+        if (!await accessControlService.canActOnVendor(req.vendor._id, ownerVendorId)) {
+            logger.error('Add driver failed: Not allowed to act for vendor', { vendorId: req.vendor._id, ownerVendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
 
         const driver = new Driver({
-            ...req.body,
-            vendor: req.vendor._id
+            ...driverData,
+            vendor: ownerVendorId
         });
 
         await driver.save();
 
+        await auditService.record({
+            req,
+            action: 'DRIVER_CREATED',
+            entityType: 'DRIVER',
+            entityId: driver._id,
+            ownerVendorId: driver.vendor,
+            after: driver
+        });
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`vendor_drivers_${driver.vendor}`),
@@ -53,7 +83,20 @@ const getDrivers = async (req, res) => {
     try {
         // Optional: Add pagination and filtering based on query parameters (page, limit, status, search)
         const { page = 1, limit = 10, status, search } = req.query;
-        const query = { vendor: req.vendor._id };
+        const vendorId = req.query.vendorId || req.vendor._id;
+
+        if (!await accessControlService.canActOnVendor(req.vendor._id, vendorId)) {
+            logger.error('Get drivers failed: Not allowed to view vendor', { vendorId: req.vendor._id, requestedVendorId: vendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
+
+        const query = { vendor: vendorId };
 
         if (status) {
             query.status = status.toUpperCase(); // Assuming status is stored in uppercase
@@ -77,11 +120,11 @@ const getDrivers = async (req, res) => {
         const total = await Driver.countDocuments(query);
 
         // Cache the drivers list
-        await cacheService.set(`vendor_drivers_${req.vendor._id}`, drivers, 300); // Cache for 5 minutes
+        await cacheService.set(`vendor_drivers_${vendorId}`, drivers, 300); // Cache for 5 minutes
 
         logger.info('Drivers retrieved', {
             count: drivers.length,
-            vendorId: req.vendor._id
+            vendorId
         });
 
         res.json({
@@ -130,10 +173,8 @@ const getDriverById = async (req, res) => {
             });
         }
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        }).populate('assignedVehicle', 'registrationNumber model');
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(driverId).populate('assignedVehicle', 'registrationNumber model');
 
         if (!driver) {
             logger.error('Driver not found', { driverId });
@@ -174,7 +215,8 @@ const getDriverById = async (req, res) => {
 const updateDriver = async (req, res) => {
     try {
         const updates = Object.keys(req.body);
-        const allowedUpdates = ['name', 'email', 'phone', 'status', 'rating', 'totalTrips'];
+        // rating and totalTrips are derived from trips and ratings, not set directly
+        const allowedUpdates = ['name', 'email', 'phone', 'licenseClasses', 'status'];
         const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
         if (!isValidOperation) {
@@ -192,10 +234,8 @@ const updateDriver = async (req, res) => {
             });
         }
 
-        const driver = await Driver.findOne({
-            _id: req.params.id,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(req.params.id);
 
         if (!driver) {
             logger.error('Driver not found for update', { driverId: req.params.id });
@@ -208,9 +248,32 @@ const updateDriver = async (req, res) => {
             });
         }
 
+        // Compliance suspensions are lifted by the enforcement job once valid documents are verified
+        if (driver.complianceSuspension && req.body.status && req.body.status !== 'SUSPENDED') {
+            logger.warn('Driver status change denied: Suspended for document compliance', { driverId: driver._id, vendorId: req.vendor._id });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'Driver is suspended for missing or expired documents and is restored automatically once valid documents are verified',
+                    statusCode: 409
+                }
+            });
+        }
+
+        const before = driver.toObject();
         updates.forEach(update => driver[update] = req.body[update]);
         await driver.save();
 
+        await auditService.record({
+            req,
+            action: 'DRIVER_UPDATED',
+            entityType: 'DRIVER',
+            entityId: driver._id,
+            ownerVendorId: driver.vendor,
+            before,
+            after: driver
+        });
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`driver_${driver._id}`),
@@ -247,10 +310,8 @@ const updateDriver = async (req, res) => {
 // Delete driver
 const deleteDriver = async (req, res) => {
     try {
-        const driver = await Driver.findOneAndDelete({
-            _id: req.params.id,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findByIdAndDelete(req.params.id);
 
         if (!driver) {
             logger.error('Driver not found for deletion', { driverId: req.params.id });
@@ -263,6 +324,15 @@ const deleteDriver = async (req, res) => {
             });
         }
 
+        await auditService.record({
+            req,
+            action: 'DRIVER_DELETED',
+            entityType: 'DRIVER',
+            entityId: driver._id,
+            ownerVendorId: driver.vendor,
+            before: driver
+        });
+
         // If driver was assigned to a vehicle, remove the assignment
         if (driver.assignedVehicle) {
             logger.info('Removing vehicle assignment for driver', { driverId: driver._id });
@@ -307,10 +377,8 @@ const assignVehicleToDriver = async (req, res) => {
         const { vehicleId } = req.body;
         const driverId = req.params.id; // Driver ID from URL params
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(driverId);
 
         if (!driver) {
             logger.error('Assign vehicle to driver failed: Driver not found', {
@@ -328,12 +396,9 @@ const assignVehicleToDriver = async (req, res) => {
             });
         }
 
-        const vehicle = await Vehicle.findOne({
-            _id: vehicleId,
-            vendor: req.vendor._id
-        });
+        const vehicle = await Vehicle.findById(vehicleId);
 
-        if (!vehicle) {
+        if (!vehicle || !await accessControlService.canActOnVendor(req.vendor._id, vehicle.vendor)) {
             logger.error('Assign vehicle to driver failed: Vehicle not found', { driverId, vendorId: req.vendor._id, vehicleId, ip: req.ip });
             return res.status(404).json({
                 success: false,
@@ -380,13 +445,59 @@ const assignVehicleToDriver = async (req, res) => {
             });
         }
 
-        // Update driver
-        driver.assignedVehicle = vehicleId;
-        await driver.save();
+        // Status, documents, ownership and license class
+        const eligibility = await eligibilityService.evaluate({ vehicle, driver });
+        if (!eligibility.eligible) {
+            logger.error('Assign vehicle to driver failed: Not eligible', {
+                vehicleId,
+                driverId,
+                reasons: eligibility.reasons.map(reason => reason.code),
+                vendorId: req.vendor._id,
+                ip: req.ip
+            });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Driver is not eligible for this vehicle',
+                    statusCode: 400,
+                    reasons: eligibility.reasons,
+                    warnings: eligibility.warnings
+                }
+            });
+        }
+
+        const driverBefore = driver.toObject();
+        const vehicleBefore = vehicle.toObject();
 
-        // Update vehicle
-        vehicle.assignedDriver = driverId;
-        await vehicle.save();
+        // Claim both sides; fails with 409 if a concurrent request took either of them
+        const claimed = await assignmentService.link(vehicle._id, driver._id);
+        driver.assignedVehicle = vehicle._id;
+        vehicle.assignedDriver = driver._id;
+
+        if (!claimed.driverBefore.assignedVehicle) {
+            await assignmentService.recordStart({ vehicle, driver, actorId: req.vendor._id });
+        }
+
+        await Promise.all([
+            auditService.record({
+                req,
+                action: 'VEHICLE_ASSIGNED',
+                entityType: 'DRIVER',
+                entityId: driver._id,
+                ownerVendorId: driver.vendor,
+                before: driverBefore,
+                after: driver
+            }),
+            auditService.record({
+                req,
+                action: 'DRIVER_ASSIGNED',
+                entityType: 'VEHICLE',
+                entityId: vehicle._id,
+                ownerVendorId: vehicle.vendor,
+                before: vehicleBefore,
+                after: vehicle
+            })
+        ]);
 
         // Clear related caches
         await Promise.all([
@@ -396,6 +507,14 @@ const assignVehicleToDriver = async (req, res) => {
             cacheService.del(`vendor_vehicles_${vehicle.vendor}`)
         ]);
 
+        await Promise.all([
+            notificationService.sendAssignmentNotification({ vehicleId: vehicle._id, driverId: driver._id, type: 'ASSIGNED', vendorId: vehicle.vendor }),
+            webhookService.emit('driver.assigned', {
+                vendorId: vehicle.vendor,
+                data: { vehicleId: vehicle._id, driverId: driver._id, driverVendorId: driver.vendor }
+            })
+        ]);
+
         logger.info('Vehicle assigned to driver', {
             driverId,
             vehicleId
@@ -423,11 +542,11 @@ const assignVehicleToDriver = async (req, res) => {
             vendorId: req.vendor._id,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -438,10 +557,8 @@ const unassignVehicleFromDriver = async (req, res) => {
     try {
         const driverId = req.params.id; // Driver ID from URL params
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(driverId);
 
         if (!driver) {
             logger.error('Unassign vehicle from driver failed: Driver not found', { driverId, vendorId: req.vendor._id, ip: req.ip });
@@ -466,15 +583,44 @@ const unassignVehicleFromDriver = async (req, res) => {
         }
 
         const vehicleIdToUnassign = driver.assignedVehicle;
+        const driverBefore = driver.toObject();
 
-        // Update driver
+        // Each side is only cleared while it still points at the other
+        const { driverBefore: unlinkedDriver, vehicleBefore } = await assignmentService.unlink(vehicleIdToUnassign, driver._id);
+        if (!unlinkedDriver) {
+            logger.warn('Unassign vehicle from driver failed: Assignment changed concurrently', { driverId, vehicleId: vehicleIdToUnassign, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'The driver\'s assignment changed meanwhile, please retry.',
+                    statusCode: 409
+                }
+            });
+        }
         driver.assignedVehicle = null;
-        await driver.save();
 
-        // Update vehicle
-        await Vehicle.findByIdAndUpdate(vehicleIdToUnassign, {
-            assignedDriver: null
-        });
+        await assignmentService.recordEnd({ vehicleId: vehicleIdToUnassign, driverId: driver._id, actorId: req.vendor._id });
+
+        await Promise.all([
+            auditService.record({
+                req,
+                action: 'VEHICLE_UNASSIGNED',
+                entityType: 'DRIVER',
+                entityId: driver._id,
+                ownerVendorId: driver.vendor,
+                before: driverBefore,
+                after: driver
+            }),
+            vehicleBefore && auditService.record({
+                req,
+                action: 'DRIVER_UNASSIGNED',
+                entityType: 'VEHICLE',
+                entityId: vehicleBefore._id,
+                ownerVendorId: vehicleBefore.vendor,
+                before: { assignedDriver: vehicleBefore.assignedDriver },
+                after: { assignedDriver: null }
+            })
+        ]);
 
         // Clear related caches
         await Promise.all([
@@ -484,6 +630,16 @@ const unassignVehicleFromDriver = async (req, res) => {
             cacheService.del(`vendor_vehicles_${vehicleIdToUnassign}`)
         ]);
 
+        if (vehicleBefore) {
+            await Promise.all([
+                notificationService.sendAssignmentNotification({ vehicleId: vehicleBefore._id, driverId: driver._id, type: 'UNASSIGNED', vendorId: vehicleBefore.vendor }),
+                webhookService.emit('driver.unassigned', {
+                    vendorId: vehicleBefore.vendor,
+                    data: { vehicleId: vehicleBefore._id, driverId: driver._id }
+                })
+            ]);
+        }
+
         logger.info('Vehicle unassigned from driver', {
             driverId,
             unassignedVehicleId: vehicleIdToUnassign
@@ -521,10 +677,8 @@ const verifyDriverDocuments = async (req, res) => {
         const { documentType, status, remarks } = req.body;
         const driverId = req.params.id;
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(driverId);
 
         if (!driver) {
             logger.error('Verify driver documents failed: Driver not found', { driverId, vendorId: req.vendor._id, documentType, ip: req.ip });
@@ -537,10 +691,16 @@ const verifyDriverDocuments = async (req, res) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can verify documents for this driver
-        // e.g., req.vendor is the owner or a higher-level vendor with verification permissions
+        const result = await documentService.verifyEntityDocument({
+            entityType: 'DRIVER',
+            entityId: driverId,
+            documentType,
+            verified: status === 'VERIFIED',
+            remarks,
+            verifiedBy: req.vendor._id
+        });
 
-        if (!driver.documents || !driver.documents[documentType]) {
+        if (!result) {
             logger.error('Verify driver documents failed: Document type not found on driver', { driverId, vendorId: req.vendor._id, documentType, ip: req.ip });
             return res.status(400).json({
                 success: false,
@@ -551,13 +711,18 @@ const verifyDriverDocuments = async (req, res) => {
             });
         }
 
-        driver.documents[documentType].isVerified = status === 'VERIFIED';
-        driver.documents[documentType].verificationRemarks = remarks;
-        // Assuming req.vendor is the verifier
-        driver.documents[documentType].verifiedBy = req.vendor._id;
-        driver.documents[documentType].verifiedAt = new Date();
+        const { document, before } = result;
 
-        await driver.save();
+        await auditService.record({
+            req,
+            action: 'DRIVER_DOCUMENT_VERIFIED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: driver.vendor,
+            before,
+            after: document,
+            metadata: { entityType: 'DRIVER', entityId: driver._id, documentType, status, remarks }
+        });
 
         // Clear related caches
         await Promise.all([
@@ -566,7 +731,8 @@ const verifyDriverDocuments = async (req, res) => {
         ]);
 
         logger.info('Driver document verified', {
-            driverId,
+            driverId: driver._id,
+            documentId: document._id,
             documentType,
             status,
             remarks
@@ -575,7 +741,7 @@ const verifyDriverDocuments = async (req, res) => {
         res.json({
             success: true,
             data: {
-                document: driver.documents[documentType]
+                document
             }
         });
     } catch (error) {
@@ -587,11 +753,11 @@ const verifyDriverDocuments = async (req, res) => {
             vendorId: req.vendor._id,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -602,10 +768,8 @@ const checkDriverDocumentStatus = async (req, res) => {
     try {
         const driverId = req.params.id;
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
+        // Access to the driver is enforced by checkEntityAccess on the route
+        const driver = await Driver.findById(driverId);
 
         if (!driver) {
             logger.error('Check driver document status failed: Driver not found', { driverId, vendorId: req.vendor._id, ip: req.ip });
@@ -618,37 +782,7 @@ const checkDriverDocumentStatus = async (req, res) => {
             });
         }
 
-        const expiredDocuments = [];
-        const expiringSoonDocuments = [];
-        const now = new Date();
-        const thirtyDaysFromNow = new Date(now);
-        thirtyDaysFromNow.setDate(now.getDate() + 30);
-
-        for (const docType in driver.documents) {
-            const document = driver.documents[docType];
-            if (document && document.expiryDate) {
-                const expiryDate = new Date(document.expiryDate);
-                const timeDiff = expiryDate.getTime() - now.getTime();
-                const daysUntilExpiry = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-                if (expiryDate < now) {
-                    expiredDocuments.push({
-                        type: docType,
-                        expiryDate: document.expiryDate,
-                        daysSinceExpiry: Math.abs(daysUntilExpiry)
-                    });
-                } else if (expiryDate <= thirtyDaysFromNow) {
-                    expiringSoonDocuments.push({
-                        type: docType,
-                        expiryDate: document.expiryDate,
-                        daysUntilExpiry: daysUntilExpiry
-                    });
-                }
-            }
-        }
-
-        const isExpired = expiredDocuments.length > 0;
-        const expiringSoon = expiringSoonDocuments.length > 0;
+        const { isExpired, expiringSoon, expiredDocuments, expiringSoonDocuments } = await checkEntityDocuments('DRIVER', driverId);
 
         res.json({
             success: true,
@@ -677,87 +811,6 @@ const checkDriverDocumentStatus = async (req, res) => {
     }
 };
 
-// Update driver rating
-const updateRating = async (req, res) => {
-    try {
-        const { rating } = req.body;
-        const driverId = req.params.id;
-
-        // Basic validation for rating
-        if (typeof rating !== 'number' || rating < 0 || rating > 5) {
-            logger.error('Update driver rating failed: Invalid rating value', { driverId, rating, vendorId: req.vendor._id, ip: req.ip });
-            return res.status(400).json({
-                success: false,
-                error: {
-                    message: 'Invalid rating value. Must be a number between 0 and 5.',
-                    statusCode: 400
-                }
-            });
-        }
-
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
-
-        if (!driver) {
-            logger.error('Update driver rating failed: Driver not found', { driverId, vendorId: req.vendor._id, ip: req.ip });
-            return res.status(404).json({
-                success: false,
-                error: {
-                    message: 'Driver not found',
-                    statusCode: 404
-                }
-            });
-        }
-
-        // Optional: Add permission check here to ensure the requesting vendor can update rating for this driver
-        // e.g., only the vendor who owns the driver, or a higher-level vendor
-
-        driver.rating = rating;
-        // Optional: Increment totalTrips if this rating is given after a trip
-        // driver.totalTrips = (driver.totalTrips || 0) + 1;
-
-        await driver.save();
-
-        // Clear related caches
-        await Promise.all([
-            cacheService.del(`driver_${driverId}`),
-            cacheService.del(`vendor_drivers_${driver.vendor}`)
-        ]);
-
-        logger.info('Driver rating updated', {
-            driverId,
-            rating
-        });
-
-        res.json({
-            success: true,
-            data: {
-                driver: {
-                    _id: driver._id,
-                    rating: driver.rating,
-                    totalTrips: driver.totalTrips
-                }
-            }
-        });
-    } catch (error) {
-        logger.error('Update driver rating error:', {
-            error: error.message,
-            stack: error.stack,
-            driverId: req.params.id,
-            rating: req.body.rating
-        });
-        res.status(500).json({
-            success: false,
-            error: {
-                message: 'Error updating driver rating',
-                statusCode: 500
-            }
-        });
-    }
-};
-
 module.exports = {
     addDriver,
     getDrivers,
@@ -767,6 +820,5 @@ module.exports = {
     assignVehicleToDriver,
     unassignVehicleFromDriver,
     verifyDriverDocuments,
-    checkDriverDocumentStatus,
-    updateRating
+    checkDriverDocumentStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+const Vehicle = require('../models/Vehicle');
+const inspectionService = require('../services/inspectionService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+// Record an inspection of the vehicle with a PASS or FAIL per template item
+const submitInspection = async (req, res) => {
+    try {
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Vehicle not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const inspection = await inspectionService.submit(vehicle, req.body, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'INSPECTION_SUBMITTED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: {
+                inspectionId: inspection._id,
+                template: inspection.template.code,
+                result: inspection.result,
+                failedItems: inspection.failedItems
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: inspection
+        });
+    } catch (error) {
+        logger.error('Submit inspection error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// List the vehicle's inspections, newest first
+const getInspections = async (req, res) => {
+    try {
+        const result = await inspectionService.getInspections(req.params.id, {
+            result: req.query.result,
+            templateCode: req.query.template,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get inspections error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get one inspection with its items and evidence
+const getInspection = async (req, res) => {
+    try {
+        const inspection = await inspectionService.getInspectionFor(req.params.id, req.params.inspectionId);
+
+        res.json({
+            success: true,
+            data: inspection
+        });
+    } catch (error) {
+        logger.error('Get inspection error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            inspectionId: req.params.inspectionId,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Attach an evidence file (multipart "file") or a hosted evidenceUrl to an item of an inspection
+const addInspectionEvidence = async (req, res) => {
+    try {
+        const inspection = await inspectionService.getInspectionFor(req.params.id, req.params.inspectionId);
+        const { evidence } = await inspectionService.addEvidence(inspection, req.params.itemKey, {
+            file: req.file,
+            evidenceUrl: req.body.evidenceUrl
+        }, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'INSPECTION_EVIDENCE_ADDED',
+            entityType: 'VEHICLE',
+            entityId: inspection.vehicle,
+            ownerVendorId: inspection.vendor,
+            metadata: { inspectionId: inspection._id, itemKey: req.params.itemKey, evidenceId: evidence._id }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: evidence
+        });
+    } catch (error) {
+        logger.error('Add inspection evidence error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            inspectionId: req.params.inspectionId,
+            itemKey: req.params.itemKey,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Stream a stored evidence file
+const downloadInspectionEvidence = async (req, res) => {
+    try {
+        const inspection = await inspectionService.getInspectionFor(req.params.id, req.params.inspectionId);
+        const evidence = inspectionService.findEvidence(inspection, req.params.evidenceId);
+        const stream = await inspectionService.getEvidenceStream(evidence);
+
+        res.set({
+            'Content-Type': evidence.mimeType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(evidence.originalName || evidence._id.toString())}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        if (evidence.size) {
+            res.set('Content-Length', String(evidence.size));
+        }
+
+        stream.on('error', (error) => {
+            logger.error('Inspection evidence stream error:', { error: error.message, inspectionId: inspection._id, evidenceId: evidence._id });
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('Download inspection evidence error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            inspectionId: req.params.inspectionId,
+            evidenceId: req.params.evidenceId,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+module.exports = {
+    submitInspection,
+    getInspections,
+    getInspection,
+    addInspectionEvidence,
+    downloadInspectionEvidence
+};
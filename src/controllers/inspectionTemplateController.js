@@ -0,0 +1,227 @@
+const InspectionTemplate = require('../models/InspectionTemplate');
+const inspectionService = require('../services/inspectionService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+const EDITABLE_FIELDS = ['name', 'description', 'vehicleTypes', 'items', 'isActive'];
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    error: {
+        message: 'Inspection template not found',
+        statusCode: 404
+    }
+});
+
+// Persist a template change, drop the cached registry and record it
+const saveInspectionTemplate = async (req, template, action, before) => {
+    await template.save();
+    await inspectionService.clearCache();
+
+    await auditService.record({
+        req,
+        action,
+        entityType: 'INSPECTION_TEMPLATE',
+        entityId: template._id,
+        ownerVendorId: req.vendor._id,
+        before,
+        after: template
+    });
+};
+
+// List inspection templates, optionally only those for a vehicle type
+const getInspectionTemplates = async (req, res) => {
+    try {
+        const { vehicleType, includeInactive } = req.query;
+
+        const templates = vehicleType
+            ? await inspectionService.getTemplatesForVehicleType(vehicleType)
+            : await inspectionService.getAll({ includeInactive: includeInactive === 'true' });
+
+        res.json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get inspection templates error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get an inspection template by code
+const getInspectionTemplate = async (req, res) => {
+    try {
+        await inspectionService.ensureDefaults();
+        const template = await InspectionTemplate.findOne({ code: req.params.code });
+
+        if (!template) {
+            return notFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Get inspection template error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Create an inspection template
+const createInspectionTemplate = async (req, res) => {
+    try {
+        await inspectionService.ensureDefaults();
+        if (await InspectionTemplate.exists({ code: req.body.code })) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'An inspection template with this code already exists',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const template = new InspectionTemplate({
+            code: req.body.code,
+            ...Object.fromEntries(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]))
+        });
+        await saveInspectionTemplate(req, template, 'INSPECTION_TEMPLATE_CREATED');
+
+        logger.info('Inspection template created', { code: template.code, vendorId: req.vendor._id });
+
+        res.status(201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Create inspection template error:', {
+            error: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Update a template (the code is immutable; inspections reference it). Past inspections keep their own item labels.
+const updateInspectionTemplate = async (req, res) => {
+    try {
+        const updates = Object.keys(req.body);
+        if (!updates.every(update => EDITABLE_FIELDS.includes(update))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Invalid updates',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const template = await InspectionTemplate.findOne({ code: req.params.code });
+        if (!template) {
+            return notFound(res);
+        }
+
+        const before = template.toObject();
+        updates.forEach(update => template[update] = req.body[update]);
+        await saveInspectionTemplate(req, template, 'INSPECTION_TEMPLATE_UPDATED', before);
+
+        logger.info('Inspection template updated', { code: template.code, updates, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Update inspection template error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Deactivate a template. It is kept so past inspections still resolve; new inspections can't use it.
+const deactivateInspectionTemplate = async (req, res) => {
+    try {
+        const template = await InspectionTemplate.findOne({ code: req.params.code });
+        if (!template) {
+            return notFound(res);
+        }
+
+        const before = template.toObject();
+        template.isActive = false;
+        await saveInspectionTemplate(req, template, 'INSPECTION_TEMPLATE_DEACTIVATED', before);
+
+        logger.info('Inspection template deactivated', { code: template.code, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Deactivate inspection template error:', {
+            error: error.message,
+            stack: error.stack,
+            code: req.params.code,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getInspectionTemplates,
+    getInspectionTemplate,
+    createInspectionTemplate,
+    updateInspectionTemplate,
+    deactivateInspectionTemplate
+};
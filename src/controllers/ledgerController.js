@@ -0,0 +1,266 @@
+const Settlement = require('../models/Settlement');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('../services/ledgerService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+// Get the balance of a vendor or driver account
+const getBalance = async (req, res, accountType, paramName) => {
+    try {
+        const balance = await ledgerService.getBalance(accountType, req.params[paramName]);
+
+        res.json({
+            success: true,
+            data: balance
+        });
+    } catch (error) {
+        logger.error('Get ledger balance error:', {
+            error: error.message,
+            stack: error.stack,
+            accountType,
+            accountId: req.params[paramName],
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+const getVendorBalance = (req, res) => getBalance(req, res, 'VENDOR', 'vendorId');
+const getDriverBalance = (req, res) => getBalance(req, res, 'DRIVER', 'id');
+
+// Get the ledger entries of a vendor or driver account
+const getTransactions = async (req, res, accountType, paramName) => {
+    try {
+        const { type, from, to, page, limit } = req.query;
+        const result = await ledgerService.getTransactions(accountType, req.params[paramName], { type, from, to, page, limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get ledger transactions error:', {
+            error: error.message,
+            stack: error.stack,
+            accountType,
+            accountId: req.params[paramName],
+            query: req.query,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+const getVendorTransactions = (req, res) => getTransactions(req, res, 'VENDOR', 'vendorId');
+const getDriverTransactions = (req, res) => getTransactions(req, res, 'DRIVER', 'id');
+
+// List settlement statements of a vendor
+const getVendorSettlements = async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+        const { status, page = 1, limit = 10 } = req.query;
+
+        const query = { vendor: vendorId };
+        if (status) query.status = status;
+
+        const [settlements, total] = await Promise.all([
+            Settlement.find(query)
+                .sort({ periodEnd: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Settlement.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                settlements,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Get vendor settlements error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.params.vendorId,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Generate a settlement statement for a vendor now, instead of waiting for the scheduled run
+const generateVendorSettlement = async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+        const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+
+        if (isNaN(periodEnd.getTime()) || periodEnd > new Date()) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'periodEnd must be a valid date that is not in the future',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const settlement = await ledgerService.generateStatement(vendorId, periodEnd);
+        if (!settlement) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'There are no unsettled transactions before periodEnd',
+                    statusCode: 400
+                }
+            });
+        }
+
+        await auditService.record({
+            req,
+            action: 'SETTLEMENT_GENERATED',
+            entityType: 'SETTLEMENT',
+            entityId: settlement._id,
+            ownerVendorId: settlement.vendor,
+            after: settlement
+        });
+
+        res.status(201).json({
+            success: true,
+            data: settlement
+        });
+    } catch (error) {
+        logger.error('Generate vendor settlement error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.params.vendorId,
+            requestBody: req.body,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Get a settlement statement with its ledger entries
+const getSettlement = async (req, res) => {
+    try {
+        const { settlementId } = req.params;
+
+        const [settlement, entries] = await Promise.all([
+            Settlement.findById(settlementId).populate('vendor', 'name email vendorType'),
+            LedgerEntry.find({ settlement: settlementId }).sort({ createdAt: 1 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                settlement,
+                entries
+            }
+        });
+    } catch (error) {
+        logger.error('Get settlement error:', {
+            error: error.message,
+            stack: error.stack,
+            settlementId: req.params.settlementId,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Mark a settlement statement as paid out
+const paySettlement = async (req, res) => {
+    try {
+        const { settlementId } = req.params;
+
+        const settlement = await ledgerService.paySettlement(settlementId, req.vendor._id);
+        if (!settlement) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Settlement has already been paid',
+                    statusCode: 400
+                }
+            });
+        }
+
+        await auditService.record({
+            req,
+            action: 'SETTLEMENT_PAID',
+            entityType: 'SETTLEMENT',
+            entityId: settlement._id,
+            ownerVendorId: settlement.vendor,
+            before: { status: 'GENERATED' },
+            after: { status: settlement.status, paidAt: settlement.paidAt, paidBy: settlement.paidBy },
+            metadata: { amount: settlement.netEarnings, currency: settlement.currency }
+        });
+
+        res.json({
+            success: true,
+            data: settlement
+        });
+    } catch (error) {
+        logger.error('Pay settlement error:', {
+            error: error.message,
+            stack: error.stack,
+            settlementId: req.params.settlementId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getVendorBalance,
+    getDriverBalance,
+    getVendorTransactions,
+    getDriverTransactions,
+    getVendorSettlements,
+    generateVendorSettlement,
+    getSettlement,
+    paySettlement
+};
@@ -0,0 +1,416 @@
+const Vehicle = require('../models/Vehicle');
+const MaintenanceSchedule = require('../models/MaintenanceSchedule');
+const maintenanceService = require('../services/maintenanceService');
+const auditService = require('../services/auditService');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const SCHEDULE_FIELDS = ['name', 'serviceType', 'intervalKm', 'intervalDays', 'lastServiceAt', 'lastServiceOdometer', 'isActive'];
+
+// Access to the vehicle is enforced by checkEntityAccess on the route
+const findVehicle = async (vehicleId) => {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+        throw httpError('Vehicle not found', 404);
+    }
+    return vehicle;
+};
+
+// Take the vehicle off the road for maintenance, now or from startAt
+const scheduleMaintenance = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const maintenance = await maintenanceService.scheduleMaintenance(vehicle, req.body, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_SCHEDULED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: {
+                maintenanceId: maintenance._id,
+                reason: maintenance.reason,
+                startAt: maintenance.startAt,
+                status: maintenance.status
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: maintenance
+        });
+    } catch (error) {
+        logger.error('Schedule maintenance error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// List the vehicle's maintenance periods, newest first
+const getMaintenanceHistory = async (req, res) => {
+    try {
+        const result = await maintenanceService.getMaintenances(req.params.id, {
+            status: req.query.status,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get maintenance history error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Put the vehicle back on the road, optionally logging the work done
+const completeMaintenance = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const maintenance = await maintenanceService.getMaintenanceFor(vehicle._id, req.params.maintenanceId);
+        const result = await maintenanceService.complete(vehicle, maintenance, { serviceLog: req.body.serviceLog }, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_COMPLETED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            before: { status: vehicle.status },
+            after: result.vehicle && { status: result.vehicle.status },
+            metadata: { maintenanceId: maintenance._id, serviceLogId: result.serviceLog && result.serviceLog._id }
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Complete maintenance error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            maintenanceId: req.params.maintenanceId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Withdraw planned maintenance, or end ongoing maintenance without logging work
+const cancelMaintenance = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const maintenance = await maintenanceService.getMaintenanceFor(vehicle._id, req.params.maintenanceId);
+        const result = await maintenanceService.cancel(vehicle, maintenance, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_CANCELLED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: { maintenanceId: maintenance._id, wasStatus: maintenance.status }
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Cancel maintenance error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            maintenanceId: req.params.maintenanceId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Log work done on the vehicle
+const addServiceLog = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const serviceLog = await maintenanceService.logService(vehicle, req.body, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'SERVICE_LOGGED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: {
+                serviceLogId: serviceLog._id,
+                serviceType: serviceLog.serviceType,
+                odometer: serviceLog.odometer,
+                cost: serviceLog.cost
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: serviceLog
+        });
+    } catch (error) {
+        logger.error('Add service log error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// List the vehicle's service logs with their total cost
+const getServiceLogs = async (req, res) => {
+    try {
+        const result = await maintenanceService.getServiceLogs(req.params.id, {
+            from: req.query.from,
+            to: req.query.to,
+            serviceType: req.query.serviceType,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get service logs error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Add a recurring service by mileage and/or time interval
+const createMaintenanceSchedule = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const schedule = await maintenanceService.createSchedule(vehicle, req.body, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_SCHEDULE_CREATED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            metadata: { scheduleId: schedule._id, name: schedule.name, intervalKm: schedule.intervalKm, intervalDays: schedule.intervalDays }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        logger.error('Create maintenance schedule error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// List the vehicle's maintenance schedules with their due stage at the current odometer reading
+const getMaintenanceSchedules = async (req, res) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const schedules = await MaintenanceSchedule.find({ vehicle: vehicle._id }).sort({ nextDueAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                odometer: vehicle.odometer,
+                schedules: schedules.map(schedule => ({
+                    ...schedule.toObject(),
+                    dueStage: schedule.isActive ? maintenanceService.getDueStage(schedule, vehicle.odometer) : null
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error('Get maintenance schedules error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Change a schedule's interval, last service or active flag
+const updateMaintenanceSchedule = async (req, res) => {
+    try {
+        const schedule = await maintenanceService.getScheduleFor(req.params.id, req.params.scheduleId);
+        const before = schedule.toObject();
+
+        const updates = {};
+        for (const field of SCHEDULE_FIELDS) {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        }
+        const updated = await maintenanceService.updateSchedule(schedule, updates);
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_SCHEDULE_UPDATED',
+            entityType: 'VEHICLE',
+            entityId: schedule.vehicle,
+            ownerVendorId: schedule.vendor,
+            before,
+            after: updated,
+            metadata: { scheduleId: schedule._id }
+        });
+
+        res.json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        logger.error('Update maintenance schedule error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            scheduleId: req.params.scheduleId,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Remove a schedule; its service logs are kept
+const deleteMaintenanceSchedule = async (req, res) => {
+    try {
+        const schedule = await maintenanceService.getScheduleFor(req.params.id, req.params.scheduleId);
+        await schedule.deleteOne();
+
+        await auditService.record({
+            req,
+            action: 'MAINTENANCE_SCHEDULE_DELETED',
+            entityType: 'VEHICLE',
+            entityId: schedule.vehicle,
+            ownerVendorId: schedule.vendor,
+            metadata: { scheduleId: schedule._id, name: schedule.name }
+        });
+
+        res.json({
+            success: true,
+            message: 'Maintenance schedule deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Delete maintenance schedule error:', {
+            error: error.message,
+            stack: error.stack,
+            vehicleId: req.params.id,
+            scheduleId: req.params.scheduleId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    scheduleMaintenance,
+    getMaintenanceHistory,
+    completeMaintenance,
+    cancelMaintenance,
+    addServiceLog,
+    getServiceLogs,
+    createMaintenanceSchedule,
+    getMaintenanceSchedules,
+    updateMaintenanceSchedule,
+    deleteMaintenanceSchedule
+};
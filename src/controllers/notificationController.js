@@ -0,0 +1,278 @@
+const Vendor = require('../models/Vendor');
+const notificationInboxService = require('../services/notificationInboxService');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const { CHANNELS, DEFAULT_CHANNELS, CONFIGURABLE_TYPES } = require('../config/notificationChannels');
+const logger = require('../config/logger');
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+
+const badRequest = (res, message) => res.status(400).json({
+    success: false,
+    error: {
+        message,
+        statusCode: 400
+    }
+});
+
+// Channel settings of a vendor as returned by the preferences endpoints
+const describePreferences = (vendor) => ({
+    channels: CHANNELS,
+    types: Object.keys(DEFAULT_CHANNELS).map(type => ({
+        type,
+        configurable: CONFIGURABLE_TYPES.includes(type),
+        channels: notificationService.getChannels(type, vendor.notificationPreferences),
+        defaultChannels: DEFAULT_CHANNELS[type]
+    })),
+    contacts: {
+        phone: vendor.notificationContacts ? vendor.notificationContacts.phone : undefined,
+        webhookUrl: vendor.notificationContacts ? vendor.notificationContacts.webhookUrl : undefined
+    }
+});
+
+// Check a webhook url; returns an error message or null
+const validateWebhookUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? null : 'webhookUrl must be an http(s) url';
+    } catch (error) {
+        return 'webhookUrl must be a valid url';
+    }
+};
+
+// Get the requesting vendor's in-app notifications
+const getNotifications = async (req, res) => {
+    try {
+        const { unread, type, page, limit } = req.query;
+        const result = await notificationInboxService.list(req.vendor._id, {
+            unread: unread === 'true',
+            type,
+            page,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get notifications error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get the number of unread in-app notifications
+const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await notificationInboxService.getUnreadCount(req.vendor._id);
+
+        res.json({
+            success: true,
+            data: { unreadCount }
+        });
+    } catch (error) {
+        logger.error('Get unread notification count error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Mark a notification read or unread
+const setNotificationRead = async (req, res, read) => {
+    try {
+        const notification = await notificationInboxService.setRead(req.vendor._id, req.params.notificationId, read);
+
+        res.json({
+            success: true,
+            data: notification
+        });
+    } catch (error) {
+        logger.error(`Mark notification ${read ? 'read' : 'unread'} error:`, {
+            error: error.message,
+            stack: error.stack,
+            notificationId: req.params.notificationId,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+const markNotificationRead = (req, res) => setNotificationRead(req, res, true);
+const markNotificationUnread = (req, res) => setNotificationRead(req, res, false);
+
+// Mark all unread notifications read, optionally only of one type
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const updated = await notificationInboxService.markAllRead(req.vendor._id, { type: req.body.type });
+
+        res.json({
+            success: true,
+            data: { updated }
+        });
+    } catch (error) {
+        logger.error('Mark all notifications read error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Get the requesting vendor's channels per notification type and its SMS/webhook contacts
+const getNotificationPreferences = async (req, res) => {
+    try {
+        const vendor = await Vendor.findById(req.vendor._id).select('notificationPreferences notificationContacts');
+
+        res.json({
+            success: true,
+            data: describePreferences(vendor)
+        });
+    } catch (error) {
+        logger.error('Get notification preferences error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Set channels per notification type (null restores a type's default) and the SMS/webhook contacts
+const updateNotificationPreferences = async (req, res) => {
+    try {
+        const { preferences = {}, contacts = {} } = req.body;
+
+        if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+            return badRequest(res, 'preferences must map notification types to channel lists');
+        }
+        for (const [type, channels] of Object.entries(preferences)) {
+            if (!CONFIGURABLE_TYPES.includes(type)) {
+                return badRequest(res, `Channels of '${type}' can't be configured; configurable types: ${CONFIGURABLE_TYPES.join(', ')}`);
+            }
+            if (channels !== null && (!Array.isArray(channels) || !channels.every(channel => CHANNELS.includes(channel)))) {
+                return badRequest(res, `Channels of '${type}' must be a list of ${CHANNELS.join(', ')}`);
+            }
+        }
+        if (contacts.phone && !PHONE_PATTERN.test(contacts.phone)) {
+            return badRequest(res, 'phone must be a phone number in international format, e.g. +919876543210');
+        }
+        if (contacts.webhookUrl) {
+            const urlError = validateWebhookUrl(contacts.webhookUrl);
+            if (urlError) {
+                return badRequest(res, urlError);
+            }
+        }
+
+        const vendor = await Vendor.findById(req.vendor._id);
+        const before = { notificationPreferences: vendor.notificationPreferences, notificationContacts: vendor.notificationContacts };
+
+        if (!vendor.notificationPreferences) {
+            vendor.notificationPreferences = new Map();
+        }
+        for (const [type, channels] of Object.entries(preferences)) {
+            if (channels === null) {
+                vendor.notificationPreferences.delete(type);
+            } else {
+                vendor.notificationPreferences.set(type, [...new Set(channels)]);
+            }
+        }
+        for (const field of ['phone', 'webhookUrl']) {
+            if (field in contacts) {
+                vendor.set(`notificationContacts.${field}`, contacts[field] || undefined);
+            }
+        }
+
+        // A channel is only useful with somewhere to deliver it
+        const chosen = new Set(CONFIGURABLE_TYPES.flatMap(type => notificationService.getChannels(type, vendor.notificationPreferences)));
+        const { phone, webhookUrl } = vendor.notificationContacts || {};
+        if (chosen.has('SMS') && !phone) {
+            return badRequest(res, 'Set contacts.phone to receive notifications by SMS');
+        }
+        if (chosen.has('WEBHOOK') && !webhookUrl) {
+            return badRequest(res, 'Set contacts.webhookUrl to receive notifications by webhook');
+        }
+
+        await vendor.save();
+
+        await auditService.record({
+            req,
+            action: 'NOTIFICATION_PREFERENCES_UPDATED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            before,
+            after: { notificationPreferences: vendor.notificationPreferences, notificationContacts: vendor.notificationContacts }
+        });
+
+        logger.info('Notification preferences updated', { vendorId: vendor._id });
+
+        res.json({
+            success: true,
+            data: describePreferences(vendor)
+        });
+    } catch (error) {
+        logger.error('Update notification preferences error:', {
+            error: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markNotificationUnread,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const outboxService = require('../services/outboxService');
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+
+const STATUSES = ['PENDING', 'SENDING', 'SENT', 'DEAD'];
+
+// Build a message filter from query or body parameters; returns an error message for invalid ones
+const buildFilter = ({ status, type, event, channel, recipient, vendorId, from, to }) => {
+    const filter = {};
+
+    if (status) {
+        if (!STATUSES.includes(status.toUpperCase())) {
+            return { error: `status must be one of ${STATUSES.join(', ')}` };
+        }
+        filter.status = status.toUpperCase();
+    }
+    if (vendorId) {
+        if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+            return { error: 'Invalid vendorId' };
+        }
+        filter.recipientVendor = vendorId;
+    }
+    if (type) filter.type = type.toUpperCase();
+    if (event) filter.event = event;
+    if (channel) filter.channel = channel.toUpperCase();
+    if (recipient) filter.recipient = recipient.toLowerCase();
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return { filter };
+};
+
+// List outbox messages, newest first
+const getOutboxMessages = async (req, res) => {
+    try {
+        const { filter, error } = buildFilter(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: error,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const result = await outboxService.find(filter, { page: req.query.page, limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get outbox messages error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Counts per status and the age of the oldest due message
+const getOutboxStats = async (req, res) => {
+    try {
+        const stats = await outboxService.getStats();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        logger.error('Get outbox stats error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get a message with its content and delivery log
+const getOutboxMessage = async (req, res) => {
+    try {
+        const message = await outboxService.getMessage(req.params.messageId);
+
+        res.json({
+            success: true,
+            data: message
+        });
+    } catch (error) {
+        logger.error('Get outbox message error:', {
+            error: error.message,
+            stack: error.stack,
+            messageId: req.params.messageId,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
+// Requeue a dead-lettered message
+const retryOutboxMessage = async (req, res) => {
+    try {
+        const { before, after } = await outboxService.retry(req.params.messageId, req.vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'OUTBOX_MESSAGE_RETRIED',
+            entityType: 'OUTBOX_MESSAGE',
+            entityId: after._id,
+            ownerVendorId: req.vendor._id,
+            before: { status: before.status, maxAttempts: before.maxAttempts },
+            after: { status: after.status, maxAttempts: after.maxAttempts },
+            metadata: { type: after.type, recipient: after.recipient, lastError: before.lastError }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        logger.error('Retry outbox message error:', {
+            error: error.message,
+            stack: error.stack,
+            messageId: req.params.messageId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+// Requeue all dead-lettered messages, optionally narrowed by type, event, channel, recipient, vendorId or date range
+const retryDeadOutboxMessages = async (req, res) => {
+    try {
+        const { filter, error } = buildFilter({ ...req.body, status: undefined });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: error,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const ids = await outboxService.retryDead(filter, req.vendor._id);
+
+        for (const id of ids) {
+            await auditService.record({
+                req,
+                action: 'OUTBOX_MESSAGE_RETRIED',
+                entityType: 'OUTBOX_MESSAGE',
+                entityId: id,
+                ownerVendorId: req.vendor._id,
+                before: { status: 'DEAD' },
+                after: { status: 'PENDING' },
+                metadata: { bulk: true }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                retried: ids.length,
+                messageIds: ids
+            }
+        });
+    } catch (error) {
+        logger.error('Retry dead outbox messages error:', {
+            error: error.message,
+            stack: error.stack,
+            body: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getOutboxMessages,
+    getOutboxStats,
+    getOutboxMessage,
+    retryOutboxMessage,
+    retryDeadOutboxMessages
+};
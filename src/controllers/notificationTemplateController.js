@@ -0,0 +1,262 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const notificationTemplateService = require('../services/notificationTemplateService');
+const auditService = require('../services/auditService');
+const { DEFAULT_LOCALE, NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+const logger = require('../config/logger');
+
+const CONTENT_FIELDS = ['subject', 'text', 'html'];
+
+const notFound = (res, message = 'Notification template not found') => res.status(404).json({
+    success: false,
+    error: {
+        message,
+        statusCode: 404
+    }
+});
+
+// List notification types with the variables their templates can use
+const getNotificationTypes = async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            defaultLocale: DEFAULT_LOCALE,
+            types: Object.entries(NOTIFICATION_TYPES).map(([type, { description, variables, sampleData }]) => ({
+                type,
+                description,
+                variables,
+                sampleData
+            }))
+        }
+    });
+};
+
+// List stored templates, optionally for one type or locale
+const getNotificationTemplates = async (req, res) => {
+    try {
+        const { type, locale } = req.query;
+        const templates = (await notificationTemplateService.getAll()).filter(template =>
+            (!type || template.type === type) && (!locale || template.locale === locale.toLowerCase()));
+
+        res.json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get notification templates error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Get the template of a type in a locale (exact match only; see preview for the fallback used when sending)
+const getNotificationTemplate = async (req, res) => {
+    try {
+        await notificationTemplateService.ensureDefaults();
+        const template = await NotificationTemplate.findOne({ type: req.params.type, locale: req.params.locale.toLowerCase() });
+
+        if (!template) {
+            return notFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Get notification template error:', {
+            error: error.message,
+            stack: error.stack,
+            type: req.params.type,
+            locale: req.params.locale,
+            vendorId: req.vendor._id
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Create or replace the template of a type in a locale
+const saveNotificationTemplate = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const locale = req.params.locale.toLowerCase();
+        if (!NOTIFICATION_TYPES[type]) {
+            return notFound(res, `Unknown notification type '${type}'`);
+        }
+
+        const fields = Object.keys(req.body);
+        if (!fields.every(field => CONTENT_FIELDS.includes(field))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Templates may only set ${CONTENT_FIELDS.join(', ')}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        await notificationTemplateService.ensureDefaults();
+        let template = await NotificationTemplate.findOne({ type, locale });
+        const before = template ? template.toObject() : null;
+
+        if (template) {
+            fields.forEach(field => template[field] = req.body[field]);
+        } else {
+            template = new NotificationTemplate({ type, locale, ...req.body });
+        }
+        template.updatedBy = req.vendor._id;
+        await template.save();
+        await notificationTemplateService.clearCache();
+
+        await auditService.record({
+            req,
+            action: before ? 'NOTIFICATION_TEMPLATE_UPDATED' : 'NOTIFICATION_TEMPLATE_CREATED',
+            entityType: 'NOTIFICATION_TEMPLATE',
+            entityId: template._id,
+            ownerVendorId: req.vendor._id,
+            before,
+            after: template
+        });
+
+        logger.info('Notification template saved', { type, locale, vendorId: req.vendor._id });
+
+        res.status(before ? 200 : 201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Save notification template error:', {
+            error: error.message,
+            stack: error.stack,
+            type: req.params.type,
+            locale: req.params.locale,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Delete a locale's template; that locale then falls back to the default one. The default locale can't be deleted.
+const deleteNotificationTemplate = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const locale = req.params.locale.toLowerCase();
+        if (locale === DEFAULT_LOCALE) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'The default locale template cannot be deleted; edit it instead',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const template = await NotificationTemplate.findOneAndDelete({ type, locale });
+        if (!template) {
+            return notFound(res);
+        }
+        await notificationTemplateService.clearCache();
+
+        await auditService.record({
+            req,
+            action: 'NOTIFICATION_TEMPLATE_DELETED',
+            entityType: 'NOTIFICATION_TEMPLATE',
+            entityId: template._id,
+            ownerVendorId: req.vendor._id,
+            before: template
+        });
+
+        logger.info('Notification template deleted', { type, locale, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Delete notification template error:', {
+            error: error.message,
+            stack: error.stack,
+            type: req.params.type,
+            locale: req.params.locale,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Render a template (stored, or an unsaved draft in the body) with sample or given data, without sending it
+const previewNotificationTemplate = async (req, res) => {
+    try {
+        const { data, ...draft } = req.body;
+        const invalid = Object.keys(draft).filter(field => !CONTENT_FIELDS.includes(field));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Unknown preview fields: ${invalid.join(', ')}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const preview = await notificationTemplateService.preview(req.params.type, req.params.locale, { data, draft });
+
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        logger.error('Preview notification template error:', {
+            error: error.message,
+            stack: error.stack,
+            type: req.params.type,
+            locale: req.params.locale,
+            vendorId: req.vendor._id
+        });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    getNotificationTypes,
+    getNotificationTemplates,
+    getNotificationTemplate,
+    saveNotificationTemplate,
+    deleteNotificationTemplate,
+    previewNotificationTemplate
+};
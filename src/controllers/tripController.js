@@ -0,0 +1,536 @@
+const Trip = require('../models/Trip');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const cacheService = require('../services/cacheService');
+const accessControlService = require('../services/accessControlService');
+const auditService = require('../services/auditService');
+const ledgerService = require('../services/ledgerService');
+const logger = require('../config/logger');
+
+// Move a trip to `status` only if it is still in a status that allows it, so two concurrent
+// requests can't both start/complete/cancel the same trip. Returns the updated trip or null.
+const changeTripStatus = (tripId, status, update = {}) => {
+    return Trip.findOneAndUpdate(
+        { _id: tripId, status: { $in: Trip.getSourceStatuses(status) } },
+        { ...update, status },
+        { new: true, runValidators: true }
+    );
+};
+
+const clearDriverCaches = (driver) => Promise.all([
+    cacheService.del(`driver_${driver._id}`),
+    cacheService.del(`vendor_drivers_${driver.vendor}`)
+]);
+
+// Create a trip for an assigned driver-vehicle pair
+const createTrip = async (req, res) => {
+    try {
+        const { vehicleId, pickup, dropoff, scheduledAt } = req.body;
+
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle || !await accessControlService.canActOnVendor(req.vendor._id, vehicle.vendor)) {
+            logger.error('Create trip failed: Vehicle not found', { vehicleId, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Vehicle not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        // Defaults to the vehicle's assigned driver
+        const driverId = req.body.driverId || vehicle.assignedDriver;
+        if (!driverId || !vehicle.assignedDriver || vehicle.assignedDriver.toString() !== driverId.toString()) {
+            logger.error('Create trip failed: Driver is not assigned to vehicle', { vehicleId, driverId, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Trips can only be created for a driver assigned to the vehicle',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Driver not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        if (vehicle.status !== 'ACTIVE' || driver.status !== 'ACTIVE') {
+            logger.error('Create trip failed: Vehicle or driver not active', {
+                vehicleId,
+                vehicleStatus: vehicle.status,
+                driverId,
+                driverStatus: driver.status,
+                ip: req.ip
+            });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Both the vehicle and the driver must be ACTIVE to take trips',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const trip = new Trip({
+            vendor: vehicle.vendor,
+            vehicle: vehicle._id,
+            driver: driver._id,
+            createdBy: req.vendor._id,
+            pickup,
+            dropoff,
+            scheduledAt
+        });
+        await trip.save();
+
+        await auditService.record({
+            req,
+            action: 'TRIP_CREATED',
+            entityType: 'TRIP',
+            entityId: trip._id,
+            ownerVendorId: trip.vendor,
+            after: trip
+        });
+
+        logger.info('Trip created', { tripId: trip._id, vehicleId, driverId: driver._id, vendorId: trip.vendor });
+
+        res.status(201).json({
+            success: true,
+            data: trip
+        });
+    } catch (error) {
+        logger.error('Create trip error:', {
+            error: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Get trips for a vendor (defaults to the requesting vendor)
+const getTrips = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, driverId, vehicleId, from, to } = req.query;
+        const vendorId = req.query.vendorId || req.vendor._id;
+
+        if (!await accessControlService.canActOnVendor(req.vendor._id, vendorId)) {
+            logger.error('Get trips failed: Not allowed to view vendor', { vendorId: req.vendor._id, requestedVendorId: vendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
+
+        const query = { vendor: vendorId };
+        if (status) query.status = status;
+        if (driverId) query.driver = driverId;
+        if (vehicleId) query.vehicle = vehicleId;
+        if (from || to) {
+            query.scheduledAt = {};
+            if (from) query.scheduledAt.$gte = new Date(from);
+            if (to) query.scheduledAt.$lte = new Date(to);
+        }
+
+        const [trips, total] = await Promise.all([
+            Trip.find(query)
+                .sort({ scheduledAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .populate('driver', 'name phone')
+                .populate('vehicle', 'registrationNumber model'),
+            Trip.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                trips,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Get trips error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Get trip by ID
+const getTripById = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id)
+            .populate('driver', 'name phone rating')
+            .populate('vehicle', 'registrationNumber model');
+
+        if (!trip) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Trip not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: trip
+        });
+    } catch (error) {
+        logger.error('Get trip error:', {
+            error: error.message,
+            stack: error.stack,
+            tripId: req.params.id
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Start a scheduled trip
+const startTrip = async (req, res) => {
+    try {
+        const tripId = req.params.id;
+        const trip = await Trip.findById(tripId);
+
+        if (!trip.canTransitionTo('IN_PROGRESS')) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Cannot start a trip that is ${trip.status}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        // The pair may have been split up since the trip was scheduled
+        const vehicle = await Vehicle.findById(trip.vehicle);
+        if (!vehicle || !vehicle.assignedDriver || vehicle.assignedDriver.toString() !== trip.driver.toString()) {
+            logger.error('Start trip failed: Driver no longer assigned to vehicle', { tripId, vehicleId: trip.vehicle, driverId: trip.driver, ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'The driver is no longer assigned to this vehicle',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const ongoingTrip = await Trip.findOne({
+            _id: { $ne: trip._id },
+            status: 'IN_PROGRESS',
+            $or: [{ driver: trip.driver }, { vehicle: trip.vehicle }]
+        });
+        if (ongoingTrip) {
+            logger.error('Start trip failed: Driver or vehicle already on a trip', { tripId, ongoingTripId: ongoingTrip._id, ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'The driver or vehicle is already on another trip',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const updatedTrip = await changeTripStatus(tripId, 'IN_PROGRESS', { startedAt: new Date() });
+        if (!updatedTrip) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Trip status changed while starting, please retry',
+                    statusCode: 400
+                }
+            });
+        }
+
+        await auditService.record({
+            req,
+            action: 'TRIP_STARTED',
+            entityType: 'TRIP',
+            entityId: trip._id,
+            ownerVendorId: trip.vendor,
+            before: trip,
+            after: updatedTrip
+        });
+
+        logger.info('Trip started', { tripId, driverId: trip.driver, vehicleId: trip.vehicle });
+
+        res.json({
+            success: true,
+            data: updatedTrip
+        });
+    } catch (error) {
+        logger.error('Start trip error:', {
+            error: error.message,
+            stack: error.stack,
+            tripId: req.params.id,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Complete a trip in progress and count it towards the driver's totals
+const completeTrip = async (req, res) => {
+    try {
+        const tripId = req.params.id;
+        const { distanceKm, fare } = req.body;
+        const trip = await Trip.findById(tripId);
+
+        const updatedTrip = await changeTripStatus(tripId, 'COMPLETED', {
+            completedAt: new Date(),
+            distanceKm,
+            fare
+        });
+        if (!updatedTrip) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Cannot complete a trip that is ${trip.status}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const driver = await Driver.recordCompletedTrip(updatedTrip.driver);
+        if (driver) {
+            await clearDriverCaches(driver);
+        }
+
+        // The distance counts towards mileage-based maintenance schedules
+        if (updatedTrip.distanceKm > 0) {
+            await Vehicle.recordDistance(updatedTrip.vehicle, updatedTrip.distanceKm);
+        }
+
+        // The trip stays completed even if the ledger write fails; the settlement job picks up unrecorded trips
+        try {
+            await ledgerService.recordTripRevenue(updatedTrip);
+        } catch (ledgerError) {
+            logger.error('Recording trip revenue failed', { tripId, error: ledgerError.message });
+        }
+
+        await auditService.record({
+            req,
+            action: 'TRIP_COMPLETED',
+            entityType: 'TRIP',
+            entityId: trip._id,
+            ownerVendorId: trip.vendor,
+            before: trip,
+            after: updatedTrip
+        });
+
+        logger.info('Trip completed', { tripId, driverId: updatedTrip.driver, totalTrips: driver && driver.totalTrips });
+
+        res.json({
+            success: true,
+            data: updatedTrip
+        });
+    } catch (error) {
+        logger.error('Complete trip error:', {
+            error: error.message,
+            stack: error.stack,
+            tripId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Cancel a scheduled or in-progress trip
+const cancelTrip = async (req, res) => {
+    try {
+        const tripId = req.params.id;
+        const { reason } = req.body;
+        const trip = await Trip.findById(tripId);
+
+        const updatedTrip = await changeTripStatus(tripId, 'CANCELLED', {
+            cancelledAt: new Date(),
+            cancelledBy: req.vendor._id,
+            cancellationReason: reason
+        });
+        if (!updatedTrip) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Cannot cancel a trip that is ${trip.status}`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        await auditService.record({
+            req,
+            action: 'TRIP_CANCELLED',
+            entityType: 'TRIP',
+            entityId: trip._id,
+            ownerVendorId: trip.vendor,
+            before: trip,
+            after: updatedTrip
+        });
+
+        logger.info('Trip cancelled', { tripId, reason, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: updatedTrip
+        });
+    } catch (error) {
+        logger.error('Cancel trip error:', {
+            error: error.message,
+            stack: error.stack,
+            tripId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Rate a completed trip; the rating rolls into the driver's running average
+const rateTrip = async (req, res) => {
+    try {
+        const tripId = req.params.id;
+        const { rating, comment } = req.body;
+
+        if (typeof rating !== 'number' || rating < 1 || rating > 5) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Invalid rating value. Must be a number between 1 and 5.',
+                    statusCode: 400
+                }
+            });
+        }
+
+        // Each trip can be rated once
+        const trip = await Trip.findOneAndUpdate(
+            { _id: tripId, status: 'COMPLETED', rating: { $exists: false } },
+            { rating, ratingComment: comment, ratedAt: new Date() },
+            { new: true }
+        );
+        if (!trip) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Only completed trips that have not been rated yet can be rated',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const driver = await Driver.addRating(trip.driver, rating);
+        if (driver) {
+            await clearDriverCaches(driver);
+        }
+
+        await auditService.record({
+            req,
+            action: 'TRIP_RATED',
+            entityType: 'TRIP',
+            entityId: trip._id,
+            ownerVendorId: trip.vendor,
+            after: { rating, ratingComment: comment },
+            metadata: { driverId: trip.driver, driverRating: driver && driver.rating }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                trip,
+                driver: driver && {
+                    _id: driver._id,
+                    rating: driver.rating,
+                    ratingCount: driver.ratingCount,
+                    totalTrips: driver.totalTrips
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Rate trip error:', {
+            error: error.message,
+            stack: error.stack,
+            tripId: req.params.id,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+module.exports = {
+    createTrip,
+    getTrips,
+    getTripById,
+    startTrip,
+    completeTrip,
+    cancelTrip,
+    rateTrip
+};
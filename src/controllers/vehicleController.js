@@ -1,18 +1,85 @@
 const Vehicle = require('../models/Vehicle');
 const Driver = require('../models/Driver');
 const cacheService = require('../services/cacheService');
+const documentService = require('../services/documentService');
+const accessControlService = require('../services/accessControlService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const assignmentService = require('../services/assignmentService');
+const eligibilityService = require('../services/eligibilityService');
+const inspectionService = require('../services/inspectionService');
+const { checkEntityDocuments } = require('../utils/documentUtils');
 const logger = require('../config/logger');
 
 // Add new vehicle
 const addVehicle = async (req, res) => {
     try {
+        // Ancestors may add vehicles on behalf of a vendor below them. Only descriptive fields are taken from
+        // the body; assignment, maintenance, inspection and suspension are set through their own endpoints and jobs.
+        const allowedFields = ['registrationNumber', 'model', 'seatingCapacity', 'fuelType', 'vehicleType', 'status', 'odometer'];
+        const vehicleData = {};
+        allowedFields
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => vehicleData[field] = req.body[field]);
+        const ownerVendorId = req.body.vendorId || req.vendor._id;
+
+        if (!await accessControlService.canActOnVendor(req.vendor._id, ownerVendorId)) {
+            logger.error('Add vehicle failed: Not allowed to act for vendor', { vendorId: req.vendor._id, ownerVendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
+
         const vehicle = new Vehicle({
-            ...req.body,
-            vendor: req.vendor._id
-        });
+            ...vehicleData,
+            vendor: ownerVendorId
+        });
+
+        // A vehicle starting out ACTIVE has no inspection yet, so it must meet the same activation rules
+        if (vehicle.status === 'ACTIVE') {
+            const blocked = inspectionService.getActivationBlock(vehicle);
+            if (blocked) {
+                logger.warn('Vehicle activation denied: Inspection', { registrationNumber: vehicle.registrationNumber, vendorId: req.vendor._id });
+                return res.status(409).json({
+                    success: false,
+                    error: {
+                        message: blocked,
+                        statusCode: 409,
+                        lastInspection: vehicle.lastInspection
+                    }
+                });
+            }
+        }
 
         await vehicle.save();
 
+        await auditService.record({
+            req,
+            action: 'VEHICLE_CREATED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            after: vehicle
+        });
+
+        await webhookService.emit('vehicle.created', {
+            vendorId: vehicle.vendor,
+            data: {
+                vehicleId: vehicle._id,
+                registrationNumber: vehicle.registrationNumber,
+                model: vehicle.model,
+                seatingCapacity: vehicle.seatingCapacity,
+                fuelType: vehicle.fuelType,
+                vehicleType: vehicle.vehicleType,
+                status: vehicle.status
+            }
+        });
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`vendor_vehicles_${vehicle.vendor}`),
@@ -51,6 +118,17 @@ const getVehicles = async (req, res) => {
         const vendorId = req.query.vendorId || req.vendor._id;
         const cacheKey = vendorId ? `vendor_vehicles_${vendorId}` : 'all_vehicles';
 
+        if (!await accessControlService.canActOnVendor(req.vendor._id, vendorId)) {
+            logger.error('Get vehicles failed: Not allowed to view vendor', { vendorId: req.vendor._id, requestedVendorId: vendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
+
         // Try to get from cache first
         const cachedVehicles = await cacheService.get(cacheKey);
         if (cachedVehicles) {
@@ -153,7 +231,8 @@ const getVehicleById = async (req, res) => {
 const updateVehicle = async (req, res) => {
     try {
         const updates = Object.keys(req.body);
-        const allowedUpdates = ['vehicleNumber', 'type', 'model', 'status', 'documents'];
+        // Documents are managed through the document upload and verification endpoints
+        const allowedUpdates = ['vehicleNumber', 'type', 'vehicleType', 'model', 'status', 'odometer'];
         const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
         if (!isValidOperation) {
@@ -184,9 +263,84 @@ const updateVehicle = async (req, res) => {
             });
         }
 
+        // Compliance suspensions are lifted by the enforcement job once valid documents are verified
+        if (vehicle.complianceSuspension && req.body.status && req.body.status !== 'SUSPENDED') {
+            logger.warn('Vehicle status change denied: Suspended for document compliance', { vehicleId: vehicle._id, vendorId: req.vendor._id });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'Vehicle is suspended for missing or expired documents and is restored automatically once valid documents are verified',
+                    statusCode: 409
+                }
+            });
+        }
+
+        // Activation needs the latest inspection not to have failed (and, if configured, a recent pass)
+        if (req.body.status === 'ACTIVE' && vehicle.status !== 'ACTIVE') {
+            const blocked = inspectionService.getActivationBlock(vehicle);
+            if (blocked) {
+                logger.warn('Vehicle activation denied: Inspection', { vehicleId: vehicle._id, lastInspection: vehicle.lastInspection, vendorId: req.vendor._id });
+                return res.status(409).json({
+                    success: false,
+                    error: {
+                        message: blocked,
+                        statusCode: 409,
+                        lastInspection: vehicle.lastInspection
+                    }
+                });
+            }
+        }
+
+        // Vehicles in maintenance go back on the road when the maintenance is completed or cancelled
+        if (vehicle.maintenance && req.body.status && req.body.status !== 'MAINTENANCE') {
+            logger.warn('Vehicle status change denied: In maintenance', { vehicleId: vehicle._id, maintenanceId: vehicle.maintenance.maintenanceId, vendorId: req.vendor._id });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'Vehicle is in maintenance; complete or cancel the maintenance to change its status',
+                    statusCode: 409
+                }
+            });
+        }
+
+        // Maintenance periods are started through the maintenance endpoints, which record and release the period
+        if (req.body.status === 'MAINTENANCE' && vehicle.status !== 'MAINTENANCE') {
+            logger.warn('Vehicle status change denied: Maintenance not started', { vehicleId: vehicle._id, vendorId: req.vendor._id });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'Start a maintenance period to put the vehicle in maintenance',
+                    statusCode: 409
+                }
+            });
+        }
+
+        // The odometer only moves forward
+        if (req.body.odometer !== undefined && vehicle.odometer && req.body.odometer < vehicle.odometer) {
+            logger.warn('Vehicle update denied: Odometer decrease', { vehicleId: vehicle._id, odometer: vehicle.odometer, requested: req.body.odometer, vendorId: req.vendor._id });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `odometer cannot be lower than the current reading (${vehicle.odometer} km)`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const before = vehicle.toObject();
         updates.forEach(update => vehicle[update] = req.body[update]);
         await vehicle.save();
 
+        await auditService.record({
+            req,
+            action: 'VEHICLE_UPDATED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            before,
+            after: vehicle
+        });
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`vehicle_${vehicle._id}`),
@@ -236,6 +390,15 @@ const deleteVehicle = async (req, res) => {
             });
         }
 
+        await auditService.record({
+            req,
+            action: 'VEHICLE_DELETED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            before: vehicle
+        });
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`vehicle_${vehicle._id}`),
@@ -272,10 +435,8 @@ const assignDriverToVehicle = async (req, res) => {
         const { driverId } = req.body;
         const vehicleId = req.params.id; // Vehicle ID from URL params
 
-        const vehicle = await Vehicle.findOne({
-            _id: vehicleId,
-            vendor: req.vendor._id
-        });
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(vehicleId);
 
         if (!vehicle) {
             logger.error('Assign driver to vehicle failed: Vehicle not found', {
@@ -293,12 +454,9 @@ const assignDriverToVehicle = async (req, res) => {
             });
         }
 
-        const driver = await Driver.findOne({
-            _id: driverId,
-            vendor: req.vendor._id
-        });
+        const driver = await Driver.findById(driverId);
 
-        if (!driver) {
+        if (!driver || !await accessControlService.canActOnVendor(req.vendor._id, driver.vendor)) {
             logger.error('Assign driver to vehicle failed: Driver not found', {
                 vehicleId,
                 vendorId: req.vendor._id,
@@ -352,13 +510,59 @@ const assignDriverToVehicle = async (req, res) => {
             });
         }
 
-        // Update vehicle
-        vehicle.assignedDriver = driverId;
-        await vehicle.save();
+        // Status, documents, ownership and license class
+        const eligibility = await eligibilityService.evaluate({ vehicle, driver });
+        if (!eligibility.eligible) {
+            logger.error('Assign driver to vehicle failed: Not eligible', {
+                vehicleId,
+                driverId,
+                reasons: eligibility.reasons.map(reason => reason.code),
+                vendorId: req.vendor._id,
+                ip: req.ip
+            });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Driver is not eligible for this vehicle',
+                    statusCode: 400,
+                    reasons: eligibility.reasons,
+                    warnings: eligibility.warnings
+                }
+            });
+        }
 
-        // Update driver
-        driver.assignedVehicle = vehicleId;
-        await driver.save();
+        const vehicleBefore = vehicle.toObject();
+        const driverBefore = driver.toObject();
+
+        // Claim both sides; fails with 409 if a concurrent request took either of them
+        const claimed = await assignmentService.link(vehicle._id, driver._id);
+        vehicle.assignedDriver = driver._id;
+        driver.assignedVehicle = vehicle._id;
+
+        if (!claimed.vehicleBefore.assignedDriver) {
+            await assignmentService.recordStart({ vehicle, driver, actorId: req.vendor._id });
+        }
+
+        await Promise.all([
+            auditService.record({
+                req,
+                action: 'DRIVER_ASSIGNED',
+                entityType: 'VEHICLE',
+                entityId: vehicle._id,
+                ownerVendorId: vehicle.vendor,
+                before: vehicleBefore,
+                after: vehicle
+            }),
+            auditService.record({
+                req,
+                action: 'VEHICLE_ASSIGNED',
+                entityType: 'DRIVER',
+                entityId: driver._id,
+                ownerVendorId: driver.vendor,
+                before: driverBefore,
+                after: driver
+            })
+        ]);
 
         // Clear related caches
         await Promise.all([
@@ -367,6 +571,14 @@ const assignDriverToVehicle = async (req, res) => {
             cacheService.del(`fleet_stats_${vehicle.vendor}`)
         ]);
 
+        await Promise.all([
+            notificationService.sendAssignmentNotification({ vehicleId: vehicle._id, driverId: driver._id, type: 'ASSIGNED', vendorId: vehicle.vendor }),
+            webhookService.emit('driver.assigned', {
+                vendorId: vehicle.vendor,
+                data: { vehicleId: vehicle._id, driverId: driver._id, driverVendorId: driver.vendor }
+            })
+        ]);
+
         logger.info('Driver assigned to vehicle', {
             vehicleId: vehicle._id,
             driverId
@@ -394,11 +606,11 @@ const assignDriverToVehicle = async (req, res) => {
             vendorId: req.vendor._id,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -409,10 +621,8 @@ const unassignDriverFromVehicle = async (req, res) => {
     try {
         const vehicleId = req.params.id; // Vehicle ID from URL params
 
-        const vehicle = await Vehicle.findOne({
-            _id: vehicleId,
-            vendor: req.vendor._id
-        });
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(vehicleId);
 
         if (!vehicle) {
             logger.error('Unassign driver from vehicle failed: Vehicle not found', {
@@ -441,15 +651,44 @@ const unassignDriverFromVehicle = async (req, res) => {
         }
 
         const driverIdToUnassign = vehicle.assignedDriver;
+        const vehicleBefore = vehicle.toObject();
 
-        // Update vehicle
+        // Each side is only cleared while it still points at the other
+        const { vehicleBefore: unlinkedVehicle, driverBefore } = await assignmentService.unlink(vehicle._id, driverIdToUnassign);
+        if (!unlinkedVehicle) {
+            logger.warn('Unassign driver from vehicle failed: Assignment changed concurrently', { vehicleId, driverId: driverIdToUnassign, vendorId: req.vendor._id, ip: req.ip });
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'The vehicle\'s assignment changed meanwhile, please retry.',
+                    statusCode: 409
+                }
+            });
+        }
         vehicle.assignedDriver = null;
-        await vehicle.save();
 
-        // Update driver
-        await Driver.findByIdAndUpdate(driverIdToUnassign, {
-            assignedVehicle: null
-        });
+        await assignmentService.recordEnd({ vehicleId: vehicle._id, driverId: driverIdToUnassign, actorId: req.vendor._id });
+
+        await Promise.all([
+            auditService.record({
+                req,
+                action: 'DRIVER_UNASSIGNED',
+                entityType: 'VEHICLE',
+                entityId: vehicle._id,
+                ownerVendorId: vehicle.vendor,
+                before: vehicleBefore,
+                after: vehicle
+            }),
+            driverBefore && auditService.record({
+                req,
+                action: 'VEHICLE_UNASSIGNED',
+                entityType: 'DRIVER',
+                entityId: driverBefore._id,
+                ownerVendorId: driverBefore.vendor,
+                before: { assignedVehicle: driverBefore.assignedVehicle },
+                after: { assignedVehicle: null }
+            })
+        ]);
 
         // Clear related caches
         await Promise.all([
@@ -458,6 +697,14 @@ const unassignDriverFromVehicle = async (req, res) => {
             cacheService.del(`fleet_stats_${vehicle.vendor}`)
         ]);
 
+        await Promise.all([
+            notificationService.sendAssignmentNotification({ vehicleId: vehicle._id, driverId: driverIdToUnassign, type: 'UNASSIGNED', vendorId: vehicle.vendor }),
+            webhookService.emit('driver.unassigned', {
+                vendorId: vehicle.vendor,
+                data: { vehicleId: vehicle._id, driverId: driverIdToUnassign }
+            })
+        ]);
+
         logger.info('Driver unassigned from vehicle', {
             vehicleId: vehicle._id,
             unassignedDriverId: driverIdToUnassign
@@ -495,10 +742,8 @@ const verifyVehicleDocuments = async (req, res) => {
         const { documentType, status, remarks } = req.body;
         const vehicleId = req.params.id;
 
-        const vehicle = await Vehicle.findOne({
-            _id: vehicleId,
-            vendor: req.vendor._id
-        });
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(vehicleId);
 
         if (!vehicle) {
             logger.error('Verify vehicle documents failed: Vehicle not found', { vehicleId, vendorId: req.vendor._id, documentType, ip: req.ip });
@@ -511,10 +756,16 @@ const verifyVehicleDocuments = async (req, res) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can verify documents for this vehicle
-        // e.g., req.vendor is the owner or a higher-level vendor with verification permissions
+        const result = await documentService.verifyEntityDocument({
+            entityType: 'VEHICLE',
+            entityId: vehicleId,
+            documentType,
+            verified: status === 'VERIFIED',
+            remarks,
+            verifiedBy: req.vendor._id
+        });
 
-        if (!vehicle.documents || !vehicle.documents[documentType]) {
+        if (!result) {
             logger.error('Verify vehicle documents failed: Document type not found on vehicle', { vehicleId, vendorId: req.vendor._id, documentType, ip: req.ip });
             return res.status(400).json({
                 success: false,
@@ -525,13 +776,18 @@ const verifyVehicleDocuments = async (req, res) => {
             });
         }
 
-        vehicle.documents[documentType].isVerified = status === 'VERIFIED';
-        vehicle.documents[documentType].verificationRemarks = remarks;
-        // Assuming req.vendor is the verifier
-        vehicle.documents[documentType].verifiedBy = req.vendor._id;
-        vehicle.documents[documentType].verifiedAt = new Date();
+        const { document, before } = result;
 
-        await vehicle.save();
+        await auditService.record({
+            req,
+            action: 'VEHICLE_DOCUMENT_VERIFIED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: vehicle.vendor,
+            before,
+            after: document,
+            metadata: { entityType: 'VEHICLE', entityId: vehicle._id, documentType, status, remarks }
+        });
 
         // Clear related caches
         await Promise.all([
@@ -543,6 +799,7 @@ const verifyVehicleDocuments = async (req, res) => {
 
         logger.info('Vehicle document verified', {
             vehicleId: vehicle._id,
+            documentId: document._id,
             documentType,
             status,
             remarks
@@ -551,7 +808,7 @@ const verifyVehicleDocuments = async (req, res) => {
         res.json({
             success: true,
             data: {
-                document: vehicle.documents[documentType]
+                document
             }
         });
     } catch (error) {
@@ -563,11 +820,11 @@ const verifyVehicleDocuments = async (req, res) => {
             vendorId: req.vendor._id,
             ip: req.ip
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 400
+                statusCode: error.statusCode || 400
             }
         });
     }
@@ -578,10 +835,8 @@ const checkVehicleDocumentStatus = async (req, res) => {
     try {
         const vehicleId = req.params.id;
 
-        const vehicle = await Vehicle.findOne({
-            _id: vehicleId,
-            vendor: req.vendor._id
-        });
+        // Access to the vehicle is enforced by checkEntityAccess on the route
+        const vehicle = await Vehicle.findById(vehicleId);
 
         if (!vehicle) {
             logger.error('Check vehicle document status failed: Vehicle not found', { vehicleId, vendorId: req.vendor._id, ip: req.ip });
@@ -594,37 +849,7 @@ const checkVehicleDocumentStatus = async (req, res) => {
             });
         }
 
-        const expiredDocuments = [];
-        const expiringSoonDocuments = [];
-        const now = new Date();
-        const thirtyDaysFromNow = new Date(now);
-        thirtyDaysFromNow.setDate(now.getDate() + 30);
-
-        for (const docType in vehicle.documents) {
-            const document = vehicle.documents[docType];
-            if (document && document.expiryDate) {
-                const expiryDate = new Date(document.expiryDate);
-                const timeDiff = expiryDate.getTime() - now.getTime();
-                const daysUntilExpiry = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-                if (expiryDate < now) {
-                    expiredDocuments.push({
-                        type: docType,
-                        expiryDate: document.expiryDate,
-                        daysSinceExpiry: Math.abs(daysUntilExpiry)
-                    });
-                } else if (expiryDate <= thirtyDaysFromNow) {
-                    expiringSoonDocuments.push({
-                        type: docType,
-                        expiryDate: document.expiryDate,
-                        daysUntilExpiry: daysUntilExpiry
-                    });
-                }
-            }
-        }
-
-        const isExpired = expiredDocuments.length > 0;
-        const expiringSoon = expiringSoonDocuments.length > 0;
+        const { isExpired, expiringSoon, expiredDocuments, expiringSoonDocuments } = await checkEntityDocuments('VEHICLE', vehicleId);
 
         // Clear related caches
         await Promise.all([
@@ -3,10 +3,44 @@ const jwt = require('jsonwebtoken');
 const Vendor = require('../models/Vendor');
 const Vehicle = require('../models/Vehicle');
 const Driver = require('../models/Driver');
-const Document = require('../models/Document');
+const Trip = require('../models/Trip');
 const cacheService = require('../services/cacheService');
+const documentService = require('../services/documentService');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const vendorHierarchyService = require('../services/vendorHierarchyService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const ledgerService = require('../services/ledgerService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const { PERMISSION_TEMPLATES } = require('../config/permissions');
 const logger = require('../config/logger');
 
+// Vendor lists are cached per ancestor (see getAllVendors), so a change to one vendor invalidates each of them
+const clearVendorListCaches = async (vendorId) => {
+    const parentChain = await vendorHierarchyService.getParentChain(vendorId);
+    await Promise.all(parentChain.map(parent => cacheService.del(`all_vendors_${parent.id}`)));
+};
+
+// Email a verification link to a newly registered vendor. Failures are logged, not fatal to registration.
+const sendVerificationEmail = async (vendor) => {
+    try {
+        const { token } = await accountTokenService.issue('email_verification', vendor._id);
+        await notificationService.sendEmailVerificationNotification({
+            email: vendor.email,
+            name: vendor.name,
+            locale: vendor.locale,
+            token
+        });
+    } catch (error) {
+        logger.error('Sending verification email failed', {
+            error: error.message,
+            vendorId: vendor._id
+        });
+    }
+};
+
 // Register a new vendor (primarily for SUPER)
 const registerVendor = async (req, res) => {
     try {
@@ -49,15 +83,34 @@ const registerVendor = async (req, res) => {
             });
         }
 
+        // Without requested permissions the SUPER template applies
+        const grantedPermissions = await permissionService.resolveRegistrationPermissions({
+            vendorType,
+            requested: permissions,
+            creator: null,
+            parentVendorId: null
+        });
+
         const vendor = new Vendor({
             name,
             email,
             password,
             vendorType,
-            permissions
+            permissions: grantedPermissions,
+            emailVerified: false
         });
 
         await vendor.save();
+        await sendVerificationEmail(vendor);
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_REGISTERED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            after: vendor
+        });
 
         // Generate token
         const token = jwt.sign(
@@ -67,7 +120,7 @@ const registerVendor = async (req, res) => {
         );
 
         // Clear vendor-related caches
-        await cacheService.del('all_vendors');
+        await clearVendorListCaches(vendor._id);
         if (vendor.parentVendor) {
             await cacheService.del(`vendor_hierarchy_${vendor.parentVendor}`);
         }
@@ -158,17 +211,36 @@ const registerCityVendor = async (req, res) => {
             });
         }
 
+        // Requested permissions must be held by the creator and fit under the parent; without any, the vendor type's template applies
+        const grantedPermissions = await permissionService.resolveRegistrationPermissions({
+            vendorType: 'CITY',
+            requested: permissions,
+            creator: req.vendor,
+            parentVendorId
+        });
+
         const vendor = new Vendor({
             name,
             email,
             password,
             vendorType: 'CITY',
             parentVendor: parentVendorId,
-            permissions,
-            operatingArea
+            permissions: grantedPermissions,
+            operatingArea,
+            emailVerified: false
         });
 
         await vendor.save();
+        await sendVerificationEmail(vendor);
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_REGISTERED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            after: vendor
+        });
 
         const token = jwt.sign(
             { vendorId: vendor._id },
@@ -177,7 +249,7 @@ const registerCityVendor = async (req, res) => {
         );
 
         // Clear vendor-related caches
-        await cacheService.del('all_vendors');
+        await clearVendorListCaches(vendor._id);
         if (vendor.parentVendor) {
             await cacheService.del(`vendor_hierarchy_${vendor.parentVendor}`);
         }
@@ -269,17 +341,36 @@ const registerSubVendor = async (req, res) => {
             });
         }
 
+        // Requested permissions must be held by the creator and fit under the parent; without any, the vendor type's template applies
+        const grantedPermissions = await permissionService.resolveRegistrationPermissions({
+            vendorType: 'SUB',
+            requested: permissions,
+            creator: req.vendor,
+            parentVendorId
+        });
+
         const vendor = new Vendor({
             name,
             email,
             password,
             vendorType: 'SUB',
             parentVendor: parentVendorId,
-            permissions,
-            operatingArea
+            permissions: grantedPermissions,
+            operatingArea,
+            emailVerified: false
         });
 
         await vendor.save();
+        await sendVerificationEmail(vendor);
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_REGISTERED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            after: vendor
+        });
 
         const token = jwt.sign(
             { vendorId: vendor._id },
@@ -288,7 +379,7 @@ const registerSubVendor = async (req, res) => {
         );
 
         // Clear vendor-related caches
-        await cacheService.del('all_vendors');
+        await clearVendorListCaches(vendor._id);
         if (vendor.parentVendor) {
             await cacheService.del(`vendor_hierarchy_${vendor.parentVendor}`);
         }
@@ -430,6 +521,14 @@ const registerLocalVendor = async (req, res) => {
             });
         }
 
+        // Requested permissions must be held by the creator and fit under the parent; without any, the vendor type's template applies
+        const grantedPermissions = await permissionService.resolveRegistrationPermissions({
+            vendorType: 'LOCAL',
+            requested: permissions,
+            creator: req.vendor,
+            parentVendorId
+        });
+
         // Create and save Local vendor
         const vendor = new Vendor({
             name,
@@ -437,11 +536,22 @@ const registerLocalVendor = async (req, res) => {
             password,
             vendorType: 'LOCAL',
             parentVendor: parentVendorId,
-            permissions,
-            operatingArea
+            permissions: grantedPermissions,
+            operatingArea,
+            emailVerified: false
         });
 
         await vendor.save();
+        await sendVerificationEmail(vendor);
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_REGISTERED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            after: vendor
+        });
 
         const token = jwt.sign(
             { vendorId: vendor._id },
@@ -450,7 +560,7 @@ const registerLocalVendor = async (req, res) => {
         );
 
         // Clear vendor-related caches
-        await cacheService.del('all_vendors');
+        await clearVendorListCaches(vendor._id);
         if (vendor.parentVendor) {
             await cacheService.del(`vendor_hierarchy_${vendor.parentVendor}`);
         }
@@ -516,18 +626,18 @@ const loginVendor = async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { vendorId: vendor._id, type: 'login' },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Start a server-side session and issue a short-lived access token plus a refresh token
+        const { token, refreshToken } = await sessionService.createSession(vendor, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
 
         res.json({
             success: true,
             data: {
                 vendor,
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -547,6 +657,340 @@ const loginVendor = async (req, res) => {
     }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+const refreshVendorToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Refresh token is required',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+        // Sessions of deactivated vendors are not renewed
+        const vendor = await Vendor.findOne({ _id: rotated.vendorId, isActive: true });
+        if (!vendor) {
+            await sessionService.revokeSession(rotated.sessionId, rotated.vendorId);
+            throw new Error('Vendor not found or inactive');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                token: rotated.token,
+                refreshToken: rotated.refreshToken
+            }
+        });
+    } catch (error) {
+        logger.error('Refresh token error:', {
+            error: error.message,
+            ip: req.ip
+        });
+        res.status(401).json({
+            success: false,
+            error: {
+                message: 'Invalid or expired refresh token',
+                statusCode: 401
+            }
+        });
+    }
+};
+
+// Log out the current session
+const logoutVendor = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.sessionId, req.vendor._id);
+
+        logger.info('Vendor logged out', { vendorId: req.vendor._id, sessionId: req.sessionId });
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Logged out successfully'
+            }
+        });
+    } catch (error) {
+        logger.error('Vendor logout error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Log out every session of the current vendor (all devices)
+const logoutAllVendorSessions = async (req, res) => {
+    try {
+        const revokedCount = await sessionService.revokeAllSessions(req.vendor._id);
+
+        logger.info('Vendor logged out of all devices', { vendorId: req.vendor._id, revokedCount });
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Logged out of all devices',
+                revokedSessions: revokedCount
+            }
+        });
+    } catch (error) {
+        logger.error('Vendor logout all error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Request a password reset link. Always responds the same way so emails can't be enumerated.
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Email is required',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const vendor = await Vendor.findOne({ email: email.toLowerCase().trim(), isActive: true });
+        if (vendor) {
+            const { token, expiresAt } = await accountTokenService.issue('password_reset', vendor._id);
+            await notificationService.sendPasswordResetNotification({
+                email: vendor.email,
+                name: vendor.name,
+                locale: vendor.locale,
+                token,
+                expiresAt
+            });
+            logger.info('Password reset requested', { vendorId: vendor._id, ip: req.ip });
+        } else {
+            logger.warn('Password reset requested for unknown or inactive email', { email, ip: req.ip });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                message: 'If an account exists for this email, a password reset link has been sent.'
+            }
+        });
+    } catch (error) {
+        logger.error('Forgot password error:', {
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Error requesting password reset',
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// Set a new password using a password reset token
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Token and new password are required',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const vendorId = await accountTokenService.consume('password_reset', token);
+        const vendor = vendorId && await Vendor.findOne({ _id: vendorId, isActive: true });
+
+        if (!vendor) {
+            logger.warn('Password reset failed: Invalid or expired token', { ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Password reset link is invalid or has expired',
+                    statusCode: 400
+                }
+            });
+        }
+
+        // Hashing is done in the pre-save hook
+        vendor.password = password;
+        // Receiving the reset email proves ownership of the address
+        if (vendor.isEmailVerificationPending()) {
+            vendor.emailVerified = true;
+            vendor.emailVerifiedAt = new Date();
+        }
+        await vendor.save();
+
+        // Sign out every device that may have been using the old password
+        await sessionService.revokeAllSessions(vendor._id);
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_PASSWORD_RESET',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id
+        });
+
+        logger.info('Password reset completed', { vendorId: vendor._id, ip: req.ip });
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Password has been reset. Please log in with your new password.'
+            }
+        });
+    } catch (error) {
+        logger.error('Reset password error:', {
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Confirm a vendor's email address using the emailed verification token
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const vendorId = await accountTokenService.consume('email_verification', token);
+        const vendor = vendorId && await Vendor.findById(vendorId);
+
+        if (!vendor) {
+            logger.warn('Email verification failed: Invalid or expired token', { ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Verification link is invalid or has expired',
+                    statusCode: 400
+                }
+            });
+        }
+
+        const before = vendor.toObject();
+        vendor.emailVerified = true;
+        vendor.emailVerifiedAt = new Date();
+        await vendor.save();
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_EMAIL_VERIFIED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            before,
+            after: vendor
+        });
+
+        await cacheService.del(`vendor_${vendor._id}`);
+
+        logger.info('Vendor email verified', { vendorId: vendor._id });
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Email address verified',
+                vendor: {
+                    id: vendor._id,
+                    emailVerified: vendor.emailVerified
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Verify email error:', {
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip
+        });
+        res.status(400).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 400
+            }
+        });
+    }
+};
+
+// Send a fresh verification email to the logged-in vendor
+const resendVerificationEmail = async (req, res) => {
+    try {
+        if (!req.vendor.isEmailVerificationPending()) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Email address is already verified',
+                    statusCode: 400
+                }
+            });
+        }
+
+        await sendVerificationEmail(req.vendor);
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Verification email sent'
+            }
+        });
+    } catch (error) {
+        logger.error('Resend verification email error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
 // Get vendor profile
 const getVendorProfile = async (req, res) => {
     try {
@@ -589,7 +1033,8 @@ const getVendorProfile = async (req, res) => {
 // Update vendor profile
 const updateVendorProfile = async (req, res) => {
     const updates = Object.keys(req.body);
-    const allowedUpdates = ['name', 'email', 'password', 'permissions'];
+    // Permissions are granted by an ancestor through updateVendorPermissions, never by the vendor itself
+    const allowedUpdates = ['name', 'email', 'password', 'locale'];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
     if (!isValidOperation) {
@@ -621,6 +1066,8 @@ const updateVendorProfile = async (req, res) => {
             });
         }
 
+        const before = req.vendor.toObject();
+
         // Handle password change separately if included
         if (req.body.password) {
             // Hashing is done in the pre-save hook
@@ -635,12 +1082,29 @@ const updateVendorProfile = async (req, res) => {
             }
         });
 
+        const passwordChanged = req.vendor.isModified('password');
         await req.vendor.save();
 
+        await auditService.record({
+            req,
+            action: 'VENDOR_PROFILE_UPDATED',
+            entityType: 'VENDOR',
+            entityId: req.vendor._id,
+            ownerVendorId: req.vendor._id,
+            before,
+            after: req.vendor,
+            metadata: { passwordChanged }
+        });
+
+        // A password change signs out every other device
+        if (passwordChanged) {
+            await sessionService.revokeAllSessions(req.vendor._id, { exceptSessionId: req.sessionId });
+        }
+
         // Clear related caches
         await Promise.all([
             cacheService.del(`vendor_${req.vendor._id}`),
-            cacheService.del('all_vendors'),
+            clearVendorListCaches(req.vendor._id),
             cacheService.del(`vendor_hierarchy_${req.vendor.parentVendor}`),
             cacheService.del(`vendor_dashboard_${req.vendor._id}`)
         ]);
@@ -779,24 +1243,28 @@ const getVendorDashboard = async (req, res) => {
 // Get all vendors under super vendor
 const getAllVendors = async (req, res) => {
     try {
-        const cacheKey = 'all_vendors';
+        const { superVendorId } = req.params;
+        const cacheKey = `all_vendors_${superVendorId}`;
 
         // Try to get from cache first
         const cachedVendors = await cacheService.get(cacheKey);
         if (cachedVendors) {
-            logger.debug('Retrieved all vendors from cache');
+            logger.debug('Retrieved all vendors from cache', { superVendorId });
             return res.json({
                 success: true,
                 data: cachedVendors
             });
         }
 
-        const vendors = await Vendor.find();
+        // Only the subtree below the requested vendor, never the whole collection
+        const subVendors = await vendorHierarchyService.getAllSubVendors(superVendorId);
+        const vendors = await Vendor.find({ _id: { $in: subVendors.map(v => v._id) } })
+            .select('-password');
 
         // Cache the vendors list
         await cacheService.set(cacheKey, vendors, 300); // Cache for 5 minutes
 
-        logger.info('All vendors retrieved', { count: vendors.length });
+        logger.info('All vendors retrieved', { superVendorId, count: vendors.length });
         res.json({
             success: true,
             data: vendors
@@ -804,7 +1272,8 @@ const getAllVendors = async (req, res) => {
     } catch (error) {
         logger.error('Error retrieving all vendors', {
             error: error.message,
-            stack: error.stack
+            stack: error.stack,
+            superVendorId: req.params.superVendorId
         });
         res.status(400).json({
             success: false,
@@ -821,9 +1290,6 @@ const getCityVendors = async (req, res) => {
     try {
         const { cityVendorId } = req.params;
 
-        // Optional: Add a check here to ensure the requesting vendor has permission to view vendors under cityVendorId
-        // e.g., req.vendor._id.toString() === cityVendorId or req.vendor.parentVendor.toString() === cityVendorId or req.vendor.vendorType === 'SUPER'
-
         const vendors = await Vendor.find({ parentVendor: cityVendorId })
             .select('-password');
 
@@ -902,7 +1368,7 @@ const getSubVendorLocalVendors = async (req, res) => {
 // Upload vendor documents
 const uploadVendorDocuments = async (req, res, vendorType) => {
     try {
-        const { documentType, number, expiryDate, documentUrl } = req.body;
+        const { documentType } = req.body;
         const vendorId = req.params[`${vendorType}VendorId`];
 
         // Find the vendor to ensure they exist
@@ -918,24 +1384,25 @@ const uploadVendorDocuments = async (req, res, vendorType) => {
             });
         }
 
-        // Optional: Add permission check here
-        // e.g., req.vendor._id.toString() === vendorId or req.vendor is parent of vendorId
-
-        // --- Refactored: Use Document model instead of embedding ---
-        const newDocument = new Document({
-            vendor: req.vendor._id, // Vendor performing the upload (the logged-in user)
-            entityType: 'Vendor', // The type of entity the document belongs to
-            entityId: vendorId, // The ID of the vendor the document is for
-            documentType: documentType, // The type of document (e.g., REGISTRATION)
-            number: number, // Document number (if applicable)
-            expiryDate: expiryDate, // Document expiry date (if applicable)
-            documentUrl: documentUrl, // URL or path to the uploaded file
-            uploadedBy: req.vendor._id, // The user who uploaded it
-            uploadedAt: new Date(),
-            isVerified: false // Documents are not verified on upload
+        // Multipart uploads go through the storage service; a hosted documentUrl is still accepted
+        const newDocument = await documentService.createEntityDocument({
+            entityType: 'VENDOR',
+            entityId: vendorId,
+            vendorId: req.vendor._id, // Vendor performing the upload (the logged-in user)
+            uploadedBy: req.vendor._id,
+            body: req.body,
+            file: req.file
         });
 
-        await newDocument.save();
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_UPLOADED',
+            entityType: 'DOCUMENT',
+            entityId: newDocument._id,
+            ownerVendorId: vendor._id,
+            after: newDocument,
+            metadata: { entityType: 'VENDOR', entityId: vendorId, documentType }
+        });
 
         // Respond with the newly created document details
         res.status(201).json({ // Use 201 for resource creation
@@ -971,14 +1438,17 @@ const verifyVendorDocuments = async (req, res, vendorType) => {
         const { documentType, status, remarks } = req.body;
         const vendorId = req.params[`${vendorType}VendorId`];
 
-        // Find the document in the Document collection
-        const document = await Document.findOne({
-            entityType: 'Vendor', // Document must be for a Vendor
-            entityId: vendorId, // Document must belong to this specific vendor
-            documentType: documentType // Document must be of this type
+        // The vendor's current document of this type goes through the review workflow
+        const result = await documentService.verifyEntityDocument({
+            entityType: 'VENDOR',
+            entityId: vendorId,
+            documentType,
+            verified: status === 'VERIFIED',
+            remarks,
+            verifiedBy: req.vendor._id
         });
 
-        if (!document) {
+        if (!result) {
             logger.error(`${vendorType} vendor document verification failed: Document not found`, { vendorId, documentType, ip: req.ip });
             return res.status(404).json({ // Use 404 Not Found if the document doesn't exist
                 success: false,
@@ -989,19 +1459,18 @@ const verifyVendorDocuments = async (req, res, vendorType) => {
             });
         }
 
-        // Optional: Add permission check here
-        // Ensure the requesting vendor can verify documents for this vendorId
-        // e.g., req.vendor.vendorType === 'SUPER' or (req.vendor.vendorType === 'CITY' and vendorId is child of req.vendor)
-        // This check should happen *after* finding the document, if you want to verify that the verifier has permission over the document owner.
-        // The route middleware checkPermission('DOCUMENT_VERIFICATION') already ensures the user *can* verify documents.
-
-        // Update document fields
-        document.isVerified = status === 'VERIFIED';
-        document.verificationRemarks = remarks;
-        document.verifiedBy = req.vendor._id; // Assuming req.vendor is the verifier
-        document.verifiedAt = new Date();
+        const { document, before } = result;
 
-        await document.save();
+        await auditService.record({
+            req,
+            action: 'DOCUMENT_VERIFIED',
+            entityType: 'DOCUMENT',
+            entityId: document._id,
+            ownerVendorId: vendorId,
+            before,
+            after: document,
+            metadata: { entityType: 'VENDOR', entityId: vendorId, documentType, status, remarks }
+        });
 
         // Respond with the updated document details
         res.json({
@@ -1017,12 +1486,12 @@ const verifyVendorDocuments = async (req, res, vendorType) => {
             requestBody: req.body,
             ip: req.ip
         });
-        // Use a more general 500 for unexpected errors during the process
-        res.status(500).json({
+        // Workflow errors carry their own status (e.g. 409 when the document is not under review)
+        res.status(error.statusCode || 500).json({
             success: false,
             error: {
                 message: error.message,
-                statusCode: 500
+                statusCode: error.statusCode || 500
             }
         });
     }
@@ -1050,13 +1519,38 @@ const updateVendorStatus = async (req, res, vendorType) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can update status for this vendorId
-        // e.g., req.vendor.vendorType === 'SUPER' (for City) or req.vendor.vendorType === 'CITY' (for Sub/Local)
-        // and the vendorId is a child of the requesting vendor
-
+        const before = vendor.toObject();
         vendor.isActive = status === 'ACTIVE';
         await vendor.save();
 
+        if (before.isActive !== vendor.isActive) {
+            await webhookService.emit('vendor.status_changed', {
+                vendorId: vendor._id,
+                data: {
+                    vendorId: vendor._id,
+                    vendorType: vendor.vendorType,
+                    status: vendor.isActive ? 'ACTIVE' : 'INACTIVE',
+                    previousStatus: before.isActive ? 'ACTIVE' : 'INACTIVE'
+                }
+            });
+        }
+
+        await auditService.record({
+            req,
+            action: 'VENDOR_STATUS_CHANGED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            before,
+            after: vendor,
+            metadata: { status }
+        });
+
+        // Deactivated vendors lose their sessions immediately instead of when their tokens expire
+        if (!vendor.isActive) {
+            await sessionService.revokeAllSessions(vendor._id);
+        }
+
         res.json({
             success: true,
             data: {
@@ -1091,7 +1585,7 @@ const updateCityVendorStatus = (req, res) => updateVendorStatus(req, res, 'city'
 // Update vendor permissions
 const updateVendorPermissions = async (req, res) => {
     try {
-        const { permissions } = req.body;
+        const { template: templateName } = req.body;
         const { vendorId } = req.params;
 
         const vendor = await Vendor.findById(vendorId);
@@ -1106,18 +1600,82 @@ const updateVendorPermissions = async (req, res) => {
             });
         }
 
-        // Optional: Add permission check here to ensure the requesting vendor can update permissions for this vendorId
-        // e.g., req.vendor.vendorType === 'SUPER' or (req.vendor.vendorType === 'CITY' and vendor is child of req.vendor)
+        // Either an explicit list or a named template
+        let { permissions } = req.body;
+        if (templateName) {
+            const template = permissionService.getTemplate(templateName);
+            if (!template) {
+                logger.error('Update vendor permissions failed: Unknown template', { vendorId, templateName, ip: req.ip });
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: `Unknown permission template: ${templateName}`,
+                        statusCode: 400
+                    }
+                });
+            }
+            permissions = template.permissions;
+        }
 
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'permissions must be an array or a template name must be given',
+                    statusCode: 400
+                }
+            });
+        }
+
+        // Delegation: only permissions the granter holds, and never more than the vendor's parent holds
+        const { invalid, denied } = await permissionService.checkGrant(req.vendor, vendor.parentVendor, permissions);
+        if (invalid.length > 0) {
+            logger.error('Update vendor permissions failed: Unknown permissions', { vendorId, invalid, ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Unknown permissions: ${invalid.join(', ')}`,
+                    statusCode: 400
+                }
+            });
+        }
+        if (denied.length > 0) {
+            logger.warn('Update vendor permissions denied: Exceeds delegation ceiling', { vendorId, granterId: req.vendor._id, denied, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: `Cannot grant permissions you do not hold: ${denied.join(', ')}`,
+                    statusCode: 403
+                }
+            });
+        }
+
+        const before = vendor.toObject();
         vendor.permissions = permissions;
         await vendor.save();
 
+        await auditService.record({
+            req,
+            action: 'VENDOR_PERMISSIONS_CHANGED',
+            entityType: 'VENDOR',
+            entityId: vendor._id,
+            ownerVendorId: vendor._id,
+            before,
+            after: vendor,
+            metadata: templateName ? { template: templateName } : undefined
+        });
+
+        await cacheService.del(`vendor_${vendorId}`);
+
+        logger.info('Vendor permissions updated', { vendorId, granterId: req.vendor._id, permissions, templateName });
+
         res.json({
             success: true,
             data: {
                 vendor: {
                     id: vendor._id,
-                    permissions: vendor.permissions
+                    permissions: vendor.permissions,
+                    effectivePermissions: await permissionService.getEffectivePermissions(vendor)
                 }
             }
         });
@@ -1139,18 +1697,75 @@ const updateVendorPermissions = async (req, res) => {
     }
 };
 
+// Get a vendor's effective permissions (own permissions capped by its ancestors)
+const getEffectivePermissions = async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+
+        const vendor = await Vendor.findById(vendorId).select('name vendorType permissions parentVendor');
+        if (!vendor) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Vendor not found',
+                    statusCode: 404
+                }
+            });
+        }
+
+        const [effectivePermissions, ceiling] = await Promise.all([
+            permissionService.getEffectivePermissions(vendor),
+            permissionService.getCeiling(vendor.parentVendor)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                vendorId: vendor._id,
+                vendorType: vendor.vendorType,
+                permissions: vendor.permissions,
+                effectivePermissions,
+                // Permissions stored on the vendor that its ancestors no longer allow
+                restrictedByParent: permissionService.expand(vendor.permissions)
+                    .filter(permission => !ceiling.includes(permission)),
+                ceiling,
+                defaultTemplate: permissionService.getDefaultTemplateName(vendor.vendorType)
+            }
+        });
+    } catch (error) {
+        logger.error('Get effective permissions error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.params.vendorId,
+            ip: req.ip
+        });
+        res.status(500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: 500
+            }
+        });
+    }
+};
+
+// List the named permission templates
+const getPermissionTemplates = (req, res) => {
+    res.json({
+        success: true,
+        data: { templates: PERMISSION_TEMPLATES }
+    });
+};
+
 // Get vendor statistics
 const getVendorStatistics = async (req, res) => {
     try {
         const { vendorId } = req.params;
 
-        // Optional: Add permission check here to ensure the requesting vendor can view statistics for this vendorId
-        // e.g., req.vendor._id.toString() === vendorId or req.vendor is parent of vendorId or req.vendor.vendorType === 'SUPER'
-
         const [vehicles, drivers, trips] = await Promise.all([
             Vehicle.find({ vendor: vendorId }),
             Driver.find({ vendor: vendorId }),
-            // Add trip model and query here
+            Trip.find({ vendor: vendorId, status: 'COMPLETED' }).select('_id')
         ]);
 
         const totalVehicles = vehicles.length;
@@ -1170,11 +1785,7 @@ const getVendorStatistics = async (req, res) => {
                 activeDrivers,
                 totalTrips,
                 averageRating,
-                revenue: {
-                    daily: 0, // Add revenue calculation
-                    weekly: 0,
-                    monthly: 0
-                }
+                revenue: await ledgerService.getRevenueSummary(vendorId)
             }
         });
     } catch (error) {
@@ -1198,41 +1809,11 @@ const getVendorStatistics = async (req, res) => {
 const getDocumentExpirySummary = async (req, res) => {
     try {
         const { vendorId } = req.params;
-
-        // Optional: Add permission check here to ensure the requesting vendor can view expiry summary for this vendorId
-        // e.g., req.vendor._id.toString() === vendorId or req.vendor is parent of vendorId or req.vendor.vendorType === 'SUPER'
-
-        const [vehicles, drivers] = await Promise.all([
-            Vehicle.find({ vendor: vendorId }),
-            Driver.find({ vendor: vendorId })
-        ]);
-
-        // Helper to check if any document is expired or expiring soon
-        const hasExpiredDoc = (docs) => Object.values(docs || {}).some(d => d.expiryDate && new Date(d.expiryDate) < new Date());
-        const hasExpiringSoonDoc = (docs) => Object.values(docs || {}).some(d => d.expiryDate && new Date(d.expiryDate) >= new Date() && new Date(d.expiryDate) <= new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)); // within 30 days
-
-        const expiredDocuments = {
-            vehicles: vehicles.filter(v => hasExpiredDoc(v.documents)).length,
-            drivers: drivers.filter(d => hasExpiredDoc(d.documents)).length
-        };
-
-        const expiringSoon = {
-            vehicles: vehicles.filter(v => hasExpiringSoonDoc(v.documents)).length,
-            drivers: drivers.filter(d => hasExpiringSoonDoc(d.documents)).length
-        };
-
-        const validDocuments = {
-            vehicles: vehicles.length - expiredDocuments.vehicles - expiringSoon.vehicles,
-            drivers: drivers.length - expiredDocuments.drivers - expiringSoon.drivers
-        };
+        const summary = await documentService.getExpirySummary(vendorId);
 
         res.json({
             success: true,
-            data: {
-                expiredDocuments,
-                expiringSoon,
-                validDocuments
-            }
+            data: summary
         });
     } catch (error) {
         logger.error('Get document expiry summary error:', {
@@ -1255,9 +1836,6 @@ const getStatusCounts = async (req, res) => {
     try {
         const { vendorId } = req.params;
 
-        // Optional: Add permission check here to ensure the requesting vendor can view status counts for this vendorId
-        // e.g., req.vendor._id.toString() === vendorId or req.vendor is parent of vendorId or req.vendor.vendorType === 'SUPER'
-
         // Need to adjust queries based on vendor type to count their relevant descendants/resources
         let vehicleQuery = { vendor: vendorId };
         let driverQuery = { vendor: vendorId };
@@ -1332,7 +1910,22 @@ const getFleetStatus = async (req, res) => {
             byType: vehicles.reduce((acc, v) => {
                 acc[v.vehicleType] = (acc[v.vehicleType] || 0) + 1;
                 return acc;
-            }, {})
+            }, {}),
+            inspections: {
+                passed: vehicles.filter(v => v.lastInspection && v.lastInspection.result === 'PASS').length,
+                failed: vehicles.filter(v => v.lastInspection && v.lastInspection.result === 'FAIL').length,
+                neverInspected: vehicles.filter(v => !v.lastInspection).length
+            },
+            // Each vehicle with its last inspection, least recently inspected first
+            vehicles: vehicles
+                .map(v => ({
+                    _id: v._id,
+                    registrationNumber: v.registrationNumber,
+                    status: v.status,
+                    lastInspectedAt: v.lastInspection ? v.lastInspection.inspectedAt : null,
+                    lastInspectionResult: v.lastInspection ? v.lastInspection.result : null
+                }))
+                .sort((a, b) => (a.lastInspectedAt || 0) - (b.lastInspectedAt || 0))
         };
 
         res.json({
@@ -1393,35 +1986,7 @@ const getDriverAvailability = async (req, res) => {
 const getComplianceReports = async (req, res) => {
     try {
         const { vendorId } = req.params;
-        const [vehicles, drivers] = await Promise.all([
-            Vehicle.find({ vendor: vendorId }),
-            Driver.find({ vendor: vendorId })
-        ]);
-
-        const compliance = {
-            vehicles: {
-                total: vehicles.length,
-                compliant: vehicles.filter(v => {
-                    const docs = v.documents || {};
-                    return Object.values(docs).every(d => d.isVerified && new Date(d.expiryDate) > new Date());
-                }).length,
-                nonCompliant: vehicles.filter(v => {
-                    const docs = v.documents || {};
-                    return Object.values(docs).some(d => !d.isVerified || new Date(d.expiryDate) <= new Date());
-                }).length
-            },
-            drivers: {
-                total: drivers.length,
-                compliant: drivers.filter(d => {
-                    const docs = d.documents || {};
-                    return Object.values(docs).every(d => d.isVerified && new Date(d.expiryDate) > new Date());
-                }).length,
-                nonCompliant: drivers.filter(d => {
-                    const docs = d.documents || {};
-                    return Object.values(docs).some(d => !d.isVerified || new Date(d.expiryDate) <= new Date());
-                }).length
-            }
-        };
+        const compliance = await documentService.getVendorComplianceReport(vendorId);
 
         res.json({
             success: true,
@@ -1443,6 +2008,35 @@ const getComplianceReports = async (req, res) => {
     }
 };
 
+// Compliance of every vendor, vehicle and driver in the vendor's subtree as it stood at ?at= (default now)
+const getComplianceAsOf = async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+        const compliance = await documentService.getSubtreeComplianceAsOf(vendorId, req.query.at, {
+            includeCompliant: req.query.includeCompliant === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: compliance
+        });
+    } catch (error) {
+        logger.error('Get compliance as of date error:', {
+            error: error.message,
+            stack: error.stack,
+            vendorId: req.params.vendorId,
+            query: req.query
+        });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: {
+                message: error.message,
+                statusCode: error.statusCode || 500
+            }
+        });
+    }
+};
+
 // Get operational metrics
 const getOperationalMetrics = async (req, res) => {
     try {
@@ -1498,6 +2092,13 @@ module.exports = {
     registerSubVendor,
     registerLocalVendor,
     loginVendor,
+    refreshVendorToken,
+    logoutVendor,
+    logoutAllVendorSessions,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     getVendorProfile,
     updateVendorProfile,
     getSubVendors,
@@ -1514,6 +2115,8 @@ module.exports = {
     updateSubVendorStatus,
     updateCityVendorStatus,
     updateVendorPermissions,
+    getEffectivePermissions,
+    getPermissionTemplates,
     getVendorStatistics,
     getDocumentExpirySummary,
     getStatusCounts,
@@ -1521,5 +2124,6 @@ module.exports = {
     getFleetStatus,
     getDriverAvailability,
     getComplianceReports,
+    getComplianceAsOf,
     getOperationalMetrics
 }; 
\ No newline at end of file
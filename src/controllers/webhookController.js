@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const webhookService = require('../services/webhookService');
+const accessControlService = require('../services/accessControlService');
+const auditService = require('../services/auditService');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const logger = require('../config/logger');
+
+const UPDATABLE_FIELDS = ['url', 'events', 'description', 'isActive'];
+
+// Endpoint as stored, without its secret (for audit entries)
+const withoutSecret = (endpoint) => {
+    const { secret, ...rest } = endpoint.toObject();
+    return rest;
+};
+
+const sendError = (res, error, fallbackStatus = 400) => res.status(error.statusCode || fallbackStatus).json({
+    success: false,
+    error: {
+        message: error.message,
+        statusCode: error.statusCode || fallbackStatus
+    }
+});
+
+// List the events endpoints can subscribe to
+const getWebhookEvents = async (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }))
+    });
+};
+
+// List webhook endpoints of the requesting vendor and the vendors below it
+const getWebhookEndpoints = async (req, res) => {
+    try {
+        const { vendorId } = req.query;
+        let vendorFilter;
+
+        if (vendorId) {
+            if (!mongoose.Types.ObjectId.isValid(vendorId) || !await accessControlService.canActOnVendor(req.vendor._id, vendorId)) {
+                logger.warn('Webhook endpoint list denied: Vendor outside hierarchy', { vendorId: req.vendor._id, requestedVendorId: vendorId, ip: req.ip });
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: 'Permission denied',
+                        statusCode: 403
+                    }
+                });
+            }
+            vendorFilter = vendorId;
+        } else {
+            vendorFilter = { $in: await accessControlService.getAccessibleVendorIds(req.vendor._id) };
+        }
+
+        const endpoints = await WebhookEndpoint.find({ vendor: vendorFilter }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: endpoints
+        });
+    } catch (error) {
+        logger.error('Get webhook endpoints error:', {
+            error: error.message,
+            stack: error.stack,
+            query: req.query,
+            vendorId: req.vendor._id
+        });
+        sendError(res, error, 500);
+    }
+};
+
+// Register a webhook endpoint; the signing secret is only returned here and when it is rotated
+const createWebhookEndpoint = async (req, res) => {
+    try {
+        // Ancestors may register endpoints on behalf of a vendor below them
+        const { vendorId, url, events, description } = req.body;
+        const ownerVendorId = vendorId || req.vendor._id;
+
+        if (!await accessControlService.canActOnVendor(req.vendor._id, ownerVendorId)) {
+            logger.error('Create webhook endpoint failed: Not allowed to act for vendor', { vendorId: req.vendor._id, ownerVendorId, ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'Permission denied',
+                    statusCode: 403
+                }
+            });
+        }
+
+        const endpoint = await webhookService.createEndpoint({
+            vendorId: ownerVendorId,
+            url,
+            events,
+            description,
+            createdBy: req.vendor._id
+        });
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_ENDPOINT_CREATED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId,
+            after: withoutSecret(endpoint)
+        });
+
+        logger.info('Webhook endpoint created', { endpointId: endpoint._id, vendorId: ownerVendorId, events: endpoint.events });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...endpoint.toObject(),
+                secret: endpoint.secret
+            }
+        });
+    } catch (error) {
+        logger.error('Create webhook endpoint error:', {
+            error: error.message,
+            stack: error.stack,
+            url: req.body.url,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+// Get a webhook endpoint
+const getWebhookEndpoint = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+
+        res.json({
+            success: true,
+            data: endpoint
+        });
+    } catch (error) {
+        logger.error('Get webhook endpoint error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            vendorId: req.vendor._id
+        });
+        sendError(res, error, 500);
+    }
+};
+
+// Change the url, events, description or active flag of an endpoint
+const updateWebhookEndpoint = async (req, res) => {
+    try {
+        const fields = Object.keys(req.body);
+        if (!fields.every(field => UPDATABLE_FIELDS.includes(field))) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Only ${UPDATABLE_FIELDS.join(', ')} can be updated`,
+                    statusCode: 400
+                }
+            });
+        }
+
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+        webhookService.validate(req.body);
+
+        const before = endpoint.toObject();
+        fields.forEach(field => endpoint[field] = field === 'events' ? [...new Set(req.body.events)] : req.body[field]);
+        await endpoint.save();
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_ENDPOINT_UPDATED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId: endpoint.vendor,
+            before,
+            after: endpoint
+        });
+
+        res.json({
+            success: true,
+            data: endpoint
+        });
+    } catch (error) {
+        logger.error('Update webhook endpoint error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+// Delete an endpoint; its queued deliveries fail and its delivery history is kept in the outbox
+const deleteWebhookEndpoint = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+        await endpoint.deleteOne();
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_ENDPOINT_DELETED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId: endpoint.vendor,
+            before: endpoint
+        });
+
+        logger.info('Webhook endpoint deleted', { endpointId: endpoint._id, vendorId: req.vendor._id });
+
+        res.json({
+            success: true,
+            data: endpoint
+        });
+    } catch (error) {
+        logger.error('Delete webhook endpoint error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+// Replace the signing secret; deliveries sent from now on (including retries) use the new one
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId, { withSecret: true });
+        endpoint.secret = webhookService.generateSecret();
+        await endpoint.save();
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_SECRET_ROTATED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId: endpoint.vendor
+        });
+
+        res.json({
+            success: true,
+            data: {
+                _id: endpoint._id,
+                secret: endpoint.secret
+            }
+        });
+    } catch (error) {
+        logger.error('Rotate webhook secret error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+// Queue a webhook.test event for an endpoint
+const testWebhookEndpoint = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+        const delivery = await webhookService.sendTestEvent(endpoint);
+
+        res.status(202).json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        logger.error('Test webhook endpoint error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            vendorId: req.vendor._id
+        });
+        sendError(res, error);
+    }
+};
+
+// List deliveries of an endpoint, newest first
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+        const { status, event, page, limit } = req.query;
+        const result = await webhookService.getDeliveries(endpoint, { status, event, page, limit });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get webhook deliveries error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            vendorId: req.vendor._id
+        });
+        sendError(res, error, 500);
+    }
+};
+
+// Get a delivery with its payload and delivery log
+const getWebhookDelivery = async (req, res) => {
+    try {
+        const { delivery } = await webhookService.getDeliveryFor(req.vendor._id, req.params.deliveryId);
+
+        res.json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        logger.error('Get webhook delivery error:', {
+            error: error.message,
+            stack: error.stack,
+            deliveryId: req.params.deliveryId,
+            vendorId: req.vendor._id
+        });
+        sendError(res, error, 500);
+    }
+};
+
+// Send a delivery again
+const replayWebhookDelivery = async (req, res) => {
+    try {
+        const { delivery, endpoint } = await webhookService.getDeliveryFor(req.vendor._id, req.params.deliveryId);
+        const replayed = await webhookService.replay(delivery, endpoint);
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_DELIVERY_REPLAYED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId: endpoint.vendor,
+            metadata: { deliveryId: delivery._id, replayId: replayed._id, event: delivery.event }
+        });
+
+        res.status(202).json({
+            success: true,
+            data: replayed
+        });
+    } catch (error) {
+        logger.error('Replay webhook delivery error:', {
+            error: error.message,
+            stack: error.stack,
+            deliveryId: req.params.deliveryId,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+// Send again every delivery of an endpoint in a time range
+const replayWebhookDeliveries = async (req, res) => {
+    try {
+        const endpoint = await webhookService.getEndpointFor(req.vendor._id, req.params.endpointId);
+        const { from, to, event } = req.body;
+        const replayed = await webhookService.replayRange(endpoint, { from, to, event });
+
+        await auditService.record({
+            req,
+            action: 'WEBHOOK_DELIVERY_REPLAYED',
+            entityType: 'WEBHOOK_ENDPOINT',
+            entityId: endpoint._id,
+            ownerVendorId: endpoint.vendor,
+            metadata: { from, to, event, count: replayed.length }
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                replayed: replayed.length,
+                deliveryIds: replayed.map(delivery => delivery._id)
+            }
+        });
+    } catch (error) {
+        logger.error('Replay webhook deliveries error:', {
+            error: error.message,
+            stack: error.stack,
+            endpointId: req.params.endpointId,
+            requestBody: req.body,
+            vendorId: req.vendor._id,
+            ip: req.ip
+        });
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getWebhookEvents,
+    getWebhookEndpoints,
+    createWebhookEndpoint,
+    getWebhookEndpoint,
+    updateWebhookEndpoint,
+    deleteWebhookEndpoint,
+    rotateWebhookSecret,
+    testWebhookEndpoint,
+    getWebhookDeliveries,
+    getWebhookDelivery,
+    replayWebhookDelivery,
+    replayWebhookDeliveries
+};
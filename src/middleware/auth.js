@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const Vendor = require('../models/Vendor');
+const sessionService = require('../services/sessionService');
+const accessControlService = require('../services/accessControlService');
+const permissionService = require('../services/permissionService');
+const logger = require('../config/logger');
 
 const auth = async (req, res, next) => {
     try {
@@ -14,6 +18,11 @@ const auth = async (req, res, next) => {
         if (decoded.type !== 'login') {
             throw new Error('Invalid token type. Please log in.');
         }
+        // Reject tokens whose server-side session was logged out or revoked
+        const isActive = await sessionService.isSessionActive(decoded.sid, decoded.vendorId);
+        if (!isActive) {
+            throw new Error('Session has been revoked. Please log in.');
+        }
         const vendor = await Vendor.findOne({ _id: decoded.vendorId, isActive: true });
 
         if (!vendor) {
@@ -22,6 +31,7 @@ const auth = async (req, res, next) => {
 
         req.vendor = vendor;
         req.token = token;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         res.status(401).json({
@@ -34,19 +44,104 @@ const auth = async (req, res, next) => {
     }
 };
 
+// Checks the vendor's effective permissions: 'ALL' counts as every permission, and nothing
+// the parent vendor has lost counts, even if it is still stored on the vendor itself.
 const checkPermission = (permission) => {
-    return (req, res, next) => {
-        if (!req.vendor.permissions.includes(permission)) {
+    return async (req, res, next) => {
+        // Unverified vendors can sign in and read, but permission-gated actions wait for email confirmation
+        if (req.vendor.isEmailVerificationPending()) {
             return res.status(403).json({
                 success: false,
                 error: {
-                    message: 'Permission denied',
+                    message: 'Please verify your email address to perform this action',
                     statusCode: 403
                 }
             });
         }
-        next();
+        try {
+            if (!await permissionService.hasPermission(req.vendor, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: 'Permission denied',
+                        statusCode: 403
+                    }
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Allow the request only if the logged-in vendor owns the entity named by req.params[paramName]
+// or is an ancestor of its owner in the vendor hierarchy.
+// With allowSelf: false (VENDOR only) the vendor cannot act on itself, only on its descendants.
+const checkEntityAccess = (entityType, paramName = 'id', { allowSelf = true } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const entityId = req.params[paramName];
+            const access = await accessControlService.checkEntityAccess(req.vendor._id, entityType, entityId, { allowSelf });
+
+            if (!access.found) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: `${entityType.charAt(0)}${entityType.slice(1).toLowerCase()} not found`,
+                        statusCode: 404
+                    }
+                });
+            }
+
+            if (!access.allowed) {
+                logger.warn('Entity access denied by vendor hierarchy', {
+                    vendorId: req.vendor._id,
+                    entityType,
+                    entityId,
+                    ownerVendorId: access.ownerVendorId,
+                    path: req.path,
+                    ip: req.ip
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: 'Permission denied',
+                        statusCode: 403
+                    }
+                });
+            }
+
+            req.ownerVendorId = access.ownerVendorId;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Allow the request only for SUPER vendors, for platform-wide settings and data that span every vendor.
+// `action` completes the refusal: "Only SUPER vendors can <action>".
+const requireSuperVendor = (action) => {
+    return (req, res, next) => {
+        if (req.vendor.vendorType === 'SUPER') {
+            return next();
+        }
+
+        logger.error('Access denied: Not a SUPER vendor', {
+            vendorId: req.vendor._id,
+            vendorType: req.vendor.vendorType,
+            path: req.originalUrl,
+            ip: req.ip
+        });
+        res.status(403).json({
+            success: false,
+            error: {
+                message: `Only SUPER vendors can ${action}`,
+                statusCode: 403
+            }
+        });
     };
 };
 
-module.exports = { auth, checkPermission }; 
\ No newline at end of file
+module.exports = { auth, checkPermission, checkEntityAccess, requireSuperVendor }; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const multer = require('multer');
+const storageConfig = require('../config/storage');
+const logger = require('../config/logger');
+
+// Files are kept in memory and handed to the storage service by the controller
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: storageConfig.upload.maxFileSize,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (!storageConfig.upload.allowedMimeTypes.includes(file.mimetype)) {
+            const error = new Error(`Unsupported file type: ${file.mimetype}`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Accept a single multipart file under the given field name
+const uploadDocumentFile = (fieldName = 'file') => {
+    const handler = upload.single(fieldName);
+
+    return (req, res, next) => {
+        handler(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+
+            logger.error('Document file upload rejected', {
+                error: error.message,
+                code: error.code,
+                path: req.path,
+                ip: req.ip
+            });
+            res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                error: {
+                    message: error.message,
+                    statusCode: error.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+                }
+            });
+        });
+    };
+};
+
+module.exports = { uploadDocumentFile };
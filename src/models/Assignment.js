@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A driver on a vehicle over a period of time. MANUAL assignments come from the assign endpoints and
+// run until unassigned; SHIFT assignments are planned for a future window and started and ended by
+// the shift job. Vehicle.assignedDriver / Driver.assignedVehicle point at the ACTIVE one.
+const assignmentSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    // Vendor that owns the vehicle
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['MANUAL', 'SHIFT'],
+        required: true
+    },
+    // PLANNED: shift not started yet; ACTIVE: current; COMPLETED: ended;
+    // CANCELLED: planned shift withdrawn; SKIPPED: planned shift that couldn't start
+    status: {
+        type: String,
+        enum: ['PLANNED', 'ACTIVE', 'COMPLETED', 'CANCELLED', 'SKIPPED'],
+        required: true
+    },
+    // Scheduled window. Manual assignments start when made and have no scheduled end.
+    startAt: {
+        type: Date,
+        required: true
+    },
+    endAt: {
+        type: Date,
+        default: null
+    },
+    // When the driver actually took and left the vehicle
+    startedAt: Date,
+    endedAt: Date,
+    // UNASSIGNED, SHIFT_ENDED, SHIFT_HANDOVER (a planned shift took the vehicle or driver), COMPLIANCE_SUSPENDED, MAINTENANCE,
+    // LINK_REPAIRED (closed by the consistency check), or why a shift was skipped or cancelled
+    endReason: String,
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+assignmentSchema.index({ vehicle: 1, startAt: -1 });
+assignmentSchema.index({ driver: 1, startAt: -1 });
+assignmentSchema.index({ status: 1, startAt: 1 });
+assignmentSchema.index({ status: 1, endAt: 1 });
+assignmentSchema.index({ vendor: 1, startAt: -1 });
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+module.exports = Assignment;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const assignmentConfig = require('../config/assignments');
+
+// One run of the vehicle/driver link consistency check and what it found
+const assignmentConsistencyReportSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ['SCHEDULED', 'MANUAL'],
+        required: true
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    // false: issues were only reported
+    repair: {
+        type: Boolean,
+        default: true
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: Date,
+    scanned: {
+        vehicles: { type: Number, default: 0 },
+        drivers: { type: Number, default: 0 },
+        assignments: { type: Number, default: 0 }
+    },
+    // VEHICLE_ONE_SIDED: the vehicle points at a driver that doesn't point back;
+    // DRIVER_ONE_SIDED: the other way round;
+    // ORPHANED_ASSIGNMENT: an ACTIVE assignment whose vehicle and driver don't point at each other
+    issues: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: ['VEHICLE_ONE_SIDED', 'DRIVER_ONE_SIDED', 'ORPHANED_ASSIGNMENT'],
+            required: true
+        },
+        vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+        driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+        assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' },
+        vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
+        // What the other side points at instead (null: nothing, or it no longer exists)
+        counterpartPointsTo: mongoose.Schema.Types.ObjectId,
+        repaired: { type: Boolean, default: false },
+        // Why it wasn't repaired: changed while checking, or the error
+        note: String
+    }],
+    counts: {
+        found: { type: Number, default: 0 },
+        repaired: { type: Number, default: 0 }
+    },
+    error: String
+}, {
+    timestamps: true
+});
+
+assignmentConsistencyReportSchema.index({ startedAt: -1 });
+assignmentConsistencyReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: assignmentConfig.consistency.retentionDays * 24 * 60 * 60 });
+
+const AssignmentConsistencyReport = mongoose.model('AssignmentConsistencyReport', assignmentConsistencyReportSchema);
+
+module.exports = AssignmentConsistencyReport;
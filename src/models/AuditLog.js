@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+    // Vendor that performed the action; empty for unauthenticated flows such as password reset
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    entityType: {
+        type: String,
+        required: true,
+        enum: ['VEHICLE', 'DRIVER', 'DOCUMENT', 'VENDOR', 'TRIP', 'SETTLEMENT', 'DOCUMENT_TYPE', 'NOTIFICATION_TEMPLATE', 'OUTBOX_MESSAGE', 'WEBHOOK_ENDPOINT', 'INSPECTION_TEMPLATE']
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Vendor that owns the entity, used to scope audit queries to the vendor hierarchy
+    ownerVendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    changes: [changeSchema],
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    // Entries are append-only
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ ownerVendor: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// Review workflow: SUBMITTED -> UNDER_REVIEW -> APPROVED | REJECTED. A rejected document is
+// replaced by resubmitting a new version, which links back through previousVersion.
+const REVIEW_TRANSITIONS = {
+    SUBMITTED: ['UNDER_REVIEW'],
+    UNDER_REVIEW: ['APPROVED', 'REJECTED'],
+    APPROVED: [],
+    REJECTED: []
+};
+
+const reviewSchema = new mongoose.Schema({
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    decision: {
+        type: String,
+        enum: ['APPROVED', 'REJECTED'],
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    remarks: {
+        type: String,
+        trim: true
+    },
+    reviewedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
     entityType: {
         type: String,
@@ -21,16 +55,113 @@ const documentSchema = new mongoose.Schema({
     },
     documentUrl: {
         type: String,
-        required: true
+        // Only required for documents hosted elsewhere; uploaded files live in storage
+        required: function () {
+            return !this.storageKey;
+        }
+    },
+    storageDriver: {
+        type: String,
+        enum: ['local', 's3']
+    },
+    storageKey: {
+        type: String
+    },
+    originalName: {
+        type: String
+    },
+    mimeType: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    checksum: {
+        type: String
     },
+    // Unset for document types that don't expire (see the document type registry)
     expiryDate: {
-        type: Date,
-        required: true
+        type: Date
     },
+    // True once the review is APPROVED
     isVerified: {
         type: Boolean,
         default: false
     },
+    reviewStatus: {
+        type: String,
+        enum: Object.keys(REVIEW_TRANSITIONS),
+        // Documents verified before the workflow existed count as approved
+        default: function () {
+            return this.isVerified ? 'APPROVED' : 'SUBMITTED';
+        }
+    },
+    // Approvals needed before the document is APPROVED (2 for types that need two reviewers)
+    requiredApprovals: {
+        type: Number,
+        min: 1,
+        max: 2,
+        default: 1
+    },
+    reviews: {
+        type: [reviewSchema],
+        default: []
+    },
+    // Vendor who moved the document to UNDER_REVIEW
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    reviewStartedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    // Verification queue lease: only claimedBy may review the document until claimExpiresAt
+    claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        default: null
+    },
+    claimExpiresAt: {
+        type: Date,
+        default: null
+    },
+    // The version of this document (same entity and type) that this one replaced
+    previousVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    // Version chain pointer: exactly one version per entity and documentType is current.
+    // Superseded versions are kept (with the version that replaced them) for the renewal history.
+    isCurrent: {
+        type: Boolean,
+        default: true
+    },
+    supersededBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    supersededAt: {
+        type: Date,
+        default: null
+    },
+    // Expiry reminders already sent, one per cadence stage (see config/compliance.js)
+    expiryReminders: [{
+        _id: false,
+        stage: String,
+        recipients: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' }],
+        escalationLevel: Number,
+        sentAt: Date
+    }],
     verificationRemarks: {
         type: String
     },
@@ -46,9 +177,13 @@ const documentSchema = new mongoose.Schema({
         ref: 'Vendor',
         required: true
     },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
     status: {
         type: String,
-        enum: ['ACTIVE', 'EXPIRED', 'PENDING_VERIFICATION'],
+        enum: ['ACTIVE', 'EXPIRED', 'PENDING_VERIFICATION', 'REJECTED'],
         default: 'PENDING_VERIFICATION'
     },
     metadata: {
@@ -65,20 +200,59 @@ documentSchema.index({ vendor: 1 });
 documentSchema.index({ expiryDate: 1 });
 documentSchema.index({ status: 1 });
 documentSchema.index({ isVerified: 1 });
+documentSchema.index({ checksum: 1 });
+documentSchema.index({ reviewStatus: 1, createdAt: 1 });
+documentSchema.index({ verifiedAt: 1 });
+documentSchema.index({ entityType: 1, entityId: 1, documentType: 1, version: 1 });
+// Two concurrent uploads can't both become the current version
+documentSchema.index(
+    { entityType: 1, entityId: 1, documentType: 1 },
+    { unique: true, partialFilterExpression: { isCurrent: true } }
+);
 
-// Pre-save middleware to update status based on expiry date
-documentSchema.pre('save', function (next) {
-    const now = new Date();
-    if (this.expiryDate < now) {
-        this.status = 'EXPIRED';
-    } else if (this.isVerified) {
-        this.status = 'ACTIVE';
-    } else {
-        this.status = 'PENDING_VERIFICATION';
+// Overall status from the review outcome and expiry date
+documentSchema.statics.deriveStatus = function ({ reviewStatus, isVerified, expiryDate }) {
+    if (reviewStatus === 'REJECTED') {
+        return 'REJECTED';
     }
+    if (expiryDate && expiryDate < new Date()) {
+        return 'EXPIRED';
+    }
+    return isVerified ? 'ACTIVE' : 'PENDING_VERIFICATION';
+};
+
+// Whether the review may move to the given status
+documentSchema.methods.canTransitionTo = function (reviewStatus) {
+    return REVIEW_TRANSITIONS[this.reviewStatus].includes(reviewStatus);
+};
+
+// Pre-save middleware to update status based on review outcome and expiry date
+documentSchema.pre('save', function (next) {
+    this.status = this.constructor.deriveStatus(this);
     next();
 });
 
+// Static method to find the current document of each type, i.e. the latest upload per entity and documentType.
+// Superseded versions are skipped up front; documents from before version chains carry no isCurrent flag,
+// so the latest upload still wins among those.
+// `scope` narrows the documents considered (e.g. one entity), `filter` is applied to the current documents
+// and `stages` are appended to the pipeline (sorting, paging, grouping).
+documentSchema.statics.findCurrent = function (scope = {}, filter = {}, stages = []) {
+    return this.aggregate([
+        { $match: { ...scope, isCurrent: { $ne: false } } },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: { entityType: '$entityType', entityId: '$entityId', documentType: '$documentType' },
+                document: { $first: '$$ROOT' }
+            }
+        },
+        { $replaceRoot: { newRoot: '$document' } },
+        { $match: filter },
+        ...stages
+    ]);
+};
+
 // Static method to find expiring documents
 documentSchema.statics.findExpiringDocuments = function (daysThreshold = 30) {
     const now = new Date();
@@ -99,7 +273,8 @@ documentSchema.statics.findExpiredDocuments = function () {
     const now = new Date();
     return this.find({
         expiryDate: { $lt: now },
-        status: { $ne: 'EXPIRED' }
+        // A rejection outranks expiry (see deriveStatus)
+        status: { $nin: ['EXPIRED', 'REJECTED'] }
     }).populate('vendor', 'name email');
 };
 
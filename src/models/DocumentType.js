@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Rules for a document type that differ in one city. Unset fields fall back to the type's own value.
+const cityOverrideSchema = new mongoose.Schema({
+    city: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    isRequired: Boolean,
+    expires: Boolean,
+    validityDays: {
+        type: Number,
+        min: 1
+    },
+    requiredMetadata: {
+        type: [String],
+        default: undefined
+    }
+}, { _id: false });
+
+const documentTypeSchema = new mongoose.Schema({
+    // Stored as Document.documentType
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Entity types this document can be uploaded for
+    entityTypes: {
+        type: [{
+            type: String,
+            enum: ['VEHICLE', 'DRIVER', 'VENDOR']
+        }],
+        validate: {
+            validator: (value) => value.length > 0,
+            message: 'At least one entity type is required'
+        }
+    },
+    // Whether every entity of those types needs a valid one to be compliant
+    isRequired: {
+        type: Boolean,
+        default: true
+    },
+    expires: {
+        type: Boolean,
+        default: true
+    },
+    // Longest an issued document stays valid; also the default expiry when none is given
+    validityDays: {
+        type: Number,
+        min: 1
+    },
+    // Sensitive types can require two different reviewers to approve a document
+    requiredApprovals: {
+        type: Number,
+        min: 1,
+        max: 2,
+        default: 1
+    },
+    // Keys that must be present in Document.metadata
+    requiredMetadata: {
+        type: [String],
+        default: []
+    },
+    cityOverrides: {
+        type: [cityOverrideSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+documentTypeSchema.index({ entityTypes: 1, isActive: 1 });
+
+// The type's rules as they apply in a city (overrides merged over the base rules)
+documentTypeSchema.statics.resolveForCity = function (documentType, city) {
+    const { cityOverrides = [], ...base } = documentType;
+    const normalizedCity = city ? city.trim().toLowerCase() : null;
+    const override = normalizedCity && cityOverrides.find(entry => entry.city === normalizedCity);
+
+    if (!override) {
+        return base;
+    }
+
+    const resolved = { ...base, city: normalizedCity };
+    ['isRequired', 'expires', 'validityDays', 'requiredMetadata'].forEach(field => {
+        if (override[field] !== undefined && override[field] !== null) {
+            resolved[field] = override[field];
+        }
+    });
+    return resolved;
+};
+
+const DocumentType = mongoose.model('DocumentType', documentTypeSchema);
+
+module.exports = DocumentType;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LICENSE_CLASSES } = require('../config/eligibility');
 
 const driverSchema = new mongoose.Schema({
     name: {
@@ -18,38 +19,17 @@ const driverSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Classes on the driver's driving license
+    licenseClasses: [{
+        type: String,
+        enum: LICENSE_CLASSES,
+        uppercase: true
+    }],
     vendor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Vendor',
         required: true
     },
-    documents: {
-        drivingLicense: {
-            number: String,
-            expiryDate: Date,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        },
-        addressProof: {
-            type: String,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        },
-        identityProof: {
-            type: String,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        }
-    },
     status: {
         type: String,
         enum: ['ACTIVE', 'INACTIVE', 'SUSPENDED'],
@@ -60,12 +40,31 @@ const driverSchema = new mongoose.Schema({
         ref: 'Vehicle',
         default: null
     },
+    // Set while the driver is SUSPENDED by the compliance enforcement job; cleared when it is restored
+    complianceSuspension: {
+        type: {
+            suspendedAt: Date,
+            previousStatus: String,
+            reasons: [{
+                _id: false,
+                type: { type: String },
+                name: String,
+                reason: { type: String, enum: ['MISSING', 'EXPIRED'] }
+            }]
+        },
+        default: null
+    },
     rating: {
         type: Number,
         min: 0,
         max: 5,
         default: 0
     },
+    // Number of ratings behind the running-average `rating`
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
     totalTrips: {
         type: Number,
         default: 0
@@ -74,6 +73,27 @@ const driverSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Fold a new rating into the driver's running average. Done in one update so concurrent ratings aren't lost.
+driverSchema.statics.addRating = function (driverId, value) {
+    const count = { $ifNull: ['$ratingCount', 0] };
+    return this.findByIdAndUpdate(driverId, [{
+        $set: {
+            rating: {
+                $divide: [
+                    { $add: [{ $multiply: [{ $ifNull: ['$rating', 0] }, count] }, value] },
+                    { $add: [count, 1] }
+                ]
+            },
+            ratingCount: { $add: [count, 1] }
+        }
+    }], { new: true });
+};
+
+// Count a completed trip towards the driver's totals
+driverSchema.statics.recordCompletedTrip = function (driverId) {
+    return this.findByIdAndUpdate(driverId, { $inc: { totalTrips: 1 } }, { new: true });
+};
+
 const Driver = mongoose.model('Driver', driverSchema);
 
 module.exports = Driver; 
\ No newline at end of file
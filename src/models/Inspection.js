@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// A file (or hosted url) backing up an item's result, e.g. a photo of the tyre tread
+const evidenceSchema = new mongoose.Schema({
+    // Where the file is kept; see storageService (hosted evidence only has evidenceUrl)
+    storageDriver: String,
+    storageKey: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    evidenceUrl: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A physical inspection of a vehicle against a template. Labels are copied from the template so the
+// record still reads the same after the template changes.
+const inspectionSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    // Vendor that owns the vehicle
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    template: {
+        code: { type: String, required: true },
+        name: String
+    },
+    items: [{
+        _id: false,
+        key: { type: String, required: true },
+        label: String,
+        result: {
+            type: String,
+            enum: ['PASS', 'FAIL'],
+            required: true
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        evidence: {
+            type: [evidenceSchema],
+            default: []
+        }
+    }],
+    // FAIL if any item failed
+    result: {
+        type: String,
+        enum: ['PASS', 'FAIL'],
+        required: true
+    },
+    failedItems: {
+        type: [String],
+        default: []
+    },
+    inspectedAt: {
+        type: Date,
+        required: true
+    },
+    inspectorName: {
+        type: String,
+        trim: true
+    },
+    // Kilometres on the clock at the inspection
+    odometer: {
+        type: Number,
+        min: 0
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+inspectionSchema.index({ vehicle: 1, inspectedAt: -1 });
+inspectionSchema.index({ vendor: 1, inspectedAt: -1 });
+
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
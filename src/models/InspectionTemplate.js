@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { VEHICLE_TYPES } = require('../config/eligibility');
+
+// One thing an inspector checks and marks PASS or FAIL
+const inspectionItemSchema = new mongoose.Schema({
+    // Stored on submissions as items.key
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Optional items may be left out of a submission
+    isRequired: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const inspectionTemplateSchema = new mongoose.Schema({
+    // Stored on submissions as template.code
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Vehicle types the template is for (empty: every type)
+    vehicleTypes: {
+        type: [{
+            type: String,
+            enum: Object.keys(VEHICLE_TYPES)
+        }],
+        default: []
+    },
+    items: {
+        type: [inspectionItemSchema],
+        validate: [
+            {
+                validator: (items) => items.length > 0,
+                message: 'At least one item is required'
+            },
+            {
+                validator: (items) => new Set(items.map(item => item.key)).size === items.length,
+                message: 'Item keys must be unique'
+            }
+        ]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+const InspectionTemplate = mongoose.model('InspectionTemplate', inspectionTemplateSchema);
+
+module.exports = InspectionTemplate;
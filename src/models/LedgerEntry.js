@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+    // Whose balance the entry moves: a vendor or a driver
+    accountType: {
+        type: String,
+        enum: ['VENDOR', 'DRIVER'],
+        required: true
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: function () {
+            return this.accountType === 'VENDOR';
+        }
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: function () {
+            return this.accountType === 'DRIVER';
+        }
+    },
+    type: {
+        type: String,
+        enum: ['TRIP_FARE', 'COMMISSION', 'DRIVER_PAYOUT', 'PAYOUT'],
+        required: true
+    },
+    // Positive credits the account, negative debits it
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    trip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trip'
+    },
+    settlement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Settlement',
+        default: null
+    },
+    // The other side of the movement, e.g. the vendor a commission was paid to
+    counterparty: {
+        accountType: {
+            type: String,
+            enum: ['VENDOR', 'DRIVER']
+        },
+        id: mongoose.Schema.Types.ObjectId
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Unique per movement so recording the same trip twice can't double count it
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ vendor: 1, createdAt: -1 });
+ledgerEntrySchema.index({ driver: 1, createdAt: -1 });
+ledgerEntrySchema.index({ vendor: 1, settlement: 1 });
+ledgerEntrySchema.index({ trip: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A period a vehicle is off the road for maintenance. While IN_PROGRESS the vehicle is MAINTENANCE
+// and has no driver; completing or cancelling it restores the status the vehicle had before.
+const maintenanceSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    // Vendor that owns the vehicle
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    // Schedule whose due service this is, if any
+    schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceSchedule'
+    },
+    // PLANNED: starts at startAt; IN_PROGRESS: vehicle is off the road; COMPLETED / CANCELLED: back
+    status: {
+        type: String,
+        enum: ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+        default: 'PLANNED'
+    },
+    startAt: {
+        type: Date,
+        required: true
+    },
+    expectedEndAt: Date,
+    startedAt: Date,
+    endedAt: Date,
+    // Vehicle status before it went into maintenance, restored afterwards
+    previousStatus: String,
+    // Driver that was unassigned when the maintenance started
+    unassignedDriver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
+    },
+    serviceLog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceLog'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+maintenanceSchema.index({ vehicle: 1, startAt: -1 });
+maintenanceSchema.index({ status: 1, startAt: 1 });
+
+const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
+
+module.exports = Maintenance;
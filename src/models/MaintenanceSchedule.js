@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { SERVICE_TYPES } = require('../config/maintenance');
+
+// Recurring service of a vehicle, due every intervalKm kilometres or intervalDays days (whichever comes
+// first) after the last service. Logging a service of the same type moves the next due date and reading.
+const maintenanceScheduleSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    // Vendor that owns the vehicle
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    serviceType: {
+        type: String,
+        enum: SERVICE_TYPES,
+        uppercase: true,
+        required: true
+    },
+    intervalKm: {
+        type: Number,
+        min: 1
+    },
+    intervalDays: {
+        type: Number,
+        min: 1
+    },
+    // Last service this schedule counts from (when it was created, if never serviced)
+    lastServiceAt: Date,
+    lastServiceOdometer: Number,
+    nextDueAt: Date,
+    nextDueOdometer: Number,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Last reminder sent for the current due date/reading; cleared when the service is logged
+    reminder: {
+        type: {
+            stage: { type: String, enum: ['DUE_SOON', 'OVERDUE'] },
+            sentAt: Date
+        },
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+maintenanceScheduleSchema.index({ vehicle: 1, serviceType: 1 });
+maintenanceScheduleSchema.index({ isActive: 1, nextDueAt: 1 });
+
+const MaintenanceSchedule = mongoose.model('MaintenanceSchedule', maintenanceScheduleSchema);
+
+module.exports = MaintenanceSchedule;
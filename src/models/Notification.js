@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in a vendor's inbox (/api/notifications)
+const notificationSchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    // Notification type (see config/notificationTemplates)
+    type: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String
+    },
+    // Values the notification was rendered from, e.g. documentId or vehicleId, for linking in the UI
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Unread while empty
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ vendor: 1, createdAt: -1 });
+notificationSchema.index({ vendor: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+
+// Editable email template for one notification type in one locale (see utils/templateUtils for the syntax)
+const notificationTemplateSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: Object.keys(NOTIFICATION_TYPES)
+    },
+    // BCP 47 language tag, lowercase ("en", "hi", "pt-br")
+    locale: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String,
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+// One template per type and locale
+notificationTemplateSchema.index({ type: 1, locale: 1 }, { unique: true });
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+module.exports = NotificationTemplate;
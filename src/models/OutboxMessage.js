@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const outboxConfig = require('../config/outbox');
+
+// One delivery attempt
+const deliveryAttemptSchema = new mongoose.Schema({
+    attempt: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['SENT', 'FAILED'],
+        required: true
+    },
+    error: String,
+    providerMessageId: String,
+    durationMs: Number,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Outbound notification waiting for, or done with, delivery by the outbox worker
+const outboxMessageSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['EMAIL', 'SMS', 'WEBHOOK', 'EVENT_WEBHOOK'],
+        default: 'EMAIL'
+    },
+    // Notification type the message was rendered from (see config/notificationTemplates)
+    type: {
+        type: String
+    },
+    // Email address, phone number or webhook url the message goes to (empty for bcc-only bulk emails)
+    recipient: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    recipientVendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    // Fleet event (EVENT_WEBHOOK messages) and the subscribed endpoint it goes to
+    event: {
+        type: String
+    },
+    webhookEndpoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint'
+    },
+    // Delivery this message replays
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OutboxMessage'
+    },
+    // Channel-specific content. EMAIL: { to, bcc, subject, text, html }; SMS: { to, body };
+    // WEBHOOK and EVENT_WEBHOOK: { url, body } (event webhooks are signed when delivered)
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // PENDING: waiting for (another) attempt; SENDING: claimed by a worker; SENT; DEAD: out of attempts
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENDING', 'SENT', 'DEAD'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: outboxConfig.maxAttempts
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Until when the claiming worker owns a SENDING message
+    lockedUntil: Date,
+    lastError: String,
+    providerMessageId: String,
+    sentAt: Date,
+    deadAt: Date,
+    deliveryLog: [deliveryAttemptSchema],
+    // Last manual retry of a dead-lettered message
+    retriedAt: Date,
+    retriedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+// Worker pickup: due PENDING messages and SENDING messages whose lock expired
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, lockedUntil: 1 });
+outboxMessageSchema.index({ recipientVendor: 1, createdAt: -1 });
+outboxMessageSchema.index({ type: 1, status: 1 });
+outboxMessageSchema.index({ webhookEndpoint: 1, createdAt: -1 });
+// Sent messages expire after the retention period
+outboxMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: outboxConfig.retentionDays * 24 * 60 * 60 });
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+module.exports = OutboxMessage;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { SERVICE_TYPES } = require('../config/maintenance');
+
+// Work done on a vehicle: what, when, at what reading, by whom and for how much
+const serviceLogSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    // Vendor that owns the vehicle
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    serviceType: {
+        type: String,
+        enum: SERVICE_TYPES,
+        uppercase: true,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    servicedAt: {
+        type: Date,
+        required: true
+    },
+    // Kilometres on the clock when serviced
+    odometer: {
+        type: Number,
+        min: 0,
+        required: true
+    },
+    cost: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    // Workshop or service provider that did the work
+    serviceVendor: {
+        name: { type: String, trim: true },
+        phone: { type: String, trim: true },
+        address: { type: String, trim: true }
+    },
+    invoiceNumber: {
+        type: String,
+        trim: true
+    },
+    parts: [{
+        _id: false,
+        name: { type: String, trim: true, required: true },
+        partNumber: { type: String, trim: true },
+        quantity: { type: Number, min: 1, default: 1 },
+        unitCost: { type: Number, min: 0, default: 0 }
+    }],
+    // Maintenance period and schedule this work was done for, if any
+    maintenance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Maintenance'
+    },
+    schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceSchedule'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+serviceLogSchema.index({ vehicle: 1, servicedAt: -1 });
+serviceLogSchema.index({ vendor: 1, servicedAt: -1 });
+
+const ServiceLog = mongoose.model('ServiceLog', serviceLogSchema);
+
+module.exports = ServiceLog;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A settlement statement: every not-yet-settled ledger entry of a vendor up to periodEnd
+const settlementSchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    openingBalance: {
+        type: Number,
+        default: 0
+    },
+    totals: {
+        tripFares: { type: Number, default: 0 },
+        commissionsEarned: { type: Number, default: 0 },
+        commissionsPaid: { type: Number, default: 0 },
+        driverPayouts: { type: Number, default: 0 },
+        payouts: { type: Number, default: 0 }
+    },
+    // What the vendor earned in the period (everything except payouts); the amount paid out on settlement
+    netEarnings: {
+        type: Number,
+        default: 0
+    },
+    closingBalance: {
+        type: Number,
+        default: 0
+    },
+    entryCount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['GENERATED', 'PAID'],
+        default: 'GENERATED'
+    },
+    paidAt: Date,
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+settlementSchema.index({ vendor: 1, periodEnd: -1 }, { unique: true });
+settlementSchema.index({ status: 1 });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+module.exports = Settlement;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Allowed status transitions for a trip
+const TRIP_TRANSITIONS = {
+    SCHEDULED: ['IN_PROGRESS', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+};
+
+const locationSchema = new mongoose.Schema({
+    address: {
+        type: String,
+        trim: true
+    },
+    latitude: Number,
+    longitude: Number
+}, { _id: false });
+
+const tripSchema = new mongoose.Schema({
+    // Vendor that owns the vehicle running the trip
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    status: {
+        type: String,
+        enum: Object.keys(TRIP_TRANSITIONS),
+        default: 'SCHEDULED'
+    },
+    pickup: locationSchema,
+    dropoff: locationSchema,
+    scheduledAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    cancellationReason: {
+        type: String,
+        trim: true
+    },
+    distanceKm: {
+        type: Number,
+        min: 0
+    },
+    fare: {
+        type: Number,
+        min: 0
+    },
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    ratingComment: {
+        type: String,
+        trim: true
+    },
+    ratedAt: Date,
+    // Set once the fare has been split into ledger entries
+    ledgerRecordedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+tripSchema.index({ vendor: 1, createdAt: -1 });
+tripSchema.index({ driver: 1, status: 1 });
+tripSchema.index({ vehicle: 1, status: 1 });
+tripSchema.index({ status: 1 });
+
+// Whether the trip may move to the given status
+tripSchema.methods.canTransitionTo = function (status) {
+    return TRIP_TRANSITIONS[this.status].includes(status);
+};
+
+// Statuses a trip must be in to move to the given status
+tripSchema.statics.getSourceStatuses = function (status) {
+    return Object.keys(TRIP_TRANSITIONS).filter(source => TRIP_TRANSITIONS[source].includes(status));
+};
+
+const Trip = mongoose.model('Trip', tripSchema);
+
+module.exports = Trip;
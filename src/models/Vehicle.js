@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { VEHICLE_TYPES } = require('../config/eligibility');
 
 const vehicleSchema = new mongoose.Schema({
     registrationNumber: {
@@ -21,40 +22,17 @@ const vehicleSchema = new mongoose.Schema({
         enum: ['PETROL', 'DIESEL', 'CNG', 'ELECTRIC'],
         required: true
     },
+    // Decides which driving license classes may drive it; vehicles without one skip that check
+    vehicleType: {
+        type: String,
+        enum: Object.keys(VEHICLE_TYPES),
+        uppercase: true
+    },
     vendor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Vendor',
         required: true
     },
-    documents: {
-        registrationCertificate: {
-            number: String,
-            expiryDate: Date,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        },
-        permit: {
-            number: String,
-            expiryDate: Date,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        },
-        pollutionCertificate: {
-            number: String,
-            expiryDate: Date,
-            documentUrl: String,
-            isVerified: {
-                type: Boolean,
-                default: false
-            }
-        }
-    },
     status: {
         type: String,
         enum: ['ACTIVE', 'INACTIVE', 'MAINTENANCE', 'SUSPENDED'],
@@ -64,11 +42,54 @@ const vehicleSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Driver',
         default: null
+    },
+    // Kilometres on the clock, from service logs, updates and completed trips
+    odometer: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Set while the vehicle is off the road for maintenance; cleared when the maintenance is completed or cancelled
+    maintenance: {
+        type: {
+            maintenanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Maintenance' },
+            startedAt: Date,
+            previousStatus: String
+        },
+        default: null
+    },
+    // Latest inspection by inspection date; a FAIL blocks activation until a newer inspection passes
+    lastInspection: {
+        type: {
+            inspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection' },
+            result: { type: String, enum: ['PASS', 'FAIL'] },
+            inspectedAt: Date
+        },
+        default: null
+    },
+    // Set while the vehicle is SUSPENDED by the compliance enforcement job; cleared when it is restored
+    complianceSuspension: {
+        type: {
+            suspendedAt: Date,
+            previousStatus: String,
+            reasons: [{
+                _id: false,
+                type: { type: String },
+                name: String,
+                reason: { type: String, enum: ['MISSING', 'EXPIRED'] }
+            }]
+        },
+        default: null
     }
 }, {
     timestamps: true
 });
 
+// Add the distance of a completed trip to the odometer
+vehicleSchema.statics.recordDistance = function (vehicleId, distanceKm) {
+    return this.findByIdAndUpdate(vehicleId, { $inc: { odometer: distanceKm } }, { new: true });
+};
+
 const Vehicle = mongoose.model('Vehicle', vehicleSchema);
 
 module.exports = Vehicle; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PERMISSIONS } = require('../config/permissions');
 
 const vendorSchema = new mongoose.Schema({
     name: {
@@ -30,17 +31,7 @@ const vendorSchema = new mongoose.Schema({
     },
     permissions: [{
         type: String,
-        enum: [
-            'ALL',
-            'FLEET_MANAGEMENT',
-            'DRIVER_MANAGEMENT',
-            'PAYMENT_PROCESSING',
-            'COMPLIANCE_TRACKING',
-            'DOCUMENT_VERIFICATION',
-            'REPORT_GENERATION',
-            'USER_MANAGEMENT',
-            'SETTINGS_MANAGEMENT'
-        ]
+        enum: ['ALL', ...PERMISSIONS]
     }],
     operatingArea: {
         city: {
@@ -56,10 +47,42 @@ const vendorSchema = new mongoose.Schema({
             trim: true
         }]
     },
+    // Language of the vendor's notifications; the default locale is used when unset
+    locale: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    // Channels per notification type (see config/notificationChannels); types left out use the defaults
+    notificationPreferences: {
+        type: Map,
+        of: [String],
+        default: undefined
+    },
+    // Where the SMS and WEBHOOK channels deliver
+    notificationContacts: {
+        phone: {
+            type: String,
+            trim: true
+        },
+        webhookUrl: {
+            type: String,
+            trim: true
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Set to false at registration until the emailed link is confirmed.
+    // Left unset (no default) so vendors created before verification existed keep full access.
+    emailVerified: {
+        type: Boolean
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+
     createdAt: {
         type: Date,
         default: Date.now
@@ -81,6 +104,11 @@ vendorSchema.pre('save', async function (next) {
     }
 });
 
+// Whether the vendor still has to confirm their email address
+vendorSchema.methods.isEmailVerificationPending = function () {
+    return this.emailVerified === false;
+};
+
 // Method to compare password
 vendorSchema.methods.comparePassword = async function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// URL a vendor registered to receive fleet events for itself and the vendors below it
+const webhookEndpointSchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Subscribed events; '*' subscribes to all of them
+    events: [{
+        type: String,
+        enum: [...Object.keys(WEBHOOK_EVENTS), '*']
+    }],
+    // HMAC-SHA256 key for X-Webhook-Signature. Only returned when the endpoint is created or the secret rotated.
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+    },
+    // Outcome of the latest delivery attempt
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['SENT', 'FAILED']
+    },
+    lastDeliveryError: String,
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+webhookEndpointSchema.index({ vendor: 1 });
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
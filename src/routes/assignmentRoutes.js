@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, requireSuperVendor } = require('../middleware/auth');
+const assignmentConsistencyController = require('../controllers/assignmentConsistencyController');
+
+const superOnly = requireSuperVendor('run assignment consistency checks');
+
+// Vehicle/driver link consistency check (covers every vendor, so limited to SUPER vendors)
+router.get('/consistency/reports', auth, checkPermission('FLEET_MANAGEMENT'), superOnly, assignmentConsistencyController.getConsistencyReports);
+router.get('/consistency/reports/:reportId', auth, checkPermission('FLEET_MANAGEMENT'), superOnly, assignmentConsistencyController.getConsistencyReport);
+router.post('/consistency/check', auth, checkPermission('FLEET_MANAGEMENT'), superOnly, assignmentConsistencyController.runConsistencyCheck);
+
+module.exports = router;
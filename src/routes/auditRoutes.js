@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission } = require('../middleware/auth');
+const auditController = require('../controllers/auditController');
+
+// Audit trail, scoped to the requesting vendor's hierarchy
+router.get('/', auth, checkPermission('REPORT_GENERATION'), auditController.getAuditLogs);
+
+module.exports = router;
@@ -1,15 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { auth, checkPermission } = require('../middleware/auth');
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
+const { uploadDocumentFile } = require('../middleware/upload');
 const documentController = require('../controllers/documentController');
+const auditController = require('../controllers/auditController');
 
-// Document upload routes
-router.post('/vehicles/:id/documents', auth, checkPermission('FLEET_MANAGEMENT'), documentController.uploadVehicleDocuments);
-router.post('/drivers/:id/documents', auth, checkPermission('DRIVER_MANAGEMENT'), documentController.uploadDriverDocuments);
+// Document upload routes (multipart field "file", or JSON with documentUrl)
+router.post('/vehicles/:id/documents', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), uploadDocumentFile('file'), documentController.uploadVehicleDocuments);
+router.post('/drivers/:id/documents', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), uploadDocumentFile('file'), documentController.uploadDriverDocuments);
+
+// Review workflow: SUBMITTED -> UNDER_REVIEW -> APPROVED | REJECTED, then resubmission of rejected documents
+router.post('/:documentId/review/start', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('DOCUMENT', 'documentId'), documentController.startDocumentReview);
+router.post('/:documentId/review/approve', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('DOCUMENT', 'documentId'), documentController.approveDocument);
+router.post('/:documentId/review/reject', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('DOCUMENT', 'documentId'), documentController.rejectDocument);
+router.post('/:documentId/resubmit', auth, checkEntityAccess('DOCUMENT', 'documentId'), uploadDocumentFile('file'), documentController.resubmitDocument);
+
+// Verification queue: pending documents in the reviewer's subtree, claim leases and SLA metrics
+router.get('/queue', auth, checkPermission('DOCUMENT_VERIFICATION'), documentController.getVerificationQueue);
+router.get('/queue/metrics', auth, checkPermission('DOCUMENT_VERIFICATION'), documentController.getVerificationMetrics);
+router.post('/:documentId/claim', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('DOCUMENT', 'documentId'), documentController.claimDocument);
+router.delete('/:documentId/claim', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('DOCUMENT', 'documentId'), documentController.releaseDocumentClaim);
+
+// Document downloads
+router.get('/files/:documentId', documentController.downloadDocumentFile);
+router.get('/:documentId/download-url', auth, checkEntityAccess('DOCUMENT', 'documentId'), documentController.getDocumentDownloadUrl);
 
 // Document status checks
-router.get('/vehicles/:id/documents/status', auth, documentController.getVehicleDocumentStatus);
-router.get('/drivers/:id/documents/status', auth, documentController.getDriverDocumentStatus);
+router.get('/vehicles/:id/documents/status', auth, checkEntityAccess('VEHICLE'), documentController.getVehicleDocumentStatus);
+router.get('/drivers/:id/documents/status', auth, checkEntityAccess('DRIVER'), documentController.getDriverDocumentStatus);
 router.get('/expiring', auth, documentController.getExpiringDocuments);
 
+// Point-in-time compliance (?at=<date>)
+router.get('/vehicles/:id/documents/compliance', auth, checkEntityAccess('VEHICLE'), documentController.getVehicleComplianceAsOf);
+router.get('/drivers/:id/documents/compliance', auth, checkEntityAccess('DRIVER'), documentController.getDriverComplianceAsOf);
+
+// Renewal timeline (every version of the entity's document of the same type)
+router.get('/:documentId/timeline', auth, checkEntityAccess('DOCUMENT', 'documentId'), documentController.getDocumentTimeline);
+
+// Document audit history
+router.get('/:documentId/history', auth, checkEntityAccess('DOCUMENT', 'documentId'), auditController.getDocumentHistory);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, requireSuperVendor } = require('../middleware/auth');
+const documentTypeController = require('../controllers/documentTypeController');
+
+const superOnly = requireSuperVendor('manage document types');
+
+// Document type registry (it applies platform-wide, so changes are limited to SUPER vendors)
+router.get('/', auth, documentTypeController.getDocumentTypes);
+router.get('/:code', auth, documentTypeController.getDocumentType);
+router.post('/', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, documentTypeController.createDocumentType);
+router.put('/:code', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, documentTypeController.updateDocumentType);
+router.delete('/:code', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, documentTypeController.deactivateDocumentType);
+router.put('/:code/cities/:city', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, documentTypeController.setCityOverride);
+router.delete('/:code/cities/:city', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, documentTypeController.removeCityOverride);
+
+module.exports = router;
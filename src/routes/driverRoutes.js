@@ -1,18 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { auth, checkPermission } = require('../middleware/auth');
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
 const driverController = require('../controllers/driverController');
+const auditController = require('../controllers/auditController');
+const assignmentController = require('../controllers/assignmentController');
 
 // Basic driver operations
 router.post('/', auth, checkPermission('DRIVER_MANAGEMENT'), driverController.addDriver);
 router.get('/', auth, driverController.getDrivers);
-router.put('/:id', auth, checkPermission('DRIVER_MANAGEMENT'), driverController.updateDriver);
-router.delete('/:id', auth, checkPermission('DRIVER_MANAGEMENT'), driverController.deleteDriver);
+router.get('/:id', auth, checkEntityAccess('DRIVER'), driverController.getDriverById);
+router.put('/:id', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), driverController.updateDriver);
+router.delete('/:id', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), driverController.deleteDriver);
 
 // Driver-vehicle assignment
-router.post('/:id/assign-vehicle', auth, checkPermission('DRIVER_MANAGEMENT'), driverController.assignVehicleToDriver);
+router.post('/:id/assign-vehicle', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), driverController.assignVehicleToDriver);
+router.post('/:id/unassign-vehicle', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), driverController.unassignVehicleFromDriver);
+
+// Dry-run eligibility check for an assignment
+router.get('/:id/eligibility', auth, checkPermission('DRIVER_MANAGEMENT'), checkEntityAccess('DRIVER'), assignmentController.checkDriverEligibility);
+
+// Assignment history and planned shifts
+router.get('/:id/assignments', auth, checkEntityAccess('DRIVER'), assignmentController.getDriverAssignments);
 
 // Driver document management
-router.post('/:id/verify-documents', auth, checkPermission('COMPLIANCE_TRACKING'), driverController.verifyDriverDocuments);
+router.post('/:id/verify-documents', auth, checkPermission('COMPLIANCE_TRACKING'), checkEntityAccess('DRIVER'), driverController.verifyDriverDocuments);
+router.get('/:id/documents/status', auth, checkEntityAccess('DRIVER'), driverController.checkDriverDocumentStatus);
+
+// Driver audit history
+router.get('/:id/history', auth, checkEntityAccess('DRIVER'), auditController.getDriverHistory);
 
 module.exports = router; 
\ No newline at end of file
@@ -6,11 +6,31 @@ const vendorRoutes = require('./vendorRoutes');
 const vehicleRoutes = require('./vehicleRoutes');
 const driverRoutes = require('./driverRoutes');
 const documentRoutes = require('./documentRoutes');
+const tripRoutes = require('./tripRoutes');
+const ledgerRoutes = require('./ledgerRoutes');
+const documentTypeRoutes = require('./documentTypeRoutes');
+const inspectionTemplateRoutes = require('./inspectionTemplateRoutes');
+const notificationTemplateRoutes = require('./notificationTemplateRoutes');
+const notificationOutboxRoutes = require('./notificationOutboxRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const assignmentRoutes = require('./assignmentRoutes');
+const auditRoutes = require('./auditRoutes');
 
 // Mount routes
 router.use('/vendors', vendorRoutes);
 router.use('/vehicles', vehicleRoutes);
 router.use('/drivers', driverRoutes);
 router.use('/documents', documentRoutes);
+router.use('/trips', tripRoutes);
+router.use('/ledger', ledgerRoutes);
+router.use('/document-types', documentTypeRoutes);
+router.use('/inspection-templates', inspectionTemplateRoutes);
+router.use('/notification-templates', notificationTemplateRoutes);
+router.use('/notification-outbox', notificationOutboxRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/assignments', assignmentRoutes);
+router.use('/audit', auditRoutes);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, requireSuperVendor } = require('../middleware/auth');
+const inspectionTemplateController = require('../controllers/inspectionTemplateController');
+
+const superOnly = requireSuperVendor('manage inspection templates');
+
+// Inspection template registry (it applies platform-wide, so changes are limited to SUPER vendors)
+router.get('/', auth, inspectionTemplateController.getInspectionTemplates);
+router.get('/:code', auth, inspectionTemplateController.getInspectionTemplate);
+router.post('/', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, inspectionTemplateController.createInspectionTemplate);
+router.put('/:code', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, inspectionTemplateController.updateInspectionTemplate);
+router.delete('/:code', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, inspectionTemplateController.deactivateInspectionTemplate);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
+const ledgerController = require('../controllers/ledgerController');
+
+// Balances and transactions
+router.get('/vendors/:vendorId/balance', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('VENDOR', 'vendorId'), ledgerController.getVendorBalance);
+router.get('/vendors/:vendorId/transactions', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('VENDOR', 'vendorId'), ledgerController.getVendorTransactions);
+router.get('/drivers/:id/balance', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('DRIVER'), ledgerController.getDriverBalance);
+router.get('/drivers/:id/transactions', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('DRIVER'), ledgerController.getDriverTransactions);
+
+// Settlement statements
+router.get('/vendors/:vendorId/settlements', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('VENDOR', 'vendorId'), ledgerController.getVendorSettlements);
+router.post('/vendors/:vendorId/settlements', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('VENDOR', 'vendorId'), ledgerController.generateVendorSettlement);
+router.get('/settlements/:settlementId', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('SETTLEMENT', 'settlementId'), ledgerController.getSettlement);
+// Payouts are made by an ancestor, never by the vendor being paid
+router.post('/settlements/:settlementId/pay', auth, checkPermission('PAYMENT_PROCESSING'), checkEntityAccess('SETTLEMENT', 'settlementId', { allowSelf: false }), ledgerController.paySettlement);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, requireSuperVendor } = require('../middleware/auth');
+const notificationOutboxController = require('../controllers/notificationOutboxController');
+
+const superOnly = requireSuperVendor('manage the notification outbox');
+
+// Queued, sent and dead-lettered notifications of every vendor (limited to SUPER vendors)
+router.get('/', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationOutboxController.getOutboxMessages);
+router.get('/stats', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationOutboxController.getOutboxStats);
+router.post('/retry', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationOutboxController.retryDeadOutboxMessages);
+router.get('/:messageId', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationOutboxController.getOutboxMessage);
+router.post('/:messageId/retry', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationOutboxController.retryOutboxMessage);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const notificationController = require('../controllers/notificationController');
+
+// Channel preferences of the requesting vendor
+router.get('/preferences', auth, notificationController.getNotificationPreferences);
+router.put('/preferences', auth, notificationController.updateNotificationPreferences);
+
+// In-app inbox of the requesting vendor
+router.get('/', auth, notificationController.getNotifications);
+router.get('/unread-count', auth, notificationController.getUnreadCount);
+router.post('/read-all', auth, notificationController.markAllNotificationsRead);
+router.put('/:notificationId/read', auth, notificationController.markNotificationRead);
+router.put('/:notificationId/unread', auth, notificationController.markNotificationUnread);
+
+module.exports = router;
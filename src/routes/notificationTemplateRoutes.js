@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, requireSuperVendor } = require('../middleware/auth');
+const notificationTemplateController = require('../controllers/notificationTemplateController');
+
+const superOnly = requireSuperVendor('manage notification templates');
+
+// Notification email templates per type and locale (they apply platform-wide, so changes are limited to SUPER vendors)
+router.get('/types', auth, checkPermission('SETTINGS_MANAGEMENT'), notificationTemplateController.getNotificationTypes);
+router.get('/', auth, checkPermission('SETTINGS_MANAGEMENT'), notificationTemplateController.getNotificationTemplates);
+router.get('/:type/:locale', auth, checkPermission('SETTINGS_MANAGEMENT'), notificationTemplateController.getNotificationTemplate);
+router.put('/:type/:locale', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationTemplateController.saveNotificationTemplate);
+router.delete('/:type/:locale', auth, checkPermission('SETTINGS_MANAGEMENT'), superOnly, notificationTemplateController.deleteNotificationTemplate);
+
+// Render without sending
+router.post('/:type/:locale/preview', auth, checkPermission('SETTINGS_MANAGEMENT'), notificationTemplateController.previewNotificationTemplate);
+
+module.exports = router;
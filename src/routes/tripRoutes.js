@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
+const tripController = require('../controllers/tripController');
+const auditController = require('../controllers/auditController');
+
+// Basic trip operations
+router.post('/', auth, checkPermission('FLEET_MANAGEMENT'), tripController.createTrip);
+router.get('/', auth, tripController.getTrips);
+router.get('/:id', auth, checkEntityAccess('TRIP'), tripController.getTripById);
+
+// Trip lifecycle
+router.post('/:id/start', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('TRIP'), tripController.startTrip);
+router.post('/:id/complete', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('TRIP'), tripController.completeTrip);
+router.post('/:id/cancel', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('TRIP'), tripController.cancelTrip);
+router.post('/:id/rating', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('TRIP'), tripController.rateTrip);
+
+// Trip audit history
+router.get('/:id/history', auth, checkEntityAccess('TRIP'), auditController.getTripHistory);
+
+module.exports = router;
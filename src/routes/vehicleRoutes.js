@@ -1,19 +1,56 @@
 const express = require('express');
 const router = express.Router();
-const { auth, checkPermission } = require('../middleware/auth');
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
+const { uploadDocumentFile } = require('../middleware/upload');
 const vehicleController = require('../controllers/vehicleController');
+const auditController = require('../controllers/auditController');
+const assignmentController = require('../controllers/assignmentController');
+const maintenanceController = require('../controllers/maintenanceController');
+const inspectionController = require('../controllers/inspectionController');
 
 // Basic vehicle operations
 router.post('/', auth, checkPermission('FLEET_MANAGEMENT'), vehicleController.addVehicle);
 router.get('/', auth, vehicleController.getVehicles);
-router.get('/:id', auth, checkPermission('FLEET_MANAGEMENT'), vehicleController.getVehicleById);
-router.put('/:id', auth, checkPermission('FLEET_MANAGEMENT'), vehicleController.updateVehicle);
-router.delete('/:id', auth, checkPermission('FLEET_MANAGEMENT'), vehicleController.deleteVehicle);
+router.get('/:id', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), vehicleController.getVehicleById);
+router.put('/:id', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), vehicleController.updateVehicle);
+router.delete('/:id', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), vehicleController.deleteVehicle);
 
 // Vehicle-driver assignment
-router.post('/:id/assign-driver', auth, checkPermission('FLEET_MANAGEMENT'), vehicleController.assignDriverToVehicle);
+router.post('/:id/assign-driver', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), vehicleController.assignDriverToVehicle);
+router.post('/:id/unassign-driver', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), vehicleController.unassignDriverFromVehicle);
+
+// Dry-run eligibility check for an assignment
+router.get('/:id/eligibility', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), assignmentController.checkVehicleEligibility);
+
+// Assignment history and planned shifts
+router.get('/:id/assignments', auth, checkEntityAccess('VEHICLE'), assignmentController.getVehicleAssignments);
+router.post('/:id/shifts', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), assignmentController.planShift);
+router.delete('/:id/shifts/:shiftId', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), assignmentController.cancelShift);
+
+// Maintenance periods, service logs and interval schedules
+router.get('/:id/maintenance', auth, checkEntityAccess('VEHICLE'), maintenanceController.getMaintenanceHistory);
+router.post('/:id/maintenance', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.scheduleMaintenance);
+router.post('/:id/maintenance/:maintenanceId/complete', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.completeMaintenance);
+router.post('/:id/maintenance/:maintenanceId/cancel', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.cancelMaintenance);
+router.get('/:id/service-logs', auth, checkEntityAccess('VEHICLE'), maintenanceController.getServiceLogs);
+router.post('/:id/service-logs', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.addServiceLog);
+router.get('/:id/maintenance-schedules', auth, checkEntityAccess('VEHICLE'), maintenanceController.getMaintenanceSchedules);
+router.post('/:id/maintenance-schedules', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.createMaintenanceSchedule);
+router.put('/:id/maintenance-schedules/:scheduleId', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.updateMaintenanceSchedule);
+router.delete('/:id/maintenance-schedules/:scheduleId', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), maintenanceController.deleteMaintenanceSchedule);
+
+// Inspections against inspection templates, with evidence per item
+router.get('/:id/inspections', auth, checkEntityAccess('VEHICLE'), inspectionController.getInspections);
+router.post('/:id/inspections', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), inspectionController.submitInspection);
+router.get('/:id/inspections/:inspectionId', auth, checkEntityAccess('VEHICLE'), inspectionController.getInspection);
+router.post('/:id/inspections/:inspectionId/items/:itemKey/evidence', auth, checkPermission('FLEET_MANAGEMENT'), checkEntityAccess('VEHICLE'), uploadDocumentFile('file'), inspectionController.addInspectionEvidence);
+router.get('/:id/inspections/:inspectionId/evidence/:evidenceId', auth, checkEntityAccess('VEHICLE'), inspectionController.downloadInspectionEvidence);
 
 // Vehicle document management
-router.post('/:id/verify-documents', auth, checkPermission('COMPLIANCE_TRACKING'), vehicleController.verifyVehicleDocuments);
+router.post('/:id/verify-documents', auth, checkPermission('COMPLIANCE_TRACKING'), checkEntityAccess('VEHICLE'), vehicleController.verifyVehicleDocuments);
+router.get('/:id/document-status', auth, checkEntityAccess('VEHICLE'), vehicleController.checkVehicleDocumentStatus);
+
+// Vehicle audit history
+router.get('/:id/history', auth, checkEntityAccess('VEHICLE'), auditController.getVehicleHistory);
 
 module.exports = router; 
\ No newline at end of file
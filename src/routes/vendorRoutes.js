@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { auth, checkPermission } = require('../middleware/auth');
+const { auth, checkPermission, checkEntityAccess } = require('../middleware/auth');
+const { uploadDocumentFile } = require('../middleware/upload');
 const vendorController = require('../controllers/vendorController');
+const auditController = require('../controllers/auditController');
 
 // Vendor registration and authentication
 router.post('/register', vendorController.registerVendor);
@@ -9,6 +11,15 @@ router.post('/register/city', auth, checkPermission('USER_MANAGEMENT'), vendorCo
 router.post('/register/sub', auth, checkPermission('USER_MANAGEMENT'), vendorController.registerSubVendor);
 router.post('/register/local', auth, checkPermission('USER_MANAGEMENT'), vendorController.registerLocalVendor);
 router.post('/login', vendorController.loginVendor);
+router.post('/refresh-token', vendorController.refreshVendorToken);
+router.post('/logout', auth, vendorController.logoutVendor);
+router.post('/logout-all', auth, vendorController.logoutAllVendorSessions);
+
+// Password reset and email verification
+router.post('/forgot-password', vendorController.forgotPassword);
+router.post('/reset-password', vendorController.resetPassword);
+router.post('/verify-email', vendorController.verifyEmail);
+router.post('/verify-email/resend', auth, vendorController.resendVerificationEmail);
 
 // Vendor profile management
 router.get('/profile', auth, vendorController.getVendorProfile);
@@ -17,33 +28,41 @@ router.get('/sub-vendors', auth, vendorController.getSubVendors);
 router.get('/dashboard', auth, vendorController.getVendorDashboard);
 
 // Vendor hierarchy management
-router.get('/super/:superVendorId/all-vendors', auth, checkPermission('USER_MANAGEMENT'), vendorController.getAllVendors);
-router.get('/city/:cityVendorId/all-vendors', auth, checkPermission('USER_MANAGEMENT'), vendorController.getCityVendors);
+router.get('/super/:superVendorId/all-vendors', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'superVendorId'), vendorController.getAllVendors);
+router.get('/city/:cityVendorId/all-vendors', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'cityVendorId'), vendorController.getCityVendors);
 router.get('/sub-vendors/local/:localVendorId/all-vendors', auth, checkPermission('USER_MANAGEMENT'), vendorController.getSubVendorLocalVendors);
 
 // Vendor document management
-router.post('/local/:localVendorId/documents', auth, vendorController.uploadLocalVendorDocuments);
-router.post('/sub/:subVendorId/documents', auth, vendorController.uploadSubVendorDocuments);
-router.post('/city/:cityVendorId/documents', auth, vendorController.uploadCityVendorDocuments);
+router.post('/local/:localVendorId/documents', auth, checkEntityAccess('VENDOR', 'localVendorId'), uploadDocumentFile('file'), vendorController.uploadLocalVendorDocuments);
+router.post('/sub/:subVendorId/documents', auth, checkEntityAccess('VENDOR', 'subVendorId'), uploadDocumentFile('file'), vendorController.uploadSubVendorDocuments);
+router.post('/city/:cityVendorId/documents', auth, checkEntityAccess('VENDOR', 'cityVendorId'), uploadDocumentFile('file'), vendorController.uploadCityVendorDocuments);
 
 // Vendor document verification
-router.post('/city/:cityVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), vendorController.verifyCityVendorDocuments);
-router.post('/sub/:subVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), vendorController.verifySubVendorDocuments);
-router.post('/local/:localVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), vendorController.verifyLocalVendorDocuments);
+router.post('/city/:cityVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('VENDOR', 'cityVendorId', { allowSelf: false }), vendorController.verifyCityVendorDocuments);
+router.post('/sub/:subVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('VENDOR', 'subVendorId', { allowSelf: false }), vendorController.verifySubVendorDocuments);
+router.post('/local/:localVendorId/verify-documents', auth, checkPermission('DOCUMENT_VERIFICATION'), checkEntityAccess('VENDOR', 'localVendorId', { allowSelf: false }), vendorController.verifyLocalVendorDocuments);
 
 // Vendor status management
-router.post('/city/:cityVendorId/status', auth, checkPermission('USER_MANAGEMENT'), vendorController.updateCityVendorStatus);
-router.post('/sub/:subVendorId/status', auth, checkPermission('USER_MANAGEMENT'), vendorController.updateSubVendorStatus);
-router.post('/local/:localVendorId/status', auth, checkPermission('USER_MANAGEMENT'), vendorController.updateLocalVendorStatus);
-router.post('/:vendorId/permissions', auth, checkPermission('USER_MANAGEMENT'), vendorController.updateVendorPermissions);
+router.post('/city/:cityVendorId/status', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'cityVendorId', { allowSelf: false }), vendorController.updateCityVendorStatus);
+router.post('/sub/:subVendorId/status', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'subVendorId', { allowSelf: false }), vendorController.updateSubVendorStatus);
+router.post('/local/:localVendorId/status', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'localVendorId', { allowSelf: false }), vendorController.updateLocalVendorStatus);
+router.post('/:vendorId/permissions', auth, checkPermission('USER_MANAGEMENT'), checkEntityAccess('VENDOR', 'vendorId', { allowSelf: false }), vendorController.updateVendorPermissions);
+
+// Delegated permissions
+router.get('/permission-templates', auth, vendorController.getPermissionTemplates);
+router.get('/:vendorId/permissions/effective', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getEffectivePermissions);
 
 // Vendor statistics and dashboard
-router.get('/:vendorId/statistics', auth, vendorController.getVendorStatistics);
-router.get('/:vendorId/documents/expiry-summary', auth, vendorController.getDocumentExpirySummary);
-router.get('/:vendorId/status-counts', auth, vendorController.getStatusCounts);
-router.get('/:vendorId/fleet-status', auth, vendorController.getFleetStatus);
-router.get('/:vendorId/driver-availability', auth, vendorController.getDriverAvailability);
-router.get('/:vendorId/compliance-reports', auth, vendorController.getComplianceReports);
-router.get('/:vendorId/operational-metrics', auth, vendorController.getOperationalMetrics);
+router.get('/:vendorId/statistics', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getVendorStatistics);
+router.get('/:vendorId/documents/expiry-summary', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getDocumentExpirySummary);
+router.get('/:vendorId/status-counts', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getStatusCounts);
+router.get('/:vendorId/fleet-status', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getFleetStatus);
+router.get('/:vendorId/driver-availability', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getDriverAvailability);
+router.get('/:vendorId/compliance-reports', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getComplianceReports);
+router.get('/:vendorId/compliance-reports/as-of', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getComplianceAsOf);
+router.get('/:vendorId/operational-metrics', auth, checkEntityAccess('VENDOR', 'vendorId'), vendorController.getOperationalMetrics);
+
+// Vendor audit history
+router.get('/:vendorId/history', auth, checkEntityAccess('VENDOR', 'vendorId'), auditController.getVendorHistory);
 
 module.exports = router; 
\ No newline at end of file
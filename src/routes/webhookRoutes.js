@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission } = require('../middleware/auth');
+const webhookController = require('../controllers/webhookController');
+
+// Fleet event webhooks of the requesting vendor and the vendors below it
+router.get('/events', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.getWebhookEvents);
+router.get('/', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.getWebhookEndpoints);
+router.post('/', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.createWebhookEndpoint);
+
+// Deliveries
+router.get('/deliveries/:deliveryId', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.getWebhookDelivery);
+router.post('/deliveries/:deliveryId/replay', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.replayWebhookDelivery);
+
+router.get('/:endpointId', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.getWebhookEndpoint);
+router.put('/:endpointId', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.updateWebhookEndpoint);
+router.delete('/:endpointId', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.deleteWebhookEndpoint);
+router.post('/:endpointId/rotate-secret', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.rotateWebhookSecret);
+router.post('/:endpointId/test', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.testWebhookEndpoint);
+router.get('/:endpointId/deliveries', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.getWebhookDeliveries);
+router.post('/:endpointId/replay', auth, checkPermission('FLEET_MANAGEMENT'), webhookController.replayWebhookDeliveries);
+
+module.exports = router;
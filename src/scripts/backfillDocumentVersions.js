@@ -0,0 +1,82 @@
+// Links documents uploaded before version chains into chains per entity and documentType:
+// version numbers in upload order, previousVersion/supersededBy links and the isCurrent pointer on the latest upload.
+//
+// Usage: node src/scripts/backfillDocumentVersions.js [--dry-run]
+//   --dry-run  report how many chains would be linked without writing anything
+//
+// Safe to re-run: only chains that still contain a document without an isCurrent flag are touched.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const logger = require('../config/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const linkChain = async ({ entityType, entityId, documentType }, stats) => {
+    const versions = await Document.collection
+        .find({ entityType, entityId, documentType }, { projection: { createdAt: 1 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+
+    const operations = versions.map((version, index) => {
+        const next = versions[index + 1];
+        return {
+            updateOne: {
+                filter: { _id: version._id },
+                update: {
+                    $set: {
+                        version: index + 1,
+                        previousVersion: index > 0 ? versions[index - 1]._id : null,
+                        isCurrent: !next,
+                        supersededBy: next ? next._id : null,
+                        supersededAt: next ? next.createdAt : null
+                    }
+                }
+            }
+        };
+    });
+
+    if (!dryRun) {
+        // Supersede the older versions before flagging the latest one, so the unique current-version index holds throughout
+        await Document.collection.bulkWrite(operations, { ordered: true });
+    }
+    stats.chains++;
+    stats.documents += versions.length;
+};
+
+const backfill = async () => {
+    const stats = { chains: 0, documents: 0, failed: [] };
+
+    const cursor = Document.collection.aggregate([
+        { $match: { isCurrent: { $exists: false } } },
+        { $group: { _id: { entityType: '$entityType', entityId: '$entityId', documentType: '$documentType' } } }
+    ]);
+
+    for await (const { _id: chain } of cursor) {
+        try {
+            await linkChain(chain, stats);
+        } catch (error) {
+            logger.error('Document version backfill failed for chain', { ...chain, error: error.message });
+            stats.failed.push({ ...chain, error: error.message });
+        }
+    }
+
+    return stats;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vendor-management')
+    .then(backfill)
+    .then(stats => {
+        logger.info('Document version backfill finished', {
+            dryRun,
+            chains: stats.chains,
+            documents: stats.documents,
+            failed: stats.failed.length
+        });
+        return mongoose.disconnect();
+    })
+    .catch(error => {
+        logger.error('Document version backfill error:', { error: error.message, stack: error.stack });
+        process.exitCode = 1;
+        return mongoose.disconnect();
+    });
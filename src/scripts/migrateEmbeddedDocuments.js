@@ -0,0 +1,110 @@
+// Moves the legacy embedded Vehicle.documents / Driver.documents subdocuments into the Document collection.
+//
+// Usage: node src/scripts/migrateEmbeddedDocuments.js [--dry-run] [--remove-embedded]
+//   --dry-run          report what would be migrated without writing anything
+//   --remove-embedded  unset the embedded documents of entities whose entries were all migrated
+//
+// Safe to re-run: an entry is skipped when the entity already has a document of that type in the collection.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const Document = require('../models/Document');
+const logger = require('../config/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+const removeEmbedded = process.argv.includes('--remove-embedded');
+
+// Embedded documents never went through the upload flow, so only entries with the fields the collection requires can move
+const getMissingFields = (entry) => ['number', 'expiryDate', 'documentUrl'].filter(field => !entry[field]);
+
+const migrateEntity = async (entityType, entity, stats) => {
+    let pending = 0;
+
+    for (const [documentType, entry] of Object.entries(entity.documents || {})) {
+        if (!entry || typeof entry !== 'object' || Object.keys(entry).length === 0) {
+            continue;
+        }
+
+        if (await Document.exists({ entityType, entityId: entity._id, documentType })) {
+            stats.alreadyPresent++;
+            continue;
+        }
+
+        const missingFields = getMissingFields(entry);
+        if (missingFields.length > 0) {
+            stats.skipped.push({ entityType, entityId: entity._id.toString(), documentType, missingFields });
+            pending++;
+            continue;
+        }
+
+        if (!dryRun) {
+            const document = new Document({
+                vendor: entity.vendor,
+                entityType,
+                entityId: entity._id,
+                documentType,
+                documentNumber: entry.number,
+                documentUrl: entry.documentUrl,
+                expiryDate: entry.expiryDate,
+                isVerified: Boolean(entry.isVerified),
+                reviewStatus: entry.isVerified ? 'APPROVED' : 'SUBMITTED',
+                verificationRemarks: entry.verificationRemarks,
+                verifiedBy: entry.verifiedBy,
+                verifiedAt: entry.verifiedAt,
+                metadata: { migratedFrom: `${entityType === 'VEHICLE' ? 'Vehicle' : 'Driver'}.documents` }
+            });
+            await document.save();
+        }
+        stats.migrated++;
+    }
+
+    if (removeEmbedded && !dryRun && pending === 0) {
+        const Model = entityType === 'VEHICLE' ? Vehicle : Driver;
+        // The field is no longer in the schema, so go through the raw collection
+        await Model.collection.updateOne({ _id: entity._id }, { $unset: { documents: '' } });
+        stats.embeddedRemoved++;
+    }
+};
+
+const migrate = async () => {
+    const stats = { migrated: 0, alreadyPresent: 0, embeddedRemoved: 0, skipped: [] };
+
+    for (const [entityType, Model] of [['VEHICLE', Vehicle], ['DRIVER', Driver]]) {
+        const cursor = Model.collection.find(
+            { documents: { $exists: true } },
+            { projection: { vendor: 1, documents: 1 } }
+        );
+
+        for await (const entity of cursor) {
+            try {
+                await migrateEntity(entityType, entity, stats);
+            } catch (error) {
+                logger.error('Document migration failed for entity', { entityType, entityId: entity._id, error: error.message });
+                stats.skipped.push({ entityType, entityId: entity._id.toString(), error: error.message });
+            }
+        }
+    }
+
+    return stats;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vendor-management')
+    .then(migrate)
+    .then(stats => {
+        logger.info('Embedded document migration finished', {
+            dryRun,
+            migrated: stats.migrated,
+            alreadyPresent: stats.alreadyPresent,
+            embeddedRemoved: stats.embeddedRemoved,
+            skipped: stats.skipped.length
+        });
+        // Skipped entries need manual follow-up (re-upload through the document endpoints)
+        stats.skipped.forEach(entry => logger.warn('Embedded document not migrated', entry));
+        return mongoose.disconnect();
+    })
+    .catch(error => {
+        logger.error('Embedded document migration error:', { error: error.message, stack: error.stack });
+        process.exitCode = 1;
+        return mongoose.disconnect();
+    });
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const Document = require('../models/Document');
+const Vendor = require('../models/Vendor');
+const Trip = require('../models/Trip');
+const Settlement = require('../models/Settlement');
+const vendorHierarchyService = require('./vendorHierarchyService');
+
+// Answers "can this vendor act on this entity?" using the vendor hierarchy:
+// a vendor may act on its own resources and on those of any vendor below it.
+class AccessControlService {
+    // Whether actorId is targetVendorId itself (unless allowSelf is false) or one of its ancestors
+    async canActOnVendor(actorId, targetVendorId, { allowSelf = true } = {}) {
+        if (!actorId || !targetVendorId) {
+            return false;
+        }
+
+        if (actorId.toString() === targetVendorId.toString()) {
+            return allowSelf;
+        }
+
+        const parentChain = await vendorHierarchyService.getParentChain(targetVendorId);
+        return parentChain.some(parent => parent.id.toString() === actorId.toString());
+    }
+
+    // Resolve the vendor that owns an entity; null when the entity doesn't exist
+    async getOwnerVendorId(entityType, entityId) {
+        if (!mongoose.Types.ObjectId.isValid(entityId)) {
+            return null;
+        }
+
+        switch (entityType) {
+            case 'VENDOR': {
+                const vendor = await Vendor.findById(entityId).select('_id');
+                return vendor ? vendor._id : null;
+            }
+            case 'VEHICLE': {
+                const vehicle = await Vehicle.findById(entityId).select('vendor');
+                return vehicle ? vehicle.vendor : null;
+            }
+            case 'DRIVER': {
+                const driver = await Driver.findById(entityId).select('vendor');
+                return driver ? driver.vendor : null;
+            }
+            case 'TRIP': {
+                const trip = await Trip.findById(entityId).select('vendor');
+                return trip ? trip.vendor : null;
+            }
+            case 'SETTLEMENT': {
+                const settlement = await Settlement.findById(entityId).select('vendor');
+                return settlement ? settlement.vendor : null;
+            }
+            case 'DOCUMENT': {
+                // A document belongs to whoever owns the entity it describes, not to the uploader
+                const document = await Document.findById(entityId).select('entityType entityId');
+                return document ? this.getOwnerVendorId(document.entityType, document.entityId) : null;
+            }
+            default:
+                throw new Error(`Unknown entity type: ${entityType}`);
+        }
+    }
+
+    // Returns { found, allowed, ownerVendorId } for the actor and entity
+    async checkEntityAccess(actorId, entityType, entityId, options = {}) {
+        const ownerVendorId = await this.getOwnerVendorId(entityType, entityId);
+        if (!ownerVendorId) {
+            return { found: false, allowed: false, ownerVendorId: null };
+        }
+
+        const allowed = await this.canActOnVendor(actorId, ownerVendorId, options);
+        return { found: true, allowed, ownerVendorId };
+    }
+
+    // Ids of the actor and every vendor below it
+    async getAccessibleVendorIds(actorId) {
+        const subVendors = await vendorHierarchyService.getAllSubVendors(actorId);
+        return [actorId, ...subVendors.map(vendor => vendor._id)];
+    }
+}
+
+module.exports = new AccessControlService();
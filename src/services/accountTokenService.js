@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const logger = require('../config/logger');
+
+// Lifetimes in seconds for each kind of emailed account token
+const TOKEN_TTL = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL, 10) || 60 * 60, // 1 hour
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL, 10) || 48 * 60 * 60 // 48 hours
+};
+
+// Single-use, time-limited tokens sent by email (password reset, email verification).
+// Only a hash of the token is stored, and issuing a new one invalidates the previous one.
+class AccountTokenService {
+    constructor() {
+        this.client = redis;
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    tokenKey(purpose, tokenHash) {
+        return `account_token_${purpose}_${tokenHash}`;
+    }
+
+    latestKey(purpose, vendorId) {
+        return `account_token_latest_${purpose}_${vendorId}`;
+    }
+
+    async issue(purpose, vendorId) {
+        const ttl = TOKEN_TTL[purpose];
+        if (!ttl) {
+            throw new Error(`Unknown account token purpose: ${purpose}`);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const tokenHash = this.hash(token);
+        const previousHash = await this.client.get(this.latestKey(purpose, vendorId));
+
+        const pipeline = this.client.multi();
+        if (previousHash) {
+            pipeline.del(this.tokenKey(purpose, previousHash));
+        }
+        await pipeline
+            .set(this.tokenKey(purpose, tokenHash), vendorId.toString(), 'EX', ttl)
+            .set(this.latestKey(purpose, vendorId), tokenHash, 'EX', ttl)
+            .exec();
+
+        logger.info('Account token issued', { purpose, vendorId });
+
+        return { token, expiresAt: new Date(Date.now() + ttl * 1000) };
+    }
+
+    // Returns the vendor id the token was issued for, or null if it is unknown, expired or already used
+    async consume(purpose, token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const key = this.tokenKey(purpose, this.hash(token));
+        // GET and DEL in one transaction so the token can only be redeemed once
+        const [[, vendorId]] = await this.client.multi().get(key).del(key).exec();
+
+        if (vendorId) {
+            await this.client.del(this.latestKey(purpose, vendorId));
+        }
+
+        return vendorId || null;
+    }
+}
+
+module.exports = new AccountTokenService();
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const AssignmentConsistencyReport = require('../models/AssignmentConsistencyReport');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const assignmentService = require('./assignmentService');
+const auditService = require('./auditService');
+const assignmentConfig = require('../config/assignments');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+// Per entity type: model and link field, the counterpart that should point back, and what a repair is recorded as
+const LINKS = {
+    VEHICLE: { Model: Vehicle, field: 'assignedDriver', Counterpart: Driver, counterpartField: 'assignedVehicle', issue: 'VEHICLE_ONE_SIDED', action: 'DRIVER_UNASSIGNED' },
+    DRIVER: { Model: Driver, field: 'assignedVehicle', Counterpart: Vehicle, counterpartField: 'assignedDriver', issue: 'DRIVER_ONE_SIDED', action: 'VEHICLE_UNASSIGNED' }
+};
+
+// Finds vehicle/driver links that only exist on one side (left by a crash between the two writes of an
+// assignment, or by older code) and ACTIVE assignments whose pair no longer points at each other, and
+// repairs them: a one-sided link is cleared, as the assignment never completed, and an orphaned
+// assignment is closed. Every write is conditional on the state that was checked, so a link that
+// changes meanwhile is left for the next run.
+class AssignmentConsistencyService {
+    constructor() {
+        this.running = false;
+    }
+
+    async run({ trigger = 'SCHEDULED', triggeredBy, repair = true } = {}) {
+        if (this.running) {
+            throw httpError('A consistency check is already running', 409);
+        }
+        this.running = true;
+
+        const report = new AssignmentConsistencyReport({ trigger, triggeredBy, repair, startedAt: new Date() });
+        // Links changed within the grace period may belong to an assignment still being made
+        const cutoff = new Date(Date.now() - assignmentConfig.consistency.graceSeconds * 1000);
+
+        try {
+            await this.checkLinks('VEHICLE', report, cutoff);
+            await this.checkLinks('DRIVER', report, cutoff);
+            await this.checkAssignments(report, cutoff);
+        } catch (error) {
+            report.error = error.message;
+            logger.error('Assignment consistency check failed:', { error: error.message, stack: error.stack });
+        } finally {
+            this.running = false;
+        }
+
+        report.finishedAt = new Date();
+        report.counts = {
+            found: report.issues.length,
+            repaired: report.issues.filter(issue => issue.repaired).length
+        };
+        await report.save();
+
+        if (report.counts.found > 0) {
+            logger.warn('Assignment consistency issues found', { reportId: report._id, ...report.counts, repair });
+        }
+        return report;
+    }
+
+    // Vehicles (or drivers) pointing at a counterpart that doesn't point back
+    async checkLinks(entityType, report, cutoff) {
+        const { Model, field, Counterpart, counterpartField, issue: type } = LINKS[entityType];
+        const entities = Model.find({ [field]: { $ne: null }, updatedAt: { $lt: cutoff } })
+            .select(`${field} vendor updatedAt`)
+            .cursor();
+
+        for await (const entity of entities) {
+            report.scanned[entityType === 'VEHICLE' ? 'vehicles' : 'drivers']++;
+
+            const counterpart = await Counterpart.findById(entity[field]).select(counterpartField);
+            const pointsTo = counterpart ? counterpart[counterpartField] : null;
+            if (pointsTo && pointsTo.equals(entity._id)) continue;
+
+            const issue = {
+                type,
+                vehicle: entityType === 'VEHICLE' ? entity._id : entity[field],
+                driver: entityType === 'DRIVER' ? entity._id : entity[field],
+                vendor: entity.vendor,
+                counterpartPointsTo: pointsTo
+            };
+            if (report.repair) {
+                await this.clearLink(entityType, entity, issue);
+            }
+            report.issues.push(issue);
+        }
+    }
+
+    async clearLink(entityType, entity, issue) {
+        const { Model, field, action } = LINKS[entityType];
+        try {
+            const { modifiedCount } = await Model.updateOne(
+                { _id: entity._id, [field]: entity[field], updatedAt: entity.updatedAt },
+                { [field]: null }
+            );
+            if (modifiedCount === 0) {
+                issue.note = 'Changed while checking';
+                return;
+            }
+            issue.repaired = true;
+
+            await assignmentService.recordEnd({ vehicleId: issue.vehicle, driverId: issue.driver, reason: 'LINK_REPAIRED' });
+            await auditService.record({
+                action,
+                entityType,
+                entityId: entity._id,
+                ownerVendorId: entity.vendor,
+                before: { [field]: entity[field] },
+                after: { [field]: null },
+                metadata: { reason: 'LINK_REPAIRED', counterpartPointsTo: issue.counterpartPointsTo }
+            });
+            await assignmentService.clearCaches(
+                entityType === 'VEHICLE' ? entity : null,
+                entityType === 'DRIVER' ? entity : null
+            );
+        } catch (error) {
+            issue.note = error.message;
+            logger.error('Repairing one-sided link failed:', { entityType, entityId: entity._id, error: error.message, stack: error.stack });
+        }
+    }
+
+    // ACTIVE assignments whose vehicle and driver don't point at each other
+    async checkAssignments(report, cutoff) {
+        const assignments = Assignment.find({ status: 'ACTIVE', updatedAt: { $lt: cutoff } }).cursor();
+
+        for await (const assignment of assignments) {
+            report.scanned.assignments++;
+
+            const [vehicle, driver] = await Promise.all([
+                Vehicle.findById(assignment.vehicle).select('assignedDriver'),
+                Driver.findById(assignment.driver).select('assignedVehicle')
+            ]);
+            const linked = vehicle && driver &&
+                vehicle.assignedDriver && vehicle.assignedDriver.equals(driver._id) &&
+                driver.assignedVehicle && driver.assignedVehicle.equals(vehicle._id);
+            if (linked) continue;
+
+            const issue = {
+                type: 'ORPHANED_ASSIGNMENT',
+                assignment: assignment._id,
+                vehicle: assignment.vehicle,
+                driver: assignment.driver,
+                vendor: assignment.vendor
+            };
+            if (report.repair) {
+                try {
+                    const { modifiedCount } = await Assignment.updateOne(
+                        { _id: assignment._id, status: 'ACTIVE', updatedAt: assignment.updatedAt },
+                        { status: 'COMPLETED', endedAt: new Date(), endReason: 'LINK_REPAIRED' }
+                    );
+                    issue.repaired = modifiedCount > 0;
+                    if (!issue.repaired) issue.note = 'Changed while checking';
+                } catch (error) {
+                    issue.note = error.message;
+                    logger.error('Closing orphaned assignment failed:', { assignmentId: assignment._id, error: error.message, stack: error.stack });
+                }
+            }
+            report.issues.push(issue);
+        }
+    }
+
+    // Reports, newest first, without their issue lists
+    async getReports({ page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const [reports, total] = await Promise.all([
+            AssignmentConsistencyReport.find()
+                .select('-issues')
+                .sort({ startedAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            AssignmentConsistencyReport.countDocuments()
+        ]);
+
+        return {
+            reports,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    async getReport(reportId) {
+        if (!mongoose.Types.ObjectId.isValid(reportId)) {
+            throw httpError('Invalid report id');
+        }
+
+        const report = await AssignmentConsistencyReport.findById(reportId);
+        if (!report) {
+            throw httpError('Consistency report not found', 404);
+        }
+        return report;
+    }
+}
+
+module.exports = new AssignmentConsistencyService();
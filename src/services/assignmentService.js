@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const eligibilityService = require('./eligibilityService');
+const assignmentConfig = require('../config/assignments');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const OPEN_STATUSES = ['PLANNED', 'ACTIVE'];
+
+// Assignment history and shift planning. The assign/unassign endpoints record MANUAL assignments;
+// planned SHIFT assignments are started and ended by processShifts. A shift that starts while its
+// vehicle or driver is still held by another assignment takes over (the other one ends with SHIFT_HANDOVER).
+class AssignmentService {
+    // Point a vehicle and driver at each other. Each side is claimed only while it is free or already
+    // held by the other, and a failed second claim undoes the first, so concurrent requests can't leave
+    // the two pointing at different partners. A crash between the two writes leaves a one-sided link,
+    // which the consistency check repairs. Resolves to both documents as they were before.
+    async link(vehicleId, driverId) {
+        const vehicleBefore = await Vehicle.findOneAndUpdate(
+            { _id: vehicleId, assignedDriver: { $in: [null, driverId] } },
+            { assignedDriver: driverId }
+        );
+        if (!vehicleBefore) {
+            throw httpError('Vehicle is already assigned to another driver.', 409);
+        }
+
+        const driverBefore = await Driver.findOneAndUpdate(
+            { _id: driverId, assignedVehicle: { $in: [null, vehicleId] } },
+            { assignedVehicle: vehicleId }
+        );
+        if (!driverBefore) {
+            if (!vehicleBefore.assignedDriver) {
+                await Vehicle.updateOne({ _id: vehicleId, assignedDriver: driverId }, { assignedDriver: null });
+            }
+            throw httpError('Driver is already assigned to another vehicle.', 409);
+        }
+
+        return { vehicleBefore, driverBefore };
+    }
+
+    // Clear the pointers of a vehicle-driver pair, each only while it still points at the other.
+    // Resolves to both documents as they were before; null for a side that no longer pointed at the other.
+    async unlink(vehicleId, driverId) {
+        const [vehicleBefore, driverBefore] = await Promise.all([
+            Vehicle.findOneAndUpdate({ _id: vehicleId, assignedDriver: driverId }, { assignedDriver: null }),
+            Driver.findOneAndUpdate({ _id: driverId, assignedVehicle: vehicleId }, { assignedVehicle: null })
+        ]);
+        return { vehicleBefore, driverBefore };
+    }
+
+    // Record a manual assignment the assign endpoints just made
+    async recordStart({ vehicle, driver, actorId }) {
+        const now = new Date();
+        return Assignment.create({
+            vehicle: vehicle._id,
+            driver: driver._id,
+            vendor: vehicle.vendor,
+            source: 'MANUAL',
+            status: 'ACTIVE',
+            startAt: now,
+            startedAt: now,
+            createdBy: actorId
+        });
+    }
+
+    // Close the active assignment of a vehicle and driver. Pairs assigned before history was kept have none.
+    async recordEnd({ vehicleId, driverId, actorId, reason = 'UNASSIGNED' }) {
+        const assignment = await Assignment.findOneAndUpdate(
+            { vehicle: vehicleId, driver: driverId, status: 'ACTIVE' },
+            { status: 'COMPLETED', endedAt: new Date(), endReason: reason, endedBy: actorId },
+            { new: true }
+        );
+
+        if (!assignment) {
+            logger.debug('No active assignment recorded for pair', { vehicleId, driverId, reason });
+        }
+        return assignment;
+    }
+
+    // Planned or running shifts of the vehicle or driver overlapping [startAt, endAt). Open-ended manual
+    // assignments don't conflict: a shift hands over from them when it starts.
+    async findConflicts({ vehicleId, driverId, startAt, endAt, excludeId }) {
+        return Assignment.find({
+            ...(excludeId && { _id: { $ne: excludeId } }),
+            status: { $in: OPEN_STATUSES },
+            $or: [{ vehicle: vehicleId }, { driver: driverId }],
+            startAt: { $lt: endAt },
+            endAt: { $gt: startAt }
+        })
+            .sort({ startAt: 1 })
+            .populate('vehicle', 'registrationNumber')
+            .populate('driver', 'name');
+    }
+
+    // Plan a shift of a driver on a vehicle; 409 with the overlapping shifts as details on conflict
+    async planShift({ vehicle, driver, startAt, endAt, notes, actorId }) {
+        const start = new Date(startAt);
+        const end = new Date(endAt);
+        const now = Date.now();
+
+        if (isNaN(start) || isNaN(end)) {
+            throw httpError('startAt and endAt must be valid dates');
+        }
+        if (start.getTime() < now) {
+            throw httpError('Shifts can only be planned for the future');
+        }
+        if (end <= start) {
+            throw httpError('endAt must be after startAt');
+        }
+        if (end - start > assignmentConfig.maxShiftHours * HOUR_MS) {
+            throw httpError(`Shifts can be at most ${assignmentConfig.maxShiftHours} hours long`);
+        }
+        if (start.getTime() - now > assignmentConfig.maxPlanningDays * DAY_MS) {
+            throw httpError(`Shifts can be planned at most ${assignmentConfig.maxPlanningDays} days ahead`);
+        }
+
+        // Whoever holds the vehicle or driver now is handed over from when the shift starts
+        const eligibility = await eligibilityService.evaluate({ vehicle, driver }, { skip: ['availability'] });
+        if (!eligibility.eligible) {
+            throw httpError('Driver is not eligible for this vehicle', 400, { reasons: eligibility.reasons, warnings: eligibility.warnings });
+        }
+
+        const conflicts = await this.findConflicts({ vehicleId: vehicle._id, driverId: driver._id, startAt: start, endAt: end });
+        if (conflicts.length > 0) {
+            throw httpError('Shift overlaps other shifts of the vehicle or driver', 409, { conflicts });
+        }
+
+        const shift = await Assignment.create({
+            vehicle: vehicle._id,
+            driver: driver._id,
+            vendor: vehicle.vendor,
+            source: 'SHIFT',
+            status: 'PLANNED',
+            startAt: start,
+            endAt: end,
+            notes,
+            createdBy: actorId
+        });
+
+        logger.info('Shift planned', { assignmentId: shift._id, vehicleId: vehicle._id, driverId: driver._id, startAt: start, endAt: end });
+        return shift;
+    }
+
+    // A planned shift of the vehicle
+    async getShift(vehicleId, assignmentId) {
+        if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+            throw httpError('Invalid shift id');
+        }
+
+        const shift = await Assignment.findOne({ _id: assignmentId, vehicle: vehicleId, source: 'SHIFT' });
+        if (!shift) {
+            throw httpError('Shift not found', 404);
+        }
+        return shift;
+    }
+
+    async cancelShift(shift, actorId, reason = 'CANCELLED') {
+        const cancelled = await Assignment.findOneAndUpdate(
+            { _id: shift._id, status: 'PLANNED' },
+            { status: 'CANCELLED', endReason: reason, endedBy: actorId, endedAt: new Date() },
+            { new: true }
+        );
+        if (!cancelled) {
+            throw httpError(`Only planned shifts can be cancelled (shift is ${shift.status})`, 409);
+        }
+        return cancelled;
+    }
+
+    // Assignments of a vehicle or driver, newest first. `from`/`to` keep those overlapping the range,
+    // `at` the one running at that moment.
+    async getHistory(filter, { from, to, at, status, source, page = 1, limit = 50 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        const query = { ...filter };
+
+        if (status) query.status = status.toUpperCase();
+        if (source) query.source = source.toUpperCase();
+        if (at) {
+            const moment = new Date(at);
+            query.startedAt = { $lte: moment };
+            query.$or = [{ endedAt: { $gt: moment } }, { endedAt: null }];
+        } else {
+            if (to) query.startAt = { $lte: new Date(to) };
+            if (from) {
+                const since = new Date(from);
+                query.$or = [
+                    { endedAt: { $gte: since } },
+                    { endedAt: null, endAt: { $gte: since } },
+                    { endedAt: null, endAt: null }
+                ];
+            }
+        }
+
+        const [assignments, total] = await Promise.all([
+            Assignment.find(query)
+                .sort({ startAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('vehicle', 'registrationNumber model')
+                .populate('driver', 'name phone'),
+            Assignment.countDocuments(query)
+        ]);
+
+        return {
+            assignments,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    async clearCaches(vehicle, driver) {
+        await Promise.all([
+            vehicle && cacheService.del(`vehicle_${vehicle._id}`),
+            vehicle && cacheService.del(`vendor_vehicles_${vehicle.vendor}`),
+            vehicle && cacheService.del(`fleet_stats_${vehicle.vendor}`),
+            driver && cacheService.del(`driver_${driver._id}`),
+            driver && cacheService.del(`vendor_drivers_${driver.vendor}`)
+        ]);
+    }
+
+    // Unlink a vehicle-driver pair, close the assignment and tell the vendor
+    async release(vehicleId, driverId, reason) {
+        const { vehicleBefore: vehicle, driverBefore: driver } = await this.unlink(vehicleId, driverId);
+        const assignment = await this.recordEnd({ vehicleId, driverId, reason });
+
+        const vendorId = vehicle ? vehicle.vendor : assignment && assignment.vendor;
+        await auditService.record({
+            action: 'DRIVER_UNASSIGNED',
+            entityType: 'VEHICLE',
+            entityId: vehicleId,
+            ownerVendorId: vendorId,
+            before: { assignedDriver: driverId },
+            after: { assignedDriver: null },
+            metadata: { reason, assignmentId: assignment && assignment._id }
+        });
+        await Promise.all([
+            this.clearCaches(vehicle, driver),
+            notificationService.sendAssignmentNotification({ vehicleId, driverId, type: 'UNASSIGNED', vendorId }),
+            webhookService.emit('driver.unassigned', { vendorId, data: { vehicleId, driverId, reason } })
+        ]);
+        return assignment;
+    }
+
+    async skipShift(shift, reason, reasons) {
+        await Assignment.updateOne({ _id: shift._id, status: 'PLANNED' }, { status: 'SKIPPED', endReason: reason, endedAt: new Date() });
+        logger.warn('Planned shift skipped', {
+            assignmentId: shift._id,
+            vehicleId: shift.vehicle,
+            driverId: shift.driver,
+            reason,
+            ...(reasons && { reasons: reasons.map(finding => finding.code) })
+        });
+    }
+
+    // Start a due planned shift: hand the vehicle and driver over from whatever holds them, then assign them
+    async startShift(shift, now) {
+        const [vehicle, driver] = await Promise.all([Vehicle.findById(shift.vehicle), Driver.findById(shift.driver)]);
+
+        if (!vehicle || !driver) {
+            return this.skipShift(shift, 'VEHICLE_OR_DRIVER_REMOVED');
+        }
+        if (shift.endAt <= now) {
+            return this.skipShift(shift, 'WINDOW_PASSED');
+        }
+
+        // Checked again at the start: statuses and documents may have changed since the shift was planned
+        const eligibility = await eligibilityService.evaluate({ vehicle, driver }, { skip: ['availability'] });
+        if (!eligibility.eligible) {
+            return this.skipShift(shift, 'INELIGIBLE', eligibility.reasons);
+        }
+
+        const started = await Assignment.findOneAndUpdate({ _id: shift._id, status: 'PLANNED' }, { status: 'ACTIVE', startedAt: now }, { new: true });
+        if (!started) {
+            return null;
+        }
+
+        if (vehicle.assignedDriver && !vehicle.assignedDriver.equals(driver._id)) {
+            await this.release(vehicle._id, vehicle.assignedDriver, 'SHIFT_HANDOVER');
+        }
+        if (driver.assignedVehicle && !driver.assignedVehicle.equals(vehicle._id)) {
+            await this.release(driver.assignedVehicle, driver._id, 'SHIFT_HANDOVER');
+        }
+
+        // A manual assignment of this same pair gives way to the shift
+        await Assignment.updateMany(
+            { vehicle: vehicle._id, driver: driver._id, status: 'ACTIVE', _id: { $ne: shift._id } },
+            { status: 'COMPLETED', endedAt: now, endReason: 'SHIFT_HANDOVER' }
+        );
+
+        try {
+            await this.link(vehicle._id, driver._id);
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+
+            // Taken by a concurrent assignment after the handover
+            await Assignment.updateOne({ _id: shift._id, status: 'ACTIVE' }, { status: 'SKIPPED', endReason: 'VEHICLE_OR_DRIVER_TAKEN', endedAt: new Date() });
+            logger.warn('Planned shift skipped', { assignmentId: shift._id, vehicleId: vehicle._id, driverId: driver._id, reason: 'VEHICLE_OR_DRIVER_TAKEN' });
+            return null;
+        }
+
+        await auditService.record({
+            action: 'DRIVER_ASSIGNED',
+            entityType: 'VEHICLE',
+            entityId: vehicle._id,
+            ownerVendorId: vehicle.vendor,
+            before: { assignedDriver: vehicle.assignedDriver },
+            after: { assignedDriver: driver._id },
+            metadata: { source: 'SHIFT', assignmentId: shift._id }
+        });
+        await Promise.all([
+            this.clearCaches(vehicle, driver),
+            notificationService.sendAssignmentNotification({ vehicleId: vehicle._id, driverId: driver._id, type: 'ASSIGNED', vendorId: vehicle.vendor }),
+            webhookService.emit('driver.assigned', {
+                vendorId: vehicle.vendor,
+                data: { vehicleId: vehicle._id, driverId: driver._id, driverVendorId: driver.vendor, shiftId: shift._id, endAt: shift.endAt }
+            })
+        ]);
+
+        logger.info('Shift started', { assignmentId: shift._id, vehicleId: vehicle._id, driverId: driver._id });
+        return started;
+    }
+
+    // End running shifts whose window is over and start planned ones that are due
+    async processShifts() {
+        const now = new Date();
+        const stats = { ended: 0, started: 0, skipped: 0, failed: 0 };
+
+        const finished = await Assignment.find({ source: 'SHIFT', status: 'ACTIVE', endAt: { $lte: now } });
+        for (const shift of finished) {
+            try {
+                await this.release(shift.vehicle, shift.driver, 'SHIFT_ENDED');
+                stats.ended++;
+            } catch (error) {
+                stats.failed++;
+                logger.error('Ending shift failed:', { assignmentId: shift._id, error: error.message, stack: error.stack });
+            }
+        }
+
+        const due = await Assignment.find({ status: 'PLANNED', startAt: { $lte: now } }).sort({ startAt: 1 });
+        for (const shift of due) {
+            try {
+                const started = await this.startShift(shift, now);
+                if (started) stats.started++;
+                else stats.skipped++;
+            } catch (error) {
+                stats.failed++;
+                logger.error('Starting shift failed:', { assignmentId: shift._id, error: error.message, stack: error.stack });
+            }
+        }
+
+        return stats;
+    }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,94 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+
+// Fields that never go into an audit diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password'];
+
+// Persistent audit trail of mutating operations. Writing an entry never fails the request
+// that triggered it; errors are logged instead.
+class AuditService {
+    // Plain JSON view of a document so ObjectIds, Dates and Maps compare by value
+    toPlain(entity) {
+        if (!entity) {
+            return {};
+        }
+        const plain = typeof entity.toObject === 'function'
+            ? entity.toObject({ depopulate: true, flattenMaps: true })
+            : entity;
+        return JSON.parse(JSON.stringify(plain));
+    }
+
+    // Top-level fields that differ between two snapshots
+    diff(before, after) {
+        const beforePlain = this.toPlain(before);
+        const afterPlain = this.toPlain(after);
+        const fields = new Set([...Object.keys(beforePlain), ...Object.keys(afterPlain)]);
+
+        const changes = [];
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) {
+                continue;
+            }
+            if (JSON.stringify(beforePlain[field]) !== JSON.stringify(afterPlain[field])) {
+                changes.push({ field, before: beforePlain[field], after: afterPlain[field] });
+            }
+        }
+        return changes;
+    }
+
+    // Record an action. `before`/`after` are the entity before and after the change (null on create/delete).
+    async record({ req, action, entityType, entityId, ownerVendorId, before = null, after = null, metadata }) {
+        try {
+            return await AuditLog.create({
+                actor: req && req.vendor ? req.vendor._id : undefined,
+                action,
+                entityType,
+                entityId,
+                ownerVendor: ownerVendorId,
+                changes: this.diff(before, after),
+                ip: req ? req.ip : undefined,
+                userAgent: req ? req.get('User-Agent') : undefined,
+                metadata
+            });
+        } catch (error) {
+            logger.error('Failed to write audit log:', {
+                error: error.message,
+                action,
+                entityType,
+                entityId
+            });
+            return null;
+        }
+    }
+
+    // Paginated audit entries, newest first
+    async find(filter, { page = 1, limit = 50 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('actor', 'name email vendorType'),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        return {
+            logs,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // History of a single entity
+    async getEntityHistory(entityType, entityId, options) {
+        return this.find({ entityType, entityId }, options);
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,253 @@
+const Document = require('../models/Document');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const Vendor = require('../models/Vendor');
+const documentService = require('./documentService');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+const assignmentService = require('./assignmentService');
+const logger = require('../config/logger');
+
+// Per entity type: model, its assignment field, and the counterpart model and field to clear on unassignment
+const ENFORCED_ENTITIES = {
+    VEHICLE: { Model: Vehicle, assignmentField: 'assignedDriver', Counterpart: Driver, counterpartField: 'assignedVehicle' },
+    DRIVER: { Model: Driver, assignmentField: 'assignedVehicle', Counterpart: Vehicle, counterpartField: 'assignedDriver' }
+};
+
+// Keeps entity status in line with document validity: marks expired documents EXPIRED, suspends ACTIVE
+// vehicles and drivers missing a valid mandatory document, and restores them once every mandatory
+// document is verified and unexpired again. Only suspensions made here are lifted automatically.
+class ComplianceEnforcementService {
+    async run() {
+        const now = new Date();
+        const stats = {
+            expiredDocuments: await this.markExpiredDocuments(),
+            checked: 0,
+            suspended: 0,
+            restored: 0,
+            failedVendors: 0
+        };
+
+        const vendors = Vendor.find().select('operatingArea.city').cursor();
+        for await (const vendor of vendors) {
+            try {
+                await this.enforceVendor(vendor, now, stats);
+            } catch (error) {
+                stats.failedVendors++;
+                logger.error('Compliance enforcement failed for vendor', {
+                    vendorId: vendor._id,
+                    error: error.message,
+                    stack: error.stack
+                });
+            }
+        }
+
+        logger.info('Compliance enforcement finished', stats);
+        return stats;
+    }
+
+    // The pre-save hook only marks documents EXPIRED when they are saved; catch up on the rest
+    async markExpiredDocuments() {
+        const expired = await Document.findExpiredDocuments().select('entityType entityId');
+        if (expired.length === 0) {
+            return 0;
+        }
+
+        await Document.updateMany(
+            { _id: { $in: expired.map(document => document._id) }, status: { $nin: ['EXPIRED', 'REJECTED'] } },
+            { status: 'EXPIRED' }
+        );
+
+        const entities = new Map(expired.map(document => [`${document.entityType}_${document.entityId}`, document]));
+        await Promise.all([...entities.values()].map(document =>
+            documentService.clearDocumentStatusCache(document.entityId, document.entityType)));
+
+        logger.info('Expired documents marked', { count: expired.length });
+        return expired.length;
+    }
+
+    // Suspend or restore the vendor's own vehicles and drivers
+    async enforceVendor(vendor, now, stats) {
+        const city = vendor.operatingArea ? vendor.operatingArea.city || null : null;
+
+        for (const [entityType, { Model }] of Object.entries(ENFORCED_ENTITIES)) {
+            const entities = await Model.find({
+                vendor: vendor._id,
+                $or: [{ status: 'ACTIVE' }, { complianceSuspension: { $ne: null } }]
+            });
+            if (entities.length === 0) {
+                continue;
+            }
+
+            const results = await documentService.evaluateComplianceAsOf(
+                entities.map(entity => ({ entityType, entityId: entity._id, city })),
+                now
+            );
+
+            for (const [index, entity] of entities.entries()) {
+                const result = results[index];
+                stats.checked++;
+
+                if (entity.complianceSuspension) {
+                    if (this.canRestore(result) && await this.restore(entityType, entity)) {
+                        stats.restored++;
+                    }
+                } else {
+                    const reasons = this.getSuspensionReasons(result);
+                    if (reasons.length > 0 && await this.suspend(entityType, entity, reasons, now)) {
+                        stats.suspended++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Mandatory document types that are missing or whose document in force has expired
+    getSuspensionReasons(result) {
+        return [
+            ...result.missingDocuments.map(document => ({ ...document, reason: 'MISSING' })),
+            ...result.expiredDocuments
+                .filter(document => document.isRequired)
+                .map(document => ({ type: document.type, name: document.name, reason: 'EXPIRED' }))
+        ];
+    }
+
+    // Nothing mandatory is missing and every mandatory document in force is verified and unexpired
+    canRestore(result) {
+        return result.missingDocuments.length === 0 && result.documents
+            .filter(document => document.isRequired)
+            .every(document => document.status === 'VALID');
+    }
+
+    // Suspend an ACTIVE entity, unassign it from its vehicle/driver and notify the owning vendor
+    async suspend(entityType, entity, reasons, now) {
+        const { Model, assignmentField, Counterpart, counterpartField } = ENFORCED_ENTITIES[entityType];
+        const before = entity.toObject();
+
+        // Skip entities whose status changed since they were loaded
+        const updated = await Model.findOneAndUpdate(
+            { _id: entity._id, status: 'ACTIVE', complianceSuspension: null },
+            {
+                status: 'SUSPENDED',
+                [assignmentField]: null,
+                complianceSuspension: { suspendedAt: now, previousStatus: entity.status, reasons }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return false;
+        }
+
+        const unassignedId = entity[assignmentField];
+        if (unassignedId) {
+            await Counterpart.updateOne({ _id: unassignedId, [counterpartField]: entity._id }, { [counterpartField]: null });
+            await assignmentService.recordEnd(entityType === 'VEHICLE'
+                ? { vehicleId: entity._id, driverId: unassignedId, reason: 'COMPLIANCE_SUSPENDED' }
+                : { vehicleId: unassignedId, driverId: entity._id, reason: 'COMPLIANCE_SUSPENDED' });
+        }
+
+        await auditService.record({
+            action: `${entityType}_COMPLIANCE_SUSPENDED`,
+            entityType,
+            entityId: entity._id,
+            ownerVendorId: entity.vendor,
+            before,
+            after: updated,
+            metadata: { reasons, unassigned: unassignedId || null }
+        });
+        await this.clearEntityCaches(entityType, entity, unassignedId);
+
+        await notificationService.sendComplianceStatusNotification({
+            vendorId: entity.vendor,
+            entityType,
+            entityId: entity._id,
+            status: 'SUSPENDED',
+            reasons
+        });
+
+        logger.warn('Entity suspended for document compliance', {
+            entityType,
+            entityId: entity._id,
+            vendorId: entity.vendor,
+            reasons,
+            unassigned: unassignedId
+        });
+
+        return true;
+    }
+
+    // Lift a compliance suspension, returning the entity to the status it had before
+    async restore(entityType, entity) {
+        const { Model } = ENFORCED_ENTITIES[entityType];
+        const before = entity.toObject();
+
+        // A suspension lifted by hand in the meantime only needs its marker cleared
+        const status = entity.status === 'SUSPENDED' ? entity.complianceSuspension.previousStatus || 'ACTIVE' : entity.status;
+        const updated = await Model.findOneAndUpdate(
+            { _id: entity._id, status: entity.status, complianceSuspension: { $ne: null } },
+            { status, complianceSuspension: null },
+            { new: true }
+        );
+        if (!updated) {
+            return false;
+        }
+
+        await auditService.record({
+            action: `${entityType}_COMPLIANCE_RESTORED`,
+            entityType,
+            entityId: entity._id,
+            ownerVendorId: entity.vendor,
+            before,
+            after: updated
+        });
+        await this.clearEntityCaches(entityType, entity);
+
+        await notificationService.sendComplianceStatusNotification({
+            vendorId: entity.vendor,
+            entityType,
+            entityId: entity._id,
+            status
+        });
+
+        logger.info('Entity restored after document compliance', {
+            entityType,
+            entityId: entity._id,
+            vendorId: entity.vendor,
+            status
+        });
+
+        return true;
+    }
+
+    // Restore one entity right away, e.g. after one of its documents is approved
+    async restoreIfCompliant(entityType, entityId) {
+        const enforced = ENFORCED_ENTITIES[entityType];
+        if (!enforced) {
+            return false;
+        }
+
+        const entity = await enforced.Model.findOne({ _id: entityId, complianceSuspension: { $ne: null } });
+        if (!entity) {
+            return false;
+        }
+
+        const vendor = await Vendor.findById(entity.vendor).select('operatingArea.city');
+        const city = vendor && vendor.operatingArea ? vendor.operatingArea.city || null : null;
+        const [result] = await documentService.evaluateComplianceAsOf([{ entityType, entityId: entity._id, city }], new Date());
+
+        return this.canRestore(result) ? this.restore(entityType, entity) : false;
+    }
+
+    async clearEntityCaches(entityType, entity, unassignedId) {
+        const keys = entityType === 'VEHICLE'
+            ? [`vehicle_${entity._id}`, `vendor_vehicles_${entity.vendor}`, `fleet_stats_${entity.vendor}`]
+            : [`driver_${entity._id}`, `vendor_drivers_${entity.vendor}`, 'all_drivers'];
+        if (unassignedId) {
+            keys.push(entityType === 'VEHICLE' ? `driver_${unassignedId}` : `vehicle_${unassignedId}`);
+        }
+        await Promise.all(keys.map(key => cacheService.del(key)));
+    }
+}
+
+module.exports = new ComplianceEnforcementService();
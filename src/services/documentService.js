@@ -1,10 +1,20 @@
+const mongoose = require('mongoose');
 const Document = require('../models/Document');
 const Vehicle = require('../models/Vehicle');
 const Driver = require('../models/Driver');
+const Vendor = require('../models/Vendor');
+const accessControlService = require('./accessControlService');
 const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
 const cacheService = require('./cacheService');
+const storageService = require('./storageService');
+const documentTypeService = require('./documentTypeService');
+const { httpError } = require('../utils/httpError');
 const logger = require('../config/logger');
 
+// When a version came into force: its approval (documents verified before review timestamps use their upload time)
+const approvedAt = (version) => version.isVerified ? version.verifiedAt || version.createdAt : null;
+
 class DocumentService {
     constructor() {
         this.isInitialized = false;
@@ -34,7 +44,7 @@ class DocumentService {
             ...documentData
         });
 
-        await document.save();
+        await this.saveAsCurrentVersion(document);
 
         // Clear any cached document status
         await this.clearDocumentStatusCache(entityId, entityType);
@@ -42,26 +52,442 @@ class DocumentService {
         return document;
     }
 
-    // Verify document
+    // Create a document for an entity from an upload request (multipart file or hosted documentUrl)
+    async createEntityDocument({ entityType, entityId, vendorId, uploadedBy, body, file }) {
+        const { documentType, number, expiryDate, documentUrl, metadata } = body;
+
+        if (!file && !documentUrl) {
+            throw new Error('A document file or documentUrl is required');
+        }
+
+        // Multipart bodies carry metadata as a JSON string
+        let parsedMetadata = metadata;
+        if (typeof metadata === 'string') {
+            try {
+                parsedMetadata = JSON.parse(metadata);
+            } catch (error) {
+                throw httpError('Invalid metadata JSON', 400);
+            }
+        }
+
+        // Validate against the document type registry before anything is stored
+        const { documentType: type, expiryDate: validatedExpiryDate } = await documentTypeService.validateDocument({
+            entityType,
+            entityId,
+            documentType,
+            expiryDate,
+            metadata: parsedMetadata
+        });
+
+        const fileFields = file
+            ? await storageService.saveDocumentFile(file, { entityType, entityId })
+            : { documentUrl };
+
+        const document = new Document({
+            vendor: vendorId,
+            entityType,
+            entityId,
+            documentType,
+            documentNumber: number,
+            expiryDate: validatedExpiryDate,
+            metadata: parsedMetadata,
+            uploadedBy,
+            isVerified: false, // Documents are not verified on upload
+            reviewStatus: 'SUBMITTED',
+            requiredApprovals: type.requiredApprovals || 1,
+            ...fileFields
+        });
+
+        try {
+            await this.saveAsCurrentVersion(document);
+        } catch (error) {
+            // Don't leave orphaned files behind when the record can't be saved
+            if (fileFields.storageKey) {
+                await storageService.deleteFile(fileFields.storageKey).catch(() => {});
+            }
+            throw error;
+        }
+
+        await this.afterReviewTransition(document, 'SUBMITTED');
+
+        return document;
+    }
+
+    // Save a new upload as the current version of its entity and documentType. The new version is saved
+    // first and only then made current, so a failed save never leaves the entity without a current version.
+    // The previous current version is kept but marked superseded; a concurrent upload of the same type is a conflict.
+    async saveAsCurrentVersion(document) {
+        const { entityType, entityId, documentType } = document;
+        const conflictMessage = 'Another version of this document was uploaded at the same time; reload and try again';
+
+        const previous = await Document.findOne({ entityType, entityId, documentType, isCurrent: { $ne: false } })
+            .sort({ createdAt: -1 })
+            .select('version');
+
+        document.previousVersion = previous ? previous._id : null;
+        document.version = previous ? (previous.version || 1) + 1 : 1;
+        document.isCurrent = false;
+        await document.save();
+
+        // Undo the flip and remove the new version; failures are logged since they need a manual cleanup
+        const rollBack = async (supersededPrevious) => {
+            try {
+                if (supersededPrevious) {
+                    await Document.updateOne(
+                        { _id: previous._id, supersededBy: document._id },
+                        { isCurrent: true, supersededBy: null, supersededAt: null }
+                    );
+                }
+                await Document.deleteOne({ _id: document._id });
+            } catch (rollbackError) {
+                logger.error('Document version rollback failed:', {
+                    error: rollbackError.message,
+                    documentId: document._id,
+                    previousVersionId: previous && previous._id
+                });
+            }
+        };
+
+        if (previous) {
+            const superseded = await Document.findOneAndUpdate(
+                { _id: previous._id, isCurrent: { $ne: false } },
+                { isCurrent: false, supersededBy: document._id, supersededAt: new Date() }
+            );
+            if (!superseded) {
+                await rollBack(false);
+                throw httpError(conflictMessage, 409);
+            }
+        }
+
+        try {
+            await Document.updateOne({ _id: document._id }, { isCurrent: true });
+        } catch (error) {
+            await rollBack(Boolean(previous));
+            throw error.code === 11000 ? httpError(conflictMessage, 409) : error;
+        }
+        document.isCurrent = true;
+
+        return document;
+    }
+
+    // Every version of a document's entity and type, oldest first, with the period each one was in force:
+    // from its approval until it expired or a later version was approved. With `at`, also the version in force then.
+    async getRenewalTimeline(documentId, at) {
+        const document = await Document.findById(documentId).select('entityType entityId documentType');
+        if (!document) {
+            throw httpError('Document not found', 404);
+        }
+
+        const atDate = at ? new Date(at) : null;
+        if (atDate && isNaN(atDate.getTime())) {
+            throw httpError('at must be a valid date');
+        }
+
+        const { entityType, entityId, documentType } = document;
+        const versions = await Document.find({ entityType, entityId, documentType })
+            .sort({ createdAt: 1 })
+            .select('version previousVersion supersededBy supersededAt documentNumber reviewStatus status isVerified expiryDate verifiedAt verifiedBy rejectionReason uploadedBy createdAt')
+            .lean();
+
+        // Documents from before version chains have no isCurrent flag; the latest upload is current
+        const current = versions[versions.length - 1];
+
+        const timeline = versions.map((version, index) => {
+            const validFrom = approvedAt(version);
+            let validUntil = null;
+            if (validFrom) {
+                const replacement = versions.slice(index + 1).find(later => approvedAt(later) && approvedAt(later) >= validFrom);
+                const ends = [version.expiryDate, replacement && approvedAt(replacement)].filter(Boolean);
+                validUntil = ends.length > 0 ? new Date(Math.min(...ends.map(date => date.getTime()))) : null;
+            }
+
+            return {
+                ...version,
+                isCurrent: version._id.equals(current._id),
+                validFrom,
+                validUntil
+            };
+        });
+
+        const validAt = atDate
+            ? timeline.find(version => version.validFrom && version.validFrom <= atDate &&
+                (!version.validUntil || atDate < version.validUntil)) || null
+            : undefined;
+
+        return {
+            entityType,
+            entityId,
+            documentType,
+            currentVersion: current._id,
+            versions: timeline,
+            ...(atDate && { at: atDate, validAt })
+        };
+    }
+
+    // Approve a document through the review workflow, starting the review if needed
     async verifyDocument(documentId, verifiedBy, verificationNotes = '') {
-        const document = await Document.findById(documentId);
+        const document = await Document.findById(documentId).select('reviewStatus');
         if (!document) {
-            throw new Error('Document not found');
+            throw httpError('Document not found', 404);
+        }
+        if (document.reviewStatus === 'SUBMITTED') {
+            await this.startReview(documentId, verifiedBy);
         }
 
-        document.isVerified = true;
-        document.verifiedBy = verifiedBy;
-        document.verificationDate = new Date();
-        document.verificationNotes = verificationNotes;
+        return this.approveDocument(documentId, verifiedBy, verificationNotes);
+    }
 
-        await document.save();
+    // Apply a VERIFIED/REJECTED decision to an entity's current document of the given type.
+    // Returns { document, before }, or null when the entity has no document of that type.
+    async verifyEntityDocument({ entityType, entityId, documentType, verified, remarks, verifiedBy }) {
+        const [current] = await Document.findCurrent({
+            entityType,
+            entityId: new mongoose.Types.ObjectId(entityId),
+            documentType
+        });
+        if (!current) {
+            return null;
+        }
+        // Checked before the review is started, so a refused rejection leaves the document as it was
+        if (!verified && !remarks) {
+            throw httpError('A rejection reason is required');
+        }
 
-        // Clear any cached document status
-        await this.clearDocumentStatusCache(document.entityId, document.entityType);
+        const before = await Document.findById(current._id).lean();
+        if (before.reviewStatus === 'SUBMITTED') {
+            await this.startReview(current._id, verifiedBy);
+        }
+
+        const document = verified
+            ? await this.approveDocument(current._id, verifiedBy, remarks)
+            : await this.rejectDocument(current._id, verifiedBy, remarks, remarks);
+
+        return { document, before };
+    }
+
+    // Reviewers can't review their own vendor documents, or a document another reviewer has claimed
+    assertCanReview(document, reviewerId) {
+        if (document.entityType === 'VENDOR' && document.entityId.toString() === reviewerId.toString()) {
+            throw httpError('You cannot review your own documents', 403);
+        }
+        if (document.claimedBy && document.claimExpiresAt > new Date() &&
+            document.claimedBy.toString() !== reviewerId.toString()) {
+            throw httpError(`Document is claimed by another reviewer until ${document.claimExpiresAt.toISOString()}`, 409);
+        }
+    }
+
+    // Query condition matching documents that are unclaimed, claimed by the reviewer or whose claim lapsed
+    claimableBy(reviewerId) {
+        return {
+            $or: [
+                { claimedBy: null },
+                { claimedBy: reviewerId },
+                { claimExpiresAt: { $lte: new Date() } }
+            ]
+        };
+    }
+
+    // SUBMITTED -> UNDER_REVIEW
+    async startReview(documentId, reviewerId) {
+        const current = await Document.findById(documentId).select('entityType entityId claimedBy claimExpiresAt');
+        if (!current) {
+            throw httpError('Document not found', 404);
+        }
+        this.assertCanReview(current, reviewerId);
+
+        const document = await Document.findOneAndUpdate(
+            { _id: documentId, reviewStatus: 'SUBMITTED', ...this.claimableBy(reviewerId) },
+            { reviewStatus: 'UNDER_REVIEW', reviewer: reviewerId, reviewStartedAt: new Date() },
+            { new: true }
+        );
+        if (!document) {
+            throw await this.reviewStateError(documentId, 'SUBMITTED');
+        }
+
+        await this.afterReviewTransition(document, 'UNDER_REVIEW');
 
         return document;
     }
 
+    // Record an approval. The document becomes APPROVED once it has requiredApprovals approvals
+    // from different reviewers; until then it stays UNDER_REVIEW.
+    async approveDocument(documentId, reviewerId, remarks) {
+        const document = await Document.findById(documentId);
+        if (!document) {
+            throw httpError('Document not found', 404);
+        }
+        if (document.reviewStatus !== 'UNDER_REVIEW') {
+            throw httpError(`Document is ${document.reviewStatus}; only documents under review can be approved`, 409);
+        }
+        this.assertCanReview(document, reviewerId);
+
+        const approvals = document.reviews.filter(review => review.decision === 'APPROVED');
+        if (approvals.some(review => review.reviewer.toString() === reviewerId.toString())) {
+            throw httpError('You have already approved this document; it needs a second reviewer');
+        }
+
+        const now = new Date();
+        const isFinal = approvals.length + 1 >= (document.requiredApprovals || 1);
+        const update = {
+            $push: { reviews: { reviewer: reviewerId, decision: 'APPROVED', remarks, reviewedAt: now } }
+        };
+        if (isFinal) {
+            update.$set = {
+                reviewStatus: 'APPROVED',
+                isVerified: true,
+                verifiedBy: reviewerId,
+                verifiedAt: now,
+                verificationRemarks: remarks,
+                status: Document.deriveStatus({ reviewStatus: 'APPROVED', isVerified: true, expiryDate: document.expiryDate })
+            };
+        }
+
+        const updated = await this.applyReview(document, reviewerId, update);
+        if (isFinal) {
+            await this.afterReviewTransition(updated, 'APPROVED', remarks);
+        }
+
+        return updated;
+    }
+
+    // UNDER_REVIEW -> REJECTED. One rejection is enough, even for types that need two approvals.
+    async rejectDocument(documentId, reviewerId, reason, remarks) {
+        if (!reason) {
+            throw httpError('A rejection reason is required');
+        }
+
+        const document = await Document.findById(documentId);
+        if (!document) {
+            throw httpError('Document not found', 404);
+        }
+        if (document.reviewStatus !== 'UNDER_REVIEW') {
+            throw httpError(`Document is ${document.reviewStatus}; only documents under review can be rejected`, 409);
+        }
+        this.assertCanReview(document, reviewerId);
+
+        const now = new Date();
+        const updated = await this.applyReview(document, reviewerId, {
+            $push: { reviews: { reviewer: reviewerId, decision: 'REJECTED', reason, remarks, reviewedAt: now } },
+            $set: {
+                reviewStatus: 'REJECTED',
+                isVerified: false,
+                rejectionReason: reason,
+                verificationRemarks: remarks,
+                verifiedBy: reviewerId,
+                verifiedAt: now,
+                status: 'REJECTED'
+            }
+        });
+
+        await this.afterReviewTransition(updated, 'REJECTED', reason);
+
+        return updated;
+    }
+
+    // Upload a new version of a rejected document. The new version starts again at SUBMITTED.
+    async resubmitDocument({ documentId, uploadedBy, body, file }) {
+        const previous = await Document.findById(documentId);
+        if (!previous) {
+            throw httpError('Document not found', 404);
+        }
+        if (previous.reviewStatus !== 'REJECTED') {
+            throw httpError('Only rejected documents can be resubmitted', 409);
+        }
+
+        const newerVersion = await Document.exists({
+            entityType: previous.entityType,
+            entityId: previous.entityId,
+            documentType: previous.documentType,
+            createdAt: { $gt: previous.createdAt }
+        });
+        if (newerVersion) {
+            throw httpError('A newer version of this document has already been submitted', 409);
+        }
+
+        return this.createEntityDocument({
+            entityType: previous.entityType,
+            entityId: previous.entityId,
+            vendorId: uploadedBy,
+            uploadedBy,
+            body: { ...body, documentType: previous.documentType },
+            file
+        });
+    }
+
+    // Write a review update only if nobody else reviewed or claimed the document in the meantime.
+    // A decision releases the reviewer's claim (a second approver claims the document afresh).
+    async applyReview(document, reviewerId, update) {
+        const updated = await Document.findOneAndUpdate(
+            {
+                _id: document._id,
+                reviewStatus: document.reviewStatus,
+                reviews: { $size: document.reviews.length },
+                ...this.claimableBy(reviewerId)
+            },
+            { ...update, $set: { ...update.$set, claimedBy: null, claimExpiresAt: null } },
+            { new: true }
+        );
+        if (!updated) {
+            throw httpError('The document was reviewed by someone else in the meantime; reload it and try again', 409);
+        }
+        return updated;
+    }
+
+    async reviewStateError(documentId, expectedStatus) {
+        const document = await Document.findById(documentId).select('reviewStatus');
+        if (!document) {
+            return httpError('Document not found', 404);
+        }
+        return httpError(`Document is ${document.reviewStatus}; expected ${expectedStatus}`, 409);
+    }
+
+    // Clear cached statuses and notify about a review status change
+    async afterReviewTransition(document, reviewStatus, remarks = '') {
+        await Promise.all([
+            this.clearDocumentStatusCache(document.entityId, document.entityType),
+            cacheService.del(`compliance_report_${document.vendor}`)
+        ]);
+
+        await notificationService.sendVerificationNotification({
+            documentId: document._id,
+            status: reviewStatus,
+            remarks
+        });
+
+        logger.info('Document review status changed', {
+            documentId: document._id,
+            documentType: document.documentType,
+            reviewStatus,
+            version: document.version
+        });
+
+        // An approval may be the last thing a compliance-suspended vehicle or driver was waiting for
+        if (reviewStatus === 'APPROVED') {
+            await webhookService.emit('document.verified', {
+                vendorId: await accessControlService.getOwnerVendorId(document.entityType, document.entityId),
+                data: {
+                    documentId: document._id,
+                    entityType: document.entityType,
+                    entityId: document.entityId,
+                    documentType: document.documentType,
+                    version: document.version,
+                    expiryDate: document.expiryDate
+                }
+            });
+
+            try {
+                // Required here; the enforcement service depends on this one
+                const complianceEnforcementService = require('./complianceEnforcementService');
+                await complianceEnforcementService.restoreIfCompliant(document.entityType, document.entityId);
+            } catch (error) {
+                logger.error('Compliance restore after approval failed:', {
+                    documentId: document._id,
+                    error: error.message
+                });
+            }
+        }
+    }
+
     // Get document status for an entity
     async getDocumentStatus(entityId, entityType) {
         const cacheKey = `doc_status_${entityType}_${entityId}`;
@@ -72,7 +498,10 @@ class DocumentService {
             return cachedStatus;
         }
 
-        const documents = await Document.find({ entityId, entityType });
+        const documents = await Document.findCurrent({
+            entityType,
+            entityId: new mongoose.Types.ObjectId(entityId)
+        });
 
         const status = {
             total: documents.length,
@@ -105,7 +534,7 @@ class DocumentService {
             return cachedDocs;
         }
 
-        const documents = await Document.find({
+        const documents = await Document.findCurrent({}, {
             expiryDate: {
                 $gte: new Date(),
                 $lte: new Date(Date.now() + daysThreshold * 24 * 60 * 60 * 1000)
@@ -173,21 +602,28 @@ class DocumentService {
         const vehicleIds = vehicles.map(v => v._id);
         const driverIds = drivers.map(d => d._id);
 
-        const [vehicleDocs, driverDocs] = await Promise.all([
-            Document.find({ entityId: { $in: vehicleIds }, entityType: 'VEHICLE' }),
-            Document.find({ entityId: { $in: driverIds }, entityType: 'DRIVER' })
+        // Required document types depend on the vendor's city
+        const city = await documentTypeService.getVendorCity(vendorId);
+        const [vehicleDocs, driverDocs, vehicleTypes, driverTypes] = await Promise.all([
+            Document.findCurrent({ entityId: { $in: vehicleIds }, entityType: 'VEHICLE' }),
+            Document.findCurrent({ entityId: { $in: driverIds }, entityType: 'DRIVER' }),
+            documentTypeService.getRequiredTypes('VEHICLE', city),
+            documentTypeService.getRequiredTypes('DRIVER', city)
         ]);
 
+        const compliantVehicles = vehicles.filter(v => this.isEntityCompliant(v._id, vehicleDocs, vehicleTypes)).length;
+        const compliantDrivers = drivers.filter(d => this.isEntityCompliant(d._id, driverDocs, driverTypes)).length;
+
         const report = {
             vehicles: {
                 total: vehicles.length,
-                compliant: vehicles.filter(v => this.isEntityCompliant(v._id, vehicleDocs)).length,
-                nonCompliant: vehicles.filter(v => !this.isEntityCompliant(v._id, vehicleDocs)).length
+                compliant: compliantVehicles,
+                nonCompliant: vehicles.length - compliantVehicles
             },
             drivers: {
                 total: drivers.length,
-                compliant: drivers.filter(d => this.isEntityCompliant(d._id, driverDocs)).length,
-                nonCompliant: drivers.filter(d => !this.isEntityCompliant(d._id, driverDocs)).length
+                compliant: compliantDrivers,
+                nonCompliant: drivers.length - compliantDrivers
             }
         };
 
@@ -197,12 +633,211 @@ class DocumentService {
         return report;
     }
 
-    // Check if an entity is compliant (all documents verified and not expired)
-    isEntityCompliant(entityId, documents) {
+    // Count a vendor's vehicles and drivers with an expired or soon-expiring current document
+    async getExpirySummary(vendorId) {
+        const [vehicles, drivers] = await Promise.all([
+            Vehicle.find({ vendor: vendorId }).select('_id'),
+            Driver.find({ vendor: vendorId }).select('_id')
+        ]);
+
+        const [vehicleDocs, driverDocs] = await Promise.all([
+            Document.findCurrent({ entityId: { $in: vehicles.map(v => v._id) }, entityType: 'VEHICLE' }),
+            Document.findCurrent({ entityId: { $in: drivers.map(d => d._id) }, entityType: 'DRIVER' })
+        ]);
+
+        const summarize = (entities, documents) => {
+            const expired = new Set();
+            const expiringSoon = new Set();
+            for (const doc of documents) {
+                if (this.isDocumentExpired(doc)) expired.add(doc.entityId.toString());
+                else if (this.isDocumentExpiringSoon(doc)) expiringSoon.add(doc.entityId.toString());
+            }
+            // An entity with both an expired and an expiring document is counted as expired
+            expired.forEach(id => expiringSoon.delete(id));
+            return { total: entities.length, expired: expired.size, expiringSoon: expiringSoon.size };
+        };
+
+        const vehicleSummary = summarize(vehicles, vehicleDocs);
+        const driverSummary = summarize(drivers, driverDocs);
+
+        return {
+            expiredDocuments: { vehicles: vehicleSummary.expired, drivers: driverSummary.expired },
+            expiringSoon: { vehicles: vehicleSummary.expiringSoon, drivers: driverSummary.expiringSoon },
+            validDocuments: {
+                vehicles: vehicleSummary.total - vehicleSummary.expired - vehicleSummary.expiringSoon,
+                drivers: driverSummary.total - driverSummary.expired - driverSummary.expiringSoon
+            }
+        };
+    }
+
+    // Check if an entity is compliant (all current documents verified and not expired)
+    // and every required type from the registry is present
+    isEntityCompliant(entityId, documents, requiredTypes = []) {
         const entityDocs = documents.filter(doc => doc.entityId.toString() === entityId.toString());
-        return entityDocs.length > 0 &&
+        const presentTypes = new Set(entityDocs.map(doc => doc.documentType));
+        return requiredTypes.every(type => presentTypes.has(type.code)) &&
             entityDocs.every(doc => doc.isVerified && !this.isDocumentExpired(doc));
     }
+
+    // Parse an as-of date (defaults to now)
+    parseAsOf(at) {
+        const asOf = at ? new Date(at) : new Date();
+        if (isNaN(asOf.getTime())) {
+            throw httpError('at must be a valid date');
+        }
+        return asOf;
+    }
+
+    // Compliance of a single vehicle, driver or vendor as it stood at `at`
+    async getEntityComplianceAsOf(entityType, entityId, at) {
+        const asOf = this.parseAsOf(at);
+        const Model = { VEHICLE: Vehicle, DRIVER: Driver, VENDOR: Vendor }[entityType];
+
+        const entity = await Model.findById(entityId).select('createdAt');
+        if (!entity) {
+            throw httpError(`${entityType.charAt(0)}${entityType.slice(1).toLowerCase()} not found`, 404);
+        }
+        if (entity.createdAt > asOf) {
+            throw httpError(`${entityType} ${entityId} did not exist on ${asOf.toISOString()}`);
+        }
+
+        const city = await documentTypeService.getEntityCity(entityType, entityId);
+        const [result] = await this.evaluateComplianceAsOf([{ entityType, entityId: entity._id, city }], asOf);
+
+        return { asOf, ...result };
+    }
+
+    // Compliance of every vendor, vehicle and driver in a vendor's subtree as it stood at `at`.
+    // Only non-compliant entities are listed unless includeCompliant is set.
+    async getSubtreeComplianceAsOf(vendorId, at, { includeCompliant = false } = {}) {
+        const asOf = this.parseAsOf(at);
+        const vendorIds = await accessControlService.getAccessibleVendorIds(vendorId);
+        const existedBy = { createdAt: { $lte: asOf } };
+
+        const [vendors, vehicles, drivers] = await Promise.all([
+            Vendor.find({ _id: { $in: vendorIds } }).select('operatingArea.city createdAt'),
+            Vehicle.find({ vendor: { $in: vendorIds }, ...existedBy }).select('vendor'),
+            Driver.find({ vendor: { $in: vendorIds }, ...existedBy }).select('vendor')
+        ]);
+
+        const cities = new Map(vendors.map(vendor => [
+            vendor._id.toString(),
+            vendor.operatingArea ? vendor.operatingArea.city || null : null
+        ]));
+        const entities = [
+            ...vendors.filter(vendor => vendor.createdAt <= asOf)
+                .map(vendor => ({ entityType: 'VENDOR', entityId: vendor._id, city: cities.get(vendor._id.toString()) })),
+            ...vehicles.map(vehicle => ({ entityType: 'VEHICLE', entityId: vehicle._id, city: cities.get(vehicle.vendor.toString()) })),
+            ...drivers.map(driver => ({ entityType: 'DRIVER', entityId: driver._id, city: cities.get(driver.vendor.toString()) }))
+        ];
+
+        const results = await this.evaluateComplianceAsOf(entities, asOf);
+
+        const summary = {};
+        for (const [key, entityType] of [['vendors', 'VENDOR'], ['vehicles', 'VEHICLE'], ['drivers', 'DRIVER']]) {
+            const ofType = results.filter(result => result.entityType === entityType);
+            const compliant = ofType.filter(result => result.compliant).length;
+            summary[key] = { total: ofType.length, compliant, nonCompliant: ofType.length - compliant };
+        }
+
+        return {
+            asOf,
+            vendorId,
+            summary,
+            entities: includeCompliant ? results : results.filter(result => !result.compliant)
+        };
+    }
+
+    // Evaluate entities ({ entityType, entityId, city }) against the document type registry at `asOf`.
+    // A document type counts as held by the version in force then (approved by asOf, latest approval wins);
+    // it was expired if that version's expiryDate had passed, unverified if only pending or rejected
+    // versions had been uploaded, and missing if nothing had been uploaded.
+    async evaluateComplianceAsOf(entities, asOf) {
+        if (entities.length === 0) {
+            return [];
+        }
+
+        const versions = await Document.find({
+            $or: ['VEHICLE', 'DRIVER', 'VENDOR'].map(entityType => ({
+                entityType,
+                entityId: { $in: entities.filter(entity => entity.entityType === entityType).map(entity => entity.entityId) }
+            })),
+            createdAt: { $lte: asOf }
+        })
+            .sort({ createdAt: 1 })
+            .select('entityType entityId documentType documentNumber version isVerified verifiedAt expiryDate createdAt')
+            .lean();
+
+        const byEntity = new Map();
+        for (const version of versions) {
+            const key = `${version.entityType}_${version.entityId}`;
+            if (!byEntity.has(key)) byEntity.set(key, new Map());
+            const byType = byEntity.get(key);
+            if (!byType.has(version.documentType)) byType.set(version.documentType, []);
+            byType.get(version.documentType).push(version);
+        }
+
+        // Registry lookups per entity type and city (the current registry rules are applied to past dates)
+        const typeCache = new Map();
+        const getTypes = async (entityType, city) => {
+            const key = `${entityType}_${city}`;
+            if (!typeCache.has(key)) {
+                typeCache.set(key, await documentTypeService.getTypesForEntity(entityType, city));
+            }
+            return typeCache.get(key);
+        };
+
+        return Promise.all(entities.map(async ({ entityType, entityId, city }) => {
+            const types = await getTypes(entityType, city);
+            const byType = byEntity.get(`${entityType}_${entityId}`) || new Map();
+
+            const documents = [];
+            const missingDocuments = [];
+            for (const type of types) {
+                const uploaded = byType.get(type.code);
+                if (!uploaded) {
+                    if (type.isRequired) missingDocuments.push({ type: type.code, name: type.name });
+                    continue;
+                }
+
+                const inForce = uploaded
+                    .filter(version => approvedAt(version) && approvedAt(version) <= asOf)
+                    .sort((a, b) => approvedAt(b) - approvedAt(a))[0];
+                const latest = uploaded[uploaded.length - 1];
+                const shown = inForce || latest;
+
+                let status = 'UNVERIFIED';
+                if (inForce) {
+                    status = inForce.expiryDate && inForce.expiryDate < asOf ? 'EXPIRED' : 'VALID';
+                }
+
+                documents.push({
+                    type: type.code,
+                    name: type.name,
+                    isRequired: type.isRequired,
+                    status,
+                    documentId: shown._id,
+                    version: shown.version,
+                    documentNumber: shown.documentNumber,
+                    validFrom: inForce ? approvedAt(inForce) : null,
+                    expiryDate: shown.expiryDate || null
+                });
+            }
+
+            const expiredDocuments = documents.filter(document => document.status === 'EXPIRED');
+            const unverifiedDocuments = documents.filter(document => document.status === 'UNVERIFIED');
+
+            return {
+                entityType,
+                entityId,
+                compliant: missingDocuments.length === 0 && expiredDocuments.length === 0 && unverifiedDocuments.length === 0,
+                documents,
+                missingDocuments,
+                expiredDocuments,
+                unverifiedDocuments
+            };
+        }));
+    }
 }
 
 module.exports = new DocumentService(); 
\ No newline at end of file
@@ -0,0 +1,127 @@
+const DocumentType = require('../models/DocumentType');
+const Vendor = require('../models/Vendor');
+const accessControlService = require('./accessControlService');
+const cacheService = require('./cacheService');
+const { DEFAULT_DOCUMENT_TYPES } = require('../config/documentTypes');
+const logger = require('../config/logger');
+
+const CACHE_KEY = 'document_types';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registry of document types: which entities need them, expiry rules, required metadata
+// and per-city overrides. Uploads and compliance checks read their rules from here.
+class DocumentTypeService {
+    // Seed the registry with the default types if it has never been set up
+    async ensureDefaults() {
+        if (await DocumentType.estimatedDocumentCount() > 0) {
+            return;
+        }
+
+        try {
+            await DocumentType.insertMany(DEFAULT_DOCUMENT_TYPES, { ordered: false });
+            logger.info('Document type registry seeded with defaults', { count: DEFAULT_DOCUMENT_TYPES.length });
+        } catch (error) {
+            // Another process seeded it first
+            if (error.code !== 11000 && !(error.writeErrors || []).every(writeError => writeError.code === 11000)) {
+                throw error;
+            }
+        }
+    }
+
+    // Every registered type (as plain objects), active ones only unless asked otherwise
+    async getAll({ includeInactive = false } = {}) {
+        let types = await cacheService.get(CACHE_KEY);
+        if (!types) {
+            await this.ensureDefaults();
+            types = await DocumentType.find().sort({ code: 1 }).lean();
+            await cacheService.set(CACHE_KEY, types, 3600);
+        }
+
+        return includeInactive ? types : types.filter(type => type.isActive);
+    }
+
+    async clearCache() {
+        return cacheService.del(CACHE_KEY);
+    }
+
+    // A single active type with its rules resolved for a city, or null
+    async getType(code, city) {
+        const types = await this.getAll();
+        const type = types.find(entry => entry.code === code);
+        return type ? DocumentType.resolveForCity(type, city) : null;
+    }
+
+    // Active types an entity type can have, resolved for a city
+    async getTypesForEntity(entityType, city) {
+        const types = await this.getAll();
+        return types
+            .filter(type => type.entityTypes.includes(entityType))
+            .map(type => DocumentType.resolveForCity(type, city));
+    }
+
+    // Active types every entity of this type must have in a city
+    async getRequiredTypes(entityType, city) {
+        const types = await this.getTypesForEntity(entityType, city);
+        return types.filter(type => type.isRequired);
+    }
+
+    // City of the vendor that owns an entity (Vendor.operatingArea.city), or null
+    async getEntityCity(entityType, entityId) {
+        const ownerVendorId = entityType === 'VENDOR'
+            ? entityId
+            : await accessControlService.getOwnerVendorId(entityType, entityId);
+        if (!ownerVendorId) {
+            return null;
+        }
+
+        return this.getVendorCity(ownerVendorId);
+    }
+
+    async getVendorCity(vendorId) {
+        const vendor = await Vendor.findById(vendorId).select('operatingArea.city');
+        return vendor && vendor.operatingArea ? vendor.operatingArea.city || null : null;
+    }
+
+    // Check an upload against the registry. Returns the normalized expiryDate (defaulted from
+    // validityDays when missing, cleared for types that don't expire); throws on invalid input.
+    async validateDocument({ entityType, entityId, documentType, expiryDate, metadata }) {
+        const city = await this.getEntityCity(entityType, entityId);
+        const type = await this.getType(documentType, city);
+
+        if (!type || !type.entityTypes.includes(entityType)) {
+            throw new Error(`Unknown document type '${documentType}' for ${entityType}`);
+        }
+
+        const missingMetadata = (type.requiredMetadata || []).filter(field => {
+            const value = metadata ? metadata[field] : undefined;
+            return value === undefined || value === null || value === '';
+        });
+        if (missingMetadata.length > 0) {
+            throw new Error(`Missing required metadata for ${type.name}: ${missingMetadata.join(', ')}`);
+        }
+
+        if (!type.expires) {
+            return { documentType: type, expiryDate: undefined };
+        }
+
+        if (!expiryDate) {
+            if (!type.validityDays) {
+                throw new Error(`expiryDate is required for ${type.name}`);
+            }
+            return { documentType: type, expiryDate: new Date(Date.now() + type.validityDays * DAY_MS) };
+        }
+
+        const expiry = new Date(expiryDate);
+        if (isNaN(expiry.getTime())) {
+            throw new Error('expiryDate must be a valid date');
+        }
+        // A day of slack so a validity period counted from the issue date still fits
+        if (type.validityDays && expiry.getTime() > Date.now() + (type.validityDays + 1) * DAY_MS) {
+            throw new Error(`expiryDate exceeds the ${type.validityDays}-day validity of ${type.name}`);
+        }
+
+        return { documentType: type, expiryDate: expiry };
+    }
+}
+
+module.exports = new DocumentTypeService();
@@ -0,0 +1,152 @@
+const { checkEntityDocuments } = require('../utils/documentUtils');
+const accessControlService = require('./accessControlService');
+const eligibilityConfig = require('../config/eligibility');
+const logger = require('../config/logger');
+
+// A finding of a rule; subject is VEHICLE, DRIVER or PAIR
+const finding = (code, subject, message, details) => ({ code, subject, message, ...(details && { details }) });
+
+// Decides whether a driver may be assigned to a vehicle. Each rule looks at the pair and returns
+// { reasons, warnings }: any reason makes the pair ineligible, warnings are only reported. Rules
+// run in registration order; extra ones can be added with registerRule, and any can be switched
+// off with ASSIGNMENT_RULES_DISABLED.
+class EligibilityService {
+    constructor() {
+        this.rules = new Map();
+
+        this.registerRule('availability', pair => this.checkAvailability(pair));
+        this.registerRule('status', pair => this.checkStatus(pair));
+        this.registerRule('documents', pair => this.checkDocuments(pair));
+        this.registerRule('ownership', pair => this.checkOwnership(pair));
+        this.registerRule('licenseClass', pair => this.checkLicenseClass(pair));
+    }
+
+    // check({ vehicle, driver }) resolves to { reasons?, warnings? } (lists of findings)
+    registerRule(name, check) {
+        this.rules.set(name, check);
+    }
+
+    // Run the enabled rules (minus `skip`) against a vehicle and driver document.
+    // A rule that throws makes the pair ineligible rather than letting it through.
+    async evaluate({ vehicle, driver }, { skip = [] } = {}) {
+        const result = { eligible: true, reasons: [], warnings: [], rules: [] };
+
+        for (const [name, check] of this.rules) {
+            if (skip.includes(name) || eligibilityConfig.disabledRules.includes(name)) continue;
+
+            result.rules.push(name);
+            try {
+                const { reasons = [], warnings = [] } = await check({ vehicle, driver }) || {};
+                result.reasons.push(...reasons.map(reason => ({ rule: name, ...reason })));
+                result.warnings.push(...warnings.map(warning => ({ rule: name, ...warning })));
+            } catch (error) {
+                logger.error('Eligibility rule failed:', {
+                    rule: name,
+                    error: error.message,
+                    stack: error.stack,
+                    vehicleId: vehicle._id,
+                    driverId: driver._id
+                });
+                result.reasons.push({ rule: name, ...finding('RULE_FAILED', 'PAIR', `The ${name} check could not be completed`) });
+            }
+        }
+
+        result.eligible = result.reasons.length === 0;
+        return result;
+    }
+
+    // Neither side is held by someone else
+    checkAvailability({ vehicle, driver }) {
+        const reasons = [];
+        if (vehicle.assignedDriver && !vehicle.assignedDriver.equals(driver._id)) {
+            reasons.push(finding('VEHICLE_ALREADY_ASSIGNED', 'VEHICLE', 'Vehicle is already assigned to another driver.', {
+                assignedDriver: vehicle.assignedDriver
+            }));
+        }
+        if (driver.assignedVehicle && !driver.assignedVehicle.equals(vehicle._id)) {
+            reasons.push(finding('DRIVER_ALREADY_ASSIGNED', 'DRIVER', 'Driver is already assigned to another vehicle.', {
+                assignedVehicle: driver.assignedVehicle
+            }));
+        }
+        return { reasons };
+    }
+
+    checkStatus({ vehicle, driver }) {
+        const reasons = [];
+        if (eligibilityConfig.blockedVehicleStatuses.includes(vehicle.status)) {
+            reasons.push(finding('VEHICLE_STATUS', 'VEHICLE', `Vehicle status is ${vehicle.status}`, { status: vehicle.status }));
+        }
+        if (eligibilityConfig.blockedDriverStatuses.includes(driver.status)) {
+            reasons.push(finding('DRIVER_STATUS', 'DRIVER', `Driver status is ${driver.status}`, { status: driver.status }));
+        }
+        return { reasons };
+    }
+
+    // Required documents of both sides are present, verified and unexpired; ones expiring soon are warnings
+    async checkDocuments({ vehicle, driver }) {
+        const reasons = [];
+        const warnings = [];
+        const [vehicleDocuments, driverDocuments] = await Promise.all([
+            checkEntityDocuments('VEHICLE', vehicle._id),
+            checkEntityDocuments('DRIVER', driver._id)
+        ]);
+
+        for (const [subject, status] of [['VEHICLE', vehicleDocuments], ['DRIVER', driverDocuments]]) {
+            const label = subject === 'VEHICLE' ? 'Vehicle' : 'Driver';
+            if (status.expiredDocuments.length > 0) {
+                reasons.push(finding('DOCUMENTS_EXPIRED', subject, `${label} has expired documents`, { documents: status.expiredDocuments }));
+            }
+            if (status.missingDocuments.length > 0) {
+                reasons.push(finding('DOCUMENTS_MISSING', subject, `${label} is missing required documents`, { documents: status.missingDocuments }));
+            }
+            if (status.unverifiedDocuments.length > 0) {
+                reasons.push(finding('DOCUMENTS_UNVERIFIED', subject, `${label} has required documents that are not verified`, { documents: status.unverifiedDocuments }));
+            }
+            if (status.expiringSoonDocuments.length > 0) {
+                warnings.push(finding('DOCUMENTS_EXPIRING_SOON', subject, `${label} has documents expiring soon`, { documents: status.expiringSoonDocuments }));
+            }
+        }
+        return { reasons, warnings };
+    }
+
+    // The driver belongs to the vehicle's vendor, or (SUBTREE) to a vendor above or below it
+    async checkOwnership({ vehicle, driver }) {
+        if (vehicle.vendor.equals(driver.vendor)) {
+            return {};
+        }
+
+        const details = { vehicleVendor: vehicle.vendor, driverVendor: driver.vendor };
+        if (eligibilityConfig.ownership !== 'SUBTREE') {
+            return { reasons: [finding('VENDOR_MISMATCH', 'PAIR', 'Driver and vehicle belong to different vendors', details)] };
+        }
+
+        const related = await accessControlService.canActOnVendor(vehicle.vendor, driver.vendor) ||
+            await accessControlService.canActOnVendor(driver.vendor, vehicle.vendor);
+        if (!related) {
+            return { reasons: [finding('OUTSIDE_SUBTREE', 'PAIR', 'Driver and vehicle belong to unrelated vendors', details)] };
+        }
+        return {};
+    }
+
+    // The driver holds one of the license classes the vehicle type needs
+    checkLicenseClass({ vehicle, driver }) {
+        if (!vehicle.vehicleType) {
+            return { warnings: [finding('VEHICLE_TYPE_NOT_SET', 'VEHICLE', 'Vehicle has no type, so the license class was not checked')] };
+        }
+
+        const accepted = eligibilityConfig.VEHICLE_TYPES[vehicle.vehicleType] || [];
+        const held = driver.licenseClasses || [];
+        if (!held.some(licenseClass => accepted.includes(licenseClass))) {
+            return {
+                reasons: [finding('LICENSE_CLASS_MISMATCH', 'PAIR', `Driver's license doesn't cover a ${vehicle.vehicleType}`, {
+                    vehicleType: vehicle.vehicleType,
+                    accepted,
+                    held
+                })]
+            };
+        }
+        return {};
+    }
+}
+
+module.exports = new EligibilityService();
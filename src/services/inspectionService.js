@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const Inspection = require('../models/Inspection');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const Vehicle = require('../models/Vehicle');
+const cacheService = require('./cacheService');
+const storageService = require('./storageService');
+const inspectionConfig = require('../config/inspections');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const CACHE_KEY = 'inspection_templates';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESULTS = ['PASS', 'FAIL'];
+
+// Inspection templates (what to check) and inspections of vehicles against them (what was found).
+// Each vehicle keeps its latest inspection as vehicle.lastInspection, which decides whether it may be activated.
+class InspectionService {
+    // Seed the registry with the default templates if it has never been set up
+    async ensureDefaults() {
+        if (await InspectionTemplate.estimatedDocumentCount() > 0) {
+            return;
+        }
+
+        try {
+            await InspectionTemplate.insertMany(inspectionConfig.DEFAULT_INSPECTION_TEMPLATES, { ordered: false });
+            logger.info('Inspection template registry seeded with defaults', { count: inspectionConfig.DEFAULT_INSPECTION_TEMPLATES.length });
+        } catch (error) {
+            // Another process seeded it first
+            if (error.code !== 11000 && !(error.writeErrors || []).every(writeError => writeError.code === 11000)) {
+                throw error;
+            }
+        }
+    }
+
+    // Every template (as plain objects), active ones only unless asked otherwise
+    async getAll({ includeInactive = false } = {}) {
+        let templates = await cacheService.get(CACHE_KEY);
+        if (!templates) {
+            await this.ensureDefaults();
+            templates = await InspectionTemplate.find().sort({ code: 1 }).lean();
+            await cacheService.set(CACHE_KEY, templates, 3600);
+        }
+
+        return includeInactive ? templates : templates.filter(template => template.isActive);
+    }
+
+    async clearCache() {
+        return cacheService.del(CACHE_KEY);
+    }
+
+    // Active templates that apply to a vehicle type
+    async getTemplatesForVehicleType(vehicleType) {
+        const templates = await this.getAll();
+        return templates.filter(template => template.vehicleTypes.length === 0 || template.vehicleTypes.includes(vehicleType));
+    }
+
+    // Record an inspection of a vehicle. Every required item of the template needs a PASS or FAIL;
+    // items may carry notes and hosted evidenceUrls (files are attached afterwards with addEvidence).
+    async submit(vehicle, { templateCode, items, inspectedAt, inspectorName, odometer, notes }, actorId) {
+        const templates = await this.getAll();
+        const template = templates.find(entry => entry.code === templateCode);
+        if (!template) {
+            throw httpError(`Unknown or inactive inspection template: ${templateCode}`);
+        }
+        if (template.vehicleTypes.length > 0 && !template.vehicleTypes.includes(vehicle.vehicleType)) {
+            throw httpError(`Template ${templateCode} is not for ${vehicle.vehicleType || 'vehicles without a type'}`);
+        }
+
+        const inspected = inspectedAt ? new Date(inspectedAt) : new Date();
+        if (isNaN(inspected) || inspected > new Date()) {
+            throw httpError('inspectedAt must be a valid date that is not in the future');
+        }
+
+        const answers = new Map((Array.isArray(items) ? items : []).map(item => [item && item.key, item]));
+        const unknown = [...answers.keys()].filter(key => !template.items.some(item => item.key === key));
+        if (unknown.length > 0) {
+            throw httpError(`Items not in template ${templateCode}: ${unknown.join(', ')}`);
+        }
+
+        const results = [];
+        for (const item of template.items) {
+            const answer = answers.get(item.key);
+            if (!answer) {
+                if (item.isRequired) {
+                    throw httpError(`Item ${item.key} is required`);
+                }
+                continue;
+            }
+
+            const result = String(answer.result || '').toUpperCase();
+            if (!RESULTS.includes(result)) {
+                throw httpError(`Item ${item.key} needs a result of PASS or FAIL`);
+            }
+
+            const evidenceUrls = answer.evidenceUrls || [];
+            if (evidenceUrls.length > inspectionConfig.maxEvidencePerItem) {
+                throw httpError(`Item ${item.key} can have at most ${inspectionConfig.maxEvidencePerItem} evidence files`);
+            }
+
+            results.push({
+                key: item.key,
+                label: item.label,
+                result,
+                notes: answer.notes,
+                evidence: evidenceUrls.map(evidenceUrl => ({ evidenceUrl, uploadedBy: actorId }))
+            });
+        }
+
+        const failedItems = results.filter(item => item.result === 'FAIL').map(item => item.key);
+        const inspection = await Inspection.create({
+            vehicle: vehicle._id,
+            vendor: vehicle.vendor,
+            template: { code: template.code, name: template.name },
+            items: results,
+            result: failedItems.length > 0 ? 'FAIL' : 'PASS',
+            failedItems,
+            inspectedAt: inspected,
+            inspectorName,
+            odometer,
+            notes,
+            submittedBy: actorId
+        });
+
+        // An inspection entered late doesn't replace a newer one
+        await Vehicle.updateOne(
+            {
+                _id: vehicle._id,
+                $or: [{ lastInspection: null }, { 'lastInspection.inspectedAt': { $lte: inspection.inspectedAt } }]
+            },
+            { lastInspection: { inspectionId: inspection._id, result: inspection.result, inspectedAt: inspection.inspectedAt } }
+        );
+        if (odometer !== undefined) {
+            await Vehicle.updateOne({ _id: vehicle._id }, { $max: { odometer } });
+        }
+        await this.clearVehicleCaches(vehicle);
+
+        logger.info('Inspection recorded', { inspectionId: inspection._id, vehicleId: vehicle._id, template: template.code, result: inspection.result, failedItems });
+        return inspection;
+    }
+
+    async getInspectionFor(vehicleId, inspectionId) {
+        if (!mongoose.Types.ObjectId.isValid(inspectionId)) {
+            throw httpError('Invalid inspection id');
+        }
+
+        const inspection = await Inspection.findOne({ _id: inspectionId, vehicle: vehicleId });
+        if (!inspection) {
+            throw httpError('Inspection not found', 404);
+        }
+        return inspection;
+    }
+
+    // Inspections of a vehicle, newest first
+    async getInspections(vehicleId, { result, templateCode, page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const query = { vehicle: vehicleId };
+        if (result) query.result = result.toUpperCase();
+        if (templateCode) query['template.code'] = templateCode;
+
+        const [inspections, total] = await Promise.all([
+            Inspection.find(query)
+                .sort({ inspectedAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Inspection.countDocuments(query)
+        ]);
+
+        return {
+            inspections,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // Attach an uploaded (multer) file or a hosted evidenceUrl to an item of an inspection
+    async addEvidence(inspection, itemKey, { file, evidenceUrl }, actorId) {
+        if (!file && !evidenceUrl) {
+            throw httpError('An evidence file or evidenceUrl is required');
+        }
+
+        const item = inspection.items.find(entry => entry.key === itemKey);
+        if (!item) {
+            throw httpError(`Inspection has no item ${itemKey}`, 404);
+        }
+        if (item.evidence.length >= inspectionConfig.maxEvidencePerItem) {
+            throw httpError(`Item ${itemKey} already has ${inspectionConfig.maxEvidencePerItem} evidence files`, 409);
+        }
+
+        const fileFields = file
+            ? await storageService.saveDocumentFile(file, { entityType: 'INSPECTION', entityId: inspection._id })
+            : { evidenceUrl };
+
+        // Push atomically so concurrent uploads to the same inspection don't overwrite each other
+        const evidenceId = new mongoose.Types.ObjectId();
+        const updated = await Inspection.findOneAndUpdate(
+            { _id: inspection._id, items: { $elemMatch: { key: itemKey, [`evidence.${inspectionConfig.maxEvidencePerItem - 1}`]: { $exists: false } } } },
+            { $push: { 'items.$.evidence': { _id: evidenceId, ...fileFields, uploadedBy: actorId, uploadedAt: new Date() } } },
+            { new: true }
+        );
+        if (!updated) {
+            if (fileFields.storageKey) {
+                await storageService.deleteFile(fileFields.storageKey).catch(() => {});
+            }
+            throw httpError(`Item ${itemKey} already has ${inspectionConfig.maxEvidencePerItem} evidence files`, 409);
+        }
+
+        const evidence = updated.items.find(entry => entry.key === itemKey).evidence.id(evidenceId);
+        return { inspection: updated, evidence };
+    }
+
+    // A stored evidence file of an inspection, or a 404
+    findEvidence(inspection, evidenceId) {
+        for (const item of inspection.items) {
+            const evidence = item.evidence.find(entry => entry._id.toString() === evidenceId);
+            if (evidence) {
+                if (!evidence.storageKey) {
+                    throw httpError('Evidence is hosted elsewhere; use its evidenceUrl', 404);
+                }
+                return evidence;
+            }
+        }
+        throw httpError('Evidence not found', 404);
+    }
+
+    async getEvidenceStream(evidence) {
+        return storageService.getFileStream(evidence);
+    }
+
+    // Why a vehicle may not be activated, or null. A failed latest inspection always blocks; with
+    // INSPECTION_REQUIRED_FOR_ACTIVATION a recent passed one is needed too.
+    getActivationBlock(vehicle, now = new Date()) {
+        const last = vehicle.lastInspection;
+        if (last && last.result === 'FAIL') {
+            return `Vehicle failed its last inspection on ${last.inspectedAt.toISOString().slice(0, 10)}; a new inspection must pass before it can be activated`;
+        }
+        if (!inspectionConfig.requiredForActivation) {
+            return null;
+        }
+        if (!last) {
+            return 'Vehicle needs a passed inspection before it can be activated';
+        }
+        if (inspectionConfig.validityDays && now - last.inspectedAt > inspectionConfig.validityDays * DAY_MS) {
+            return `Vehicle's last inspection is older than ${inspectionConfig.validityDays} days; a new inspection must pass before it can be activated`;
+        }
+        return null;
+    }
+
+    async clearVehicleCaches(vehicle) {
+        await Promise.all([
+            cacheService.del(`vehicle_${vehicle._id}`),
+            cacheService.del(`vendor_vehicles_${vehicle.vendor}`),
+            cacheService.del(`fleet_stats_${vehicle.vendor}`)
+        ]);
+    }
+}
+
+module.exports = new InspectionService();
@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settlement = require('../models/Settlement');
+const Trip = require('../models/Trip');
+const vendorHierarchyService = require('./vendorHierarchyService');
+const ledgerConfig = require('../config/ledger');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Money is kept to two decimals
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Revenue ledger: trip fares, commissions cascading up the vendor hierarchy, driver payouts
+// and vendor payouts, rolled up into periodic settlement statements.
+class LedgerService {
+    accountFilter(accountType, id) {
+        const objectId = new mongoose.Types.ObjectId(id);
+        return accountType === 'DRIVER'
+            ? { accountType: 'DRIVER', driver: objectId }
+            : { accountType: 'VENDOR', vendor: objectId };
+    }
+
+    // Split a completed trip's fare into ledger entries. Safe to call more than once per trip.
+    async recordTripRevenue(trip) {
+        if (trip.status !== 'COMPLETED' || !(trip.fare > 0)) {
+            return [];
+        }
+
+        const fare = round2(trip.fare);
+        const { currency, commissionRates, driverPayoutRate } = ledgerConfig;
+        const reference = (suffix) => `trip_${trip._id}_${suffix}`;
+        const ownerAccount = { accountType: 'VENDOR', vendor: trip.vendor };
+
+        const entries = [{
+            ...ownerAccount,
+            type: 'TRIP_FARE',
+            amount: fare,
+            description: 'Trip fare',
+            reference: reference('fare')
+        }];
+
+        // Each ancestor (nearest parent first, up to SUPER) takes its vendor type's cut
+        const parentChain = await vendorHierarchyService.getParentChain(trip.vendor);
+        for (const parent of parentChain) {
+            const commission = round2(fare * (commissionRates[parent.type] || 0));
+            if (commission <= 0) {
+                continue;
+            }
+            entries.push({
+                ...ownerAccount,
+                type: 'COMMISSION',
+                amount: -commission,
+                counterparty: { accountType: 'VENDOR', id: parent.id },
+                description: `Commission to ${parent.type} vendor ${parent.name}`,
+                reference: reference(`commission_paid_${parent.id}`)
+            }, {
+                accountType: 'VENDOR',
+                vendor: parent.id,
+                type: 'COMMISSION',
+                amount: commission,
+                counterparty: { accountType: 'VENDOR', id: trip.vendor },
+                description: 'Commission on trip fare',
+                reference: reference(`commission_earned_${parent.id}`)
+            });
+        }
+
+        const driverPayout = round2(fare * driverPayoutRate);
+        if (driverPayout > 0) {
+            entries.push({
+                ...ownerAccount,
+                type: 'DRIVER_PAYOUT',
+                amount: -driverPayout,
+                counterparty: { accountType: 'DRIVER', id: trip.driver },
+                description: 'Driver share of trip fare',
+                reference: reference('driver_payout_debit')
+            }, {
+                accountType: 'DRIVER',
+                driver: trip.driver,
+                type: 'DRIVER_PAYOUT',
+                amount: driverPayout,
+                counterparty: { accountType: 'VENDOR', id: trip.vendor },
+                description: 'Driver share of trip fare',
+                reference: reference('driver_payout_credit')
+            });
+        }
+
+        const ownerNet = round2(entries
+            .filter(entry => entry.vendor && entry.vendor.toString() === trip.vendor.toString())
+            .reduce((sum, entry) => sum + entry.amount, 0));
+        if (ownerNet < 0) {
+            logger.warn('Trip commissions and driver payout exceed the fare', { tripId: trip._id, fare, ownerNet });
+        }
+
+        let inserted = [];
+        try {
+            inserted = await LedgerEntry.insertMany(
+                entries.map(entry => ({ ...entry, currency, trip: trip._id })),
+                { ordered: false }
+            );
+        } catch (error) {
+            // Duplicate references mean the trip (or part of it) was already recorded
+            const writeErrors = error.writeErrors || [];
+            const isDuplicate = error.code === 11000 ||
+                (writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000));
+            if (!isDuplicate) {
+                throw error;
+            }
+            inserted = error.insertedDocs || [];
+        }
+
+        await Trip.updateOne({ _id: trip._id }, { ledgerRecordedAt: new Date() });
+
+        logger.info('Trip revenue recorded', { tripId: trip._id, fare, entries: inserted.length });
+
+        return inserted;
+    }
+
+    // Record completed trips whose ledger entries were never written (e.g. a failure after completion)
+    async recordUnledgeredTrips(limit = 500) {
+        const trips = await Trip.find({
+            status: 'COMPLETED',
+            fare: { $gt: 0 },
+            ledgerRecordedAt: { $exists: false }
+        }).limit(limit);
+
+        for (const trip of trips) {
+            try {
+                await this.recordTripRevenue(trip);
+            } catch (error) {
+                logger.error('Failed to record trip revenue', { tripId: trip._id, error: error.message });
+            }
+        }
+
+        return trips.length;
+    }
+
+    // Current balance of a vendor or driver account, with totals per entry type
+    async getBalance(accountType, id) {
+        const rows = await LedgerEntry.aggregate([
+            { $match: this.accountFilter(accountType, id) },
+            {
+                $group: {
+                    _id: '$type',
+                    total: { $sum: '$amount' },
+                    unsettled: { $sum: { $cond: [{ $eq: ['$settlement', null] }, '$amount', 0] } },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const byType = {};
+        let balance = 0;
+        let unsettled = 0;
+        for (const row of rows) {
+            byType[row._id] = { total: round2(row.total), count: row.count };
+            balance += row.total;
+            unsettled += row.unsettled;
+        }
+
+        return {
+            accountType,
+            id,
+            currency: ledgerConfig.currency,
+            balance: round2(balance),
+            unsettled: round2(unsettled),
+            byType
+        };
+    }
+
+    // Paginated ledger entries of an account, newest first
+    async getTransactions(accountType, id, { type, from, to, page = 1, limit = 20 } = {}) {
+        const query = this.accountFilter(accountType, id);
+        if (type) query.type = type;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const [transactions, total] = await Promise.all([
+            LedgerEntry.find(query)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('trip', 'status completedAt fare'),
+            LedgerEntry.countDocuments(query)
+        ]);
+
+        return {
+            transactions,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // Gross trip fares of a vendor over the last day, week and month
+    async getRevenueSummary(vendorId) {
+        const now = Date.now();
+        const [row] = await LedgerEntry.aggregate([
+            {
+                $match: {
+                    ...this.accountFilter('VENDOR', vendorId),
+                    type: 'TRIP_FARE',
+                    createdAt: { $gte: new Date(now - 30 * DAY_MS) }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    daily: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - DAY_MS)] }, '$amount', 0] } },
+                    weekly: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - 7 * DAY_MS)] }, '$amount', 0] } },
+                    monthly: { $sum: '$amount' }
+                }
+            }
+        ]);
+
+        return {
+            daily: round2(row ? row.daily : 0),
+            weekly: round2(row ? row.weekly : 0),
+            monthly: round2(row ? row.monthly : 0)
+        };
+    }
+
+    // Roll every unsettled entry of a vendor before periodEnd into a statement. Returns null when there is nothing to settle.
+    async generateStatement(vendorId, periodEnd = new Date()) {
+        // Claim the entries for the new statement first, so a concurrent run (the scheduled job and a
+        // manual request with another periodEnd) can't put the same entries into a second statement
+        const settlementId = new mongoose.Types.ObjectId();
+        const { modifiedCount } = await LedgerEntry.updateMany(
+            {
+                ...this.accountFilter('VENDOR', vendorId),
+                settlement: null,
+                createdAt: { $lt: periodEnd }
+            },
+            { settlement: settlementId }
+        );
+        if (modifiedCount === 0) {
+            return null;
+        }
+
+        try {
+            return await this.createStatement(vendorId, periodEnd, settlementId);
+        } catch (error) {
+            // Hand the entries back so the next run can settle them
+            await LedgerEntry.updateMany({ settlement: settlementId }, { settlement: null });
+            throw error;
+        }
+    }
+
+    // Total the entries claimed for a statement and store it
+    async createStatement(vendorId, periodEnd, settlementId) {
+        const entries = await LedgerEntry.find({ settlement: settlementId }).sort({ createdAt: 1 });
+
+        const previous = await Settlement.findOne({ vendor: vendorId }).sort({ periodEnd: -1 });
+
+        const totals = { tripFares: 0, commissionsEarned: 0, commissionsPaid: 0, driverPayouts: 0, payouts: 0 };
+        for (const entry of entries) {
+            if (entry.type === 'TRIP_FARE') totals.tripFares += entry.amount;
+            else if (entry.type === 'COMMISSION' && entry.amount > 0) totals.commissionsEarned += entry.amount;
+            else if (entry.type === 'COMMISSION') totals.commissionsPaid += entry.amount;
+            else if (entry.type === 'DRIVER_PAYOUT') totals.driverPayouts += entry.amount;
+            else if (entry.type === 'PAYOUT') totals.payouts += entry.amount;
+        }
+        Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+
+        const netEarnings = round2(totals.tripFares + totals.commissionsEarned + totals.commissionsPaid + totals.driverPayouts);
+        const openingBalance = previous ? previous.closingBalance : 0;
+
+        const settlement = await Settlement.create({
+            _id: settlementId,
+            vendor: vendorId,
+            periodStart: previous ? previous.periodEnd : entries[0].createdAt,
+            periodEnd,
+            currency: ledgerConfig.currency,
+            openingBalance,
+            totals,
+            netEarnings,
+            closingBalance: round2(openingBalance + netEarnings + totals.payouts),
+            entryCount: entries.length
+        });
+
+        logger.info('Settlement statement generated', { vendorId, settlementId: settlement._id, netEarnings, entryCount: entries.length });
+
+        return settlement;
+    }
+
+    // Scheduled run: catch up on unrecorded trips, then a statement for every vendor with unsettled entries
+    async generateAllStatements(periodEnd = new Date()) {
+        await this.recordUnledgeredTrips();
+
+        const vendorIds = await LedgerEntry.distinct('vendor', {
+            accountType: 'VENDOR',
+            settlement: null,
+            createdAt: { $lt: periodEnd }
+        });
+
+        const settlements = [];
+        for (const vendorId of vendorIds) {
+            try {
+                const settlement = await this.generateStatement(vendorId, periodEnd);
+                if (settlement) {
+                    settlements.push(settlement);
+                }
+            } catch (error) {
+                logger.error('Failed to generate settlement statement', { vendorId, error: error.message });
+            }
+        }
+
+        return settlements;
+    }
+
+    // Mark a statement paid and debit the vendor's account by the period's net earnings.
+    // Returns null if the statement was already paid.
+    async paySettlement(settlementId, paidBy) {
+        const settlement = await Settlement.findOneAndUpdate(
+            { _id: settlementId, status: 'GENERATED' },
+            { status: 'PAID', paidAt: new Date(), paidBy },
+            { new: true }
+        );
+        if (!settlement) {
+            return null;
+        }
+
+        if (settlement.netEarnings > 0) {
+            await LedgerEntry.create({
+                accountType: 'VENDOR',
+                vendor: settlement.vendor,
+                type: 'PAYOUT',
+                amount: -settlement.netEarnings,
+                currency: settlement.currency,
+                counterparty: paidBy ? { accountType: 'VENDOR', id: paidBy } : undefined,
+                description: `Payout for settlement ${settlement._id}`,
+                reference: `settlement_${settlement._id}_payout`
+            });
+        }
+
+        logger.info('Settlement paid', { settlementId, vendorId: settlement.vendor, amount: settlement.netEarnings, paidBy });
+
+        return settlement;
+    }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const ServiceLog = require('../models/ServiceLog');
+const MaintenanceSchedule = require('../models/MaintenanceSchedule');
+const Maintenance = require('../models/Maintenance');
+const assignmentService = require('./assignmentService');
+const auditService = require('./auditService');
+const cacheService = require('./cacheService');
+const notificationService = require('./notificationService');
+const maintenanceConfig = require('../config/maintenance');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['PLANNED', 'IN_PROGRESS'];
+
+// Vehicle maintenance: service logs (work done), interval schedules (work that falls due by date or
+// odometer reading) and maintenance periods (time off the road). Starting a maintenance period puts the
+// vehicle in MAINTENANCE and unassigns its driver; ending it restores the vehicle's previous status.
+class MaintenanceService {
+    // The next due date and reading of a schedule, counted from its last service
+    computeNextDue(schedule) {
+        schedule.nextDueAt = schedule.intervalDays && schedule.lastServiceAt
+            ? new Date(schedule.lastServiceAt.getTime() + schedule.intervalDays * DAY_MS)
+            : undefined;
+        schedule.nextDueOdometer = schedule.intervalKm && schedule.lastServiceOdometer !== undefined
+            ? schedule.lastServiceOdometer + schedule.intervalKm
+            : undefined;
+        return schedule;
+    }
+
+    // DUE_SOON / OVERDUE by whichever of date and reading comes first; null when not due yet
+    getDueStage(schedule, odometer, now = new Date()) {
+        const daysLeft = schedule.nextDueAt ? (schedule.nextDueAt - now) / DAY_MS : Infinity;
+        const kmLeft = schedule.nextDueOdometer !== undefined && schedule.nextDueOdometer !== null
+            ? schedule.nextDueOdometer - (odometer || 0)
+            : Infinity;
+
+        if (daysLeft <= 0 || kmLeft <= 0) return 'OVERDUE';
+        if (daysLeft <= maintenanceConfig.dueSoonDays || kmLeft <= maintenanceConfig.dueSoonKm) return 'DUE_SOON';
+        return null;
+    }
+
+    async getScheduleFor(vehicleId, scheduleId) {
+        if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+            throw httpError('Invalid schedule id');
+        }
+
+        const schedule = await MaintenanceSchedule.findOne({ _id: scheduleId, vehicle: vehicleId });
+        if (!schedule) {
+            throw httpError('Maintenance schedule not found', 404);
+        }
+        return schedule;
+    }
+
+    async createSchedule(vehicle, { name, serviceType, intervalKm, intervalDays, lastServiceAt, lastServiceOdometer }, actorId) {
+        if (!intervalKm && !intervalDays) {
+            throw httpError('intervalKm or intervalDays is required');
+        }
+
+        const schedule = new MaintenanceSchedule({
+            vehicle: vehicle._id,
+            vendor: vehicle.vendor,
+            name,
+            serviceType,
+            intervalKm,
+            intervalDays,
+            // Never serviced under this schedule: count from now and the current reading
+            lastServiceAt: lastServiceAt ? new Date(lastServiceAt) : new Date(),
+            lastServiceOdometer: lastServiceOdometer !== undefined ? lastServiceOdometer : vehicle.odometer,
+            createdBy: actorId
+        });
+        await this.computeNextDue(schedule).save();
+        return schedule;
+    }
+
+    async updateSchedule(schedule, updates) {
+        Object.assign(schedule, updates);
+        if (!schedule.intervalKm && !schedule.intervalDays) {
+            throw httpError('intervalKm or intervalDays is required');
+        }
+
+        this.computeNextDue(schedule);
+        // The due date or reading may have moved: remind again for it
+        schedule.reminder = null;
+        return schedule.save();
+    }
+
+    // Record work done on a vehicle. The odometer moves forward to the logged reading, and the schedule
+    // given (or every active schedule of the same service type) counts from this service on.
+    async logService(vehicle, data, actorId, { maintenanceId } = {}) {
+        const schedule = data.scheduleId ? await this.getScheduleFor(vehicle._id, data.scheduleId) : null;
+
+        const serviceLog = await ServiceLog.create({
+            vehicle: vehicle._id,
+            vendor: vehicle.vendor,
+            serviceType: data.serviceType,
+            description: data.description,
+            servicedAt: data.servicedAt ? new Date(data.servicedAt) : new Date(),
+            odometer: data.odometer,
+            cost: data.cost,
+            currency: data.currency || maintenanceConfig.currency,
+            serviceVendor: data.serviceVendor,
+            invoiceNumber: data.invoiceNumber,
+            parts: data.parts,
+            maintenance: maintenanceId,
+            schedule: schedule ? schedule._id : undefined,
+            createdBy: actorId
+        });
+
+        await Vehicle.updateOne({ _id: vehicle._id }, { $max: { odometer: serviceLog.odometer } });
+
+        const schedules = schedule
+            ? [schedule]
+            : await MaintenanceSchedule.find({ vehicle: vehicle._id, serviceType: serviceLog.serviceType, isActive: true });
+        for (const serviced of schedules) {
+            // An older service logged late doesn't move a schedule back
+            if (serviced.lastServiceAt && serviced.lastServiceAt > serviceLog.servicedAt) continue;
+
+            serviced.lastServiceAt = serviceLog.servicedAt;
+            serviced.lastServiceOdometer = serviceLog.odometer;
+            serviced.reminder = null;
+            await this.computeNextDue(serviced).save();
+        }
+
+        await this.clearCaches(vehicle);
+        logger.info('Service logged', { serviceLogId: serviceLog._id, vehicleId: vehicle._id, serviceType: serviceLog.serviceType, schedules: schedules.length });
+        return serviceLog;
+    }
+
+    // Service logs of a vehicle, newest first, with their total cost per currency
+    async getServiceLogs(vehicleId, { from, to, serviceType, page = 1, limit = 50 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        const query = { vehicle: new mongoose.Types.ObjectId(vehicleId) };
+
+        if (serviceType) query.serviceType = serviceType.toUpperCase();
+        if (from || to) {
+            query.servicedAt = {};
+            if (from) query.servicedAt.$gte = new Date(from);
+            if (to) query.servicedAt.$lte = new Date(to);
+        }
+
+        const [serviceLogs, total, totals] = await Promise.all([
+            ServiceLog.find(query)
+                .sort({ servicedAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            ServiceLog.countDocuments(query),
+            ServiceLog.aggregate([
+                { $match: query },
+                { $group: { _id: '$currency', cost: { $sum: '$cost' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        return {
+            serviceLogs,
+            totals: totals.map(({ _id, cost, count }) => ({ currency: _id, cost, count })),
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    async getMaintenanceFor(vehicleId, maintenanceId) {
+        if (!mongoose.Types.ObjectId.isValid(maintenanceId)) {
+            throw httpError('Invalid maintenance id');
+        }
+
+        const maintenance = await Maintenance.findOne({ _id: maintenanceId, vehicle: vehicleId });
+        if (!maintenance) {
+            throw httpError('Maintenance not found', 404);
+        }
+        return maintenance;
+    }
+
+    async getMaintenances(vehicleId, { status, page = 1, limit = 50 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        const query = { vehicle: vehicleId };
+        if (status) query.status = status.toUpperCase();
+
+        const [maintenances, total] = await Promise.all([
+            Maintenance.find(query)
+                .sort({ startAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .populate('serviceLog'),
+            Maintenance.countDocuments(query)
+        ]);
+
+        return {
+            maintenances,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // Plan a maintenance period; one that starts now (or without startAt) takes the vehicle off the road at once
+    async scheduleMaintenance(vehicle, { reason, notes, startAt, expectedEndAt, scheduleId }, actorId) {
+        const start = startAt ? new Date(startAt) : new Date();
+        const expectedEnd = expectedEndAt ? new Date(expectedEndAt) : undefined;
+        if (isNaN(start) || (expectedEnd && isNaN(expectedEnd))) {
+            throw httpError('startAt and expectedEndAt must be valid dates');
+        }
+        if (expectedEnd && expectedEnd <= start) {
+            throw httpError('expectedEndAt must be after startAt');
+        }
+
+        const schedule = scheduleId ? await this.getScheduleFor(vehicle._id, scheduleId) : null;
+
+        const open = await Maintenance.findOne({ vehicle: vehicle._id, status: { $in: OPEN_STATUSES } });
+        if (open) {
+            throw httpError(`Vehicle already has ${open.status === 'PLANNED' ? 'planned' : 'ongoing'} maintenance (${open._id})`, 409);
+        }
+
+        const maintenance = await Maintenance.create({
+            vehicle: vehicle._id,
+            vendor: vehicle.vendor,
+            reason,
+            notes,
+            schedule: schedule ? schedule._id : undefined,
+            startAt: start,
+            expectedEndAt: expectedEnd,
+            createdBy: actorId
+        });
+
+        if (start <= new Date()) {
+            const started = await this.start(maintenance);
+            if (!started) {
+                await Maintenance.deleteOne({ _id: maintenance._id });
+                throw httpError('Vehicle is suspended for document compliance or already in maintenance', 409);
+            }
+            return started;
+        }
+
+        logger.info('Maintenance planned', { maintenanceId: maintenance._id, vehicleId: vehicle._id, startAt: start });
+        return maintenance;
+    }
+
+    // Take the vehicle off the road: MAINTENANCE status, and its driver unassigned. Vehicles suspended for
+    // document compliance don't start (planned maintenance waits for them); resolves to null then.
+    async start(maintenance) {
+        const now = new Date();
+        const vehicleBefore = await Vehicle.findOneAndUpdate(
+            { _id: maintenance.vehicle, maintenance: null, complianceSuspension: null, status: { $ne: 'SUSPENDED' } },
+            [{
+                $set: {
+                    maintenance: { maintenanceId: maintenance._id, startedAt: now, previousStatus: '$status' },
+                    status: 'MAINTENANCE'
+                }
+            }]
+        );
+        if (!vehicleBefore) {
+            return null;
+        }
+
+        if (vehicleBefore.assignedDriver) {
+            await assignmentService.release(vehicleBefore._id, vehicleBefore.assignedDriver, 'MAINTENANCE');
+        }
+
+        const started = await Maintenance.findByIdAndUpdate(maintenance._id, {
+            status: 'IN_PROGRESS',
+            startedAt: now,
+            previousStatus: vehicleBefore.status,
+            unassignedDriver: vehicleBefore.assignedDriver || undefined
+        }, { new: true });
+
+        await auditService.record({
+            action: 'VEHICLE_MAINTENANCE_STARTED',
+            entityType: 'VEHICLE',
+            entityId: vehicleBefore._id,
+            ownerVendorId: vehicleBefore.vendor,
+            before: { status: vehicleBefore.status },
+            after: { status: 'MAINTENANCE' },
+            metadata: { maintenanceId: maintenance._id, reason: maintenance.reason, unassignedDriver: vehicleBefore.assignedDriver }
+        });
+        await this.clearCaches(vehicleBefore);
+
+        logger.info('Maintenance started', { maintenanceId: maintenance._id, vehicleId: vehicleBefore._id, unassignedDriver: vehicleBefore.assignedDriver });
+        return started;
+    }
+
+    // Put the vehicle back on the road with the status it had before (unless it was changed meanwhile)
+    async restoreVehicle(maintenance) {
+        return Vehicle.findOneAndUpdate(
+            { _id: maintenance.vehicle, 'maintenance.maintenanceId': maintenance._id },
+            [{
+                $set: {
+                    status: { $cond: [{ $eq: ['$status', 'MAINTENANCE'] }, '$maintenance.previousStatus', '$status'] },
+                    maintenance: null
+                }
+            }],
+            { new: true }
+        );
+    }
+
+    // End ongoing maintenance, optionally logging the work done
+    async complete(vehicle, maintenance, { serviceLog: serviceLogData } = {}, actorId) {
+        if (maintenance.status !== 'IN_PROGRESS') {
+            throw httpError(`Only ongoing maintenance can be completed (maintenance is ${maintenance.status})`, 409);
+        }
+
+        const serviceLog = serviceLogData
+            ? await this.logService(vehicle, {
+                ...serviceLogData,
+                scheduleId: serviceLogData.scheduleId || maintenance.schedule
+            }, actorId, { maintenanceId: maintenance._id })
+            : null;
+
+        const completed = await Maintenance.findOneAndUpdate(
+            { _id: maintenance._id, status: 'IN_PROGRESS' },
+            { status: 'COMPLETED', endedAt: new Date(), endedBy: actorId, serviceLog: serviceLog ? serviceLog._id : undefined },
+            { new: true }
+        );
+        if (!completed) {
+            throw httpError('Maintenance was completed or cancelled meanwhile', 409);
+        }
+
+        const restored = await this.restoreVehicle(maintenance);
+        await this.clearCaches(vehicle);
+
+        logger.info('Maintenance completed', { maintenanceId: maintenance._id, vehicleId: vehicle._id, status: restored && restored.status });
+        return { maintenance: completed, vehicle: restored, serviceLog };
+    }
+
+    // Withdraw planned maintenance, or end ongoing maintenance without logging work
+    async cancel(vehicle, maintenance, actorId) {
+        if (!OPEN_STATUSES.includes(maintenance.status)) {
+            throw httpError(`Only planned or ongoing maintenance can be cancelled (maintenance is ${maintenance.status})`, 409);
+        }
+
+        const cancelled = await Maintenance.findOneAndUpdate(
+            { _id: maintenance._id, status: maintenance.status },
+            { status: 'CANCELLED', endedAt: new Date(), endedBy: actorId },
+            { new: true }
+        );
+        if (!cancelled) {
+            throw httpError('Maintenance changed meanwhile, please retry', 409);
+        }
+
+        const restored = maintenance.status === 'IN_PROGRESS' ? await this.restoreVehicle(maintenance) : null;
+        await this.clearCaches(vehicle);
+        return { maintenance: cancelled, vehicle: restored };
+    }
+
+    // Start planned maintenance that is due
+    async processDue() {
+        const stats = { started: 0, waiting: 0, failed: 0 };
+        const due = await Maintenance.find({ status: 'PLANNED', startAt: { $lte: new Date() } }).sort({ startAt: 1 });
+
+        for (const maintenance of due) {
+            try {
+                const started = await this.start(maintenance);
+                if (started) stats.started++;
+                else stats.waiting++;
+            } catch (error) {
+                stats.failed++;
+                logger.error('Starting maintenance failed:', { maintenanceId: maintenance._id, error: error.message, stack: error.stack });
+            }
+        }
+        return stats;
+    }
+
+    // Remind the owning vendor of schedules that are due soon or overdue, once per stage until serviced
+    async sendDueReminders() {
+        const now = new Date();
+        const stats = { checked: 0, dueSoon: 0, overdue: 0, failed: 0 };
+        const schedules = MaintenanceSchedule.find({ isActive: true }).cursor();
+
+        for await (const schedule of schedules) {
+            stats.checked++;
+            try {
+                const vehicle = await Vehicle.findById(schedule.vehicle).select('registrationNumber odometer vendor');
+                if (!vehicle) continue;
+
+                const stage = this.getDueStage(schedule, vehicle.odometer, now);
+                if (!stage || (schedule.reminder && schedule.reminder.stage === stage)) continue;
+
+                // Claim the stage first so a concurrent run doesn't send it twice
+                const claimed = await MaintenanceSchedule.findOneAndUpdate(
+                    { _id: schedule._id, 'reminder.stage': { $ne: stage } },
+                    { reminder: { stage, sentAt: now } }
+                );
+                if (!claimed) continue;
+
+                await notificationService.sendMaintenanceDueNotification({
+                    vendorId: vehicle.vendor,
+                    vehicle,
+                    schedule,
+                    overdue: stage === 'OVERDUE'
+                });
+                stats[stage === 'OVERDUE' ? 'overdue' : 'dueSoon']++;
+            } catch (error) {
+                stats.failed++;
+                logger.error('Maintenance reminder failed:', { scheduleId: schedule._id, error: error.message, stack: error.stack });
+            }
+        }
+        return stats;
+    }
+
+    async clearCaches(vehicle) {
+        await Promise.all([
+            cacheService.del(`vehicle_${vehicle._id}`),
+            cacheService.del(`vendor_vehicles_${vehicle.vendor}`),
+            cacheService.del(`fleet_stats_${vehicle.vendor}`)
+        ]);
+    }
+}
+
+module.exports = new MaintenanceService();
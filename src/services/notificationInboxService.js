@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+// In-app notifications of a vendor with their read/unread state
+class NotificationInboxService {
+    async create({ vendorId, type, title, body, data }) {
+        const notification = await Notification.create({ vendor: vendorId, type, title, body, data });
+        logger.info('In-app notification created', { notificationId: notification._id, vendorId, type });
+        return notification;
+    }
+
+    async getUnreadCount(vendorId) {
+        return Notification.countDocuments({ vendor: vendorId, readAt: null });
+    }
+
+    // Newest first; `unread` limits the list to unread notifications
+    async list(vendorId, { unread, type, page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const filter = { vendor: vendorId };
+        if (unread) filter.readAt = null;
+        if (type) filter.type = type.toUpperCase();
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Notification.countDocuments(filter),
+            this.getUnreadCount(vendorId)
+        ]);
+
+        return {
+            notifications,
+            unreadCount,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // Mark one of the vendor's notifications read (or unread again)
+    async setRead(vendorId, notificationId, read = true) {
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+            throw httpError('Invalid notification id');
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, vendor: vendorId },
+            { readAt: read ? new Date() : null },
+            { new: true }
+        );
+        if (!notification) {
+            throw httpError('Notification not found', 404);
+        }
+        return notification;
+    }
+
+    // Mark all unread notifications read, optionally only those of one type; returns how many changed
+    async markAllRead(vendorId, { type } = {}) {
+        const filter = { vendor: vendorId, readAt: null };
+        if (type) filter.type = type.toUpperCase();
+
+        const result = await Notification.updateMany(filter, { readAt: new Date() });
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new NotificationInboxService();
@@ -1,25 +1,49 @@
 const nodemailer = require('nodemailer');
 const Document = require('../models/Document');
 const Vendor = require('../models/Vendor');
-const Vehicle = require('../models/Vehicle');
 const Driver = require('../models/Driver');
+const accessControlService = require('./accessControlService');
+const vendorHierarchyService = require('./vendorHierarchyService');
+const notificationTemplateService = require('./notificationTemplateService');
+const outboxService = require('./outboxService');
+const notificationInboxService = require('./notificationInboxService');
+const smsService = require('./smsService');
+const webhookService = require('./webhookService');
+const complianceConfig = require('../config/compliance');
+const { DEFAULT_LOCALE } = require('../config/notificationTemplates');
+const { DEFAULT_CHANNELS, CONFIGURABLE_TYPES, webhook: webhookConfig } = require('../config/notificationChannels');
 const logger = require('../config/logger');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class NotificationService {
     constructor() {
         this.transporter = null;
         this.isInitialized = false;
+
+        // Emails, texts and webhook calls are queued in the outbox and delivered by its worker
+        outboxService.registerChannel('EMAIL', message => this.deliverEmail(message));
+        outboxService.registerChannel('SMS', message => this.deliverSms(message));
+        outboxService.registerChannel('WEBHOOK', message => this.deliverWebhook(message));
     }
 
     async initialize() {
         try {
-            this.transporter = nodemailer.createTransport({
-                service: 'gmail',
-                auth: {
-                    user: process.env.GMAIL_USER,
-                    pass: process.env.GMAIL_PASS
+            // SMTP_HOST points at another server, such as a local SMTP sink in development; Gmail otherwise
+            this.transporter = nodemailer.createTransport(process.env.SMTP_HOST
+                ? {
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
                 }
-            });
+                : {
+                    service: 'gmail',
+                    auth: {
+                        user: process.env.GMAIL_USER,
+                        pass: process.env.GMAIL_PASS
+                    }
+                });
 
             // Verify connection
             await this.transporter.verify();
@@ -35,188 +59,351 @@ class NotificationService {
         return this.isInitialized;
     }
 
-    async sendEmail(to, subject, text, html) {
+    // Queue an email in the outbox; delivery and retries happen in the background.
+    // Returns false only when the email couldn't be queued.
+    async sendEmail(to, subject, text, html, { type, vendorId, bcc } = {}) {
         try {
-            if (!this.isInitialized) {
-                throw new Error('Notification service not initialized');
-            }
+            await outboxService.enqueue({
+                channel: 'EMAIL',
+                type,
+                recipient: to,
+                recipientVendor: vendorId,
+                payload: { to, bcc, subject, text, html }
+            });
+            return true;
+        } catch (error) {
+            logger.error('Email queueing failed:', {
+                error: error.message,
+                stack: error.stack,
+                type,
+                to
+            });
+            return false;
+        }
+    }
 
-            const mailOptions = {
-                from: process.env.GMAIL_USER,
-                to,
-                subject,
-                text,
-                html
-            };
+    // Send a queued email; throws so the outbox retries it
+    async deliverEmail(message) {
+        if (!this.isInitialized) {
+            throw new Error('Notification service not initialized');
+        }
 
-            const info = await this.transporter.sendMail(mailOptions);
-            logger.info('Email sent:', info.messageId);
-            return true;
+        const { to, bcc, subject, text, html } = message.payload;
+        const info = await this.transporter.sendMail({
+            from: process.env.SMTP_FROM || process.env.GMAIL_USER,
+            to,
+            bcc,
+            subject,
+            text,
+            html
+        });
+
+        logger.info('Email sent:', { messageId: info.messageId, outboxMessageId: message._id });
+        return { providerMessageId: info.messageId };
+    }
+
+    // Queue a text message in the outbox
+    async sendSms(to, body, { type, vendorId } = {}) {
+        await outboxService.enqueue({
+            channel: 'SMS',
+            type,
+            recipient: to,
+            recipientVendor: vendorId,
+            payload: { to, body }
+        });
+        return true;
+    }
+
+    // Send a queued text through the SMS provider; throws so the outbox retries it
+    async deliverSms(message) {
+        const { messageId } = await smsService.send(message.payload.to, message.payload.body);
+        return { providerMessageId: messageId };
+    }
+
+    // POST a queued notification to the vendor's webhook; any non-2xx answer or a timeout fails the attempt.
+    // X-Notification-Id stays the same across retries so receivers can drop duplicates.
+    async deliverWebhook(message) {
+        const response = await fetch(message.payload.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'FleetManagement-Notifications/1.0',
+                'X-Notification-Id': message._id.toString(),
+                'X-Notification-Type': message.type || ''
+            },
+            body: JSON.stringify(message.payload.body),
+            signal: AbortSignal.timeout(webhookConfig.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+        }
+        return { providerMessageId: `HTTP ${response.status}` };
+    }
+
+    // Contact details, locale and channel preferences of a vendor, or null if it doesn't exist
+    async resolveRecipient(vendorId) {
+        const vendor = await Vendor.findById(vendorId).select('name email locale notificationPreferences notificationContacts');
+        if (!vendor) {
+            return null;
+        }
+
+        const contacts = vendor.notificationContacts || {};
+        return {
+            vendorId: vendor._id,
+            email: vendor.email,
+            name: vendor.name,
+            locale: vendor.locale,
+            phone: contacts.phone,
+            webhookUrl: contacts.webhookUrl,
+            preferences: vendor.notificationPreferences
+        };
+    }
+
+    // Channels a vendor gets a notification type on: its own choice for configurable types, the default otherwise
+    getChannels(type, preferences) {
+        const preferred = CONFIGURABLE_TYPES.includes(type) && preferences ? preferences.get(type) : null;
+        return preferred || DEFAULT_CHANNELS[type] || ['EMAIL'];
+    }
+
+    // Date in the recipient's language ("31 December 2026" for en)
+    formatDate(date, locale) {
+        try {
+            return new Date(date).toLocaleDateString(locale || DEFAULT_LOCALE, { year: 'numeric', month: 'long', day: 'numeric' });
+        } catch (error) {
+            return new Date(date).toISOString().slice(0, 10);
+        }
+    }
+
+    // Render the stored template of a notification type in the recipient's locale and send it on every channel
+    // the recipient gets that type on. The recipient is a vendor (vendorId, resolved through Vendor) or an explicit
+    // { email, name, locale }, which only gets email. `data` may be a function of the resolved recipient, for values
+    // formatted in its locale. Returns whether any channel took the notification.
+    async sendTemplated(type, recipient, data = {}) {
+        const resolved = recipient.vendorId ? await this.resolveRecipient(recipient.vendorId) : recipient;
+        if (!resolved) {
+            logger.warn('Notification recipient not found', { type, vendorId: recipient.vendorId });
+            return false;
+        }
+
+        const values = typeof data === 'function' ? data(resolved) : data;
+        const rendered = await notificationTemplateService.render(type, resolved.locale, {
+            recipientName: resolved.name,
+            ...values
+        });
+
+        const channels = resolved.vendorId ? this.getChannels(type, resolved.preferences) : ['EMAIL'];
+        const results = await Promise.all(channels.map(channel => this.sendOnChannel(channel, type, resolved, rendered, values)));
+        return results.some(Boolean);
+    }
+
+    // Send a rendered notification on one channel; false when the recipient has no address for it or queueing failed
+    async sendOnChannel(channel, type, recipient, { subject, text, html }, data) {
+        try {
+            switch (channel) {
+                case 'EMAIL':
+                    return recipient.email
+                        ? await this.sendEmail(recipient.email, subject, text, html, { type, vendorId: recipient.vendorId })
+                        : false;
+                case 'SMS':
+                    return recipient.phone
+                        ? await this.sendSms(recipient.phone, text, { type, vendorId: recipient.vendorId })
+                        : false;
+                case 'WEBHOOK':
+                    if (!recipient.webhookUrl) {
+                        return false;
+                    }
+                    await outboxService.enqueue({
+                        channel: 'WEBHOOK',
+                        type,
+                        recipient: recipient.webhookUrl,
+                        recipientVendor: recipient.vendorId,
+                        payload: {
+                            url: recipient.webhookUrl,
+                            body: { type, vendorId: recipient.vendorId, title: subject, message: text, data, createdAt: new Date() }
+                        }
+                    });
+                    return true;
+                case 'IN_APP':
+                    await notificationInboxService.create({ vendorId: recipient.vendorId, type, title: subject, body: text, data });
+                    return true;
+                default:
+                    logger.warn('Unknown notification channel', { channel, type });
+                    return false;
+            }
         } catch (error) {
-            logger.error('Email sending failed:', error);
+            logger.error('Notification channel failed:', {
+                error: error.message,
+                stack: error.stack,
+                channel,
+                type,
+                vendorId: recipient.vendorId
+            });
             return false;
         }
     }
 
-    async sendDocumentExpiryNotification({ vendorId, documentType, expiryDate }) {
+    // escalationLevel 0 goes to the owning vendor; 1 and up to its parent, grandparent, ... about ownerVendorId's document
+    async sendDocumentExpiryNotification({ vendorId, documentType, expiryDate, daysUntilExpiry, escalationLevel = 0, ownerVendorId }) {
         try {
-            const subject = `Document Expiry Alert: ${documentType}`;
-            const text = `Your ${documentType} is expiring on ${expiryDate}. Please renew it soon.`;
-            const html = `
-                <h2>Document Expiry Alert</h2>
-                <p>Your ${documentType} is expiring on ${expiryDate}.</p>
-                <p>Please renew it soon to maintain compliance.</p>
-            `;
-
-            return await this.sendEmail(
-                process.env.GMAIL_USER, // Replace with vendor's email
-                subject,
-                text,
-                html
-            );
+            const owner = escalationLevel > 0 && ownerVendorId ? await this.resolveRecipient(ownerVendorId) : null;
+
+            return await this.sendTemplated('DOCUMENT_EXPIRY', { vendorId }, recipient => ({
+                documentType,
+                expiryDate: this.formatDate(expiryDate, recipient.locale),
+                daysUntilExpiry,
+                daysOverdue: daysUntilExpiry < 0 ? -daysUntilExpiry : 0,
+                expired: daysUntilExpiry !== undefined && daysUntilExpiry <= 0,
+                escalated: escalationLevel > 0,
+                ownerVendorName: owner ? owner.name : ownerVendorId
+            }));
         } catch (error) {
             logger.error('Document expiry notification failed:', error);
             return false;
         }
     }
 
-    async sendAssignmentNotification({ vehicleId, driverId, type }) {
+    // Sent to the vehicle's owning vendor unless vendorId is given
+    async sendAssignmentNotification({ vehicleId, driverId, type, vendorId }) {
         try {
-            const subject = `Vehicle-Driver Assignment: ${type}`;
-            const text = `Vehicle ${vehicleId} has been ${type.toLowerCase()} to driver ${driverId}.`;
-            const html = `
-                <h2>Vehicle-Driver Assignment</h2>
-                <p>Vehicle ${vehicleId} has been ${type.toLowerCase()} to driver ${driverId}.</p>
-            `;
-
-            return await this.sendEmail(
-                process.env.GMAIL_USER, // Replace with vendor's email
-                subject,
-                text,
-                html
-            );
+            const recipientId = vendorId || await accessControlService.getOwnerVendorId('VEHICLE', vehicleId);
+            const values = { vehicleId, driverId, action: type.toLowerCase() };
+
+            const sent = await this.sendTemplated('ASSIGNMENT', { vendorId: recipientId }, values);
+
+            // Drivers rarely read email: text the driver too when the vendor gets assignment notifications by SMS
+            const [vendor, driver] = await Promise.all([
+                this.resolveRecipient(recipientId),
+                Driver.findById(driverId).select('name phone')
+            ]);
+            if (vendor && driver && driver.phone && this.getChannels('ASSIGNMENT', vendor.preferences).includes('SMS')) {
+                const { text } = await notificationTemplateService.render('ASSIGNMENT', vendor.locale, { recipientName: driver.name, ...values });
+                await this.sendSms(driver.phone, text, { type: 'ASSIGNMENT', vendorId: recipientId });
+            }
+
+            return sent;
         } catch (error) {
             logger.error('Assignment notification failed:', error);
             return false;
         }
     }
 
+    // Sent to the vendor that owns the document's vehicle, driver or vendor
     async sendVerificationNotification({ documentId, status, remarks }) {
         try {
-            const subject = `Document Verification: ${status}`;
-            const text = `Document ${documentId} has been ${status.toLowerCase()}. Remarks: ${remarks}`;
-            const html = `
-                <h2>Document Verification</h2>
-                <p>Document ${documentId} has been ${status.toLowerCase()}.</p>
-                <p>Remarks: ${remarks}</p>
-            `;
-
-            return await this.sendEmail(
-                process.env.GMAIL_USER, // Replace with vendor's email
-                subject,
-                text,
-                html
-            );
+            const document = await Document.findById(documentId).select('entityType entityId documentType');
+            if (!document) {
+                return false;
+            }
+            const ownerVendorId = await accessControlService.getOwnerVendorId(document.entityType, document.entityId);
+
+            return await this.sendTemplated('DOCUMENT_VERIFICATION', { vendorId: ownerVendorId }, {
+                documentId,
+                documentType: document.documentType,
+                status,
+                remarks
+            });
         } catch (error) {
             logger.error('Verification notification failed:', error);
             return false;
         }
     }
 
+    // A vehicle or driver was suspended for missing/expired mandatory documents, or restored afterwards
+    async sendComplianceStatusNotification({ vendorId, entityType, entityId, status, reasons = [] }) {
+        try {
+            return await this.sendTemplated('COMPLIANCE_STATUS', { vendorId }, {
+                entityType: `${entityType.charAt(0)}${entityType.slice(1).toLowerCase()}`,
+                entityId,
+                status,
+                suspended: status === 'SUSPENDED',
+                reasons: reasons.map(reason => `${reason.name || reason.type}: ${reason.reason.toLowerCase()}`).join(', ')
+            });
+        } catch (error) {
+            logger.error('Compliance status notification failed:', error);
+            return false;
+        }
+    }
+
+    // A maintenance schedule of a vehicle is due soon or overdue
+    async sendMaintenanceDueNotification({ vendorId, vehicle, schedule, overdue }) {
+        try {
+            return await this.sendTemplated('MAINTENANCE_DUE', { vendorId }, recipient => ({
+                vehicleId: vehicle._id,
+                registrationNumber: vehicle.registrationNumber,
+                scheduleName: schedule.name,
+                serviceType: schedule.serviceType,
+                overdue,
+                dueDate: schedule.nextDueAt ? this.formatDate(schedule.nextDueAt, recipient.locale) : undefined,
+                dueOdometer: schedule.nextDueOdometer,
+                odometer: vehicle.odometer
+            }));
+        } catch (error) {
+            logger.error('Maintenance due notification failed:', error);
+            return false;
+        }
+    }
+
     async sendWelcomeNotification({ vendorId, email }) {
         try {
-            const subject = 'Welcome to Fleet Management System';
-            const text = `Welcome to our Fleet Management System. Your vendor ID is ${vendorId}.`;
-            const html = `
-                <h2>Welcome to Fleet Management System</h2>
-                <p>Welcome to our Fleet Management System.</p>
-                <p>Your vendor ID is ${vendorId}.</p>
-            `;
-
-            return await this.sendEmail(
-                email,
-                subject,
-                text,
-                html
-            );
+            return await this.sendTemplated('WELCOME', email ? { email } : { vendorId }, { vendorId });
         } catch (error) {
             logger.error('Welcome notification failed:', error);
             return false;
         }
     }
 
-    static async checkAndNotifyExpiringDocuments(daysThreshold = 30) {
+    async sendEmailVerificationNotification({ email, name, token, locale }) {
         try {
-            const now = new Date();
-            const thresholdDate = new Date(now);
-            thresholdDate.setDate(now.getDate() + daysThreshold);
-
-            const expiringDocuments = await Document.find({
-                expiryDate: {
-                    $gte: now,
-                    $lte: thresholdDate
-                },
-                status: 'ACTIVE'
-            }).populate('vendor');
-
-            logger.info('Found expiring documents', {
-                count: expiringDocuments.length,
-                daysThreshold
+            return await this.sendTemplated('EMAIL_VERIFICATION', { email, name, locale }, {
+                link: `${process.env.APP_BASE_URL || ''}/verify-email?token=${token}`
             });
+        } catch (error) {
+            logger.error('Email verification notification failed:', error);
+            return false;
+        }
+    }
 
-            const notificationResults = await Promise.all(
-                expiringDocuments.map(doc => this.sendDocumentExpiryNotification(doc, doc.vendor))
-            );
-
-            const successCount = notificationResults.filter(result => result).length;
-            logger.info('Document expiry notifications sent', {
-                total: expiringDocuments.length,
-                successCount,
-                failedCount: expiringDocuments.length - successCount
+    async sendPasswordResetNotification({ email, name, token, expiresAt, locale }) {
+        try {
+            return await this.sendTemplated('PASSWORD_RESET', { email, name, locale }, {
+                link: `${process.env.APP_BASE_URL || ''}/reset-password?token=${token}`,
+                expiresAt: expiresAt.toISOString()
             });
-
-            return {
-                total: expiringDocuments.length,
-                sent: successCount,
-                failed: expiringDocuments.length - successCount
-            };
         } catch (error) {
-            logger.error('Error checking and notifying expiring documents', {
-                error: error.message,
-                stack: error.stack
-            });
-            throw error;
+            logger.error('Password reset notification failed:', error);
+            return false;
         }
     }
 
-    static async sendBulkNotification(vendorIds, subject, message) {
+    // One bcc email per locale, each rendered from the BULK template in that locale
+    async sendBulkNotification(vendorIds, subject, message) {
         try {
-            const vendors = await Vendor.find({ _id: { $in: vendorIds } });
+            const vendors = await Vendor.find({ _id: { $in: vendorIds } }).select('email locale');
 
             logger.info('Preparing bulk notification', {
                 vendorCount: vendors.length,
                 subject
             });
 
-            const mailOptions = {
-                from: process.env.GMAIL_USER,
-                bcc: vendors.map(vendor => vendor.email),
-                subject: subject,
-                html: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #1976d2;">${subject}</h2>
-                        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0;">
-                            ${message}
-                        </div>
-                        <hr style="border: 1px solid #eee; margin: 20px 0;">
-                        <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
-                    </div>
-                `
-            };
-
-            await this.transporter.sendMail(mailOptions);
-            logger.info('Bulk notification sent successfully', {
+            const byLocale = new Map();
+            vendors.forEach(vendor => {
+                const locale = vendor.locale || DEFAULT_LOCALE;
+                byLocale.set(locale, [...(byLocale.get(locale) || []), vendor.email]);
+            });
+
+            for (const [locale, emails] of byLocale) {
+                const rendered = await notificationTemplateService.render('BULK', locale, { subject, message });
+                await outboxService.enqueue({
+                    channel: 'EMAIL',
+                    type: 'BULK',
+                    payload: { bcc: emails, subject: rendered.subject, text: rendered.text, html: rendered.html }
+                });
+            }
+
+            logger.info('Bulk notification queued', {
                 vendorCount: vendors.length,
+                locales: [...byLocale.keys()],
                 subject
             });
             return true;
@@ -231,42 +418,107 @@ class NotificationService {
         }
     }
 
+    // Cadence stage a document is in: BEFORE_<n> once it is within n configured days of expiry (the closest
+    // threshold reached), then OVERDUE_<k> for every overdueIntervalDays after expiry; null while not yet due
+    getReminderStage(daysUntilExpiry) {
+        const { daysBefore, overdueIntervalDays } = complianceConfig.expiryReminders;
+
+        if (daysUntilExpiry <= 0) {
+            return `OVERDUE_${Math.floor(-daysUntilExpiry / overdueIntervalDays)}`;
+        }
+
+        const reached = daysBefore.filter(days => daysUntilExpiry <= days);
+        return reached.length > 0 ? `BEFORE_${reached[reached.length - 1]}` : null;
+    }
+
+    // Remind owners of current documents approaching or past expiry on the configured cadence. Each stage is sent
+    // once per document (recorded in Document.expiryReminders); a renewal replaces the current document and ends the
+    // reminders. The closer to (or further past) expiry, the further up the owner's parent chain reminders are copied.
     async checkAndNotifyExpiringDocuments() {
         try {
-            const thirtyDaysFromNow = new Date();
-            thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-
-            // Check vehicle documents
-            const vehiclesWithExpiringDocs = await Vehicle.find({
-                'documents.expiryDate': { $lte: thirtyDaysFromNow }
-            }).populate('vendor');
-
-            for (const vehicle of vehiclesWithExpiringDocs) {
-                for (const [docType, doc] of Object.entries(vehicle.documents)) {
-                    if (new Date(doc.expiryDate) <= thirtyDaysFromNow) {
-                        await this.sendDocumentExpiryNotification(
-                            doc,
-                            vehicle.vendor
-                        );
-                    }
+            const { daysBefore, escalationDays } = complianceConfig.expiryReminders;
+            const now = new Date();
+            const threshold = new Date(now.getTime() + daysBefore[0] * DAY_MS);
+
+            // Expiry is checked on the current version only; a renewal without an expiry date ends the reminders
+            const documents = await Document.findCurrent({}, {
+                expiryDate: { $lte: threshold },
+                status: { $ne: 'REJECTED' }
+            });
+
+            logger.info('Found expiring documents', { count: documents.length });
+
+            const stats = { total: documents.length, reminded: 0, sent: 0, failed: 0 };
+            for (const document of documents) {
+                const daysUntilExpiry = Math.ceil((document.expiryDate - now) / DAY_MS);
+                const stage = this.getReminderStage(daysUntilExpiry);
+                if (!stage || (document.expiryReminders || []).some(reminder => reminder.stage === stage)) {
+                    continue;
                 }
-            }
 
-            // Check driver documents
-            const driversWithExpiringDocs = await Driver.find({
-                'documents.expiryDate': { $lte: thirtyDaysFromNow }
-            }).populate('vendor');
-
-            for (const driver of driversWithExpiringDocs) {
-                for (const [docType, doc] of Object.entries(driver.documents)) {
-                    if (new Date(doc.expiryDate) <= thirtyDaysFromNow) {
-                        await this.sendDocumentExpiryNotification(
-                            doc,
-                            driver.vendor
-                        );
-                    }
+                const ownerVendorId = document.entityType === 'VENDOR'
+                    ? document.entityId
+                    : await accessControlService.getOwnerVendorId(document.entityType, document.entityId);
+                if (!ownerVendorId) {
+                    continue;
+                }
+
+                const escalationLevel = escalationDays.filter(days => daysUntilExpiry <= days).length;
+                const parents = escalationLevel > 0 ? await vendorHierarchyService.getParentChain(ownerVendorId) : [];
+                const recipients = [ownerVendorId, ...parents.slice(0, escalationLevel).map(parent => parent.id)];
+
+                // Record the stage before sending so overlapping runs don't send it twice
+                const claimed = await Document.updateOne(
+                    { _id: document._id, 'expiryReminders.stage': { $ne: stage } },
+                    { $push: { expiryReminders: { stage, recipients, escalationLevel, sentAt: now } } }
+                );
+                if (claimed.modifiedCount === 0) {
+                    continue;
+                }
+                stats.reminded++;
+
+                let queued = 0;
+                for (const [level, vendorId] of recipients.entries()) {
+                    const success = await this.sendDocumentExpiryNotification({
+                        vendorId,
+                        documentType: document.documentType,
+                        expiryDate: document.expiryDate,
+                        daysUntilExpiry,
+                        escalationLevel: level,
+                        ownerVendorId
+                    });
+                    if (success) queued++;
+                    else stats.failed++;
+                }
+                stats.sent += queued;
+
+                // Nobody was reached: release the stage so the next run tries again
+                if (queued === 0) {
+                    await Document.updateOne(
+                        { _id: document._id },
+                        { $pull: { expiryReminders: { stage, sentAt: now } } }
+                    );
+                    stats.reminded--;
+                    continue;
                 }
+
+                await webhookService.emit('document.expiring', {
+                    vendorId: ownerVendorId,
+                    data: {
+                        documentId: document._id,
+                        entityType: document.entityType,
+                        entityId: document.entityId,
+                        documentType: document.documentType,
+                        expiryDate: document.expiryDate,
+                        daysUntilExpiry,
+                        stage
+                    }
+                });
             }
+
+            logger.info('Document expiry reminders sent', stats);
+
+            return stats;
         } catch (error) {
             logger.error('Error checking expiring documents:', {
                 error: error.message,
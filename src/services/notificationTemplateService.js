@@ -0,0 +1,107 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const cacheService = require('./cacheService');
+const { DEFAULT_LOCALE, NOTIFICATION_TYPES, DEFAULT_NOTIFICATION_TEMPLATES } = require('../config/notificationTemplates');
+const { renderTemplate, getTemplateVariables } = require('../utils/templateUtils');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const CACHE_KEY = 'notification_templates';
+
+// Stored email templates per notification type and locale. Sending picks the recipient's locale,
+// then its base language ("pt" for "pt-br"), then the default locale.
+class NotificationTemplateService {
+    // Seed the default-locale template of every type that doesn't have one yet (new types get theirs on first use)
+    async ensureDefaults() {
+        const result = await NotificationTemplate.bulkWrite(DEFAULT_NOTIFICATION_TEMPLATES.map(template => ({
+            updateOne: {
+                filter: { type: template.type, locale: template.locale },
+                update: { $setOnInsert: template },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        if (result.upsertedCount > 0) {
+            logger.info('Notification templates seeded with defaults', { count: result.upsertedCount });
+        }
+    }
+
+    // Every stored template as plain objects
+    async getAll() {
+        let templates = await cacheService.get(CACHE_KEY);
+        if (!templates) {
+            await this.ensureDefaults();
+            templates = await NotificationTemplate.find().sort({ type: 1, locale: 1 }).lean();
+            await cacheService.set(CACHE_KEY, templates, 3600);
+        }
+        return templates;
+    }
+
+    async clearCache() {
+        return cacheService.del(CACHE_KEY);
+    }
+
+    // The template used for a type in a locale (with fallbacks), or null
+    async getTemplate(type, locale) {
+        const templates = await this.getAll();
+        const normalized = (locale || DEFAULT_LOCALE).toLowerCase();
+        const candidates = [normalized, normalized.split('-')[0], DEFAULT_LOCALE];
+
+        for (const candidate of candidates) {
+            const template = templates.find(entry => entry.type === type && entry.locale === candidate);
+            if (template) {
+                return template;
+            }
+        }
+        return null;
+    }
+
+    // Render subject, text and html of a template (stored or draft) with the given data
+    renderContent(template, data) {
+        return {
+            subject: renderTemplate(template.subject, data),
+            text: renderTemplate(template.text, data),
+            html: renderTemplate(template.html, data, { escape: true })
+        };
+    }
+
+    // Render the stored template for a notification type in the recipient's locale
+    async render(type, locale, data = {}) {
+        if (!NOTIFICATION_TYPES[type]) {
+            throw httpError(`Unknown notification type '${type}'`);
+        }
+
+        const template = await this.getTemplate(type, locale);
+        if (!template) {
+            throw httpError(`No ${type} template for locale '${locale || DEFAULT_LOCALE}'`, 404);
+        }
+
+        return { locale: template.locale, ...this.renderContent(template, data) };
+    }
+
+    // Render a template without sending it. Unsaved edits (subject, text, html) can be passed as a draft;
+    // data is merged over the type's sample data. Reports variables the template uses that the type doesn't provide.
+    async preview(type, locale, { data = {}, draft = {} } = {}) {
+        const notificationType = NOTIFICATION_TYPES[type];
+        if (!notificationType) {
+            throw httpError(`Unknown notification type '${type}'`);
+        }
+
+        const stored = await this.getTemplate(type, locale);
+        if (!stored && !(draft.subject && draft.text && draft.html)) {
+            throw httpError(`No ${type} template for locale '${locale}'`, 404);
+        }
+
+        const template = { ...stored, ...draft };
+        const used = ['subject', 'text', 'html'].flatMap(part => getTemplateVariables(template[part]));
+
+        return {
+            type,
+            // The locale actually used; differs from the requested one when a fallback template was picked
+            locale: stored ? stored.locale : locale,
+            ...this.renderContent(template, { ...notificationType.sampleData, ...data }),
+            unknownVariables: [...new Set(used)].filter(variable => !notificationType.variables.includes(variable.split('.')[0]))
+        };
+    }
+}
+
+module.exports = new NotificationTemplateService();
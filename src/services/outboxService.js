@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const outboxConfig = require('../config/outbox');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+// Persistent outbound notification queue. Senders enqueue and return immediately; the worker
+// (processDue, run by the scheduler and kicked on every enqueue) delivers through the handler
+// registered for the message's channel, retrying failures with exponential backoff until the
+// message runs out of attempts and is dead-lettered. Every attempt is kept in deliveryLog.
+class OutboxService {
+    constructor() {
+        this.channels = new Map();
+        this.processing = false;
+    }
+
+    // deliver(message) sends one message and resolves to { providerMessageId }; it throws to fail the attempt
+    registerChannel(channel, deliver) {
+        this.channels.set(channel, deliver);
+    }
+
+    async enqueue({ channel = 'EMAIL', type, recipient, recipientVendor, payload, event, webhookEndpoint, replayOf }) {
+        const message = await OutboxMessage.create({ channel, type, recipient, recipientVendor, payload, event, webhookEndpoint, replayOf });
+
+        logger.info('Notification queued', { messageId: message._id, channel, type, event, recipient });
+
+        this.kick();
+
+        return message;
+    }
+
+    // Start a delivery run now instead of waiting for the next scheduled one; failures stay queued
+    kick() {
+        setImmediate(() => this.processDue().catch(error => logger.error('Outbox delivery run failed:', {
+            error: error.message,
+            stack: error.stack
+        })));
+    }
+
+    // Delay before the next attempt after `attempts` failures, with +/-20% jitter so retries don't bunch up
+    getBackoffDelay(attempts) {
+        const { backoffBaseSeconds, backoffMaxSeconds } = outboxConfig;
+        const seconds = Math.min(backoffBaseSeconds * Math.pow(2, attempts - 1), backoffMaxSeconds);
+        return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+    }
+
+    // Atomically take the next due message (or one whose worker died mid-send) and count the attempt
+    async claimNext() {
+        const now = new Date();
+        return OutboxMessage.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                    { status: 'SENDING', lockedUntil: { $lte: now } }
+                ]
+            },
+            {
+                $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + outboxConfig.lockSeconds * 1000) },
+                $inc: { attempts: 1 }
+            },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    // Make one delivery attempt of a claimed message and record its outcome
+    async deliver(message) {
+        const startedAt = Date.now();
+        const entry = { attempt: message.attempts, at: new Date(startedAt) };
+
+        try {
+            const deliverToChannel = this.channels.get(message.channel);
+            if (!deliverToChannel) {
+                throw new Error(`No delivery handler for channel ${message.channel}`);
+            }
+
+            const { providerMessageId } = await deliverToChannel(message) || {};
+
+            await OutboxMessage.updateOne({ _id: message._id, status: 'SENDING' }, {
+                $set: { status: 'SENT', sentAt: new Date(), providerMessageId, lastError: null, lockedUntil: null },
+                $push: { deliveryLog: { ...entry, status: 'SENT', providerMessageId, durationMs: Date.now() - startedAt } }
+            });
+
+            logger.info('Notification delivered', { messageId: message._id, type: message.type, attempt: message.attempts, providerMessageId });
+            return 'SENT';
+        } catch (error) {
+            const dead = message.attempts >= message.maxAttempts;
+            const update = dead
+                ? { status: 'DEAD', deadAt: new Date() }
+                : { status: 'PENDING', nextAttemptAt: new Date(Date.now() + this.getBackoffDelay(message.attempts)) };
+
+            await OutboxMessage.updateOne({ _id: message._id, status: 'SENDING' }, {
+                $set: { ...update, lastError: error.message, lockedUntil: null },
+                $push: { deliveryLog: { ...entry, status: 'FAILED', error: error.message, durationMs: Date.now() - startedAt } }
+            });
+
+            logger[dead ? 'error' : 'warn'](dead ? 'Notification dead-lettered' : 'Notification delivery failed, will retry', {
+                messageId: message._id,
+                type: message.type,
+                attempt: message.attempts,
+                maxAttempts: message.maxAttempts,
+                nextAttemptAt: update.nextAttemptAt,
+                error: error.message
+            });
+            return dead ? 'DEAD' : 'RETRY';
+        }
+    }
+
+    // Deliver due messages, up to a batch. Only one run per process at a time; concurrent runs in other
+    // processes are safe because each message is claimed atomically.
+    async processDue({ limit = outboxConfig.batchSize } = {}) {
+        if (this.processing) {
+            return null;
+        }
+
+        this.processing = true;
+        const stats = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+        try {
+            while (stats.processed < limit) {
+                const message = await this.claimNext();
+                if (!message) {
+                    break;
+                }
+
+                const outcome = await this.deliver(message);
+                stats.processed++;
+                if (outcome === 'SENT') stats.sent++;
+                else if (outcome === 'RETRY') stats.retrying++;
+                else stats.dead++;
+            }
+            return stats;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Messages matching the filter, newest first, without their bodies
+    async find(filter, { page = 1, limit = 50 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+        const [messages, total] = await Promise.all([
+            OutboxMessage.find(filter)
+                .select('-payload.text -payload.html -deliveryLog')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            OutboxMessage.countDocuments(filter)
+        ]);
+
+        return {
+            messages,
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // A message with its body and delivery log
+    async getMessage(messageId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw httpError('Invalid message id');
+        }
+
+        const message = await OutboxMessage.findById(messageId).populate('recipientVendor', 'name email');
+        if (!message) {
+            throw httpError('Outbox message not found', 404);
+        }
+        return message;
+    }
+
+    // Message counts per status, and how long the oldest due message has been waiting
+    async getStats() {
+        const [byStatus, oldestDue] = await Promise.all([
+            OutboxMessage.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            OutboxMessage.findOne({ status: 'PENDING', nextAttemptAt: { $lte: new Date() } })
+                .sort({ nextAttemptAt: 1 })
+                .select('createdAt nextAttemptAt')
+        ]);
+
+        const counts = { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 0 };
+        byStatus.forEach(({ _id, count }) => counts[_id] = count);
+
+        return {
+            counts,
+            oldestDueAt: oldestDue ? oldestDue.nextAttemptAt : null,
+            oldestDueAgeSeconds: oldestDue ? Math.round((Date.now() - oldestDue.nextAttemptAt.getTime()) / 1000) : 0,
+            workerRunning: this.processing
+        };
+    }
+
+    // Requeue a dead-lettered message for a fresh round of attempts; earlier attempts stay in the log
+    async retry(messageId, vendorId) {
+        const message = await this.getMessage(messageId);
+        if (message.status !== 'DEAD') {
+            throw httpError(`Only dead-lettered messages can be retried (message is ${message.status})`, 409);
+        }
+
+        const requeued = await OutboxMessage.findOneAndUpdate(
+            { _id: message._id, status: 'DEAD' },
+            {
+                $set: {
+                    status: 'PENDING',
+                    nextAttemptAt: new Date(),
+                    maxAttempts: message.attempts + outboxConfig.maxAttempts,
+                    retriedAt: new Date(),
+                    retriedBy: vendorId
+                },
+                $unset: { deadAt: 1 }
+            },
+            { new: true }
+        );
+        if (!requeued) {
+            throw httpError('Message was retried concurrently', 409);
+        }
+
+        logger.info('Outbox message requeued', { messageId: message._id, vendorId });
+        this.kick();
+
+        return { before: message, after: requeued };
+    }
+
+    // Requeue every dead-lettered message matching the filter (at most `limit`); returns the requeued ids
+    async retryDead(filter, vendorId, { limit = 500 } = {}) {
+        const messages = await OutboxMessage.find({ ...filter, status: 'DEAD' })
+            .sort({ deadAt: 1 })
+            .limit(limit)
+            .select('_id');
+        const ids = messages.map(message => message._id);
+
+        if (ids.length > 0) {
+            await OutboxMessage.updateMany({ _id: { $in: ids }, status: 'DEAD' }, [
+                {
+                    $set: {
+                        status: 'PENDING',
+                        nextAttemptAt: '$$NOW',
+                        maxAttempts: { $add: ['$attempts', outboxConfig.maxAttempts] },
+                        retriedAt: '$$NOW',
+                        retriedBy: vendorId
+                    }
+                },
+                { $unset: 'deadAt' }
+            ]);
+            this.kick();
+        }
+
+        logger.info('Dead-lettered outbox messages requeued', { count: ids.length, filter, vendorId });
+        return ids;
+    }
+}
+
+module.exports = new OutboxService();
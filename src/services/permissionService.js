@@ -0,0 +1,104 @@
+const Vendor = require('../models/Vendor');
+const { PERMISSIONS, PERMISSION_TEMPLATES } = require('../config/permissions');
+
+// Delegated permissions. A vendor's effective permissions are its own, expanded from 'ALL',
+// and capped by its parent's effective permissions, so taking a permission away from a
+// vendor takes it away from everything below it too.
+class PermissionService {
+    // Expand 'ALL' and drop duplicates/unknown names
+    expand(permissions = []) {
+        if (permissions.includes('ALL')) {
+            return [...PERMISSIONS];
+        }
+        return PERMISSIONS.filter(permission => permissions.includes(permission));
+    }
+
+    // Effective permissions of a vendor (document or id), walking up to the root
+    async getEffectivePermissions(vendorOrId) {
+        let vendor = vendorOrId && vendorOrId.permissions
+            ? vendorOrId
+            : await Vendor.findById(vendorOrId).select('permissions parentVendor');
+        if (!vendor) {
+            return [];
+        }
+
+        let effective = this.expand(vendor.permissions);
+        while (vendor.parentVendor && effective.length > 0) {
+            vendor = await Vendor.findById(vendor.parentVendor).select('permissions parentVendor');
+            if (!vendor) {
+                break;
+            }
+            const parentPermissions = this.expand(vendor.permissions);
+            effective = effective.filter(permission => parentPermissions.includes(permission));
+        }
+
+        return effective;
+    }
+
+    async hasPermission(vendor, permission) {
+        const effective = await this.getEffectivePermissions(vendor);
+        return effective.includes(permission);
+    }
+
+    // Highest set of permissions a vendor can receive: whatever its parent effectively holds
+    async getCeiling(parentVendorId) {
+        return parentVendorId ? this.getEffectivePermissions(parentVendorId) : [...PERMISSIONS];
+    }
+
+    getTemplate(name) {
+        return PERMISSION_TEMPLATES[name] || null;
+    }
+
+    getDefaultTemplateName(vendorType) {
+        return Object.keys(PERMISSION_TEMPLATES)
+            .find(name => PERMISSION_TEMPLATES[name].vendorType === vendorType) || null;
+    }
+
+    // Check that granter may give `permissions` to a vendor under parentVendorId.
+    // A null granter (public SUPER registration) is only limited by the parent.
+    // Returns { invalid, denied }: unknown names, and names beyond the granter's or the parent's effective permissions.
+    async checkGrant(granter, parentVendorId, permissions) {
+        const invalid = permissions.filter(permission => permission !== 'ALL' && !PERMISSIONS.includes(permission));
+        if (invalid.length > 0) {
+            return { invalid, denied: [] };
+        }
+
+        const [granterPermissions, ceiling] = await Promise.all([
+            granter ? this.getEffectivePermissions(granter) : [...PERMISSIONS],
+            this.getCeiling(parentVendorId)
+        ]);
+        const denied = this.expand(permissions)
+            .filter(permission => !granterPermissions.includes(permission) || !ceiling.includes(permission));
+
+        return { invalid: [], denied };
+    }
+
+    // Permissions for a newly registered vendor: the requested ones when given (checked against
+    // the creator and the parent), otherwise the vendor type's template clipped to the parent's ceiling.
+    async resolveRegistrationPermissions({ vendorType, requested, creator, parentVendorId }) {
+        if (requested && requested.length > 0) {
+            const { invalid, denied } = await this.checkGrant(creator, parentVendorId, requested);
+
+            if (invalid.length > 0) {
+                throw new Error(`Unknown permissions: ${invalid.join(', ')}`);
+            }
+            if (denied.length > 0) {
+                throw new Error(`Cannot grant permissions you do not hold: ${denied.join(', ')}`);
+            }
+            return requested;
+        }
+
+        const template = this.getTemplate(this.getDefaultTemplateName(vendorType));
+        if (!template) {
+            return [];
+        }
+        if (template.permissions.includes('ALL') && !parentVendorId) {
+            return ['ALL'];
+        }
+
+        const ceiling = await this.getCeiling(parentVendorId);
+        return this.expand(template.permissions).filter(permission => ceiling.includes(permission));
+    }
+}
+
+module.exports = new PermissionService();
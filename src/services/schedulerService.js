@@ -1,6 +1,17 @@
 const cron = require('node-cron');
 const notificationService = require('./notificationService');
 const documentService = require('./documentService');
+const ledgerService = require('./ledgerService');
+const complianceEnforcementService = require('./complianceEnforcementService');
+const outboxService = require('./outboxService');
+const assignmentService = require('./assignmentService');
+const assignmentConsistencyService = require('./assignmentConsistencyService');
+const maintenanceService = require('./maintenanceService');
+const ledgerConfig = require('../config/ledger');
+const complianceConfig = require('../config/compliance');
+const outboxConfig = require('../config/outbox');
+const assignmentConfig = require('../config/assignments');
+const maintenanceConfig = require('../config/maintenance');
 const logger = require('../config/logger');
 
 class SchedulerService {
@@ -52,6 +63,105 @@ class SchedulerService {
                 }
             });
 
+            // Generate vendor settlement statements (weekly by default)
+            this.scheduleJob('generateSettlementStatements', ledgerConfig.settlementCron, async () => {
+                try {
+                    logger.info('Starting scheduled task: Generate settlement statements');
+                    const settlements = await ledgerService.generateAllStatements();
+                    logger.info('Completed scheduled task: Generate settlement statements', { count: settlements.length });
+                } catch (error) {
+                    logger.error('Error in scheduled task: Generate settlement statements', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Mark expired documents, suspend non-compliant vehicles/drivers and restore compliant ones (hourly by default)
+            this.scheduleJob('enforceDocumentCompliance', complianceConfig.enforcementCron, async () => {
+                try {
+                    logger.info('Starting scheduled task: Enforce document compliance');
+                    const stats = await complianceEnforcementService.run();
+                    logger.info('Completed scheduled task: Enforce document compliance', stats);
+                } catch (error) {
+                    logger.error('Error in scheduled task: Enforce document compliance', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Deliver queued notifications and retry failed ones whose backoff has passed (every 15 seconds by default)
+            this.scheduleJob('processNotificationOutbox', outboxConfig.workerCron, async () => {
+                try {
+                    const stats = await outboxService.processDue();
+                    if (stats && stats.processed > 0) {
+                        logger.info('Completed scheduled task: Process notification outbox', stats);
+                    }
+                } catch (error) {
+                    logger.error('Error in scheduled task: Process notification outbox', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Start planned shifts that are due and end finished ones (every minute by default)
+            this.scheduleJob('processShifts', assignmentConfig.shiftCron, async () => {
+                try {
+                    const stats = await assignmentService.processShifts();
+                    if (stats.ended + stats.started + stats.skipped + stats.failed > 0) {
+                        logger.info('Completed scheduled task: Process shifts', stats);
+                    }
+                } catch (error) {
+                    logger.error('Error in scheduled task: Process shifts', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Repair one-sided vehicle/driver links (every 30 minutes by default)
+            this.scheduleJob('checkAssignmentConsistency', assignmentConfig.consistency.cron, async () => {
+                try {
+                    const report = await assignmentConsistencyService.run();
+                    logger.info('Completed scheduled task: Check assignment consistency', { reportId: report._id, ...report.counts });
+                } catch (error) {
+                    logger.error('Error in scheduled task: Check assignment consistency', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Take vehicles with planned maintenance off the road once it is due (every 5 minutes by default)
+            this.scheduleJob('startDueMaintenance', maintenanceConfig.startCron, async () => {
+                try {
+                    const stats = await maintenanceService.processDue();
+                    if (stats.started + stats.waiting + stats.failed > 0) {
+                        logger.info('Completed scheduled task: Start due maintenance', stats);
+                    }
+                } catch (error) {
+                    logger.error('Error in scheduled task: Start due maintenance', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
+            // Remind vendors of services due soon or overdue by date or mileage (daily at 8 AM by default)
+            this.scheduleJob('sendMaintenanceReminders', maintenanceConfig.reminderCron, async () => {
+                try {
+                    const stats = await maintenanceService.sendDueReminders();
+                    logger.info('Completed scheduled task: Send maintenance reminders', stats);
+                } catch (error) {
+                    logger.error('Error in scheduled task: Send maintenance reminders', {
+                        error: error.message,
+                        stack: error.stack
+                    });
+                }
+            });
+
             logger.info('All scheduled jobs started successfully');
         } catch (error) {
             logger.error('Error starting scheduled jobs', {
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redis = require('../config/redis');
+const logger = require('../config/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // seconds
+
+// Swap the stored refresh token id only if it still matches the presented one. The vendor's session
+// set (KEYS[2]) is kept alive with the session so revoking all sessions still finds it.
+const ROTATE_SCRIPT = `
+if redis.call('HGET', KEYS[1], 'refreshTokenId') == ARGV[1] then
+    redis.call('HSET', KEYS[1], 'refreshTokenId', ARGV[2], 'rotatedAt', ARGV[3])
+    redis.call('EXPIRE', KEYS[1], ARGV[4])
+    redis.call('SADD', KEYS[2], ARGV[5])
+    redis.call('EXPIRE', KEYS[2], ARGV[4])
+    return 1
+end
+return 0
+`;
+
+// Server-side login sessions kept in Redis. Every access/refresh token carries a session id (sid);
+// deleting the session revokes all tokens issued for it.
+class SessionService {
+    constructor() {
+        this.client = redis;
+    }
+
+    sessionKey(sessionId) {
+        return `session_${sessionId}`;
+    }
+
+    vendorSessionsKey(vendorId) {
+        return `vendor_sessions_${vendorId}`;
+    }
+
+    // Create a new session for a vendor and issue its first token pair
+    async createSession(vendor, { ip, userAgent } = {}) {
+        const sessionId = crypto.randomUUID();
+        const refreshTokenId = crypto.randomUUID();
+        const vendorId = vendor._id.toString();
+
+        await this.client
+            .multi()
+            .hset(this.sessionKey(sessionId), {
+                vendorId,
+                refreshTokenId,
+                ip: ip || '',
+                userAgent: userAgent || '',
+                createdAt: new Date().toISOString()
+            })
+            .expire(this.sessionKey(sessionId), REFRESH_TOKEN_TTL)
+            .sadd(this.vendorSessionsKey(vendorId), sessionId)
+            .expire(this.vendorSessionsKey(vendorId), REFRESH_TOKEN_TTL)
+            .exec();
+
+        logger.info('Session created', { vendorId, sessionId, ip });
+
+        return this.signTokens(vendorId, sessionId, refreshTokenId);
+    }
+
+    signTokens(vendorId, sessionId, refreshTokenId) {
+        const token = jwt.sign(
+            { vendorId, type: 'login', sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+        const refreshToken = jwt.sign(
+            { vendorId, type: 'refresh', sid: sessionId, jti: refreshTokenId },
+            process.env.JWT_SECRET,
+            { expiresIn: REFRESH_TOKEN_TTL }
+        );
+
+        return { token, refreshToken, sessionId };
+    }
+
+    // Check that a session exists and belongs to the vendor
+    async isSessionActive(sessionId, vendorId) {
+        if (!sessionId) {
+            return false;
+        }
+        const owner = await this.client.hget(this.sessionKey(sessionId), 'vendorId');
+        return !!owner && owner === vendorId.toString();
+    }
+
+    // Exchange a refresh token for a new token pair. The refresh token is single use:
+    // presenting an already-rotated token is treated as theft and revokes the session.
+    async rotateRefreshToken(refreshToken) {
+        const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+        if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const key = this.sessionKey(decoded.sid);
+        const session = await this.client.hgetall(key);
+        if (!session || !session.vendorId || session.vendorId !== decoded.vendorId) {
+            throw new Error('Session has been revoked');
+        }
+
+        // Compare-and-set so two concurrent refreshes with the same token can't both succeed
+        const nextRefreshTokenId = crypto.randomUUID();
+        const rotated = await this.client.eval(
+            ROTATE_SCRIPT,
+            2,
+            key,
+            this.vendorSessionsKey(decoded.vendorId),
+            decoded.jti,
+            nextRefreshTokenId,
+            new Date().toISOString(),
+            REFRESH_TOKEN_TTL,
+            decoded.sid
+        );
+
+        if (rotated !== 1) {
+            logger.warn('Refresh token reuse detected, revoking session', {
+                vendorId: decoded.vendorId,
+                sessionId: decoded.sid
+            });
+            await this.revokeSession(decoded.sid, decoded.vendorId);
+            throw new Error('Refresh token has already been used');
+        }
+
+        return {
+            vendorId: decoded.vendorId,
+            ...this.signTokens(decoded.vendorId, decoded.sid, nextRefreshTokenId)
+        };
+    }
+
+    async revokeSession(sessionId, vendorId) {
+        await this.client
+            .multi()
+            .del(this.sessionKey(sessionId))
+            .srem(this.vendorSessionsKey(vendorId), sessionId)
+            .exec();
+
+        logger.info('Session revoked', { vendorId, sessionId });
+    }
+
+    // Revoke every session of a vendor, optionally keeping the current one
+    async revokeAllSessions(vendorId, { exceptSessionId } = {}) {
+        const setKey = this.vendorSessionsKey(vendorId);
+        const sessionIds = (await this.client.smembers(setKey))
+            .filter(sessionId => sessionId !== exceptSessionId);
+
+        if (sessionIds.length > 0) {
+            await this.client
+                .multi()
+                .del(...sessionIds.map(sessionId => this.sessionKey(sessionId)))
+                .srem(setKey, ...sessionIds)
+                .exec();
+        }
+
+        logger.info('All vendor sessions revoked', {
+            vendorId,
+            revokedCount: sessionIds.length,
+            keptSessionId: exceptSessionId
+        });
+
+        return sessionIds.length;
+    }
+}
+
+module.exports = new SessionService();
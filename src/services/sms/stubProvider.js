@@ -0,0 +1,25 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+
+// Doesn't send anything: logs each message and, when a file is configured, appends it there as a JSON line
+// so local development and manual testing can see what would have been texted
+class StubSmsProvider {
+    constructor({ stubFile }) {
+        this.name = 'stub';
+        this.stubFile = stubFile;
+    }
+
+    async send({ to, body }) {
+        const messageId = `stub-${crypto.randomBytes(8).toString('hex')}`;
+
+        if (this.stubFile) {
+            await fs.promises.appendFile(this.stubFile, `${JSON.stringify({ messageId, to, body, sentAt: new Date() })}\n`);
+        }
+
+        logger.info('SMS (stub) sent', { messageId, to, length: body.length });
+        return { messageId };
+    }
+}
+
+module.exports = StubSmsProvider;
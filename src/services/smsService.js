@@ -0,0 +1,38 @@
+const { sms: smsConfig } = require('../config/notificationChannels');
+const StubSmsProvider = require('./sms/stubProvider');
+const TwilioSmsProvider = require('./sms/twilioProvider');
+const logger = require('../config/logger');
+
+class SmsService {
+    constructor() {
+        this.provider = null;
+    }
+
+    createProvider(name) {
+        switch (name) {
+            case 'stub':
+                return new StubSmsProvider(smsConfig);
+            case 'twilio':
+                return new TwilioSmsProvider(smsConfig.twilio);
+            default:
+                throw new Error(`Unknown SMS provider: ${name}`);
+        }
+    }
+
+    // The provider is created on first use so a misconfigured one only fails SMS deliveries
+    getProvider() {
+        if (!this.provider) {
+            this.provider = this.createProvider(smsConfig.provider);
+            logger.info('SMS provider ready', { provider: this.provider.name });
+        }
+        return this.provider;
+    }
+
+    // Text a phone number; throws when the provider rejects the message
+    async send(to, body) {
+        const text = body.length > smsConfig.maxLength ? `${body.slice(0, smsConfig.maxLength - 3)}...` : body;
+        return this.getProvider().send({ to, body: text });
+    }
+}
+
+module.exports = new SmsService();
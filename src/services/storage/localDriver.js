@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local filesystem under a single root directory
+class LocalStorageDriver {
+    constructor({ rootDir }) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Resolve a storage key to an absolute path, refusing keys that escape the root
+    resolvePath(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolvePath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return { key };
+    }
+
+    async getStream(key) {
+        const filePath = this.resolvePath(key);
+        await fs.promises.access(filePath, fs.constants.R_OK);
+        return fs.createReadStream(filePath);
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.resolvePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async ping() {
+        await fs.promises.mkdir(this.rootDir, { recursive: true });
+        return true;
+    }
+}
+
+module.exports = LocalStorageDriver;
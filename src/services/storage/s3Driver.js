@@ -0,0 +1,69 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores files in an S3-compatible bucket (AWS S3, or MinIO when an endpoint is given)
+class S3StorageDriver {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+        this.name = 's3';
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            // MinIO and most self-hosted stand-ins only support path-style addressing
+            forcePathStyle: forcePathStyle ?? !!endpoint,
+            credentials: accessKeyId && secretAccessKey
+                ? { accessKeyId, secretAccessKey }
+                : undefined
+        });
+    }
+
+    async put(key, buffer, { contentType, checksum } = {}) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+            Metadata: checksum ? { sha256: checksum } : undefined
+        }));
+        return { key };
+    }
+
+    async getStream(key) {
+        const result = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+        return result.Body;
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+    }
+
+    // Presigned GET url served directly by the bucket
+    async getSignedUrl(key, { expiresIn, fileName, contentType } = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            ResponseContentType: contentType,
+            ResponseContentDisposition: fileName ? `attachment; filename="${fileName}"` : undefined
+        });
+        return getSignedUrl(this.client, command, { expiresIn });
+    }
+
+    async ping() {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+        return true;
+    }
+}
+
+module.exports = S3StorageDriver;
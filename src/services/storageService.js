@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const path = require('path');
+const storageConfig = require('../config/storage');
+const LocalStorageDriver = require('./storage/localDriver');
+const S3StorageDriver = require('./storage/s3Driver');
+const logger = require('../config/logger');
+
+class StorageService {
+    constructor() {
+        this.driver = this.createDriver(storageConfig.driver);
+        this.isInitialized = false;
+    }
+
+    createDriver(name) {
+        switch (name) {
+            case 'local':
+                return new LocalStorageDriver(storageConfig.local);
+            case 's3':
+                return new S3StorageDriver(storageConfig.s3);
+            default:
+                throw new Error(`Unknown storage driver: ${name}`);
+        }
+    }
+
+    async initialize() {
+        try {
+            await this.driver.ping();
+            this.isInitialized = true;
+            logger.info('Storage service initialized', { driver: this.driver.name });
+        } catch (error) {
+            logger.error('Storage service initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // Store an uploaded (multer) file for an entity and return the fields to record on the Document
+    async saveDocumentFile(file, { entityType, entityId }) {
+        const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const key = `${entityType.toLowerCase()}/${entityId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+        await this.driver.put(key, file.buffer, { contentType: file.mimetype, checksum });
+
+        logger.info('Document file stored', {
+            driver: this.driver.name,
+            key,
+            size: file.size,
+            mimeType: file.mimetype
+        });
+
+        return {
+            storageDriver: this.driver.name,
+            storageKey: key,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            checksum
+        };
+    }
+
+    async deleteFile(key) {
+        return this.driver.delete(key);
+    }
+
+    async getFileStream(document) {
+        return this.driver.getStream(document.storageKey);
+    }
+
+    // Build an expiring download url for a stored document
+    async getDownloadUrl(document, expiresIn = storageConfig.signedUrl.expiresIn) {
+        const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+        // Drivers that can presign (S3/MinIO) serve the file themselves
+        if (typeof this.driver.getSignedUrl === 'function') {
+            const url = await this.driver.getSignedUrl(document.storageKey, {
+                expiresIn,
+                fileName: document.originalName,
+                contentType: document.mimeType
+            });
+            return { url, expiresAt };
+        }
+
+        const expires = Math.floor(expiresAt.getTime() / 1000);
+        const signature = this.sign(document._id.toString(), expires);
+        const url = `${storageConfig.signedUrl.baseUrl}/api/documents/files/${document._id}?expires=${expires}&signature=${signature}`;
+        return { url, expiresAt };
+    }
+
+    sign(documentId, expires) {
+        if (!storageConfig.signedUrl.secret) {
+            throw new Error('Signed url secret is not configured');
+        }
+        return crypto
+            .createHmac('sha256', storageConfig.signedUrl.secret)
+            .update(`${documentId}.${expires}`)
+            .digest('hex');
+    }
+
+    // Check a signature produced by getDownloadUrl
+    verifySignature(documentId, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+        if (!expiresAt || !signature || expiresAt * 1000 < Date.now()) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(documentId, expiresAt));
+        const received = Buffer.from(String(signature));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+}
+
+module.exports = new StorageService();
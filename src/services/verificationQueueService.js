@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
+const accessControlService = require('./accessControlService');
+const documentService = require('./documentService');
+const verificationConfig = require('../config/verification');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Sorts documents without an expiry date after every dated one
+const NO_EXPIRY = new Date(8640000000000000);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Value at the given percentile (0-1) of an ascending list
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+// Work queue of documents awaiting verification in a reviewer's part of the vendor hierarchy,
+// with claim leases so two reviewers don't pick up the same document, and time-to-verify metrics.
+class VerificationQueueService {
+    // Documents of every vendor, vehicle and driver at or below the reviewer (minus the reviewer's own vendor documents)
+    async getReviewScope(reviewerId) {
+        const vendorIds = (await accessControlService.getAccessibleVendorIds(reviewerId))
+            .map(id => new mongoose.Types.ObjectId(id));
+
+        const [vehicleIds, driverIds] = await Promise.all([
+            Vehicle.find({ vendor: { $in: vendorIds } }).distinct('_id'),
+            Driver.find({ vendor: { $in: vendorIds } }).distinct('_id')
+        ]);
+
+        return {
+            $or: [
+                { entityType: 'VENDOR', entityId: { $in: vendorIds.filter(id => id.toString() !== reviewerId.toString()) } },
+                { entityType: 'VEHICLE', entityId: { $in: vehicleIds } },
+                { entityType: 'DRIVER', entityId: { $in: driverIds } }
+            ]
+        };
+    }
+
+    // Pending documents, oldest upload first (sort=age) or soonest expiry first (sort=expiry).
+    // claim: available (unclaimed or mine, the default), mine, or all
+    async getQueue(reviewerId, { sort = 'age', claim = 'available', entityType, documentType, page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const now = new Date();
+        const reviewer = new mongoose.Types.ObjectId(reviewerId);
+
+        const scope = await this.getReviewScope(reviewerId);
+        if (entityType) scope.entityType = entityType;
+        if (documentType) scope.documentType = documentType;
+
+        const filter = {
+            status: 'PENDING_VERIFICATION',
+            // A reviewer who already approved a two-reviewer document can't give the second approval
+            reviews: { $not: { $elemMatch: { reviewer, decision: 'APPROVED' } } }
+        };
+        if (claim === 'mine') {
+            Object.assign(filter, { claimedBy: reviewer, claimExpiresAt: { $gt: now } });
+        } else if (claim !== 'all') {
+            filter.$nor = [{ claimedBy: { $nin: [null, reviewer] }, claimExpiresAt: { $gt: now } }];
+        }
+
+        const sortStage = sort === 'expiry'
+            ? { expirySort: 1, createdAt: 1 }
+            : { createdAt: 1, expirySort: 1 };
+
+        const [result] = await Document.findCurrent(scope, filter, [
+            { $addFields: { expirySort: { $ifNull: ['$expiryDate', NO_EXPIRY] } } },
+            {
+                $facet: {
+                    items: [
+                        { $sort: sortStage },
+                        { $skip: (pageNumber - 1) * pageSize },
+                        { $limit: pageSize },
+                        { $project: { expirySort: 0, storageKey: 0 } }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+        const slaMs = verificationConfig.slaHours * HOUR_MS;
+
+        return {
+            items: result.items.map(document => ({
+                ...document,
+                ageHours: round2((now - document.createdAt) / HOUR_MS),
+                daysUntilExpiry: document.expiryDate ? Math.ceil((document.expiryDate - now) / DAY_MS) : null,
+                slaDueAt: new Date(document.createdAt.getTime() + slaMs),
+                isOverdue: now - document.createdAt > slaMs,
+                isClaimed: Boolean(document.claimedBy && document.claimExpiresAt > now)
+            })),
+            pagination: {
+                total,
+                page: pageNumber,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    // Claim a pending document for claimLeaseMinutes (claiming again renews the lease) and start its review
+    async claim(documentId, reviewerId) {
+        const current = await Document.findById(documentId);
+        if (!current) {
+            throw httpError('Document not found', 404);
+        }
+        if (current.status !== 'PENDING_VERIFICATION') {
+            throw httpError(`Document is not awaiting verification (status ${current.status})`, 409);
+        }
+        documentService.assertCanReview(current, reviewerId);
+
+        const claimExpiresAt = new Date(Date.now() + verificationConfig.claimLeaseMinutes * 60 * 1000);
+        let document = await Document.findOneAndUpdate(
+            { _id: documentId, status: 'PENDING_VERIFICATION', ...documentService.claimableBy(reviewerId) },
+            { claimedBy: reviewerId, claimExpiresAt },
+            { new: true }
+        );
+        if (!document) {
+            throw httpError('Document was claimed by another reviewer in the meantime', 409);
+        }
+
+        if (document.reviewStatus === 'SUBMITTED') {
+            document = await documentService.startReview(documentId, reviewerId);
+        }
+
+        logger.info('Document claimed for verification', { documentId, reviewerId, claimExpiresAt });
+
+        return document;
+    }
+
+    // Give up a claim before its lease runs out
+    async release(documentId, reviewerId) {
+        const document = await Document.findOneAndUpdate(
+            { _id: documentId, claimedBy: reviewerId, claimExpiresAt: { $gt: new Date() } },
+            { claimedBy: null, claimExpiresAt: null },
+            { new: true }
+        );
+        if (!document) {
+            throw httpError('You do not hold a claim on this document', 409);
+        }
+
+        logger.info('Document claim released', { documentId, reviewerId });
+
+        return document;
+    }
+
+    // Time-to-verify (upload to review decision) for decisions in [from, to], plus the current backlog
+    async getMetrics(reviewerId, { from, to } = {}) {
+        const now = new Date();
+        const periodEnd = to ? new Date(to) : now;
+        const periodStart = from ? new Date(from) : new Date(periodEnd.getTime() - 30 * DAY_MS);
+        if (isNaN(periodEnd.getTime()) || isNaN(periodStart.getTime())) {
+            throw httpError('from and to must be valid dates');
+        }
+        const slaHours = verificationConfig.slaHours;
+
+        const scope = await this.getReviewScope(reviewerId);
+
+        const [decided, [backlog]] = await Promise.all([
+            Document.aggregate([
+                { $match: { ...scope, verifiedAt: { $gte: periodStart, $lte: periodEnd } } },
+                {
+                    $group: {
+                        _id: '$documentType',
+                        approved: { $sum: { $cond: ['$isVerified', 1, 0] } },
+                        rejected: { $sum: { $cond: [{ $eq: ['$reviewStatus', 'REJECTED'] }, 1, 0] } },
+                        hours: { $push: { $divide: [{ $subtract: ['$verifiedAt', '$createdAt'] }, HOUR_MS] } }
+                    }
+                }
+            ]),
+            Document.findCurrent(scope, { status: 'PENDING_VERIFICATION' }, [
+                {
+                    $group: {
+                        _id: null,
+                        pending: { $sum: 1 },
+                        oldestUploadedAt: { $min: '$createdAt' },
+                        overdue: { $sum: { $cond: [{ $lt: ['$createdAt', new Date(now.getTime() - slaHours * HOUR_MS)] }, 1, 0] } },
+                        claimed: { $sum: { $cond: [{ $gt: ['$claimExpiresAt', now] }, 1, 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        const summarize = (hours, approved, rejected) => {
+            const sorted = [...hours].sort((a, b) => a - b);
+            const withinSla = sorted.filter(value => value <= slaHours).length;
+            return {
+                decided: sorted.length,
+                approved,
+                rejected,
+                averageHours: sorted.length ? round2(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0,
+                medianHours: round2(percentile(sorted, 0.5)),
+                p90Hours: round2(percentile(sorted, 0.9)),
+                maxHours: round2(sorted.length ? sorted[sorted.length - 1] : 0),
+                withinSlaRate: sorted.length ? round2(withinSla / sorted.length * 100) : 0
+            };
+        };
+
+        const byDocumentType = {};
+        decided.forEach(row => {
+            byDocumentType[row._id] = summarize(row.hours, row.approved, row.rejected);
+        });
+
+        return {
+            period: { from: periodStart, to: periodEnd },
+            slaHours,
+            timeToVerify: summarize(
+                decided.flatMap(row => row.hours),
+                decided.reduce((sum, row) => sum + row.approved, 0),
+                decided.reduce((sum, row) => sum + row.rejected, 0)
+            ),
+            byDocumentType,
+            backlog: {
+                pending: backlog ? backlog.pending : 0,
+                overdue: backlog ? backlog.overdue : 0,
+                claimed: backlog ? backlog.claimed : 0,
+                oldestUploadedAt: backlog ? backlog.oldestUploadedAt : null
+            }
+        };
+    }
+}
+
+module.exports = new VerificationQueueService();
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const net = require('net');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const OutboxMessage = require('../models/OutboxMessage');
+const outboxService = require('./outboxService');
+const accessControlService = require('./accessControlService');
+const vendorHierarchyService = require('./vendorHierarchyService');
+const webhookConfig = require('../config/webhooks');
+const { httpError } = require('../utils/httpError');
+const logger = require('../config/logger');
+
+// Address ranges webhook urls may not point at, so an endpoint can't be used to reach the host or its private network
+const internalAddresses = new net.BlockList();
+internalAddresses.addSubnet('0.0.0.0', 8);
+internalAddresses.addSubnet('10.0.0.0', 8);
+internalAddresses.addSubnet('100.64.0.0', 10);
+internalAddresses.addSubnet('127.0.0.0', 8);
+internalAddresses.addSubnet('169.254.0.0', 16);
+internalAddresses.addSubnet('172.16.0.0', 12);
+internalAddresses.addSubnet('192.168.0.0', 16);
+internalAddresses.addAddress('::', 'ipv6');
+internalAddresses.addAddress('::1', 'ipv6');
+internalAddresses.addSubnet('fc00::', 7, 'ipv6');
+internalAddresses.addSubnet('fe80::', 10, 'ipv6');
+
+const isInternalHost = (hostname) => {
+    // IPv6 hosts come bracketed in urls; a trailing dot still names the same host
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return true;
+    }
+
+    const family = net.isIP(host);
+    if (!family) {
+        return false;
+    }
+    // IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+    return internalAddresses.check(host, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Fleet event webhooks. An event is delivered to every active endpoint subscribed to it that belongs
+// to the vendor the event is about or to one of its ancestors. Deliveries go through the outbox
+// (retries, dead-letter, delivery log) and are signed with the endpoint's secret when sent:
+//   X-Webhook-Signature: v1=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>">
+class WebhookService {
+    constructor() {
+        outboxService.registerChannel('EVENT_WEBHOOK', message => this.deliver(message));
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // Check a url and event list; throws a 400 error for invalid ones
+    validate({ url, events }) {
+        if (url !== undefined) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                throw httpError('url must be a valid url');
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw httpError('url must be an http(s) url');
+            }
+            if (isInternalHost(parsed.hostname)) {
+                throw httpError('url must not point at a local or private network address');
+            }
+        }
+
+        if (events !== undefined) {
+            const known = [...Object.keys(webhookConfig.WEBHOOK_EVENTS), '*'];
+            if (!Array.isArray(events) || events.length === 0 || !events.every(event => known.includes(event))) {
+                throw httpError(`events must be a non-empty list of ${known.join(', ')}`);
+            }
+        }
+    }
+
+    // An endpoint the actor may manage (its own or one of a vendor below it); 404 otherwise
+    async getEndpointFor(actorId, endpointId, { withSecret = false } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(endpointId)) {
+            throw httpError('Invalid webhook endpoint id');
+        }
+
+        const query = WebhookEndpoint.findById(endpointId);
+        const endpoint = await (withSecret ? query.select('+secret') : query);
+        if (!endpoint || !await accessControlService.canActOnVendor(actorId, endpoint.vendor)) {
+            throw httpError('Webhook endpoint not found', 404);
+        }
+        return endpoint;
+    }
+
+    // A delivery (outbox message) of an endpoint the actor may manage, with the endpoint
+    async getDeliveryFor(actorId, messageId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw httpError('Invalid delivery id');
+        }
+
+        const delivery = await OutboxMessage.findOne({ _id: messageId, channel: 'EVENT_WEBHOOK' });
+        if (!delivery) {
+            throw httpError('Webhook delivery not found', 404);
+        }
+
+        const endpoint = await WebhookEndpoint.findById(delivery.webhookEndpoint);
+        if (!endpoint || !await accessControlService.canActOnVendor(actorId, endpoint.vendor)) {
+            throw httpError('Webhook delivery not found', 404);
+        }
+        return { delivery, endpoint };
+    }
+
+    async createEndpoint({ vendorId, url, events, description, createdBy }) {
+        this.validate({ url, events });
+
+        const count = await WebhookEndpoint.countDocuments({ vendor: vendorId });
+        if (count >= webhookConfig.maxEndpointsPerVendor) {
+            throw httpError(`A vendor can register at most ${webhookConfig.maxEndpointsPerVendor} webhook endpoints`, 409);
+        }
+
+        return WebhookEndpoint.create({
+            vendor: vendorId,
+            url,
+            events: [...new Set(events)],
+            description,
+            secret: this.generateSecret(),
+            createdBy
+        });
+    }
+
+    // Queue an event for every subscribed endpoint. Never throws, so emitting can't fail the operation
+    // that caused the event; returns the number of deliveries queued.
+    async emit(event, { vendorId, data }) {
+        if (!vendorId) {
+            return 0;
+        }
+
+        try {
+            const parents = await vendorHierarchyService.getParentChain(vendorId);
+            const endpoints = await WebhookEndpoint.find({
+                vendor: { $in: [vendorId, ...parents.map(parent => parent.id)] },
+                isActive: true,
+                events: { $in: [event, '*'] }
+            });
+
+            // Same id for every endpoint and retry, so receivers can drop duplicates
+            const body = {
+                id: new mongoose.Types.ObjectId().toString(),
+                event,
+                createdAt: new Date().toISOString(),
+                vendorId: vendorId.toString(),
+                data
+            };
+
+            for (const endpoint of endpoints) {
+                await this.enqueueDelivery(endpoint, event, body);
+            }
+
+            if (endpoints.length > 0) {
+                logger.info('Webhook event queued', { event, eventId: body.id, vendorId, endpoints: endpoints.length });
+            }
+            return endpoints.length;
+        } catch (error) {
+            logger.error('Webhook event dispatch failed:', {
+                error: error.message,
+                stack: error.stack,
+                event,
+                vendorId
+            });
+            return 0;
+        }
+    }
+
+    async enqueueDelivery(endpoint, event, body, { replayOf } = {}) {
+        return outboxService.enqueue({
+            channel: 'EVENT_WEBHOOK',
+            event,
+            webhookEndpoint: endpoint._id,
+            recipient: endpoint.url,
+            recipientVendor: endpoint.vendor,
+            payload: { url: endpoint.url, body },
+            replayOf
+        });
+    }
+
+    // Send a ping event to one endpoint so its owner can check the url and signature handling
+    async sendTestEvent(endpoint) {
+        return this.enqueueDelivery(endpoint, 'webhook.test', {
+            id: new mongoose.Types.ObjectId().toString(),
+            event: 'webhook.test',
+            createdAt: new Date().toISOString(),
+            vendorId: endpoint.vendor.toString(),
+            data: { endpointId: endpoint._id.toString() }
+        });
+    }
+
+    // POST a queued event to its endpoint (at the endpoint's current url, signed with its current secret);
+    // throws on a non-2xx answer or a timeout so the outbox retries it
+    async deliver(message) {
+        const endpoint = await WebhookEndpoint.findById(message.webhookEndpoint).select('+secret');
+        if (!endpoint || !endpoint.isActive) {
+            throw new Error('Webhook endpoint was deleted or disabled');
+        }
+
+        const body = JSON.stringify(message.payload.body);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'FleetManagement-Webhooks/1.0',
+                    'X-Webhook-Id': message.payload.body.id,
+                    'X-Webhook-Event': message.event,
+                    'X-Webhook-Delivery': message._id.toString(),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `v1=${this.sign(endpoint.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(webhookConfig.timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+            }
+
+            await WebhookEndpoint.updateOne({ _id: endpoint._id }, {
+                lastDeliveryAt: new Date(),
+                lastDeliveryStatus: 'SENT',
+                lastDeliveryError: null,
+                consecutiveFailures: 0
+            });
+            return { providerMessageId: `HTTP ${response.status}` };
+        } catch (error) {
+            await WebhookEndpoint.updateOne({ _id: endpoint._id }, {
+                $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'FAILED', lastDeliveryError: error.message },
+                $inc: { consecutiveFailures: 1 }
+            });
+            throw error;
+        }
+    }
+
+    // Deliveries of an endpoint, newest first
+    async getDeliveries(endpoint, { status, event, page, limit } = {}) {
+        const filter = { channel: 'EVENT_WEBHOOK', webhookEndpoint: endpoint._id };
+        if (status) filter.status = status.toUpperCase();
+        if (event) filter.event = event;
+
+        return outboxService.find(filter, { page, limit });
+    }
+
+    // Send a delivered (or dead-lettered) event again as a new delivery with the same event id
+    async replay(delivery, endpoint) {
+        if (!endpoint.isActive) {
+            throw httpError('Webhook endpoint is disabled', 409);
+        }
+
+        const replayed = await this.enqueueDelivery(endpoint, delivery.event, delivery.payload.body, {
+            replayOf: delivery.replayOf || delivery._id
+        });
+        logger.info('Webhook delivery replayed', { deliveryId: delivery._id, replayId: replayed._id, endpointId: endpoint._id });
+        return replayed;
+    }
+
+    // Replay every original delivery of an endpoint created in a time range (at most `limit`, oldest first),
+    // e.g. after the receiving system was down longer than the retries lasted
+    async replayRange(endpoint, { from, to, event, limit = 500 }) {
+        if (!endpoint.isActive) {
+            throw httpError('Webhook endpoint is disabled', 409);
+        }
+        if (!from) {
+            throw httpError('from is required');
+        }
+
+        const filter = {
+            channel: 'EVENT_WEBHOOK',
+            webhookEndpoint: endpoint._id,
+            replayOf: { $exists: false },
+            createdAt: { $gte: new Date(from), ...(to && { $lte: new Date(to) }) }
+        };
+        if (event) filter.event = event;
+
+        const deliveries = await OutboxMessage.find(filter).sort({ createdAt: 1 }).limit(limit);
+        const replayed = [];
+        for (const delivery of deliveries) {
+            replayed.push(await this.enqueueDelivery(endpoint, delivery.event, delivery.payload.body, { replayOf: delivery._id }));
+        }
+
+        logger.info('Webhook deliveries replayed', { endpointId: endpoint._id, count: replayed.length, from, to, event });
+        return replayed;
+    }
+}
+
+module.exports = new WebhookService();
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const documentTypeService = require('../services/documentTypeService');
 
 // Check if document is expired
 const isDocumentExpired = (expiryDate) => {
@@ -24,77 +25,58 @@ const getDaysUntilExpiry = (expiryDate) => {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 };
 
-// Check all documents for a vehicle
-const checkVehicleDocuments = async (vehicleId) => {
-    const Vehicle = mongoose.model('Vehicle');
-    const vehicle = await Vehicle.findById(vehicleId);
-
-    if (!vehicle) return null;
-
-    const documents = vehicle.documents;
+// Check the current documents of an entity in the Document collection
+const checkEntityDocuments = async (entityType, entityId) => {
+    const Document = mongoose.model('Document');
+    const [documents, city] = await Promise.all([
+        Document.findCurrent({
+            entityType,
+            entityId: new mongoose.Types.ObjectId(entityId)
+        }),
+        documentTypeService.getEntityCity(entityType, entityId)
+    ]);
+    const requiredTypes = await documentTypeService.getRequiredTypes(entityType, city);
+
+    const presentTypes = new Set(documents.map(document => document.documentType));
+    const requiredCodes = new Set(requiredTypes.map(type => type.code));
     const status = {
         isExpired: false,
         expiringSoon: false,
         expiredDocuments: [],
-        expiringSoonDocuments: []
+        expiringSoonDocuments: [],
+        // Required by the document type registry but never uploaded
+        missingDocuments: requiredTypes
+            .filter(type => !presentTypes.has(type.code))
+            .map(type => ({ type: type.code, name: type.name })),
+        // Required, but the current version is still awaiting review or was rejected
+        unverifiedDocuments: documents
+            .filter(document => requiredCodes.has(document.documentType) &&
+                (document.reviewStatus === 'REJECTED' || !document.isVerified))
+            .map(document => ({
+                documentId: document._id,
+                type: document.documentType,
+                status: document.reviewStatus === 'REJECTED' ? 'REJECTED' : 'PENDING_VERIFICATION'
+            }))
     };
 
-    // Check Registration Certificate
-    if (documents.registrationCertificate) {
-        const rc = documents.registrationCertificate;
-        if (isDocumentExpired(rc.expiryDate)) {
-            status.isExpired = true;
-            status.expiredDocuments.push({
-                type: 'registrationCertificate',
-                expiryDate: rc.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(rc.expiryDate)
-            });
-        } else if (isDocumentExpiringSoon(rc.expiryDate)) {
-            status.expiringSoon = true;
-            status.expiringSoonDocuments.push({
-                type: 'registrationCertificate',
-                expiryDate: rc.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(rc.expiryDate)
-            });
-        }
-    }
+    for (const document of documents) {
+        if (!document.expiryDate) continue;
 
-    // Check Permit
-    if (documents.permit) {
-        const permit = documents.permit;
-        if (isDocumentExpired(permit.expiryDate)) {
+        if (isDocumentExpired(document.expiryDate)) {
             status.isExpired = true;
             status.expiredDocuments.push({
-                type: 'permit',
-                expiryDate: permit.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(permit.expiryDate)
+                documentId: document._id,
+                type: document.documentType,
+                expiryDate: document.expiryDate,
+                daysOverdue: -getDaysUntilExpiry(document.expiryDate)
             });
-        } else if (isDocumentExpiringSoon(permit.expiryDate)) {
+        } else if (isDocumentExpiringSoon(document.expiryDate)) {
             status.expiringSoon = true;
             status.expiringSoonDocuments.push({
-                type: 'permit',
-                expiryDate: permit.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(permit.expiryDate)
-            });
-        }
-    }
-
-    // Check Pollution Certificate
-    if (documents.pollutionCertificate) {
-        const puc = documents.pollutionCertificate;
-        if (isDocumentExpired(puc.expiryDate)) {
-            status.isExpired = true;
-            status.expiredDocuments.push({
-                type: 'pollutionCertificate',
-                expiryDate: puc.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(puc.expiryDate)
-            });
-        } else if (isDocumentExpiringSoon(puc.expiryDate)) {
-            status.expiringSoon = true;
-            status.expiringSoonDocuments.push({
-                type: 'pollutionCertificate',
-                expiryDate: puc.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(puc.expiryDate)
+                documentId: document._id,
+                type: document.documentType,
+                expiryDate: document.expiryDate,
+                daysUntilExpiry: getDaysUntilExpiry(document.expiryDate)
             });
         }
     }
@@ -102,88 +84,31 @@ const checkVehicleDocuments = async (vehicleId) => {
     return status;
 };
 
+// Check all documents for a vehicle
+const checkVehicleDocuments = async (vehicleId) => {
+    const Vehicle = mongoose.model('Vehicle');
+    const vehicle = await Vehicle.exists({ _id: vehicleId });
+
+    if (!vehicle) return null;
+
+    return checkEntityDocuments('VEHICLE', vehicleId);
+};
+
 // Check all documents for a driver
 const checkDriverDocuments = async (driverId) => {
     const Driver = mongoose.model('Driver');
-    const driver = await Driver.findById(driverId);
+    const driver = await Driver.exists({ _id: driverId });
 
     if (!driver) return null;
 
-    const documents = driver.documents;
-    const status = {
-        isExpired: false,
-        expiringSoon: false,
-        expiredDocuments: [],
-        expiringSoonDocuments: []
-    };
-
-    // Check Driving License
-    if (documents.drivingLicense) {
-        const dl = documents.drivingLicense;
-        if (isDocumentExpired(dl.expiryDate)) {
-            status.isExpired = true;
-            status.expiredDocuments.push({
-                type: 'drivingLicense',
-                expiryDate: dl.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(dl.expiryDate)
-            });
-        } else if (isDocumentExpiringSoon(dl.expiryDate)) {
-            status.expiringSoon = true;
-            status.expiringSoonDocuments.push({
-                type: 'drivingLicense',
-                expiryDate: dl.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(dl.expiryDate)
-            });
-        }
-    }
-
-    // Check Address Proof
-    if (documents.addressProof) {
-        const address = documents.addressProof;
-        if (isDocumentExpired(address.expiryDate)) {
-            status.isExpired = true;
-            status.expiredDocuments.push({
-                type: 'addressProof',
-                expiryDate: address.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(address.expiryDate)
-            });
-        } else if (isDocumentExpiringSoon(address.expiryDate)) {
-            status.expiringSoon = true;
-            status.expiringSoonDocuments.push({
-                type: 'addressProof',
-                expiryDate: address.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(address.expiryDate)
-            });
-        }
-    }
-
-    // Check Identity Proof
-    if (documents.identityProof) {
-        const identity = documents.identityProof;
-        if (isDocumentExpired(identity.expiryDate)) {
-            status.isExpired = true;
-            status.expiredDocuments.push({
-                type: 'identityProof',
-                expiryDate: identity.expiryDate,
-                daysOverdue: -getDaysUntilExpiry(identity.expiryDate)
-            });
-        } else if (isDocumentExpiringSoon(identity.expiryDate)) {
-            status.expiringSoon = true;
-            status.expiringSoonDocuments.push({
-                type: 'identityProof',
-                expiryDate: identity.expiryDate,
-                daysUntilExpiry: getDaysUntilExpiry(identity.expiryDate)
-            });
-        }
-    }
-
-    return status;
+    return checkEntityDocuments('DRIVER', driverId);
 };
 
 module.exports = {
     isDocumentExpired,
     isDocumentExpiringSoon,
     getDaysUntilExpiry,
+    checkEntityDocuments,
     checkVehicleDocuments,
     checkDriverDocuments
 }; 
\ No newline at end of file
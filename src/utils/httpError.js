@@ -0,0 +1,4 @@
+// An error carrying the HTTP status controllers answer with (and optional details to include in the response)
+const httpError = (message, statusCode = 400, details) => Object.assign(new Error(message), { statusCode, details });
+
+module.exports = { httpError };
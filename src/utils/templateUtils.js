@@ -0,0 +1,57 @@
+// Minimal mustache-style templates for notifications:
+//   {{path}}                 value at path (escaped when rendering HTML)
+//   {{{path}}}               value at path, never escaped
+//   {{#path}}...{{/path}}    block rendered when the value is truthy
+//   {{^path}}...{{/path}}    block rendered when the value is falsy
+// Missing values render as an empty string.
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+// Any tag, including section tags, for listing the variables a template uses
+const TAG_PATTERN = /\{\{\{?\s*[#^/]?\s*([\w.]+)\s*\}?\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Value at a dotted path ("vendor.name")
+const lookup = (data, path) => path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    data
+);
+
+// Render a template string. `escape` HTML-escapes {{path}} values (for html bodies).
+const renderTemplate = (template, data = {}, { escape = false } = {}) => {
+    if (!template) {
+        return '';
+    }
+
+    const withSections = template.replace(SECTION_PATTERN, (match, kind, path, block) => {
+        const value = lookup(data, path);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return (kind === '#') === truthy ? renderTemplate(block, data, { escape }) : '';
+    });
+
+    return withSections.replace(VARIABLE_PATTERN, (match, rawPath, path) => {
+        const value = lookup(data, rawPath || path);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return escape && !rawPath ? escapeHtml(value) : String(value);
+    });
+};
+
+// Names of the variables a template refers to
+const getTemplateVariables = (template) => {
+    const variables = new Set();
+    for (const [, path] of (template || '').matchAll(TAG_PATTERN)) {
+        variables.add(path);
+    }
+    return [...variables];
+};
+
+module.exports = {
+    escapeHtml,
+    renderTemplate,
+    getTemplateVariables
+};
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ del: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/ledgerService', () => ({ recordTripRevenue: jest.fn() }));
+jest.mock('../../src/models/Trip', () => {
+    const Trip = jest.requireActual('../../src/models/Trip');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({
+        status: 'SCHEDULED',
+        // Trips are plain objects here, so each one carries the schema method
+        canTransitionTo: () => Trip.schema.methods.canTransitionTo
+    }), { getSourceStatuses: Trip.getSourceStatuses.bind(Trip) });
+});
+jest.mock('../../src/models/Driver', () => {
+    const { statics } = jest.requireActual('../../src/models/Driver').schema;
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({ rating: 0, ratingCount: 0, totalTrips: 0 }), {
+        addRating: statics.addRating,
+        recordCompletedTrip: statics.recordCompletedTrip
+    });
+});
+jest.mock('../../src/models/Vehicle', () => {
+    const { statics } = jest.requireActual('../../src/models/Vehicle').schema;
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({ odometer: 0 }), {
+        recordDistance: statics.recordDistance
+    });
+});
+
+const Trip = require('../../src/models/Trip');
+const Driver = require('../../src/models/Driver');
+const Vehicle = require('../../src/models/Vehicle');
+const ledgerService = require('../../src/services/ledgerService');
+const tripController = require('../../src/controllers/tripController');
+
+const vendor = { _id: new mongoose.Types.ObjectId() };
+
+const call = async (handler, params, body = {}) => {
+    const res = { statusCode: 200 };
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn((payload) => { res.body = payload; return res; });
+    await handler({ vendor, params, body, ip: '127.0.0.1', get: () => undefined }, res);
+    return res;
+};
+
+let driver, vehicle;
+
+beforeEach(async () => {
+    [Trip, Driver, Vehicle].forEach(model => model.reset());
+    driver = await Driver.create({ vendor: vendor._id, status: 'ACTIVE' });
+    vehicle = await Vehicle.create({ vendor: vendor._id, status: 'ACTIVE', assignedDriver: driver._id, odometer: 1000 });
+});
+
+const scheduleTrip = (fields) => Trip.create({ vendor: vendor._id, vehicle: vehicle._id, driver: driver._id, ...fields });
+
+describe('trip lifecycle', () => {
+    it('runs a trip from scheduled to completed and counts it for the driver', async () => {
+        const trip = await scheduleTrip();
+
+        const started = await call(tripController.startTrip, { id: trip._id });
+        expect(started.body.data).toMatchObject({ status: 'IN_PROGRESS', startedAt: expect.any(Date) });
+
+        const completed = await call(tripController.completeTrip, { id: trip._id }, { distanceKm: 12, fare: 250 });
+        expect(completed.body.data).toMatchObject({ status: 'COMPLETED', distanceKm: 12, fare: 250 });
+        expect(Driver.documents[0].totalTrips).toBe(1);
+        expect(Vehicle.documents[0].odometer).toBe(1012);
+        expect(ledgerService.recordTripRevenue).toHaveBeenCalledWith(expect.objectContaining({ _id: trip._id, fare: 250 }));
+    });
+
+    it('does not complete or start a trip twice', async () => {
+        const trip = await scheduleTrip({ status: 'COMPLETED' });
+
+        expect((await call(tripController.completeTrip, { id: trip._id })).statusCode).toBe(400);
+        expect((await call(tripController.startTrip, { id: trip._id })).body.error.message).toBe('Cannot start a trip that is COMPLETED');
+        expect(Driver.documents[0].totalTrips).toBe(0);
+    });
+
+    it('refuses to start a trip once the driver was moved to another vehicle', async () => {
+        const trip = await scheduleTrip();
+        await Vehicle.updateOne({ _id: vehicle._id }, { assignedDriver: null });
+
+        const res = await call(tripController.startTrip, { id: trip._id });
+
+        expect(res.body.error.message).toBe('The driver is no longer assigned to this vehicle');
+        expect(Trip.documents[0].status).toBe('SCHEDULED');
+    });
+
+    it('refuses to start a second trip while the driver is on one', async () => {
+        await scheduleTrip({ status: 'IN_PROGRESS' });
+        const trip = await scheduleTrip();
+
+        expect((await call(tripController.startTrip, { id: trip._id })).body.error.message).toBe('The driver or vehicle is already on another trip');
+    });
+
+    it('cancels scheduled trips but not completed ones', async () => {
+        const scheduled = await scheduleTrip();
+        const completed = await scheduleTrip({ status: 'COMPLETED' });
+
+        expect((await call(tripController.cancelTrip, { id: scheduled._id }, { reason: 'No show' })).body.data)
+            .toMatchObject({ status: 'CANCELLED', cancellationReason: 'No show', cancelledBy: vendor._id });
+        expect((await call(tripController.cancelTrip, { id: completed._id })).statusCode).toBe(400);
+    });
+});
+
+describe('trip ratings', () => {
+    it('rolls ratings into the driver running average', async () => {
+        const first = await scheduleTrip({ status: 'COMPLETED' });
+        const second = await scheduleTrip({ status: 'COMPLETED' });
+
+        await call(tripController.rateTrip, { id: first._id }, { rating: 5 });
+        const res = await call(tripController.rateTrip, { id: second._id }, { rating: 2 });
+
+        expect(res.body.data.driver).toMatchObject({ rating: 3.5, ratingCount: 2 });
+    });
+
+    it('accepts one rating per completed trip, between 1 and 5', async () => {
+        const completed = await scheduleTrip({ status: 'COMPLETED' });
+        const scheduled = await scheduleTrip();
+
+        expect((await call(tripController.rateTrip, { id: completed._id }, { rating: 0 })).statusCode).toBe(400);
+        expect((await call(tripController.rateTrip, { id: completed._id }, { rating: 4 })).statusCode).toBe(200);
+        expect((await call(tripController.rateTrip, { id: completed._id }, { rating: 4 })).statusCode).toBe(400);
+        expect((await call(tripController.rateTrip, { id: scheduled._id }, { rating: 4 })).statusCode).toBe(400);
+        expect(Driver.documents[0]).toMatchObject({ rating: 4, ratingCount: 1 });
+    });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ get: jest.fn(), set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/webhookService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({}));
+jest.mock('../../src/services/assignmentService', () => ({}));
+jest.mock('../../src/services/eligibilityService', () => ({}));
+jest.mock('../../src/services/accessControlService', () => ({ canActOnVendor: jest.fn() }));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({
+    status: 'ACTIVE',
+    odometer: 0,
+    maintenance: null,
+    complianceSuspension: null,
+    lastInspection: null
+}));
+
+const Vehicle = require('../../src/models/Vehicle');
+const accessControlService = require('../../src/services/accessControlService');
+const inspectionConfig = require('../../src/config/inspections');
+const vehicleController = require('../../src/controllers/vehicleController');
+
+const vendor = { _id: new mongoose.Types.ObjectId() };
+
+const call = async (handler, params, body = {}) => {
+    const res = { statusCode: 200 };
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn((payload) => { res.body = payload; return res; });
+    await handler({ vendor, params, body, ip: '127.0.0.1', get: () => undefined }, res);
+    return res;
+};
+
+let vehicle;
+
+beforeEach(async () => {
+    Vehicle.reset();
+    accessControlService.canActOnVendor.mockResolvedValue(true);
+    vehicle = await Vehicle.create({ vendor: vendor._id, registrationNumber: 'MH12AB1234', odometer: 5000 });
+});
+
+afterEach(() => {
+    inspectionConfig.requiredForActivation = false;
+});
+
+describe('vehicleController.updateVehicle', () => {
+    const update = (body) => call(vehicleController.updateVehicle, { id: vehicle._id }, body);
+
+    it('updates allowed fields', async () => {
+        const res = await update({ model: 'Dzire', odometer: 5200 });
+
+        expect(res.statusCode).toBe(200);
+        expect(Vehicle.documents[0]).toMatchObject({ model: 'Dzire', odometer: 5200 });
+    });
+
+    it('leaves putting a vehicle in maintenance to the maintenance endpoints', async () => {
+        const res = await update({ status: 'MAINTENANCE' });
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.error.message).toBe('Start a maintenance period to put the vehicle in maintenance');
+        expect(Vehicle.documents[0].status).toBe('ACTIVE');
+    });
+
+    it('refuses to change the status of a vehicle in maintenance', async () => {
+        await Vehicle.updateOne({ _id: vehicle._id }, { status: 'MAINTENANCE', maintenance: { maintenanceId: new mongoose.Types.ObjectId() } });
+
+        expect((await update({ status: 'ACTIVE' })).statusCode).toBe(409);
+    });
+
+    it('refuses to turn the odometer back', async () => {
+        const res = await update({ odometer: 4000 });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error.message).toBe('odometer cannot be lower than the current reading (5000 km)');
+        expect(Vehicle.documents[0].odometer).toBe(5000);
+    });
+
+    it('refuses to activate a vehicle whose last inspection failed', async () => {
+        await Vehicle.updateOne({ _id: vehicle._id }, { status: 'INACTIVE', lastInspection: { result: 'FAIL', inspectedAt: new Date('2026-03-01') } });
+
+        const res = await update({ status: 'ACTIVE' });
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.error.lastInspection).toMatchObject({ result: 'FAIL' });
+        expect(Vehicle.documents[0].status).toBe('INACTIVE');
+    });
+});
+
+describe('vehicleController.addVehicle', () => {
+    const add = (body) => call(vehicleController.addVehicle, {}, body);
+
+    it('takes only descriptive fields from the body', async () => {
+        const res = await add({
+            registrationNumber: 'MH12CD5678',
+            model: 'Ertiga',
+            status: 'INACTIVE',
+            assignedDriver: new mongoose.Types.ObjectId(),
+            lastInspection: { result: 'PASS', inspectedAt: new Date() },
+            complianceSuspension: { previousStatus: 'ACTIVE' }
+        });
+
+        expect(res.statusCode).toBe(201);
+        const created = Vehicle.documents.find(entry => entry.registrationNumber === 'MH12CD5678');
+        expect(created).toMatchObject({ model: 'Ertiga', status: 'INACTIVE', vendor: vendor._id, lastInspection: null, complianceSuspension: null });
+        expect(created.assignedDriver).toBeUndefined();
+    });
+
+    it('holds a vehicle starting out active to the activation rules', async () => {
+        inspectionConfig.requiredForActivation = true;
+
+        const blocked = await add({ registrationNumber: 'MH12EF9012', status: 'ACTIVE' });
+        const inactive = await add({ registrationNumber: 'MH12EF9012', status: 'INACTIVE' });
+
+        expect(blocked.statusCode).toBe(409);
+        expect(blocked.body.error.message).toBe('Vehicle needs a passed inspection before it can be activated');
+        expect(inactive.statusCode).toBe(201);
+    });
+
+    it('refuses adding for a vendor the caller cannot act for', async () => {
+        accessControlService.canActOnVendor.mockResolvedValue(false);
+
+        expect((await add({ registrationNumber: 'MH12GH3456', vendorId: new mongoose.Types.ObjectId() })).statusCode).toBe(403);
+        expect(Vehicle.documents).toHaveLength(1);
+    });
+});
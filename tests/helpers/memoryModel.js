@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+
+// A stand-in for a Mongoose model that keeps its documents in memory. It understands the
+// query and update operators the services under test use, so their logic runs without a MongoDB.
+
+const clone = (value) => {
+    if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return value;
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Map) return new Map(value);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    }
+    return value;
+};
+
+const comparable = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+};
+
+const getPath = (document, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+
+const matchesValue = (value, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)) {
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$lte': return value != null && comparable(value) <= comparable(operand);
+                case '$lt': return value != null && comparable(value) < comparable(operand);
+                case '$gte': return value != null && comparable(value) >= comparable(operand);
+                case '$gt': return value != null && comparable(value) > comparable(operand);
+                case '$ne': return comparable(value) !== comparable(operand);
+                // On an array field: any element
+                case '$in': return [].concat(value).some(element => operand.some(entry => comparable(entry) === comparable(element)));
+                case '$exists': return (value !== undefined) === operand;
+                case '$size': return Array.isArray(value) && value.length === operand;
+                default: throw new Error(`memoryModel does not support ${operator}`);
+            }
+        });
+    }
+    // A missing field matches null, like in MongoDB
+    return comparable(value === undefined ? null : value) === comparable(condition);
+};
+
+const matches = (document, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(document, branch));
+    if (key === '$and') return condition.every(branch => matches(document, branch));
+    // A path through an array of subdocuments matches if any element does ($ne: if none equals the operand)
+    const [head, ...rest] = key.split('.');
+    if (rest.length > 0 && Array.isArray(document[head])) {
+        const elementMatches = element => matches(element, { [rest.join('.')]: condition });
+        return condition && condition.$ne !== undefined ? document[head].every(elementMatches) : document[head].some(elementMatches);
+    }
+    return matchesValue(getPath(document, key), condition);
+});
+
+// Aggregation expressions used in update pipelines: field paths ('$field'), subdocuments and a few operators
+const evaluate = (document, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return getPath(document, expression.slice(1));
+    if (!expression || typeof expression !== 'object' || expression instanceof Date ||
+        expression instanceof mongoose.Types.ObjectId || Array.isArray(expression)) return expression;
+
+    const entries = Object.entries(expression);
+    if (entries.length === 0 || !entries[0][0].startsWith('$')) {
+        return Object.fromEntries(entries.map(([key, value]) => [key, evaluate(document, value)]));
+    }
+
+    const [[operator, operands]] = entries;
+    const values = operands.map(operand => evaluate(document, operand));
+    switch (operator) {
+        case '$add': return values.reduce((sum, value) => sum + value, 0);
+        case '$multiply': return values.reduce((product, value) => product * value, 1);
+        case '$divide': return values[0] / values[1];
+        case '$ifNull': return values[0] == null ? values[1] : values[0];
+        case '$eq': return comparable(values[0]) === comparable(values[1]);
+        case '$cond': return values[0] ? values[1] : values[2];
+        default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+};
+
+const applyUpdate = (document, update) => {
+    // Update pipelines: each $set stage sees the result of the previous one
+    if (Array.isArray(update)) {
+        for (const stage of update) {
+            const values = Object.entries(stage.$set).map(([path, expression]) => [path, evaluate(document, expression)]);
+            values.forEach(([path, value]) => { document[path] = value; });
+        }
+        return;
+    }
+
+    const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+    for (const [operator, fields] of Object.entries(operators)) {
+        for (const [path, value] of Object.entries(fields)) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), document);
+            switch (operator) {
+                case '$set': parent[last] = clone(value); break;
+                case '$unset': delete parent[last]; break;
+                case '$inc': parent[last] = (parent[last] || 0) + value; break;
+                case '$max': if (parent[last] == null || comparable(value) > comparable(parent[last])) parent[last] = clone(value); break;
+                case '$push': parent[last] = [...(parent[last] || []), clone(value)]; break;
+                case '$pull': parent[last] = (parent[last] || []).filter(entry => !matches(entry, value)); break;
+                default: throw new Error(`memoryModel does not support ${operator}`);
+            }
+        }
+    }
+};
+
+const sortBy = (sort = {}) => (a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+        const difference = comparable(getPath(a, key)) - comparable(getPath(b, key));
+        if (difference) return difference * direction;
+    }
+    return 0;
+};
+
+// The chainable part of a Mongoose query (sort, skip, limit; select, lean and populate are no-ops)
+const createQuery = (run) => {
+    const options = {};
+    const query = {
+        sort(sort) { options.sort = sort; return query; },
+        skip(skip) { options.skip = skip; return query; },
+        limit(limit) { options.limit = limit; return query; },
+        select() { return query; },
+        lean() { return query; },
+        populate() { return query; },
+        then(resolve, reject) { return Promise.resolve().then(() => run(options)).then(resolve, reject); }
+    };
+    return query;
+};
+
+// Pipeline stages understood by aggregate: enough for "latest document per group" queries
+const runPipeline = (input, pipeline) => pipeline.reduce((entries, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+        case '$match': return entries.filter(entry => matches(entry, spec));
+        case '$sort': return [...entries].sort(sortBy(spec));
+        case '$skip': return entries.slice(spec);
+        case '$limit': return entries.slice(0, spec);
+        case '$replaceRoot': return entries.map(entry => evaluate(entry, spec.newRoot));
+        case '$group': {
+            const groups = new Map();
+            for (const entry of entries) {
+                const id = typeof spec._id === 'object' && spec._id !== null
+                    ? Object.fromEntries(Object.entries(spec._id).map(([key, path]) => [key, evaluate(entry, path)]))
+                    : evaluate(entry, spec._id);
+                const key = JSON.stringify(id);
+                if (!groups.has(key)) groups.set(key, { _id: id, entries: [] });
+                groups.get(key).entries.push(entry);
+            }
+            return [...groups.values()].map(({ _id, entries: grouped }) => ({
+                _id,
+                ...Object.fromEntries(Object.entries(spec).filter(([key]) => key !== '_id').map(([key, accumulator]) => {
+                    const [[operator, operand]] = Object.entries(accumulator);
+                    const values = grouped.map(entry => (operand === '$$ROOT' ? entry : evaluate(entry, operand)));
+                    switch (operator) {
+                        case '$first': return [key, values[0]];
+                        case '$sum': return [key, values.reduce((sum, value) => sum + value, 0)];
+                        default: throw new Error(`memoryModel does not support ${operator}`);
+                    }
+                }))
+            }));
+        }
+        default: throw new Error(`memoryModel does not support ${name}`);
+    }
+}, input);
+
+// defaults: fields (or functions returning them) every created document starts with.
+// The model can also be instantiated (`new Model(fields)`); documents it hands out have save() and toObject().
+const createMemoryModel = (defaults = {}) => {
+    const documents = [];
+
+    const defaultFields = () => Object.fromEntries(
+        Object.entries(defaults).map(([key, value]) => [key, typeof value === 'function' ? value() : clone(value)])
+    );
+    const newDocument = (fields) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...defaultFields(), ...clone(fields) });
+
+    // save() writes the document's fields back (or inserts it the first time)
+    const withMethods = (document) => Object.defineProperties(document, {
+        save: {
+            value: async function () {
+                const index = documents.findIndex(entry => entry._id.equals(this._id));
+                if (index === -1) documents.push(clone(this));
+                else documents[index] = clone(this);
+                return this;
+            }
+        },
+        toObject: {
+            value: function () { return clone(this); }
+        }
+    });
+
+    const findMatching = (filter, { sort, skip = 0, limit } = {}) => {
+        const found = documents.filter(entry => matches(entry, filter)).sort(sortBy(sort)).slice(skip);
+        return (limit ? found.slice(0, limit) : found).map(entry => withMethods(clone(entry)));
+    };
+
+    function Model(fields) {
+        return withMethods(newDocument(fields));
+    }
+
+    return Object.assign(Model, {
+        documents,
+
+        reset() {
+            documents.length = 0;
+        },
+
+        async create(fields) {
+            const document = newDocument(fields);
+            documents.push(document);
+            return withMethods(clone(document));
+        },
+
+        async insertMany(entries) {
+            return Promise.all(entries.map(fields => this.create(fields)));
+        },
+
+        find(filter) {
+            return createQuery(options => findMatching(filter, options));
+        },
+
+        findOne(filter) {
+            return createQuery(options => findMatching(filter, { ...options, limit: 1 })[0] || null);
+        },
+
+        findById(id) {
+            return createQuery(() => findMatching({ _id: id })[0] || null);
+        },
+
+        async exists(filter) {
+            const document = documents.find(entry => matches(entry, filter));
+            return document ? { _id: document._id } : null;
+        },
+
+        async estimatedDocumentCount() {
+            return documents.length;
+        },
+
+        async countDocuments(filter) {
+            return documents.filter(entry => matches(entry, filter)).length;
+        },
+
+        async aggregate(pipeline) {
+            return runPipeline(documents.map(clone), pipeline);
+        },
+
+        async findOneAndUpdate(filter, update, { sort, new: returnNew = false } = {}) {
+            const document = documents.filter(entry => matches(entry, filter)).sort(sortBy(sort))[0];
+            if (!document) return null;
+
+            const before = clone(document);
+            applyUpdate(document, update);
+            return withMethods(clone(returnNew ? document : before));
+        },
+
+        async findByIdAndUpdate(id, update, options) {
+            return this.findOneAndUpdate({ _id: id }, update, options);
+        },
+
+        async updateOne(filter, update) {
+            const document = documents.find(entry => matches(entry, filter));
+            if (document) applyUpdate(document, update);
+            return { matchedCount: document ? 1 : 0, modifiedCount: document ? 1 : 0 };
+        },
+
+        async updateMany(filter, update) {
+            const matched = documents.filter(entry => matches(entry, filter));
+            matched.forEach(document => applyUpdate(document, update));
+            return { matchedCount: matched.length, modifiedCount: matched.length };
+        },
+
+        async deleteOne(filter) {
+            const index = documents.findIndex(entry => matches(entry, filter));
+            if (index !== -1) documents.splice(index, 1);
+            return { deletedCount: index === -1 ? 0 : 1 };
+        }
+    });
+};
+
+module.exports = { createMemoryModel };
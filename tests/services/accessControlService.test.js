@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/Vendor', () => require('../helpers/memoryModel').createMemoryModel({ parentVendor: null }));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/Driver', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/Document', () => require('../helpers/memoryModel').createMemoryModel());
+
+const Vendor = require('../../src/models/Vendor');
+const Vehicle = require('../../src/models/Vehicle');
+const Driver = require('../../src/models/Driver');
+const Document = require('../../src/models/Document');
+const accessControlService = require('../../src/services/accessControlService');
+
+// super -> city -> sub, plus a second city with its own vehicle
+let superVendor, city, sub, otherCity;
+
+beforeEach(async () => {
+    [Vendor, Vehicle, Driver, Document].forEach(model => model.reset());
+    superVendor = await Vendor.create({ name: 'super', vendorType: 'SUPER' });
+    city = await Vendor.create({ name: 'city', vendorType: 'CITY', parentVendor: superVendor._id });
+    sub = await Vendor.create({ name: 'sub', vendorType: 'SUB', parentVendor: city._id });
+    otherCity = await Vendor.create({ name: 'other', vendorType: 'CITY', parentVendor: superVendor._id });
+});
+
+describe('accessControlService.canActOnVendor', () => {
+    it('lets a vendor act on itself and on every vendor below it', async () => {
+        expect(await accessControlService.canActOnVendor(sub._id, sub._id)).toBe(true);
+        expect(await accessControlService.canActOnVendor(city._id, sub._id)).toBe(true);
+        expect(await accessControlService.canActOnVendor(superVendor._id, sub._id)).toBe(true);
+    });
+
+    it('does not let a vendor act on its parent or on a sibling subtree', async () => {
+        expect(await accessControlService.canActOnVendor(sub._id, city._id)).toBe(false);
+        expect(await accessControlService.canActOnVendor(otherCity._id, sub._id)).toBe(false);
+    });
+
+    it('can exclude the vendor itself', async () => {
+        expect(await accessControlService.canActOnVendor(city._id, city._id, { allowSelf: false })).toBe(false);
+        expect(await accessControlService.canActOnVendor(city._id, sub._id, { allowSelf: false })).toBe(true);
+    });
+});
+
+describe('accessControlService.checkEntityAccess', () => {
+    it('resolves the owner of vehicles and drivers', async () => {
+        const vehicle = await Vehicle.create({ vendor: sub._id });
+        const driver = await Driver.create({ vendor: otherCity._id });
+
+        expect(await accessControlService.checkEntityAccess(city._id, 'VEHICLE', vehicle._id))
+            .toEqual({ found: true, allowed: true, ownerVendorId: sub._id });
+        expect(await accessControlService.checkEntityAccess(city._id, 'DRIVER', driver._id))
+            .toEqual({ found: true, allowed: false, ownerVendorId: otherCity._id });
+    });
+
+    it('treats a document as owned by the owner of the entity it describes, not its uploader', async () => {
+        const vehicle = await Vehicle.create({ vendor: sub._id });
+        const document = await Document.create({ entityType: 'VEHICLE', entityId: vehicle._id, vendor: otherCity._id });
+
+        expect(await accessControlService.checkEntityAccess(city._id, 'DOCUMENT', document._id))
+            .toEqual({ found: true, allowed: true, ownerVendorId: sub._id });
+        expect((await accessControlService.checkEntityAccess(otherCity._id, 'DOCUMENT', document._id)).allowed).toBe(false);
+    });
+
+    it('reports unknown and malformed ids as not found', async () => {
+        expect(await accessControlService.checkEntityAccess(city._id, 'VEHICLE', new mongoose.Types.ObjectId()))
+            .toEqual({ found: false, allowed: false, ownerVendorId: null });
+        expect((await accessControlService.checkEntityAccess(city._id, 'VEHICLE', 'not-an-id')).found).toBe(false);
+    });
+});
+
+describe('accessControlService.getAccessibleVendorIds', () => {
+    it('lists the vendor and its whole subtree', async () => {
+        const ids = await accessControlService.getAccessibleVendorIds(city._id);
+
+        expect(ids.map(String).sort()).toEqual([city._id, sub._id].map(String).sort());
+    });
+});
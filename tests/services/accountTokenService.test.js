@@ -0,0 +1,47 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => new (require('ioredis-mock'))());
+
+const redis = require('../../src/config/redis');
+const accountTokenService = require('../../src/services/accountTokenService');
+
+beforeEach(async () => {
+    await redis.flushall();
+});
+
+describe('accountTokenService', () => {
+    it('redeems a token once for the vendor it was issued to', async () => {
+        const { token, expiresAt } = await accountTokenService.issue('password_reset', 'vendor-1');
+
+        expect(expiresAt.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+        expect(await accountTokenService.consume('password_reset', token)).toBe('vendor-1');
+        expect(await accountTokenService.consume('password_reset', token)).toBeNull();
+    });
+
+    it('stores only a hash of the token, with the purpose lifetime', async () => {
+        const { token } = await accountTokenService.issue('email_verification', 'vendor-1');
+        const key = accountTokenService.tokenKey('email_verification', accountTokenService.hash(token));
+
+        expect(await redis.keys(`*${token}*`)).toEqual([]);
+        expect(await redis.ttl(key)).toBeGreaterThan(47 * 60 * 60);
+    });
+
+    it('invalidates the previous token when a new one is issued', async () => {
+        const first = await accountTokenService.issue('password_reset', 'vendor-1');
+        const second = await accountTokenService.issue('password_reset', 'vendor-1');
+
+        expect(await accountTokenService.consume('password_reset', first.token)).toBeNull();
+        expect(await accountTokenService.consume('password_reset', second.token)).toBe('vendor-1');
+    });
+
+    it('does not accept a token for another purpose', async () => {
+        const { token } = await accountTokenService.issue('email_verification', 'vendor-1');
+
+        expect(await accountTokenService.consume('password_reset', token)).toBeNull();
+        expect(await accountTokenService.consume('email_verification', token)).toBe('vendor-1');
+    });
+
+    it('ignores missing tokens and refuses unknown purposes', async () => {
+        expect(await accountTokenService.consume('password_reset', undefined)).toBeNull();
+        await expect(accountTokenService.issue('magic_link', 'vendor-1')).rejects.toThrow('Unknown account token purpose: magic_link');
+    });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({ assignedDriver: null }));
+jest.mock('../../src/models/Driver', () => require('../helpers/memoryModel').createMemoryModel({ assignedVehicle: null }));
+
+const Vehicle = require('../../src/models/Vehicle');
+const Driver = require('../../src/models/Driver');
+const assignmentService = require('../../src/services/assignmentService');
+
+const pointers = () => ({
+    vehicles: Object.fromEntries(Vehicle.documents.map(vehicle => [vehicle.name, vehicle.assignedDriver && Driver.documents.find(driver => driver._id.equals(vehicle.assignedDriver)).name])),
+    drivers: Object.fromEntries(Driver.documents.map(driver => [driver.name, driver.assignedVehicle && Vehicle.documents.find(vehicle => vehicle._id.equals(driver.assignedVehicle)).name]))
+});
+
+let v1, v2, d1, d2;
+
+beforeEach(async () => {
+    Vehicle.reset();
+    Driver.reset();
+    v1 = await Vehicle.create({ name: 'v1' });
+    v2 = await Vehicle.create({ name: 'v2' });
+    d1 = await Driver.create({ name: 'd1' });
+    d2 = await Driver.create({ name: 'd2' });
+});
+
+describe('assignmentService.link', () => {
+    it('points a free vehicle and driver at each other', async () => {
+        const { vehicleBefore, driverBefore } = await assignmentService.link(v1._id, d1._id);
+
+        expect(vehicleBefore.assignedDriver).toBeNull();
+        expect(driverBefore.assignedVehicle).toBeNull();
+        expect(pointers()).toEqual({ vehicles: { v1: 'd1', v2: null }, drivers: { d1: 'v1', d2: null } });
+    });
+
+    it('accepts linking a pair that is already linked', async () => {
+        await assignmentService.link(v1._id, d1._id);
+
+        await expect(assignmentService.link(v1._id, d1._id)).resolves.toBeTruthy();
+        expect(pointers()).toEqual({ vehicles: { v1: 'd1', v2: null }, drivers: { d1: 'v1', d2: null } });
+    });
+
+    it('refuses a vehicle held by another driver', async () => {
+        await assignmentService.link(v1._id, d1._id);
+
+        await expect(assignmentService.link(v1._id, d2._id)).rejects.toMatchObject({ statusCode: 409, message: 'Vehicle is already assigned to another driver.' });
+        expect(pointers()).toEqual({ vehicles: { v1: 'd1', v2: null }, drivers: { d1: 'v1', d2: null } });
+    });
+
+    it('undoes the vehicle claim when the driver is held by another vehicle', async () => {
+        await assignmentService.link(v1._id, d1._id);
+
+        await expect(assignmentService.link(v2._id, d1._id)).rejects.toMatchObject({ statusCode: 409, message: 'Driver is already assigned to another vehicle.' });
+        expect(pointers()).toEqual({ vehicles: { v1: 'd1', v2: null }, drivers: { d1: 'v1', d2: null } });
+    });
+
+    it('lets only one of two concurrent assignments of a driver win, without one-sided links', async () => {
+        const results = await Promise.allSettled([
+            assignmentService.link(v1._id, d1._id),
+            assignmentService.link(v2._id, d1._id)
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        const { vehicles, drivers } = pointers();
+        const winner = drivers.d1;
+        expect(vehicles[winner]).toBe('d1');
+        expect(vehicles[winner === 'v1' ? 'v2' : 'v1']).toBeNull();
+    });
+});
+
+describe('assignmentService.unlink', () => {
+    it('clears both pointers of a linked pair', async () => {
+        await assignmentService.link(v1._id, d1._id);
+
+        const { vehicleBefore, driverBefore } = await assignmentService.unlink(v1._id, d1._id);
+
+        expect(vehicleBefore.assignedDriver).toEqual(d1._id);
+        expect(driverBefore.assignedVehicle).toEqual(v1._id);
+        expect(pointers()).toEqual({ vehicles: { v1: null, v2: null }, drivers: { d1: null, d2: null } });
+    });
+
+    it('leaves a side alone that already points elsewhere', async () => {
+        await assignmentService.link(v1._id, d1._id);
+        // A one-sided link left behind, e.g. by a crash: v2 still points at d1
+        await Vehicle.updateOne({ _id: v2._id }, { assignedDriver: d1._id });
+
+        const { vehicleBefore, driverBefore } = await assignmentService.unlink(v2._id, d1._id);
+
+        expect(vehicleBefore.assignedDriver).toEqual(d1._id);
+        expect(driverBefore).toBeNull();
+        expect(pointers()).toEqual({ vehicles: { v1: 'd1', v2: null }, drivers: { d1: 'v1', d2: null } });
+    });
+
+    it('does nothing for a pair that was never linked', async () => {
+        expect(await assignmentService.unlink(v1._id, new mongoose.Types.ObjectId())).toEqual({ vehicleBefore: null, driverBefore: null });
+    });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/cacheService', () => ({ del: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({ sendAssignmentNotification: jest.fn() }));
+jest.mock('../../src/services/webhookService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/eligibilityService', () => ({ evaluate: jest.fn() }));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({ assignedDriver: null }));
+jest.mock('../../src/models/Driver', () => require('../helpers/memoryModel').createMemoryModel({ assignedVehicle: null }));
+jest.mock('../../src/models/Assignment', () => require('../helpers/memoryModel').createMemoryModel({ endAt: null, endedAt: null }));
+
+const Vehicle = require('../../src/models/Vehicle');
+const Driver = require('../../src/models/Driver');
+const Assignment = require('../../src/models/Assignment');
+const eligibilityService = require('../../src/services/eligibilityService');
+const assignmentService = require('../../src/services/assignmentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+let vendorId, vehicle, otherVehicle, driver, otherDriver;
+
+const plan = (fields) => assignmentService.planShift({ vehicle, driver, startAt: hoursFromNow(1), endAt: hoursFromNow(9), ...fields });
+const makeDue = (shift, endAt = hoursFromNow(8)) => Assignment.updateOne({ _id: shift._id }, { startAt: hoursFromNow(-1), endAt });
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    Vehicle.reset();
+    Driver.reset();
+    Assignment.reset();
+    eligibilityService.evaluate.mockResolvedValue({ eligible: true, reasons: [], warnings: [] });
+    vendorId = new mongoose.Types.ObjectId();
+    vehicle = await Vehicle.create({ vendor: vendorId });
+    otherVehicle = await Vehicle.create({ vendor: vendorId });
+    driver = await Driver.create({ vendor: vendorId });
+    otherDriver = await Driver.create({ vendor: vendorId });
+});
+
+describe('assignmentService.planShift', () => {
+    it('plans a future shift', async () => {
+        const shift = await plan({ notes: 'Night shift' });
+
+        expect(shift).toMatchObject({ vehicle: vehicle._id, driver: driver._id, vendor: vendorId, source: 'SHIFT', status: 'PLANNED', notes: 'Night shift' });
+    });
+
+    it('refuses windows in the past, reversed, too long or too far ahead', async () => {
+        await expect(plan({ startAt: hoursFromNow(-1) })).rejects.toThrow('Shifts can only be planned for the future');
+        await expect(plan({ endAt: hoursFromNow(1) })).rejects.toThrow('endAt must be after startAt');
+        await expect(plan({ endAt: hoursFromNow(30) })).rejects.toThrow('Shifts can be at most 24 hours long');
+        await expect(plan({ startAt: hoursFromNow(24 * 61), endAt: hoursFromNow(24 * 61 + 1) })).rejects.toThrow('Shifts can be planned at most 60 days ahead');
+        await expect(plan({ startAt: 'tonight' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses a shift overlapping another one of the vehicle or driver', async () => {
+        const first = await plan();
+
+        await expect(plan({ driver: otherDriver, startAt: hoursFromNow(8), endAt: hoursFromNow(12) }))
+            .rejects.toMatchObject({ statusCode: 409, details: { conflicts: [expect.objectContaining({ _id: first._id })] } });
+        await expect(plan({ vehicle: otherVehicle, startAt: hoursFromNow(9), endAt: hoursFromNow(12) })).resolves.toBeTruthy();
+    });
+
+    it('refuses an ineligible pair', async () => {
+        eligibilityService.evaluate.mockResolvedValue({ eligible: false, reasons: [{ code: 'DRIVER_INACTIVE' }], warnings: [] });
+
+        await expect(plan()).rejects.toMatchObject({ statusCode: 400, details: { reasons: [{ code: 'DRIVER_INACTIVE' }] } });
+    });
+});
+
+describe('assignmentService.processShifts', () => {
+    it('starts a due shift, handing the vehicle over from its current driver, and ends it after its window', async () => {
+        await Vehicle.updateOne({ _id: vehicle._id }, { assignedDriver: otherDriver._id });
+        await Driver.updateOne({ _id: otherDriver._id }, { assignedVehicle: vehicle._id });
+        const manual = await assignmentService.recordStart({ vehicle, driver: otherDriver });
+        const shift = await plan();
+        await makeDue(shift);
+
+        expect(await assignmentService.processShifts()).toMatchObject({ started: 1, skipped: 0, failed: 0 });
+        expect((await Vehicle.findById(vehicle._id)).assignedDriver).toEqual(driver._id);
+        expect((await Driver.findById(otherDriver._id)).assignedVehicle).toBeNull();
+        expect(await Assignment.findById(manual._id)).toMatchObject({ status: 'COMPLETED', endReason: 'SHIFT_HANDOVER' });
+
+        await Assignment.updateOne({ _id: shift._id }, { endAt: hoursFromNow(-0.1) });
+        expect(await assignmentService.processShifts()).toMatchObject({ ended: 1 });
+        expect(await Assignment.findById(shift._id)).toMatchObject({ status: 'COMPLETED', endReason: 'SHIFT_ENDED' });
+        expect((await Vehicle.findById(vehicle._id)).assignedDriver).toBeNull();
+    });
+
+    it('skips a shift whose pair is no longer eligible', async () => {
+        const shift = await plan();
+        await makeDue(shift);
+        eligibilityService.evaluate.mockResolvedValue({ eligible: false, reasons: [{ code: 'VEHICLE_SUSPENDED' }], warnings: [] });
+
+        expect(await assignmentService.processShifts()).toMatchObject({ started: 0, skipped: 1 });
+        expect(await Assignment.findById(shift._id)).toMatchObject({ status: 'SKIPPED', endReason: 'INELIGIBLE' });
+        expect((await Vehicle.findById(vehicle._id)).assignedDriver).toBeNull();
+    });
+});
+
+describe('assignmentService.getHistory', () => {
+    it('finds the assignment running at a moment', async () => {
+        const earlier = await Assignment.create({ vehicle: vehicle._id, driver: otherDriver._id, status: 'COMPLETED', startAt: hoursFromNow(-10), startedAt: hoursFromNow(-10), endedAt: hoursFromNow(-5) });
+        const current = await Assignment.create({ vehicle: vehicle._id, driver: driver._id, status: 'ACTIVE', startAt: hoursFromNow(-5), startedAt: hoursFromNow(-5) });
+
+        const at = async (hours) => (await assignmentService.getHistory({ vehicle: vehicle._id }, { at: hoursFromNow(hours) })).assignments.map(assignment => assignment._id);
+
+        expect(await at(-7)).toEqual([earlier._id]);
+        expect(await at(-1)).toEqual([current._id]);
+        expect(await at(-12)).toEqual([]);
+        expect((await assignmentService.getHistory({ vehicle: vehicle._id })).pagination.total).toBe(2);
+    });
+});
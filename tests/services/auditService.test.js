@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/AuditLog', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/services/accessControlService', () => ({ getAccessibleVendorIds: async (vendorId) => [vendorId] }));
+
+const AuditLog = require('../../src/models/AuditLog');
+const logger = require('../../src/config/logger');
+const auditService = require('../../src/services/auditService');
+const { getAuditLogs } = require('../../src/controllers/auditController');
+
+const actor = new mongoose.Types.ObjectId();
+const req = { vendor: { _id: actor }, ip: '10.0.0.1', get: () => 'jest' };
+
+// A Mongoose-like document: the service reads it through toObject
+const asDocument = (fields) => ({ toObject: () => fields });
+
+beforeEach(() => {
+    AuditLog.reset();
+});
+
+describe('auditService.diff', () => {
+    it('lists changed top-level fields and skips bookkeeping and secrets', () => {
+        const before = { _id: 'v1', status: 'ACTIVE', model: 'Swift', password: 'a', updatedAt: new Date(0) };
+        const after = { _id: 'v1', status: 'INACTIVE', model: 'Swift', password: 'b', updatedAt: new Date() };
+
+        expect(auditService.diff(before, after)).toEqual([{ field: 'status', before: 'ACTIVE', after: 'INACTIVE' }]);
+    });
+
+    it('compares ids, dates and nested values by value', () => {
+        const vendor = new mongoose.Types.ObjectId();
+        const before = asDocument({ vendor, expiryDate: new Date('2030-01-01'), address: { city: 'Pune' } });
+        const after = asDocument({ vendor: new mongoose.Types.ObjectId(vendor.toString()), expiryDate: new Date('2030-01-01'), address: { city: 'Mumbai' } });
+
+        expect(auditService.diff(before, after)).toEqual([{ field: 'address', before: { city: 'Pune' }, after: { city: 'Mumbai' } }]);
+    });
+
+    it('records every field as added on create', () => {
+        expect(auditService.diff(null, { status: 'ACTIVE' })).toEqual([{ field: 'status', before: undefined, after: 'ACTIVE' }]);
+    });
+});
+
+describe('auditService.record', () => {
+    it('stores the actor, request details and changes', async () => {
+        const entityId = new mongoose.Types.ObjectId();
+
+        await auditService.record({
+            req,
+            action: 'VEHICLE_UPDATED',
+            entityType: 'VEHICLE',
+            entityId,
+            ownerVendorId: actor,
+            before: { status: 'ACTIVE' },
+            after: { status: 'MAINTENANCE' }
+        });
+
+        expect(AuditLog.documents).toEqual([expect.objectContaining({
+            actor,
+            action: 'VEHICLE_UPDATED',
+            entityId,
+            ip: '10.0.0.1',
+            userAgent: 'jest',
+            changes: [{ field: 'status', before: 'ACTIVE', after: 'MAINTENANCE' }]
+        })]);
+    });
+
+    it('never fails the operation it records', async () => {
+        jest.spyOn(AuditLog, 'create').mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(auditService.record({ req, action: 'VEHICLE_DELETED', entityType: 'VEHICLE' })).resolves.toBeNull();
+        expect(logger.error).toHaveBeenCalledWith('Failed to write audit log:', expect.objectContaining({ error: 'connection lost' }));
+    });
+});
+
+describe('auditService.find', () => {
+    beforeEach(async () => {
+        for (let day = 1; day <= 5; day++) {
+            await AuditLog.create({ action: 'VEHICLE_UPDATED', createdAt: new Date(2026, 0, day) });
+        }
+    });
+
+    it('pages newest first', async () => {
+        const { logs, pagination } = await auditService.find({}, { page: '2', limit: '2' });
+
+        expect(logs.map(log => log.createdAt.getDate())).toEqual([3, 2]);
+        expect(pagination).toEqual({ total: 5, page: 2, pages: 3 });
+    });
+
+    it('falls back to sane page bounds', async () => {
+        const { logs, pagination } = await auditService.find({}, { page: '-3', limit: 'many' });
+
+        expect(logs).toHaveLength(5);
+        expect(pagination).toEqual({ total: 5, page: 1, pages: 1 });
+    });
+});
+
+describe('GET /api/audit', () => {
+    const response = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+
+    it('answers 400 for a date it cannot parse', async () => {
+        const res = response();
+
+        await getAuditLogs({ ...req, query: { from: 'yesterday' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error.message).toBe('from and to must be valid dates');
+    });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/documentTypeService', () => ({
+    getEntityCity: async () => null,
+    getTypesForEntity: async () => [
+        { code: 'permit', name: 'Permit', isRequired: true },
+        { code: 'insurance', name: 'Insurance', isRequired: true },
+        { code: 'fastag', name: 'FASTag', isRequired: false }
+    ]
+}));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/Document', () => require('../helpers/memoryModel').createMemoryModel({ isVerified: false }));
+
+const Vehicle = require('../../src/models/Vehicle');
+const Document = require('../../src/models/Document');
+const documentService = require('../../src/services/documentService');
+
+let vehicle;
+
+const addVersion = (documentType, fields) => Document.create({ entityType: 'VEHICLE', entityId: vehicle._id, documentType, ...fields });
+const statusOf = (result) => Object.fromEntries(result.documents.map(document => [document.type, document.status]));
+
+beforeEach(async () => {
+    Vehicle.reset();
+    Document.reset();
+    vehicle = await Vehicle.create({ createdAt: new Date('2024-01-01') });
+
+    // Permit approved in Feb 2024, expired end of 2024, renewal uploaded in Dec 2024 but approved only in Feb 2025
+    await addVersion('permit', { version: 1, createdAt: new Date('2024-02-01'), isVerified: true, verifiedAt: new Date('2024-02-03'), expiryDate: new Date('2024-12-31') });
+    await addVersion('permit', { version: 2, createdAt: new Date('2024-12-20'), isVerified: true, verifiedAt: new Date('2025-02-10'), expiryDate: new Date('2029-12-31') });
+    // Insurance uploaded in March 2024, never approved
+    await addVersion('insurance', { version: 1, createdAt: new Date('2024-03-01'), expiryDate: new Date('2030-01-01') });
+});
+
+describe('documentService.getEntityComplianceAsOf', () => {
+    it('uses the version in force on the date, not the current one', async () => {
+        const before = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2024-06-01');
+        const lapsed = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2025-01-15');
+        const renewed = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2025-03-01');
+
+        expect(statusOf(before).permit).toBe('VALID');
+        expect(statusOf(lapsed).permit).toBe('EXPIRED');
+        expect(lapsed.expiredDocuments).toEqual([expect.objectContaining({ type: 'permit', version: 1 })]);
+        expect(statusOf(renewed).permit).toBe('VALID');
+        expect(renewed.documents.find(document => document.type === 'permit')).toMatchObject({ version: 2, validFrom: new Date('2025-02-10') });
+    });
+
+    it('reports documents not yet uploaded as missing and unapproved ones as unverified', async () => {
+        const early = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2024-02-15');
+        const later = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2024-06-01');
+
+        expect(early).toMatchObject({ compliant: false, missingDocuments: [{ type: 'insurance', name: 'Insurance' }] });
+        expect(later.missingDocuments).toEqual([]);
+        expect(later.unverifiedDocuments).toEqual([expect.objectContaining({ type: 'insurance' })]);
+        expect(later.compliant).toBe(false);
+    });
+
+    it('is compliant once every required type is approved and unexpired', async () => {
+        await addVersion('insurance', { version: 2, createdAt: new Date('2025-01-05'), isVerified: true, verifiedAt: new Date('2025-01-06'), expiryDate: new Date('2030-01-01') });
+
+        const result = await documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2025-03-01');
+
+        expect(result.compliant).toBe(true);
+        expect(result.asOf).toEqual(new Date('2025-03-01'));
+    });
+
+    it('refuses dates before the vehicle existed and unparseable dates', async () => {
+        await expect(documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, '2023-06-01')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(documentService.getEntityComplianceAsOf('VEHICLE', vehicle._id, 'last spring')).rejects.toMatchObject({ statusCode: 400, message: 'at must be a valid date' });
+        await expect(documentService.getEntityComplianceAsOf('VEHICLE', new mongoose.Types.ObjectId(), '2025-01-01')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
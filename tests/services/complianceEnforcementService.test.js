@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ del: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/assignmentService', () => ({ recordEnd: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({ sendComplianceStatusNotification: jest.fn() }));
+jest.mock('../../src/services/documentService', () => ({ evaluateComplianceAsOf: jest.fn(), clearDocumentStatusCache: jest.fn() }));
+jest.mock('../../src/models/Vendor', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({ status: 'ACTIVE', assignedDriver: null, complianceSuspension: null }));
+jest.mock('../../src/models/Driver', () => require('../helpers/memoryModel').createMemoryModel({ status: 'ACTIVE', assignedVehicle: null, complianceSuspension: null }));
+
+const Vendor = require('../../src/models/Vendor');
+const Vehicle = require('../../src/models/Vehicle');
+const Driver = require('../../src/models/Driver');
+const documentService = require('../../src/services/documentService');
+const notificationService = require('../../src/services/notificationService');
+const assignmentService = require('../../src/services/assignmentService');
+const complianceEnforcementService = require('../../src/services/complianceEnforcementService');
+
+const permit = (status) => ({ type: 'permit', name: 'Permit', isRequired: true, status });
+const compliant = { documents: [permit('VALID')], missingDocuments: [], expiredDocuments: [] };
+const lapsed = { documents: [permit('EXPIRED')], missingDocuments: [], expiredDocuments: [permit('EXPIRED')] };
+const unverified = { documents: [permit('UNVERIFIED')], missingDocuments: [], expiredDocuments: [] };
+
+let vendor;
+let stats;
+
+const findVehicle = (vehicle) => Vehicle.findById(vehicle._id);
+const findDriver = (driver) => Driver.findById(driver._id);
+const enforce = (result) => {
+    documentService.evaluateComplianceAsOf.mockImplementation(async (entities) => entities.map(() => result));
+    return complianceEnforcementService.enforceVendor(vendor, new Date(), stats);
+};
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    Vendor.reset();
+    Vehicle.reset();
+    Driver.reset();
+    vendor = await Vendor.create({ operatingArea: { city: 'Pune' } });
+    stats = { checked: 0, suspended: 0, restored: 0 };
+});
+
+describe('complianceEnforcementService.enforceVendor', () => {
+    it('suspends an active vehicle whose permit expired and unassigns its driver', async () => {
+        const vehicle = await Vehicle.create({ vendor: vendor._id });
+        const driver = await Driver.create({ vendor: vendor._id, assignedVehicle: vehicle._id });
+        await Vehicle.updateOne({ _id: vehicle._id }, { assignedDriver: driver._id });
+        documentService.evaluateComplianceAsOf.mockImplementation(async (entities) =>
+            entities.map(({ entityType }) => (entityType === 'VEHICLE' ? lapsed : compliant)));
+
+        await complianceEnforcementService.enforceVendor(vendor, new Date(), stats);
+
+        expect(stats).toEqual({ checked: 2, suspended: 1, restored: 0 });
+        expect(await findVehicle(vehicle)).toMatchObject({
+            status: 'SUSPENDED',
+            assignedDriver: null,
+            complianceSuspension: { previousStatus: 'ACTIVE', reasons: [{ type: 'permit', name: 'Permit', reason: 'EXPIRED' }] }
+        });
+        expect((await findDriver(driver)).assignedVehicle).toBeNull();
+        expect(assignmentService.recordEnd).toHaveBeenCalledWith({ vehicleId: vehicle._id, driverId: driver._id, reason: 'COMPLIANCE_SUSPENDED' });
+        expect(notificationService.sendComplianceStatusNotification).toHaveBeenCalledWith(expect.objectContaining({ entityId: vehicle._id, status: 'SUSPENDED' }));
+    });
+
+    it('suspends a driver missing a mandatory document', async () => {
+        const driver = await Driver.create({ vendor: vendor._id });
+
+        await enforce({ documents: [], missingDocuments: [{ type: 'license', name: 'Driving License' }], expiredDocuments: [] });
+
+        expect((await findDriver(driver)).complianceSuspension.reasons).toEqual([{ type: 'license', name: 'Driving License', reason: 'MISSING' }]);
+    });
+
+    it('leaves alone entities that are not active and documents awaiting verification', async () => {
+        const pending = await Vehicle.create({ vendor: vendor._id });
+        await enforce(unverified);
+        expect((await findVehicle(pending)).status).toBe('ACTIVE');
+
+        await Vehicle.updateOne({ _id: pending._id }, { status: 'INACTIVE' });
+        await enforce(lapsed);
+        expect((await findVehicle(pending)).status).toBe('INACTIVE');
+        expect(stats).toMatchObject({ checked: 1, suspended: 0 });
+    });
+
+    it('restores a suspended vehicle to its previous status only once everything is valid', async () => {
+        const vehicle = await Vehicle.create({
+            vendor: vendor._id,
+            status: 'SUSPENDED',
+            complianceSuspension: { suspendedAt: new Date(), previousStatus: 'ACTIVE', reasons: [] }
+        });
+
+        await enforce(unverified);
+        expect((await findVehicle(vehicle)).status).toBe('SUSPENDED');
+
+        await enforce(compliant);
+        expect(await findVehicle(vehicle)).toMatchObject({ status: 'ACTIVE', complianceSuspension: null });
+        expect(stats.restored).toBe(1);
+        expect(notificationService.sendComplianceStatusNotification).toHaveBeenCalledWith(expect.objectContaining({ entityId: vehicle._id, status: 'ACTIVE' }));
+    });
+
+    it('only clears the marker of a suspension lifted by hand', async () => {
+        const vehicle = await Vehicle.create({
+            vendor: vendor._id,
+            status: 'INACTIVE',
+            complianceSuspension: { suspendedAt: new Date(), previousStatus: 'ACTIVE', reasons: [] }
+        });
+
+        await enforce(compliant);
+
+        expect(await findVehicle(vehicle)).toMatchObject({ status: 'INACTIVE', complianceSuspension: null });
+    });
+});
+
+describe('complianceEnforcementService.restoreIfCompliant', () => {
+    it('restores a suspended driver right away once compliant', async () => {
+        const driver = await Driver.create({
+            vendor: vendor._id,
+            status: 'SUSPENDED',
+            complianceSuspension: { suspendedAt: new Date(), previousStatus: 'ACTIVE', reasons: [] }
+        });
+        documentService.evaluateComplianceAsOf.mockResolvedValue([compliant]);
+
+        await expect(complianceEnforcementService.restoreIfCompliant('DRIVER', driver._id)).resolves.toBe(true);
+        expect((await findDriver(driver)).status).toBe('ACTIVE');
+        expect(documentService.evaluateComplianceAsOf).toHaveBeenCalledWith([{ entityType: 'DRIVER', entityId: driver._id, city: 'Pune' }], expect.any(Date));
+
+        await expect(complianceEnforcementService.restoreIfCompliant('DRIVER', driver._id)).resolves.toBe(false);
+        await expect(complianceEnforcementService.restoreIfCompliant('VENDOR', new mongoose.Types.ObjectId())).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/Document', () => {
+    const Document = jest.requireActual('../../src/models/Document');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({
+        reviewStatus: 'SUBMITTED',
+        requiredApprovals: 1,
+        isVerified: false,
+        reviews: [],
+        claimedBy: null,
+        claimExpiresAt: null
+    }), { deriveStatus: Document.deriveStatus.bind(Document), findCurrent: Document.findCurrent });
+});
+
+const Document = require('../../src/models/Document');
+const documentService = require('../../src/services/documentService');
+
+const { canTransitionTo } = jest.requireActual('../../src/models/Document').schema.methods;
+
+const firstReviewer = new mongoose.Types.ObjectId();
+const secondReviewer = new mongoose.Types.ObjectId();
+
+const submit = (fields) => Document.create({
+    entityType: 'VEHICLE',
+    entityId: new mongoose.Types.ObjectId(),
+    documentType: 'RC',
+    expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    ...fields
+});
+
+beforeEach(() => {
+    Document.reset();
+    jest.spyOn(documentService, 'afterReviewTransition').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('review transitions', () => {
+    it.each([
+        ['SUBMITTED', 'UNDER_REVIEW', true],
+        ['SUBMITTED', 'APPROVED', false],
+        ['UNDER_REVIEW', 'APPROVED', true],
+        ['UNDER_REVIEW', 'REJECTED', true],
+        ['UNDER_REVIEW', 'SUBMITTED', false],
+        ['APPROVED', 'REJECTED', false],
+        ['REJECTED', 'UNDER_REVIEW', false]
+    ])('%s -> %s allowed: %s', (from, to, allowed) => {
+        expect(canTransitionTo.call({ reviewStatus: from }, to)).toBe(allowed);
+    });
+
+    it('derives the status from the review outcome and expiry', () => {
+        const past = new Date(Date.now() - 1000);
+        expect(Document.deriveStatus({ reviewStatus: 'REJECTED', isVerified: false })).toBe('REJECTED');
+        expect(Document.deriveStatus({ reviewStatus: 'APPROVED', isVerified: true, expiryDate: past })).toBe('EXPIRED');
+        expect(Document.deriveStatus({ reviewStatus: 'APPROVED', isVerified: true })).toBe('ACTIVE');
+        expect(Document.deriveStatus({ reviewStatus: 'UNDER_REVIEW', isVerified: false })).toBe('PENDING_VERIFICATION');
+    });
+});
+
+describe('documentService review workflow', () => {
+    it('starts a review once', async () => {
+        const document = await submit();
+
+        const started = await documentService.startReview(document._id, firstReviewer);
+        expect(started.reviewStatus).toBe('UNDER_REVIEW');
+        expect(started.reviewer).toEqual(firstReviewer);
+        expect(documentService.afterReviewTransition).toHaveBeenCalledWith(started, 'UNDER_REVIEW');
+
+        await expect(documentService.startReview(document._id, secondReviewer))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Document is UNDER_REVIEW; expected SUBMITTED' });
+    });
+
+    it('approves a single-reviewer document and verifies it', async () => {
+        const document = await submit({ reviewStatus: 'UNDER_REVIEW' });
+
+        const approved = await documentService.approveDocument(document._id, firstReviewer, 'Looks good');
+
+        expect(approved).toMatchObject({ reviewStatus: 'APPROVED', isVerified: true, status: 'ACTIVE', verifiedBy: firstReviewer });
+        expect(approved.reviews).toEqual([expect.objectContaining({ reviewer: firstReviewer, decision: 'APPROVED' })]);
+        expect(documentService.afterReviewTransition).toHaveBeenCalledWith(approved, 'APPROVED', 'Looks good');
+    });
+
+    it('needs approvals from two different reviewers when the type requires them', async () => {
+        const document = await submit({ reviewStatus: 'UNDER_REVIEW', requiredApprovals: 2 });
+
+        const first = await documentService.approveDocument(document._id, firstReviewer);
+        expect(first.reviewStatus).toBe('UNDER_REVIEW');
+        expect(first.isVerified).toBe(false);
+        expect(documentService.afterReviewTransition).not.toHaveBeenCalled();
+
+        await expect(documentService.approveDocument(document._id, firstReviewer))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        const second = await documentService.approveDocument(document._id, secondReviewer);
+        expect(second.reviewStatus).toBe('APPROVED');
+        expect(second.reviews.map(review => review.reviewer)).toEqual([firstReviewer, secondReviewer]);
+    });
+
+    it('rejects with a reason, after which the document can no longer be approved', async () => {
+        const document = await submit({ reviewStatus: 'UNDER_REVIEW', requiredApprovals: 2 });
+        await documentService.approveDocument(document._id, firstReviewer);
+
+        await expect(documentService.rejectDocument(document._id, secondReviewer)).rejects.toMatchObject({ statusCode: 400 });
+
+        const rejected = await documentService.rejectDocument(document._id, secondReviewer, 'Blurry scan');
+        expect(rejected).toMatchObject({ reviewStatus: 'REJECTED', status: 'REJECTED', rejectionReason: 'Blurry scan', isVerified: false });
+
+        await expect(documentService.approveDocument(document._id, firstReviewer))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Document is REJECTED; only documents under review can be approved' });
+    });
+
+    it('refuses a decision on a document claimed by another reviewer', async () => {
+        const document = await submit({
+            reviewStatus: 'UNDER_REVIEW',
+            claimedBy: secondReviewer,
+            claimExpiresAt: new Date(Date.now() + 60 * 1000)
+        });
+
+        await expect(documentService.approveDocument(document._id, firstReviewer)).rejects.toMatchObject({ statusCode: 409 });
+        expect(Document.documents[0].reviewStatus).toBe('UNDER_REVIEW');
+    });
+
+    it('lets only one of two simultaneous decisions through', async () => {
+        const document = await submit({ reviewStatus: 'UNDER_REVIEW' });
+
+        const results = await Promise.allSettled([
+            documentService.approveDocument(document._id, firstReviewer),
+            documentService.rejectDocument(document._id, secondReviewer, 'Wrong document')
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+        expect(Document.documents[0].reviews).toHaveLength(1);
+    });
+
+    it('does not let vendors review their own documents', async () => {
+        const document = await submit({ entityType: 'VENDOR', entityId: firstReviewer });
+
+        await expect(documentService.startReview(document._id, firstReviewer)).rejects.toMatchObject({ statusCode: 403 });
+    });
+});
+
+describe('documentService.verifyEntityDocument', () => {
+    const verify = (fields) => documentService.verifyEntityDocument({
+        entityType: 'VEHICLE',
+        entityId: Document.documents[0].entityId,
+        documentType: 'RC',
+        verifiedBy: firstReviewer,
+        ...fields
+    });
+
+    it('takes a submitted document through review to approval', async () => {
+        await submit();
+
+        const { document, before } = await verify({ verified: true });
+
+        expect(before.reviewStatus).toBe('SUBMITTED');
+        expect(document).toMatchObject({ reviewStatus: 'APPROVED', isVerified: true });
+    });
+
+    it('refuses a rejection without a reason and leaves the document submitted', async () => {
+        await submit();
+
+        await expect(verify({ verified: false })).rejects.toMatchObject({ statusCode: 400, message: 'A rejection reason is required' });
+        expect(Document.documents[0].reviewStatus).toBe('SUBMITTED');
+
+        const { document } = await verify({ verified: false, remarks: 'Expired copy' });
+        expect(document).toMatchObject({ reviewStatus: 'REJECTED', rejectionReason: 'Expired copy' });
+    });
+});
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ get: async () => null, set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/accessControlService', () => ({ getOwnerVendorId: jest.fn() }));
+jest.mock('../../src/models/Vendor', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/DocumentType', () => {
+    const DocumentType = jest.requireActual('../../src/models/DocumentType');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({ isActive: true, cityOverrides: [] }), {
+        resolveForCity: DocumentType.resolveForCity.bind(DocumentType)
+    });
+});
+
+const DocumentType = require('../../src/models/DocumentType');
+const Vendor = require('../../src/models/Vendor');
+const accessControlService = require('../../src/services/accessControlService');
+const documentTypeService = require('../../src/services/documentTypeService');
+const { DEFAULT_DOCUMENT_TYPES } = require('../../src/config/documentTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const vehicleId = new mongoose.Types.ObjectId();
+
+let vendor;
+
+beforeEach(async () => {
+    DocumentType.reset();
+    Vendor.reset();
+    vendor = await Vendor.create({ operatingArea: { city: 'Pune' } });
+    accessControlService.getOwnerVendorId.mockResolvedValue(vendor._id);
+});
+
+describe('documentTypeService registry', () => {
+    it('seeds the default types the first time it is used', async () => {
+        const types = await documentTypeService.getAll();
+
+        expect(types.map(type => type.code).sort()).toEqual(DEFAULT_DOCUMENT_TYPES.map(type => type.code).sort());
+        await documentTypeService.getAll();
+        expect(DocumentType.documents).toHaveLength(DEFAULT_DOCUMENT_TYPES.length);
+    });
+
+    it('applies city overrides for entities of vendors in that city', async () => {
+        await DocumentType.create({
+            code: 'fitnessCertificate',
+            name: 'Fitness Certificate',
+            entityTypes: ['VEHICLE'],
+            isRequired: false,
+            expires: true,
+            cityOverrides: [{ city: 'pune', isRequired: true }]
+        });
+
+        const city = await documentTypeService.getEntityCity('VEHICLE', vehicleId);
+        expect(city).toBe('Pune');
+        expect((await documentTypeService.getRequiredTypes('VEHICLE', city)).map(type => type.code)).toEqual(['fitnessCertificate']);
+        expect(await documentTypeService.getRequiredTypes('VEHICLE', 'Mumbai')).toEqual([]);
+    });
+
+    it('leaves out inactive types', async () => {
+        await DocumentType.create({ code: 'permit', entityTypes: ['VEHICLE'], isRequired: true, isActive: false });
+
+        expect(await documentTypeService.getRequiredTypes('VEHICLE', null)).toEqual([]);
+    });
+});
+
+describe('documentTypeService.validateDocument', () => {
+    beforeEach(async () => {
+        await DocumentType.create({ code: 'permit', name: 'Permit', entityTypes: ['VEHICLE'], expires: true, validityDays: 365, requiredMetadata: ['issuingAuthority'] });
+        await DocumentType.create({ code: 'identityProof', name: 'Identity Proof', entityTypes: ['DRIVER'], expires: false });
+    });
+
+    const validate = (fields) => documentTypeService.validateDocument({
+        entityType: 'VEHICLE',
+        entityId: vehicleId,
+        documentType: 'permit',
+        metadata: { issuingAuthority: 'RTO Pune' },
+        ...fields
+    });
+
+    it('defaults the expiry date from the validity period', async () => {
+        const { documentType, expiryDate } = await validate();
+
+        expect(documentType.code).toBe('permit');
+        expect(expiryDate.getTime()).toBeCloseTo(Date.now() + 365 * DAY_MS, -4);
+    });
+
+    it('rejects unknown types, types for another entity and missing metadata', async () => {
+        await expect(validate({ documentType: 'boardingPass' })).rejects.toThrow("Unknown document type 'boardingPass' for VEHICLE");
+        await expect(validate({ documentType: 'identityProof' })).rejects.toThrow("Unknown document type 'identityProof' for VEHICLE");
+        await expect(validate({ metadata: {} })).rejects.toThrow('Missing required metadata for Permit: issuingAuthority');
+    });
+
+    it('rejects expiry dates that are invalid or beyond the validity period', async () => {
+        await expect(validate({ expiryDate: 'soon' })).rejects.toThrow('expiryDate must be a valid date');
+        await expect(validate({ expiryDate: new Date(Date.now() + 400 * DAY_MS) })).rejects.toThrow('expiryDate exceeds the 365-day validity of Permit');
+    });
+
+    it('drops the expiry date of types that do not expire', async () => {
+        const { expiryDate } = await documentTypeService.validateDocument({
+            entityType: 'DRIVER',
+            entityId: vehicleId,
+            documentType: 'identityProof',
+            expiryDate: new Date()
+        });
+
+        expect(expiryDate).toBeUndefined();
+    });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/Document', () => require('../helpers/memoryModel').createMemoryModel({
+    isCurrent: true,
+    supersededBy: null
+}));
+
+const Document = require('../../src/models/Document');
+const Vehicle = require('../../src/models/Vehicle');
+const documentService = require('../../src/services/documentService');
+const { uploadVehicleDocuments } = require('../../src/controllers/documentController');
+
+const entityId = new mongoose.Types.ObjectId();
+const upload = () => new Document({ entityType: 'VEHICLE', entityId, documentType: 'permit' });
+const current = () => Document.documents.filter(document => document.isCurrent);
+
+beforeEach(() => {
+    Document.reset();
+    Vehicle.reset();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('documentService.saveAsCurrentVersion', () => {
+    it('makes a renewal the current version and keeps the previous one as superseded', async () => {
+        const first = await documentService.saveAsCurrentVersion(upload());
+        const second = await documentService.saveAsCurrentVersion(upload());
+
+        expect(first).toMatchObject({ version: 1, previousVersion: null, isCurrent: true });
+        expect(second).toMatchObject({ version: 2, previousVersion: first._id, isCurrent: true });
+        expect(current().map(document => document._id)).toEqual([second._id]);
+        expect(Document.documents.find(document => document._id.equals(first._id)).supersededBy).toEqual(second._id);
+    });
+
+    it('refuses an upload racing another one and removes it', async () => {
+        const first = await documentService.saveAsCurrentVersion(upload());
+        // Another upload superseded `first` after this one had looked it up as the current version
+        jest.spyOn(Document, 'findOne').mockReturnValueOnce({ sort: () => ({ select: async () => ({ _id: first._id, version: 1 }) }) });
+        await Document.updateOne({ _id: first._id }, { isCurrent: false });
+
+        await expect(documentService.saveAsCurrentVersion(upload())).rejects.toMatchObject({ statusCode: 409 });
+        expect(Document.documents).toHaveLength(1);
+    });
+
+    it('puts the previous version back when the new one cannot be made current', async () => {
+        const first = await documentService.saveAsCurrentVersion(upload());
+        const updateOne = Document.updateOne;
+        jest.spyOn(Document, 'updateOne').mockImplementationOnce(async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }).mockImplementation(updateOne);
+
+        await expect(documentService.saveAsCurrentVersion(upload())).rejects.toMatchObject({ statusCode: 409 });
+        expect(Document.documents).toEqual([expect.objectContaining({ _id: first._id, isCurrent: true, supersededBy: null })]);
+    });
+});
+
+describe('document uploads', () => {
+    const response = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+
+    it('refuses metadata that is not valid JSON', async () => {
+        await expect(documentService.createEntityDocument({
+            entityType: 'VEHICLE',
+            entityId,
+            body: { documentType: 'permit', documentUrl: 'https://files.example.com/permit.pdf', metadata: '{oops' }
+        })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid metadata JSON' });
+    });
+
+    it('answers an upload conflict with 409', async () => {
+        const vehicle = await Vehicle.create({ vendor: new mongoose.Types.ObjectId() });
+        jest.spyOn(documentService, 'createEntityDocument').mockRejectedValue(Object.assign(new Error('Another version was uploaded'), { statusCode: 409 }));
+        const res = response();
+
+        await uploadVehicleDocuments({ params: { id: vehicle._id }, body: { documentType: 'permit' }, vendor: { _id: vehicle.vendor } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0].error.statusCode).toBe(409);
+    });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/utils/documentUtils', () => ({ checkEntityDocuments: jest.fn() }));
+jest.mock('../../src/services/accessControlService', () => ({ canActOnVendor: jest.fn() }));
+
+const { checkEntityDocuments } = require('../../src/utils/documentUtils');
+const accessControlService = require('../../src/services/accessControlService');
+const eligibilityService = require('../../src/services/eligibilityService');
+
+const documentsInOrder = { expiredDocuments: [], missingDocuments: [], unverifiedDocuments: [], expiringSoonDocuments: [] };
+const codes = (findings) => findings.map(entry => entry.code);
+
+let vendorId, vehicle, driver;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    checkEntityDocuments.mockResolvedValue(documentsInOrder);
+    accessControlService.canActOnVendor.mockResolvedValue(false);
+    vendorId = new mongoose.Types.ObjectId();
+    vehicle = { _id: new mongoose.Types.ObjectId(), vendor: vendorId, status: 'ACTIVE', vehicleType: 'CAR', assignedDriver: null };
+    driver = { _id: new mongoose.Types.ObjectId(), vendor: vendorId, status: 'ACTIVE', licenseClasses: ['LMV'], assignedVehicle: null };
+});
+
+describe('eligibilityService.evaluate', () => {
+    it('accepts a free, active pair of the same vendor with valid documents and a matching license', async () => {
+        const result = await eligibilityService.evaluate({ vehicle, driver });
+
+        expect(result).toMatchObject({ eligible: true, reasons: [], warnings: [] });
+        expect(result.rules).toEqual(['availability', 'status', 'documents', 'ownership', 'licenseClass']);
+    });
+
+    it('reports every reason, tagged with its rule', async () => {
+        vehicle.assignedDriver = new mongoose.Types.ObjectId();
+        vehicle.status = 'MAINTENANCE';
+        vehicle.vehicleType = 'TRUCK';
+        driver.vendor = new mongoose.Types.ObjectId();
+
+        const result = await eligibilityService.evaluate({ vehicle, driver });
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons.map(reason => [reason.rule, reason.code])).toEqual([
+            ['availability', 'VEHICLE_ALREADY_ASSIGNED'],
+            ['status', 'VEHICLE_STATUS'],
+            ['ownership', 'OUTSIDE_SUBTREE'],
+            ['licenseClass', 'LICENSE_CLASS_MISMATCH']
+        ]);
+    });
+
+    it('blocks on expired, missing and unverified documents and warns on expiring ones', async () => {
+        checkEntityDocuments.mockImplementation(async (entityType) => (entityType === 'VEHICLE'
+            ? { ...documentsInOrder, unverifiedDocuments: [{ type: 'permit', status: 'PENDING_VERIFICATION' }], expiringSoonDocuments: [{ type: 'insurance' }] }
+            : { ...documentsInOrder, expiredDocuments: [{ type: 'license' }], missingDocuments: [{ type: 'identityProof' }] }));
+
+        const result = await eligibilityService.evaluate({ vehicle, driver });
+
+        expect(result.reasons.map(reason => [reason.subject, reason.code])).toEqual([
+            ['VEHICLE', 'DOCUMENTS_UNVERIFIED'],
+            ['DRIVER', 'DOCUMENTS_EXPIRED'],
+            ['DRIVER', 'DOCUMENTS_MISSING']
+        ]);
+        expect(codes(result.warnings)).toEqual(['DOCUMENTS_EXPIRING_SOON']);
+    });
+
+    it('accepts a driver of a related vendor', async () => {
+        driver.vendor = new mongoose.Types.ObjectId();
+        accessControlService.canActOnVendor.mockImplementation(async (actor, target) => actor.equals(driver.vendor) && target.equals(vendorId));
+
+        expect((await eligibilityService.evaluate({ vehicle, driver })).eligible).toBe(true);
+    });
+
+    it('skips rules on request and warns when the vehicle type is unknown', async () => {
+        vehicle.assignedDriver = new mongoose.Types.ObjectId();
+        vehicle.vehicleType = undefined;
+
+        const result = await eligibilityService.evaluate({ vehicle, driver }, { skip: ['availability'] });
+
+        expect(result).toMatchObject({ eligible: true, warnings: [expect.objectContaining({ code: 'VEHICLE_TYPE_NOT_SET' })] });
+        expect(result.rules).not.toContain('availability');
+    });
+
+    it('makes the pair ineligible when a rule fails', async () => {
+        checkEntityDocuments.mockRejectedValue(new Error('database down'));
+
+        const result = await eligibilityService.evaluate({ vehicle, driver });
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons).toEqual([expect.objectContaining({ rule: 'documents', code: 'RULE_FAILED' })]);
+    });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/outboxService', () => ({ registerChannel: jest.fn() }));
+jest.mock('../../src/services/notificationTemplateService', () => ({}));
+jest.mock('../../src/services/notificationInboxService', () => ({}));
+jest.mock('../../src/services/smsService', () => ({}));
+jest.mock('../../src/services/webhookService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/accessControlService', () => ({ getOwnerVendorId: jest.fn() }));
+jest.mock('../../src/services/vendorHierarchyService', () => ({ getParentChain: jest.fn() }));
+jest.mock('../../src/models/Document', () => {
+    const Document = jest.requireActual('../../src/models/Document');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({ isCurrent: true, status: 'ACTIVE', expiryReminders: [] }), {
+        findCurrent: Document.findCurrent
+    });
+});
+
+const Document = require('../../src/models/Document');
+const accessControlService = require('../../src/services/accessControlService');
+const vendorHierarchyService = require('../../src/services/vendorHierarchyService');
+const webhookService = require('../../src/services/webhookService');
+const notificationService = require('../../src/services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ownerId = new mongoose.Types.ObjectId();
+const parentId = new mongoose.Types.ObjectId();
+
+const addDocument = (daysUntilExpiry, fields) => Document.create({
+    entityType: 'VEHICLE',
+    entityId: new mongoose.Types.ObjectId(),
+    documentType: 'permit',
+    createdAt: new Date(),
+    expiryDate: new Date(Date.now() + daysUntilExpiry * DAY_MS - 60 * 1000),
+    ...fields
+});
+const stagesOf = async (document) => (await Document.findById(document._id)).expiryReminders.map(reminder => reminder.stage);
+
+let send;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    Document.reset();
+    accessControlService.getOwnerVendorId.mockResolvedValue(ownerId);
+    vendorHierarchyService.getParentChain.mockResolvedValue([{ id: parentId }]);
+    send = jest.spyOn(notificationService, 'sendDocumentExpiryNotification').mockResolvedValue(true);
+});
+
+afterEach(() => {
+    send.mockRestore();
+});
+
+describe('notificationService.getReminderStage', () => {
+    it('picks the closest threshold reached before expiry and counts overdue intervals after it', () => {
+        expect(notificationService.getReminderStage(45)).toBeNull();
+        expect(notificationService.getReminderStage(30)).toBe('BEFORE_30');
+        expect(notificationService.getReminderStage(12)).toBe('BEFORE_15');
+        expect(notificationService.getReminderStage(1)).toBe('BEFORE_1');
+        expect(notificationService.getReminderStage(0)).toBe('OVERDUE_0');
+        expect(notificationService.getReminderStage(-3)).toBe('OVERDUE_3');
+    });
+});
+
+describe('notificationService.checkAndNotifyExpiringDocuments', () => {
+    it('sends each stage once per document', async () => {
+        const document = await addDocument(20);
+
+        await notificationService.checkAndNotifyExpiringDocuments();
+        const again = await notificationService.checkAndNotifyExpiringDocuments();
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ vendorId: ownerId, documentType: 'permit', daysUntilExpiry: 20, escalationLevel: 0 }));
+        expect(again).toMatchObject({ total: 1, reminded: 0 });
+        expect(await stagesOf(document)).toEqual(['BEFORE_30']);
+        expect(webhookService.emit).toHaveBeenCalledWith('document.expiring', expect.objectContaining({ vendorId: ownerId }));
+    });
+
+    it('copies the parent vendor in close to expiry', async () => {
+        await addDocument(5);
+
+        const stats = await notificationService.checkAndNotifyExpiringDocuments();
+
+        expect(send.mock.calls.map(([message]) => [message.vendorId, message.escalationLevel])).toEqual([[ownerId, 0], [parentId, 1]]);
+        expect(stats).toMatchObject({ reminded: 1, sent: 2, failed: 0 });
+    });
+
+    it('stops reminding once the document is renewed', async () => {
+        const expiring = await addDocument(3);
+        await Document.updateOne({ _id: expiring._id }, { isCurrent: false });
+        await addDocument(365, { entityId: expiring.entityId });
+
+        const stats = await notificationService.checkAndNotifyExpiringDocuments();
+
+        expect(stats.total).toBe(0);
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    it('releases the stage for the next run when no recipient was reached', async () => {
+        const document = await addDocument(20);
+        send.mockResolvedValue(false);
+
+        const stats = await notificationService.checkAndNotifyExpiringDocuments();
+
+        expect(stats).toMatchObject({ reminded: 0, sent: 0, failed: 1 });
+        expect(await stagesOf(document)).toEqual([]);
+        expect(webhookService.emit).not.toHaveBeenCalled();
+
+        send.mockResolvedValue(true);
+        await notificationService.checkAndNotifyExpiringDocuments();
+        expect(await stagesOf(document)).toEqual(['BEFORE_30']);
+    });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ get: async () => null, set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/storageService', () => ({}));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({ lastInspection: null, odometer: 0 }));
+jest.mock('../../src/models/Inspection', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/InspectionTemplate', () => require('../helpers/memoryModel').createMemoryModel({ isActive: true, vehicleTypes: [] }));
+
+const Vehicle = require('../../src/models/Vehicle');
+const Inspection = require('../../src/models/Inspection');
+const InspectionTemplate = require('../../src/models/InspectionTemplate');
+const inspectionConfig = require('../../src/config/inspections');
+const inspectionService = require('../../src/services/inspectionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+let vehicle;
+
+const submit = (fields) => inspectionService.submit(vehicle, {
+    templateCode: 'preActivation',
+    items: [{ key: 'brakes', result: 'pass' }, { key: 'tyres', result: 'PASS' }],
+    ...fields
+}, new mongoose.Types.ObjectId());
+const lastInspection = async () => (await Vehicle.findById(vehicle._id)).lastInspection;
+
+beforeEach(async () => {
+    Vehicle.reset();
+    Inspection.reset();
+    InspectionTemplate.reset();
+    await InspectionTemplate.create({
+        code: 'preActivation',
+        name: 'Pre-activation inspection',
+        items: [
+            { key: 'brakes', label: 'Brakes', isRequired: true },
+            { key: 'tyres', label: 'Tyres', isRequired: true },
+            { key: 'firstAidKit', label: 'First-aid kit', isRequired: false }
+        ]
+    });
+    await InspectionTemplate.create({ code: 'busSafety', name: 'Bus safety', vehicleTypes: ['BUS'], items: [] });
+    vehicle = await Vehicle.create({ vendor: new mongoose.Types.ObjectId(), vehicleType: 'CAR', odometer: 1000 });
+});
+
+describe('inspectionService.submit', () => {
+    it('records a passed inspection as the vehicle\'s latest and moves the odometer forward', async () => {
+        const inspection = await submit({ odometer: 1200 });
+
+        expect(inspection).toMatchObject({ result: 'PASS', failedItems: [], template: { code: 'preActivation' } });
+        expect(inspection.items.map(item => [item.key, item.result])).toEqual([['brakes', 'PASS'], ['tyres', 'PASS']]);
+        expect(await lastInspection()).toMatchObject({ inspectionId: inspection._id, result: 'PASS' });
+        expect((await Vehicle.findById(vehicle._id)).odometer).toBe(1200);
+    });
+
+    it('fails the inspection when any item fails', async () => {
+        const inspection = await submit({ items: [{ key: 'brakes', result: 'PASS' }, { key: 'tyres', result: 'FAIL', notes: 'Worn' }, { key: 'firstAidKit', result: 'FAIL' }] });
+
+        expect(inspection).toMatchObject({ result: 'FAIL', failedItems: ['tyres', 'firstAidKit'] });
+    });
+
+    it('refuses missing required items, unknown items, bad results and templates for other vehicle types', async () => {
+        await expect(submit({ items: [{ key: 'brakes', result: 'PASS' }] })).rejects.toThrow('Item tyres is required');
+        await expect(submit({ items: [{ key: 'brakes', result: 'PASS' }, { key: 'tyres', result: 'PASS' }, { key: 'horn', result: 'PASS' }] }))
+            .rejects.toThrow('Items not in template preActivation: horn');
+        await expect(submit({ items: [{ key: 'brakes', result: 'OK' }, { key: 'tyres', result: 'PASS' }] })).rejects.toThrow('Item brakes needs a result of PASS or FAIL');
+        await expect(submit({ templateCode: 'busSafety', items: [] })).rejects.toThrow('Template busSafety is not for CAR');
+        await expect(submit({ inspectedAt: daysAgo(-1) })).rejects.toMatchObject({ statusCode: 400 });
+        expect(Inspection.documents).toHaveLength(0);
+    });
+
+    it('does not let an inspection entered late replace a newer one', async () => {
+        const recent = await submit({ inspectedAt: daysAgo(1) });
+        await submit({ inspectedAt: daysAgo(10), items: [{ key: 'brakes', result: 'FAIL' }, { key: 'tyres', result: 'PASS' }] });
+
+        expect(await lastInspection()).toMatchObject({ inspectionId: recent._id, result: 'PASS' });
+    });
+});
+
+describe('inspectionService.getActivationBlock', () => {
+    afterEach(() => {
+        inspectionConfig.requiredForActivation = false;
+    });
+
+    it('blocks a vehicle whose latest inspection failed', () => {
+        expect(inspectionService.getActivationBlock({ lastInspection: null })).toBeNull();
+        expect(inspectionService.getActivationBlock({ lastInspection: { result: 'FAIL', inspectedAt: new Date('2026-03-01') } }))
+            .toBe('Vehicle failed its last inspection on 2026-03-01; a new inspection must pass before it can be activated');
+    });
+
+    it('needs a recent passed inspection when inspections are required for activation', () => {
+        inspectionConfig.requiredForActivation = true;
+
+        expect(inspectionService.getActivationBlock({ lastInspection: null })).toBe('Vehicle needs a passed inspection before it can be activated');
+        expect(inspectionService.getActivationBlock({ lastInspection: { result: 'PASS', inspectedAt: daysAgo(120) } })).toMatch(/older than 90 days/);
+        expect(inspectionService.getActivationBlock({ lastInspection: { result: 'PASS', inspectedAt: daysAgo(10) } })).toBeNull();
+    });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/LedgerEntry', () => require('../helpers/memoryModel').createMemoryModel({ settlement: null }));
+jest.mock('../../src/models/Settlement', () => require('../helpers/memoryModel').createMemoryModel({ status: 'GENERATED' }));
+
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Settlement = require('../../src/models/Settlement');
+const ledgerService = require('../../src/services/ledgerService');
+
+const vendorId = new mongoose.Types.ObjectId();
+const otherVendorId = new mongoose.Types.ObjectId();
+const periodEnd = new Date('2026-10-01T00:00:00Z');
+
+const addEntry = (fields) => LedgerEntry.create({ accountType: 'VENDOR', vendor: vendorId, createdAt: new Date('2026-09-15T00:00:00Z'), ...fields });
+
+beforeEach(async () => {
+    LedgerEntry.reset();
+    Settlement.reset();
+
+    await addEntry({ type: 'TRIP_FARE', amount: 100 });
+    await addEntry({ type: 'COMMISSION', amount: -10 });
+    await addEntry({ type: 'DRIVER_PAYOUT', amount: -70 });
+    // After the period and for another vendor: not part of the statement
+    await addEntry({ type: 'TRIP_FARE', amount: 50, createdAt: new Date('2026-10-02T00:00:00Z') });
+    await addEntry({ type: 'TRIP_FARE', amount: 40, vendor: otherVendorId });
+});
+
+describe('ledgerService.generateStatement', () => {
+    it('totals the vendor\'s unsettled entries of the period and links them to the statement', async () => {
+        const settlement = await ledgerService.generateStatement(vendorId, periodEnd);
+
+        expect(settlement.totals).toEqual({ tripFares: 100, commissionsEarned: 0, commissionsPaid: -10, driverPayouts: -70, payouts: 0 });
+        expect(settlement.netEarnings).toBe(20);
+        expect(settlement.entryCount).toBe(3);
+
+        const settled = LedgerEntry.documents.filter(entry => entry.settlement && entry.settlement.equals(settlement._id));
+        expect(settled.map(entry => entry.amount)).toEqual([100, -10, -70]);
+    });
+
+    it('settles each entry only once when two runs overlap', async () => {
+        const results = await Promise.all([
+            ledgerService.generateStatement(vendorId, periodEnd),
+            ledgerService.generateStatement(vendorId, new Date('2026-10-05T00:00:00Z'))
+        ]);
+
+        const settlements = results.filter(Boolean);
+        const settledEntries = settlements.reduce((count, settlement) => count + settlement.entryCount, 0);
+        const vendorEntries = LedgerEntry.documents.filter(entry => entry.vendor.equals(vendorId));
+        expect(settledEntries).toBe(vendorEntries.length);
+        expect(vendorEntries.every(entry => settlements.some(settlement => settlement._id.equals(entry.settlement)))).toBe(true);
+        expect(Settlement.documents).toHaveLength(settlements.length);
+    });
+
+    it('returns null and stores nothing when there is nothing to settle', async () => {
+        await ledgerService.generateStatement(vendorId, periodEnd);
+
+        expect(await ledgerService.generateStatement(vendorId, periodEnd)).toBeNull();
+        expect(Settlement.documents).toHaveLength(1);
+    });
+
+    it('hands the entries back when the statement can\'t be stored', async () => {
+        jest.spyOn(Settlement, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+        await expect(ledgerService.generateStatement(vendorId, periodEnd)).rejects.toThrow('write failed');
+        expect(LedgerEntry.documents.every(entry => entry.settlement === null)).toBe(true);
+
+        const settlement = await ledgerService.generateStatement(vendorId, periodEnd);
+        expect(settlement.entryCount).toBe(3);
+    });
+
+    it('opens a statement with the previous statement\'s closing balance', async () => {
+        const first = await ledgerService.generateStatement(vendorId, periodEnd);
+        await addEntry({ type: 'TRIP_FARE', amount: 30, createdAt: new Date('2026-10-10T00:00:00Z') });
+
+        const second = await ledgerService.generateStatement(vendorId, new Date('2026-10-15T00:00:00Z'));
+
+        expect(second.periodStart).toEqual(first.periodEnd);
+        expect(second.openingBalance).toBe(first.closingBalance);
+        expect(second.totals.tripFares).toBe(80);
+    });
+});
+
+describe('ledgerService.paySettlement', () => {
+    it('pays a statement once and records the payout', async () => {
+        const settlement = await ledgerService.generateStatement(vendorId, periodEnd);
+
+        const paid = await ledgerService.paySettlement(settlement._id, otherVendorId);
+        expect(paid.status).toBe('PAID');
+        expect(await ledgerService.paySettlement(settlement._id, otherVendorId)).toBeNull();
+
+        const payouts = LedgerEntry.documents.filter(entry => entry.type === 'PAYOUT');
+        expect(payouts).toEqual([expect.objectContaining({ amount: -20, reference: `settlement_${settlement._id}_payout` })]);
+    });
+});
+
+describe('ledgerService.getTransactions', () => {
+    it('pages an account\'s entries newest first', async () => {
+        const { transactions, pagination } = await ledgerService.getTransactions('VENDOR', vendorId, { page: '2', limit: '2' });
+
+        expect(transactions.map(entry => entry.amount)).toEqual([-10, -70]);
+        expect(pagination).toEqual({ total: 4, page: 2, pages: 2 });
+    });
+
+    it('clamps the page and page size', async () => {
+        for (let i = 0; i < 120; i++) {
+            await addEntry({ type: 'COMMISSION', amount: 1, createdAt: new Date('2026-08-01T00:00:00Z') });
+        }
+
+        const oversized = await ledgerService.getTransactions('VENDOR', vendorId, { page: '0', limit: '1000' });
+        expect(oversized.transactions).toHaveLength(100);
+        expect(oversized.pagination).toEqual({ total: 124, page: 1, pages: 2 });
+
+        const garbage = await ledgerService.getTransactions('VENDOR', vendorId, { page: 'last', limit: '-5' });
+        expect(garbage.transactions).toHaveLength(1);
+        expect(garbage.pagination).toEqual({ total: 124, page: 1, pages: 124 });
+    });
+});
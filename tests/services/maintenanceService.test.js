@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/cacheService', () => ({ del: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({ sendMaintenanceDueNotification: jest.fn() }));
+jest.mock('../../src/services/assignmentService', () => ({ release: jest.fn() }));
+jest.mock('../../src/models/Vehicle', () => require('../helpers/memoryModel').createMemoryModel({
+    status: 'ACTIVE',
+    odometer: 0,
+    assignedDriver: null,
+    maintenance: null,
+    complianceSuspension: null
+}));
+jest.mock('../../src/models/ServiceLog', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/MaintenanceSchedule', () => require('../helpers/memoryModel').createMemoryModel({ isActive: true, reminder: null }));
+jest.mock('../../src/models/Maintenance', () => require('../helpers/memoryModel').createMemoryModel({ status: 'PLANNED' }));
+
+const Vehicle = require('../../src/models/Vehicle');
+const ServiceLog = require('../../src/models/ServiceLog');
+const MaintenanceSchedule = require('../../src/models/MaintenanceSchedule');
+const Maintenance = require('../../src/models/Maintenance');
+const assignmentService = require('../../src/services/assignmentService');
+const maintenanceService = require('../../src/services/maintenanceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+let vehicle;
+
+const reload = () => Vehicle.findById(vehicle._id);
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    [Vehicle, ServiceLog, MaintenanceSchedule, Maintenance].forEach(Model => Model.reset());
+    vehicle = await Vehicle.create({ vendor: new mongoose.Types.ObjectId(), odometer: 20000 });
+});
+
+describe('maintenanceService.getDueStage', () => {
+    const schedule = (fields) => maintenanceService.computeNextDue({ intervalDays: 180, intervalKm: 10000, lastServiceAt: daysAgo(0), lastServiceOdometer: 20000, ...fields });
+
+    it('falls due by date or reading, whichever comes first', () => {
+        expect(maintenanceService.getDueStage(schedule(), 20000)).toBeNull();
+        expect(maintenanceService.getDueStage(schedule(), 29600)).toBe('DUE_SOON');
+        expect(maintenanceService.getDueStage(schedule({ lastServiceAt: daysAgo(175) }), 20000)).toBe('DUE_SOON');
+        expect(maintenanceService.getDueStage(schedule(), 30000)).toBe('OVERDUE');
+        expect(maintenanceService.getDueStage(schedule({ lastServiceAt: daysAgo(181) }), 20000)).toBe('OVERDUE');
+        expect(maintenanceService.getDueStage(schedule({ intervalKm: undefined }), 90000)).toBeNull();
+    });
+});
+
+describe('maintenanceService.logService', () => {
+    it('moves the odometer forward and restarts the schedules of the service type', async () => {
+        const schedule = await maintenanceService.createSchedule(vehicle, { name: 'Oil', serviceType: 'OIL_CHANGE', intervalKm: 10000 });
+        expect(schedule.nextDueOdometer).toBe(30000);
+
+        await maintenanceService.logService(vehicle, { serviceType: 'OIL_CHANGE', odometer: 24000, cost: 3500 });
+
+        expect((await reload()).odometer).toBe(24000);
+        expect((await MaintenanceSchedule.findById(schedule._id)).nextDueOdometer).toBe(34000);
+    });
+
+    it('never moves the odometer or a schedule back for a service logged late', async () => {
+        const schedule = await maintenanceService.createSchedule(vehicle, { name: 'Oil', serviceType: 'OIL_CHANGE', intervalKm: 10000 });
+
+        await maintenanceService.logService(vehicle, { serviceType: 'OIL_CHANGE', odometer: 15000, servicedAt: daysAgo(90) });
+
+        expect((await reload()).odometer).toBe(20000);
+        expect((await MaintenanceSchedule.findById(schedule._id)).nextDueOdometer).toBe(30000);
+    });
+});
+
+describe('maintenance periods', () => {
+    it('takes the vehicle off the road, unassigning its driver, and restores its status when completed', async () => {
+        const driverId = new mongoose.Types.ObjectId();
+        await Vehicle.updateOne({ _id: vehicle._id }, { assignedDriver: driverId });
+
+        const maintenance = await maintenanceService.scheduleMaintenance(vehicle, { reason: 'Brake noise' });
+
+        expect(maintenance).toMatchObject({ status: 'IN_PROGRESS', previousStatus: 'ACTIVE', unassignedDriver: driverId });
+        expect(await reload()).toMatchObject({ status: 'MAINTENANCE', maintenance: { maintenanceId: maintenance._id, previousStatus: 'ACTIVE' } });
+        expect(assignmentService.release).toHaveBeenCalledWith(vehicle._id, driverId, 'MAINTENANCE');
+
+        await expect(maintenanceService.scheduleMaintenance(vehicle, { reason: 'Again' })).rejects.toMatchObject({ statusCode: 409 });
+
+        const { vehicle: restored, serviceLog } = await maintenanceService.complete(vehicle, maintenance, { serviceLog: { serviceType: 'BRAKES', odometer: 20100 } });
+        expect(restored).toMatchObject({ status: 'ACTIVE', maintenance: null, odometer: 20100 });
+        expect(serviceLog.maintenance).toEqual(maintenance._id);
+    });
+
+    it('keeps planned maintenance waiting while the vehicle is suspended for compliance', async () => {
+        await Vehicle.updateOne({ _id: vehicle._id }, { status: 'SUSPENDED', complianceSuspension: { previousStatus: 'ACTIVE' } });
+        const maintenance = await maintenanceService.scheduleMaintenance(vehicle, { startAt: new Date(Date.now() + 1000) });
+        await Maintenance.updateOne({ _id: maintenance._id }, { startAt: daysAgo(1) });
+
+        expect(await maintenanceService.processDue()).toEqual({ started: 0, waiting: 1, failed: 0 });
+        expect((await reload()).status).toBe('SUSPENDED');
+    });
+
+    it('refuses reversed windows', async () => {
+        await expect(maintenanceService.scheduleMaintenance(vehicle, { startAt: daysAgo(-2), expectedEndAt: daysAgo(-1) }))
+            .rejects.toThrow('expectedEndAt must be after startAt');
+    });
+});
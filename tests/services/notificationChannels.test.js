@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/outboxService', () => ({ registerChannel: jest.fn(), enqueue: jest.fn() }));
+jest.mock('../../src/services/notificationInboxService', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/notificationTemplateService', () => ({
+    render: async (type, locale, data) => ({ locale: 'en', subject: `Subject for ${data.recipientName}`, text: 'Text', html: '<p>Text</p>' })
+}));
+jest.mock('../../src/models/Vendor', () => require('../helpers/memoryModel').createMemoryModel());
+
+const Vendor = require('../../src/models/Vendor');
+const outboxService = require('../../src/services/outboxService');
+const notificationInboxService = require('../../src/services/notificationInboxService');
+const notificationService = require('../../src/services/notificationService');
+const smsService = require('../../src/services/smsService');
+
+const enqueuedChannels = () => outboxService.enqueue.mock.calls.map(([message]) => message.channel);
+
+const createVendor = (fields) => Vendor.create({
+    name: 'Metro Cabs',
+    email: 'ops@metro.example',
+    notificationContacts: { phone: '+919800000000', webhookUrl: 'https://hooks.metro.example/fleet' },
+    ...fields
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    Vendor.reset();
+});
+
+describe('notificationService.sendTemplated', () => {
+    it('uses the default channels of a type until the vendor picks its own', async () => {
+        const vendor = await createVendor();
+
+        await expect(notificationService.sendTemplated('DOCUMENT_EXPIRY', { vendorId: vendor._id })).resolves.toBe(true);
+
+        expect(enqueuedChannels()).toEqual(['EMAIL']);
+        expect(notificationInboxService.create).toHaveBeenCalledWith(expect.objectContaining({ vendorId: vendor._id, title: 'Subject for Metro Cabs' }));
+    });
+
+    it('sends on the channels the vendor chose for the type', async () => {
+        const vendor = await createVendor({ notificationPreferences: new Map([['DOCUMENT_EXPIRY', ['SMS', 'WEBHOOK']]]) });
+
+        await notificationService.sendTemplated('DOCUMENT_EXPIRY', { vendorId: vendor._id }, { documentType: 'permit' });
+
+        expect(enqueuedChannels()).toEqual(['SMS', 'WEBHOOK']);
+        expect(outboxService.enqueue.mock.calls[1][0].payload).toMatchObject({
+            url: 'https://hooks.metro.example/fleet',
+            body: { type: 'DOCUMENT_EXPIRY', data: { documentType: 'permit' } }
+        });
+        expect(notificationInboxService.create).not.toHaveBeenCalled();
+    });
+
+    it('ignores preferences for types vendors cannot configure', async () => {
+        const vendor = await createVendor({ notificationPreferences: new Map([['PASSWORD_RESET', ['SMS']]]) });
+
+        await notificationService.sendTemplated('PASSWORD_RESET', { vendorId: vendor._id });
+
+        expect(enqueuedChannels()).toEqual(['EMAIL']);
+    });
+
+    it('reports false when no channel could take the notification', async () => {
+        const vendor = await createVendor({ notificationContacts: {}, notificationPreferences: new Map([['ASSIGNMENT', ['SMS', 'WEBHOOK']]]) });
+
+        await expect(notificationService.sendTemplated('ASSIGNMENT', { vendorId: vendor._id })).resolves.toBe(false);
+        await expect(notificationService.sendTemplated('ASSIGNMENT', { vendorId: new mongoose.Types.ObjectId() })).resolves.toBe(false);
+        expect(outboxService.enqueue).not.toHaveBeenCalled();
+    });
+});
+
+describe('smsService', () => {
+    it('shortens long texts before handing them to the provider', async () => {
+        const send = jest.spyOn(smsService.getProvider(), 'send');
+
+        await smsService.send('+919800000000', 'x'.repeat(1000));
+
+        expect(smsService.getProvider().name).toBe('stub');
+        expect(send.mock.calls[0][0].body).toHaveLength(480);
+        expect(send.mock.calls[0][0].body.endsWith('...')).toBe(true);
+    });
+});
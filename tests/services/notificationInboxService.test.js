@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/Notification', () => require('../helpers/memoryModel').createMemoryModel({ readAt: null }));
+
+const Notification = require('../../src/models/Notification');
+const notificationInboxService = require('../../src/services/notificationInboxService');
+
+const vendorId = new mongoose.Types.ObjectId();
+const otherVendorId = new mongoose.Types.ObjectId();
+
+const notify = (type, minutesAgo, fields) => Notification.create({
+    vendor: vendorId,
+    type,
+    title: type,
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+    ...fields
+});
+
+beforeEach(() => {
+    Notification.reset();
+});
+
+describe('notificationInboxService', () => {
+    it('lists a vendor\'s notifications newest first with the unread count', async () => {
+        const oldest = await notify('ASSIGNMENT', 30);
+        const newest = await notify('DOCUMENT_EXPIRY', 10, { readAt: new Date() });
+        const unreadExpiry = await notify('DOCUMENT_EXPIRY', 20);
+        await notify('DOCUMENT_EXPIRY', 5, { vendor: otherVendorId });
+
+        const all = await notificationInboxService.list(vendorId, { limit: 2 });
+        const unread = await notificationInboxService.list(vendorId, { unread: true, type: 'document_expiry' });
+
+        expect(all.notifications.map(notification => notification._id)).toEqual([newest._id, unreadExpiry._id]);
+        expect(all).toMatchObject({ unreadCount: 2, pagination: { total: 3, page: 1, pages: 2 } });
+        expect(unread.notifications.map(notification => notification._id)).toEqual([unreadExpiry._id]);
+        expect((await notificationInboxService.list(vendorId, { page: 2, limit: 2 })).notifications[0]._id).toEqual(oldest._id);
+    });
+
+    it('marks notifications read and unread, only for their own vendor', async () => {
+        const notification = await notify('ASSIGNMENT', 1);
+
+        await expect(notificationInboxService.setRead(otherVendorId, notification._id)).rejects.toMatchObject({ statusCode: 404 });
+        await expect(notificationInboxService.setRead(vendorId, 'not-an-id')).rejects.toMatchObject({ statusCode: 400 });
+
+        expect((await notificationInboxService.setRead(vendorId, notification._id)).readAt).toBeInstanceOf(Date);
+        expect(await notificationInboxService.getUnreadCount(vendorId)).toBe(0);
+        expect((await notificationInboxService.setRead(vendorId, notification._id, false)).readAt).toBeNull();
+    });
+
+    it('marks everything of a type read at once', async () => {
+        await notify('ASSIGNMENT', 3);
+        await notify('DOCUMENT_EXPIRY', 2);
+        await notify('DOCUMENT_EXPIRY', 1);
+
+        await expect(notificationInboxService.markAllRead(vendorId, { type: 'DOCUMENT_EXPIRY' })).resolves.toBe(2);
+        expect(await notificationInboxService.getUnreadCount(vendorId)).toBe(1);
+    });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/cacheService', () => ({ get: jest.fn(), set: jest.fn(), del: jest.fn() }));
+
+const cacheService = require('../../src/services/cacheService');
+const notificationTemplateService = require('../../src/services/notificationTemplateService');
+
+const template = (locale, subject) => ({
+    type: 'DOCUMENT_EXPIRY',
+    locale,
+    subject,
+    text: '{{documentType}} expires on {{expiryDate}}',
+    html: '<p>{{documentType}}</p>'
+});
+
+beforeEach(() => {
+    cacheService.get.mockResolvedValue([template('en', 'Expiring: {{documentType}}'), template('pt', 'Vencendo: {{documentType}}')]);
+});
+
+describe('notificationTemplateService.render', () => {
+    it('falls back from the regional locale to its language, then to the default', async () => {
+        expect(await notificationTemplateService.render('DOCUMENT_EXPIRY', 'pt-BR', { documentType: 'Permit' }))
+            .toMatchObject({ locale: 'pt', subject: 'Vencendo: Permit' });
+        expect(await notificationTemplateService.render('DOCUMENT_EXPIRY', 'de', { documentType: 'Permit' }))
+            .toMatchObject({ locale: 'en', subject: 'Expiring: Permit' });
+    });
+
+    it('escapes values in the html body only', async () => {
+        const rendered = await notificationTemplateService.render('DOCUMENT_EXPIRY', 'en', { documentType: 'A&B', expiryDate: '1 Jan' });
+
+        expect(rendered).toMatchObject({ text: 'A&B expires on 1 Jan', html: '<p>A&amp;B</p>' });
+    });
+
+    it('refuses unknown types', async () => {
+        await expect(notificationTemplateService.render('BIRTHDAY', 'en')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('notificationTemplateService.preview', () => {
+    it('renders a draft with sample data and reports variables the type does not provide', async () => {
+        const preview = await notificationTemplateService.preview('DOCUMENT_EXPIRY', 'en', {
+            data: { documentType: 'Permit' },
+            draft: { subject: '{{documentType}} for {{driverName}}' }
+        });
+
+        expect(preview.subject).toBe('Permit for ');
+        expect(preview.unknownVariables).toEqual(['driverName']);
+    });
+
+    it('needs a complete draft when no template exists', async () => {
+        cacheService.get.mockResolvedValue([]);
+
+        await expect(notificationTemplateService.preview('DOCUMENT_EXPIRY', 'en', { draft: { subject: 'Hi' } })).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
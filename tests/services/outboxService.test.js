@@ -0,0 +1,188 @@
+const { SMTPServer } = require('smtp-server');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/OutboxMessage', () => require('../helpers/memoryModel').createMemoryModel({
+    status: 'PENDING',
+    attempts: 0,
+    maxAttempts: require('../../src/config/outbox').maxAttempts,
+    nextAttemptAt: () => new Date(),
+    deliveryLog: []
+}));
+
+const OutboxMessage = require('../../src/models/OutboxMessage');
+const outboxConfig = require('../../src/config/outbox');
+const outboxService = require('../../src/services/outboxService');
+const notificationService = require('../../src/services/notificationService');
+
+// In-process SMTP sink: accepts every email except those to a rejected address
+const received = [];
+const rejected = new Set();
+const sink = new SMTPServer({
+    disabledCommands: ['STARTTLS', 'AUTH'],
+    logger: false,
+    onRcptTo(address, session, callback) {
+        if (rejected.has(address.address)) {
+            const error = new Error('Mailbox unavailable');
+            error.responseCode = 550;
+            return callback(error);
+        }
+        callback();
+    },
+    onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', chunk => raw += chunk);
+        stream.on('end', () => {
+            received.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw });
+            callback();
+        });
+    }
+});
+
+const stored = (message) => OutboxMessage.documents.find(document => document._id.equals(message._id));
+
+// Make a waiting message due now, as if its backoff delay had passed
+const makeDue = (message) => {
+    stored(message).nextAttemptAt = new Date(Date.now() - 1000);
+};
+
+const queueEmail = (to, subject = 'Document expiring') => notificationService.sendEmail(to, subject, `${subject} text`, `<p>${subject}</p>`, { type: 'DOCUMENT_EXPIRY' })
+    .then(() => OutboxMessage.documents[OutboxMessage.documents.length - 1]);
+
+beforeAll(async () => {
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.server.address().port);
+    process.env.SMTP_FROM = 'fleet@example.com';
+    await notificationService.initialize();
+});
+
+afterAll(async () => {
+    notificationService.transporter.close();
+    await new Promise(resolve => sink.close(resolve));
+});
+
+beforeEach(() => {
+    OutboxMessage.reset();
+    received.length = 0;
+    rejected.clear();
+    // Runs are started explicitly so each test controls when the worker delivers
+    jest.spyOn(outboxService, 'kick').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('outboxService', () => {
+    it('delivers a queued email through the worker and marks it SENT', async () => {
+        const message = await queueEmail('owner@example.com');
+        expect(message.status).toBe('PENDING');
+        expect(outboxService.kick).toHaveBeenCalled();
+
+        const stats = await outboxService.processDue();
+
+        expect(stats).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+        expect(received).toHaveLength(1);
+        expect(received[0].to).toEqual(['owner@example.com']);
+        expect(received[0].raw).toContain('Subject: Document expiring');
+
+        const sent = stored(message);
+        expect(sent.status).toBe('SENT');
+        expect(sent.attempts).toBe(1);
+        expect(sent.providerMessageId).toBeTruthy();
+        expect(sent.deliveryLog).toEqual([expect.objectContaining({ attempt: 1, status: 'SENT', providerMessageId: sent.providerMessageId })]);
+    });
+
+    it('retries a failed delivery after an exponential backoff', async () => {
+        rejected.add('bounce@example.com');
+        const message = await queueEmail('bounce@example.com');
+
+        const firstRunAt = Date.now();
+        expect(await outboxService.processDue()).toEqual({ processed: 1, sent: 0, retrying: 1, dead: 0 });
+
+        const afterFirst = stored(message);
+        const firstDelay = afterFirst.nextAttemptAt.getTime() - firstRunAt;
+        expect(afterFirst.status).toBe('PENDING');
+        expect(afterFirst.lastError).toMatch(/550/);
+        expect(firstDelay).toBeGreaterThanOrEqual(outboxConfig.backoffBaseSeconds * 1000 * 0.8 - 50);
+        expect(firstDelay).toBeLessThanOrEqual(outboxConfig.backoffBaseSeconds * 1000 * 1.2 + 1000);
+
+        // Not due yet: the worker leaves it alone
+        expect(await outboxService.processDue()).toEqual({ processed: 0, sent: 0, retrying: 0, dead: 0 });
+
+        makeDue(message);
+        const secondRunAt = Date.now();
+        await outboxService.processDue();
+
+        const afterSecond = stored(message);
+        const secondDelay = afterSecond.nextAttemptAt.getTime() - secondRunAt;
+        expect(afterSecond.attempts).toBe(2);
+        expect(secondDelay).toBeGreaterThanOrEqual(outboxConfig.backoffBaseSeconds * 2 * 1000 * 0.8 - 50);
+        expect(afterSecond.deliveryLog.map(entry => entry.status)).toEqual(['FAILED', 'FAILED']);
+
+        // The recipient comes back and the next attempt goes through
+        rejected.clear();
+        makeDue(message);
+        expect(await outboxService.processDue()).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+        expect(stored(message).status).toBe('SENT');
+        expect(received).toHaveLength(1);
+    });
+
+    it('dead-letters a message once it runs out of attempts', async () => {
+        rejected.add('bounce@example.com');
+        const message = await queueEmail('bounce@example.com');
+        stored(message).maxAttempts = 3;
+
+        const outcomes = [];
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            makeDue(message);
+            const stats = await outboxService.processDue();
+            outcomes.push(stats.dead ? 'DEAD' : 'RETRY');
+        }
+
+        expect(outcomes).toEqual(['RETRY', 'RETRY', 'DEAD']);
+        const dead = stored(message);
+        expect(dead.status).toBe('DEAD');
+        expect(dead.attempts).toBe(3);
+        expect(dead.deadAt).toBeInstanceOf(Date);
+        expect(dead.deliveryLog).toHaveLength(3);
+
+        // Dead-lettered messages are never picked up again on their own
+        dead.nextAttemptAt = new Date(0);
+        expect(await outboxService.processDue()).toEqual({ processed: 0, sent: 0, retrying: 0, dead: 0 });
+        expect(received).toHaveLength(0);
+    });
+
+    it('requeues a dead-lettered message when an admin retries it', async () => {
+        rejected.add('bounce@example.com');
+        const message = await queueEmail('bounce@example.com');
+        stored(message).maxAttempts = 1;
+        await outboxService.processDue();
+        expect(stored(message).status).toBe('DEAD');
+
+        rejected.clear();
+        const { before, after } = await outboxService.retry(message._id.toString(), 'admin-vendor');
+
+        expect(before.status).toBe('DEAD');
+        expect(after.status).toBe('PENDING');
+        expect(after.maxAttempts).toBe(1 + outboxConfig.maxAttempts);
+        expect(after.retriedBy).toBe('admin-vendor');
+        expect(after.deadAt).toBeUndefined();
+        expect(outboxService.kick).toHaveBeenCalled();
+
+        expect(await outboxService.processDue()).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+        const sent = stored(message);
+        expect(sent.status).toBe('SENT');
+        expect(sent.attempts).toBe(2);
+        expect(sent.deliveryLog.map(entry => entry.status)).toEqual(['FAILED', 'SENT']);
+        expect(received[0].to).toEqual(['bounce@example.com']);
+    });
+
+    it('only retries dead-lettered messages', async () => {
+        const message = await queueEmail('owner@example.com');
+
+        await expect(outboxService.retry(message._id.toString(), 'admin-vendor')).rejects.toMatchObject({ statusCode: 409 });
+        await expect(outboxService.retry('not-an-id', 'admin-vendor')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
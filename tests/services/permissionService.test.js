@@ -0,0 +1,81 @@
+jest.mock('../../src/models/Vendor', () => require('../helpers/memoryModel').createMemoryModel({ parentVendor: null, permissions: [] }));
+
+const Vendor = require('../../src/models/Vendor');
+const permissionService = require('../../src/services/permissionService');
+const { PERMISSIONS } = require('../../src/config/permissions');
+
+let superVendor, city, sub;
+
+beforeEach(async () => {
+    Vendor.reset();
+    superVendor = await Vendor.create({ vendorType: 'SUPER', permissions: ['ALL'] });
+    city = await Vendor.create({
+        vendorType: 'CITY',
+        parentVendor: superVendor._id,
+        permissions: ['FLEET_MANAGEMENT', 'DRIVER_MANAGEMENT', 'DOCUMENT_VERIFICATION', 'USER_MANAGEMENT']
+    });
+    // Holds more than its parent: the extra permissions must not take effect
+    sub = await Vendor.create({
+        vendorType: 'SUB',
+        parentVendor: city._id,
+        permissions: ['FLEET_MANAGEMENT', 'PAYMENT_PROCESSING', 'USER_MANAGEMENT']
+    });
+});
+
+describe('permissionService.getEffectivePermissions', () => {
+    it('expands ALL', async () => {
+        expect(await permissionService.getEffectivePermissions(superVendor._id)).toEqual(PERMISSIONS);
+    });
+
+    it('caps a vendor by every ancestor', async () => {
+        expect(await permissionService.getEffectivePermissions(sub._id)).toEqual(['FLEET_MANAGEMENT', 'USER_MANAGEMENT']);
+        expect(await permissionService.hasPermission(sub._id, 'PAYMENT_PROCESSING')).toBe(false);
+    });
+
+    it('takes a permission away from the whole subtree when a parent loses it', async () => {
+        await Vendor.updateOne({ _id: city._id }, { permissions: ['DRIVER_MANAGEMENT', 'USER_MANAGEMENT'] });
+
+        expect(await permissionService.getEffectivePermissions(sub._id)).toEqual(['USER_MANAGEMENT']);
+    });
+});
+
+describe('permissionService.checkGrant', () => {
+    it('allows grants within both the granter and the parent', async () => {
+        expect(await permissionService.checkGrant(city._id, city._id, ['FLEET_MANAGEMENT', 'DRIVER_MANAGEMENT']))
+            .toEqual({ invalid: [], denied: [] });
+    });
+
+    it('denies permissions beyond the granter or the parent ceiling', async () => {
+        // The SUPER vendor holds everything, but the city parent caps what the new vendor may get
+        expect(await permissionService.checkGrant(superVendor._id, city._id, ['FLEET_MANAGEMENT', 'PAYMENT_PROCESSING']))
+            .toEqual({ invalid: [], denied: ['PAYMENT_PROCESSING'] });
+        expect(await permissionService.checkGrant(city._id, superVendor._id, ['ALL']))
+            .toEqual({ invalid: [], denied: ['PAYMENT_PROCESSING', 'COMPLIANCE_TRACKING', 'REPORT_GENERATION', 'SETTINGS_MANAGEMENT'] });
+    });
+
+    it('reports unknown permission names', async () => {
+        expect(await permissionService.checkGrant(superVendor._id, null, ['FLEET_MANAGEMENT', 'SUPERPOWERS']))
+            .toEqual({ invalid: ['SUPERPOWERS'], denied: [] });
+    });
+});
+
+describe('permissionService.resolveRegistrationPermissions', () => {
+    it('clips the vendor type template to the parent ceiling', async () => {
+        const permissions = await permissionService.resolveRegistrationPermissions({ vendorType: 'SUB', parentVendorId: city._id });
+
+        expect(permissions).toEqual(['FLEET_MANAGEMENT', 'DRIVER_MANAGEMENT', 'USER_MANAGEMENT']);
+    });
+
+    it('gives a root SUPER vendor ALL', async () => {
+        expect(await permissionService.resolveRegistrationPermissions({ vendorType: 'SUPER' })).toEqual(['ALL']);
+    });
+
+    it('refuses requested permissions the creator does not hold', async () => {
+        await expect(permissionService.resolveRegistrationPermissions({
+            vendorType: 'LOCAL',
+            requested: ['FLEET_MANAGEMENT', 'PAYMENT_PROCESSING'],
+            creator: city._id,
+            parentVendorId: city._id
+        })).rejects.toThrow('Cannot grant permissions you do not hold: PAYMENT_PROCESSING');
+    });
+});
@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+// ioredis-mock runs the Lua rotation script, so the compare-and-set is exercised as written
+jest.mock('../../src/config/redis', () => new (require('ioredis-mock'))());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const redis = require('../../src/config/redis');
+const sessionService = require('../../src/services/sessionService');
+
+const vendor = { _id: 'vendor-1' };
+
+beforeEach(async () => {
+    await redis.flushall();
+});
+
+describe('sessionService.rotateRefreshToken', () => {
+    it('issues a new token pair for the same session and keeps the session alive', async () => {
+        const { refreshToken, sessionId } = await sessionService.createSession(vendor, { ip: '127.0.0.1' });
+        await redis.expire(sessionService.sessionKey(sessionId), 60);
+        await redis.expire(sessionService.vendorSessionsKey('vendor-1'), 60);
+
+        const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+        expect(rotated.vendorId).toBe('vendor-1');
+        expect(rotated.sessionId).toBe(sessionId);
+        const { jti } = jwt.decode(rotated.refreshToken);
+        expect(await redis.hget(sessionService.sessionKey(sessionId), 'refreshTokenId')).toBe(jti);
+        expect(await redis.ttl(sessionService.sessionKey(sessionId))).toBeGreaterThan(60);
+        // The vendor's session set lives as long as the session, so revoking all sessions still finds it
+        expect(await redis.ttl(sessionService.vendorSessionsKey('vendor-1'))).toBeGreaterThan(60);
+        expect(await redis.smembers(sessionService.vendorSessionsKey('vendor-1'))).toEqual([sessionId]);
+    });
+
+    it('revokes the session when a rotated refresh token is presented again', async () => {
+        const { refreshToken, sessionId } = await sessionService.createSession(vendor);
+        const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+        await expect(sessionService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token has already been used');
+
+        expect(await sessionService.isSessionActive(sessionId, 'vendor-1')).toBe(false);
+        expect(await redis.smembers(sessionService.vendorSessionsKey('vendor-1'))).toEqual([]);
+        await expect(sessionService.rotateRefreshToken(rotated.refreshToken)).rejects.toThrow('Session has been revoked');
+    });
+
+    it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+        const { refreshToken } = await sessionService.createSession(vendor);
+
+        const results = await Promise.allSettled([
+            sessionService.rotateRefreshToken(refreshToken),
+            sessionService.rotateRefreshToken(refreshToken)
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    });
+
+    it('rejects access tokens', async () => {
+        const { token } = await sessionService.createSession(vendor);
+
+        await expect(sessionService.rotateRefreshToken(token)).rejects.toThrow('Invalid refresh token');
+    });
+
+    it('keeps only the current session when revoking all others', async () => {
+        const first = await sessionService.createSession(vendor);
+        const second = await sessionService.createSession(vendor);
+
+        expect(await sessionService.revokeAllSessions('vendor-1', { exceptSessionId: second.sessionId })).toBe(1);
+
+        expect(await sessionService.isSessionActive(first.sessionId, 'vendor-1')).toBe(false);
+        expect(await sessionService.isSessionActive(second.sessionId, 'vendor-1')).toBe(true);
+    });
+});
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = rootDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const storageService = require('../../src/services/storageService');
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const file = {
+    buffer: Buffer.from('%PDF-1.4 registration certificate'),
+    originalname: 'RC Scan.PDF',
+    mimetype: 'application/pdf',
+    size: 34
+};
+
+afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('storageService with the local driver', () => {
+    it('stores an upload under the entity and returns the fields to record', async () => {
+        const fields = await storageService.saveDocumentFile(file, { entityType: 'VEHICLE', entityId: 'v1' });
+
+        expect(fields).toMatchObject({
+            storageDriver: 'local',
+            originalName: 'RC Scan.PDF',
+            mimeType: 'application/pdf',
+            size: 34,
+            checksum: crypto.createHash('sha256').update(file.buffer).digest('hex')
+        });
+        expect(fields.storageKey).toMatch(/^vehicle\/v1\/\d+-[0-9a-f]{16}\.pdf$/);
+        expect(fs.readFileSync(path.join(rootDir, fields.storageKey))).toEqual(file.buffer);
+
+        const stored = await readStream(await storageService.getFileStream({ storageKey: fields.storageKey }));
+        expect(stored).toEqual(file.buffer);
+    });
+
+    it('deletes stored files and ignores ones that are already gone', async () => {
+        const { storageKey } = await storageService.saveDocumentFile(file, { entityType: 'DRIVER', entityId: 'd1' });
+
+        await storageService.deleteFile(storageKey);
+        await expect(storageService.deleteFile(storageKey)).resolves.toBeUndefined();
+        expect(fs.existsSync(path.join(rootDir, storageKey))).toBe(false);
+    });
+
+    it('refuses keys outside the storage root', async () => {
+        await expect(storageService.getFileStream({ storageKey: '../outside.pdf' })).rejects.toThrow('Invalid storage key');
+    });
+});
+
+describe('signed download urls', () => {
+    const document = { _id: 'doc-1', storageKey: 'vehicle/v1/file.pdf' };
+    const query = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+    it('accepts the signature of a url it issued until it expires', async () => {
+        const { url, expiresAt } = await storageService.getDownloadUrl(document, 60);
+        const { expires, signature } = query(url);
+
+        expect(url).toMatch(/^\/api\/documents\/files\/doc-1\?/);
+        expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+        expect(storageService.verifySignature('doc-1', expires, signature)).toBe(true);
+    });
+
+    it('rejects tampered, foreign and expired signatures', async () => {
+        const { url } = await storageService.getDownloadUrl(document, 60);
+        const { expires, signature } = query(url);
+
+        expect(storageService.verifySignature('doc-2', expires, signature)).toBe(false);
+        expect(storageService.verifySignature('doc-1', String(Number(expires) + 60), signature)).toBe(false);
+        expect(storageService.verifySignature('doc-1', expires, undefined)).toBe(false);
+
+        const past = Math.floor(Date.now() / 1000) - 1;
+        expect(storageService.verifySignature('doc-1', past, storageService.sign('doc-1', past))).toBe(false);
+    });
+});
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/Document', () => {
+    const Document = jest.requireActual('../../src/models/Document');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({
+        reviewStatus: 'SUBMITTED',
+        status: 'PENDING_VERIFICATION',
+        requiredApprovals: 1,
+        isVerified: false,
+        reviews: [],
+        claimedBy: null,
+        claimExpiresAt: null
+    }), { deriveStatus: Document.deriveStatus.bind(Document) });
+});
+
+const Document = require('../../src/models/Document');
+const documentService = require('../../src/services/documentService');
+const verificationQueueService = require('../../src/services/verificationQueueService');
+
+const firstReviewer = new mongoose.Types.ObjectId();
+const secondReviewer = new mongoose.Types.ObjectId();
+const MINUTE_MS = 60 * 1000;
+
+const submit = (fields) => Document.create({
+    entityType: 'VEHICLE',
+    entityId: new mongoose.Types.ObjectId(),
+    documentType: 'permit',
+    ...fields
+});
+
+beforeEach(() => {
+    Document.reset();
+    jest.spyOn(documentService, 'afterReviewTransition').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('verificationQueueService.claim', () => {
+    it('leases a pending document to the reviewer and starts its review', async () => {
+        const document = await submit();
+
+        const claimed = await verificationQueueService.claim(document._id, firstReviewer);
+
+        expect(claimed).toMatchObject({ claimedBy: firstReviewer, reviewStatus: 'UNDER_REVIEW', reviewer: firstReviewer });
+        expect(claimed.claimExpiresAt.getTime()).toBeCloseTo(Date.now() + 30 * MINUTE_MS, -4);
+    });
+
+    it('keeps other reviewers out until the lease runs out', async () => {
+        const document = await submit();
+        await verificationQueueService.claim(document._id, firstReviewer);
+
+        await expect(verificationQueueService.claim(document._id, secondReviewer)).rejects.toMatchObject({ statusCode: 409 });
+
+        await Document.updateOne({ _id: document._id }, { claimExpiresAt: new Date(Date.now() - MINUTE_MS) });
+        const taken = await verificationQueueService.claim(document._id, secondReviewer);
+        expect(taken.claimedBy).toEqual(secondReviewer);
+    });
+
+    it('renews the lease when the holder claims again', async () => {
+        const document = await submit();
+        await verificationQueueService.claim(document._id, firstReviewer);
+        await Document.updateOne({ _id: document._id }, { claimExpiresAt: new Date(Date.now() + MINUTE_MS) });
+
+        const renewed = await verificationQueueService.claim(document._id, firstReviewer);
+
+        expect(renewed.claimExpiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * MINUTE_MS);
+    });
+
+    it('refuses documents that are not awaiting verification', async () => {
+        const document = await submit({ status: 'ACTIVE', reviewStatus: 'APPROVED' });
+
+        await expect(verificationQueueService.claim(document._id, firstReviewer))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Document is not awaiting verification (status ACTIVE)' });
+        await expect(verificationQueueService.claim(new mongoose.Types.ObjectId(), firstReviewer)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('verificationQueueService.release', () => {
+    it('lets only the holder release a claim', async () => {
+        const document = await submit();
+        await verificationQueueService.claim(document._id, firstReviewer);
+
+        await expect(verificationQueueService.release(document._id, secondReviewer)).rejects.toMatchObject({ statusCode: 409 });
+
+        const released = await verificationQueueService.release(document._id, firstReviewer);
+        expect(released).toMatchObject({ claimedBy: null, claimExpiresAt: null, reviewStatus: 'UNDER_REVIEW' });
+        await expect(verificationQueueService.claim(document._id, secondReviewer)).resolves.toBeTruthy();
+    });
+});
+
+describe('verificationQueueService.getMetrics', () => {
+    it('refuses a period it cannot parse', async () => {
+        await expect(verificationQueueService.getMetrics(firstReviewer, { from: 'last week' }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'from and to must be valid dates' });
+    });
+});
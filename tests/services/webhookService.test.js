@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/outboxService', () => ({ registerChannel: jest.fn(), enqueue: jest.fn() }));
+jest.mock('../../src/services/accessControlService', () => ({ canActOnVendor: jest.fn() }));
+jest.mock('../../src/services/vendorHierarchyService', () => ({ getParentChain: jest.fn() }));
+jest.mock('../../src/models/OutboxMessage', () => require('../helpers/memoryModel').createMemoryModel());
+jest.mock('../../src/models/WebhookEndpoint', () => require('../helpers/memoryModel').createMemoryModel({ isActive: true, consecutiveFailures: 0 }));
+
+const WebhookEndpoint = require('../../src/models/WebhookEndpoint');
+const outboxService = require('../../src/services/outboxService');
+const vendorHierarchyService = require('../../src/services/vendorHierarchyService');
+const webhookService = require('../../src/services/webhookService');
+
+const vendorId = new mongoose.Types.ObjectId();
+const parentId = new mongoose.Types.ObjectId();
+
+const register = (fields) => WebhookEndpoint.create({
+    vendor: vendorId,
+    url: 'https://hooks.example.com/fleet',
+    events: ['document.verified'],
+    secret: 'whsec_test',
+    ...fields
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    WebhookEndpoint.reset();
+    vendorHierarchyService.getParentChain.mockResolvedValue([{ id: parentId }]);
+    outboxService.enqueue.mockImplementation(async (message) => ({ _id: new mongoose.Types.ObjectId(), ...message }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('webhookService.validate', () => {
+    it('accepts public http(s) urls and known events', () => {
+        expect(() => webhookService.validate({ url: 'https://hooks.example.com/fleet', events: ['document.verified', '*'] })).not.toThrow();
+        expect(() => webhookService.validate({ url: 'http://8.8.8.8:8080/hook' })).not.toThrow();
+    });
+
+    it('refuses other schemes and unknown events', () => {
+        expect(() => webhookService.validate({ url: 'ftp://hooks.example.com' })).toThrow('url must be an http(s) url');
+        expect(() => webhookService.validate({ url: 'not a url' })).toThrow('url must be a valid url');
+        expect(() => webhookService.validate({ events: ['vehicle.exploded'] })).toThrow(/^events must be a non-empty list/);
+        expect(() => webhookService.validate({ events: [] })).toThrow(/^events must be a non-empty list/);
+    });
+
+    it.each([
+        'http://localhost:3000/hook',
+        'http://api.localhost/hook',
+        'http://127.0.0.1/hook',
+        'http://10.1.2.3/hook',
+        'http://172.20.0.5/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://0.0.0.0/hook',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://[::ffff:10.0.0.1]/hook',
+        'http://2130706433/hook'
+    ])('refuses %s', (url) => {
+        expect(() => webhookService.validate({ url })).toThrow(expect.objectContaining({
+            statusCode: 400,
+            message: 'url must not point at a local or private network address'
+        }));
+    });
+});
+
+describe('webhookService.emit', () => {
+    it('queues the event for subscribed active endpoints of the vendor and its ancestors', async () => {
+        const own = await register();
+        const parents = await register({ vendor: parentId, events: ['*'] });
+        await register({ events: ['vehicle.created'] });
+        await register({ isActive: false });
+        await register({ vendor: new mongoose.Types.ObjectId() });
+
+        const queued = await webhookService.emit('document.verified', { vendorId, data: { documentId: 'd1' } });
+
+        expect(queued).toBe(2);
+        const messages = outboxService.enqueue.mock.calls.map(([message]) => message);
+        expect(messages.map(message => message.webhookEndpoint)).toEqual([own._id, parents._id]);
+        expect(messages[0].payload.body).toMatchObject({ event: 'document.verified', vendorId: vendorId.toString(), data: { documentId: 'd1' } });
+        expect(messages[1].payload.body.id).toBe(messages[0].payload.body.id);
+    });
+
+    it('never throws', async () => {
+        vendorHierarchyService.getParentChain.mockRejectedValue(new Error('database down'));
+
+        await expect(webhookService.emit('document.verified', { vendorId, data: {} })).resolves.toBe(0);
+    });
+});
+
+describe('webhookService.deliver', () => {
+    const message = (endpoint) => ({
+        _id: new mongoose.Types.ObjectId(),
+        event: 'document.verified',
+        webhookEndpoint: endpoint._id,
+        payload: { body: { id: 'evt_1', event: 'document.verified', data: {} } }
+    });
+
+    it('signs the body with the endpoint secret', async () => {
+        const endpoint = await register();
+        const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+
+        await webhookService.deliver(message(endpoint));
+
+        const { headers, body } = fetch.mock.calls[0][1];
+        const expected = crypto.createHmac('sha256', 'whsec_test').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+        expect(headers['X-Webhook-Signature']).toBe(`v1=${expected}`);
+        expect(await WebhookEndpoint.findById(endpoint._id)).toMatchObject({ lastDeliveryStatus: 'SENT', consecutiveFailures: 0 });
+    });
+
+    it('records failed attempts and throws so the outbox retries', async () => {
+        const endpoint = await register();
+        jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+        await expect(webhookService.deliver(message(endpoint))).rejects.toThrow('Webhook responded 503 Service Unavailable');
+        await expect(webhookService.deliver(message(endpoint))).rejects.toThrow();
+        expect(await WebhookEndpoint.findById(endpoint._id)).toMatchObject({ lastDeliveryStatus: 'FAILED', consecutiveFailures: 2 });
+    });
+});
+
+describe('webhookService.createEndpoint', () => {
+    it('limits the endpoints per vendor', async () => {
+        for (let i = 0; i < 10; i++) {
+            await register();
+        }
+
+        await expect(webhookService.createEndpoint({ vendorId, url: 'https://hooks.example.com/more', events: ['*'] }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+});
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/documentTypeService', () => ({
+    getEntityCity: async () => null,
+    getRequiredTypes: async () => [{ code: 'permit', name: 'Permit' }, { code: 'insurance', name: 'Insurance' }]
+}));
+jest.mock('../../src/models/Document', () => {
+    const Document = jest.requireActual('../../src/models/Document');
+    return Object.assign(require('../helpers/memoryModel').createMemoryModel({ isCurrent: true, isVerified: true, reviewStatus: 'APPROVED' }), {
+        findCurrent: Document.findCurrent
+    });
+});
+
+const Document = require('../../src/models/Document');
+const { checkEntityDocuments } = require('../../src/utils/documentUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const vehicleId = new mongoose.Types.ObjectId();
+
+const addDocument = (documentType, daysUntilExpiry, fields) => Document.create({
+    entityType: 'VEHICLE',
+    entityId: vehicleId,
+    documentType,
+    expiryDate: new Date(Date.now() + daysUntilExpiry * DAY_MS),
+    ...fields
+});
+
+beforeEach(() => {
+    Document.reset();
+    // documentUtils looks the model up by name
+    jest.spyOn(mongoose, 'model').mockImplementation(() => Document);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Document.findCurrent', () => {
+    it('returns the latest version of each document type of an entity', async () => {
+        await addDocument('permit', -10, { createdAt: new Date('2025-01-01'), isCurrent: false });
+        const renewed = await addDocument('permit', 300, { createdAt: new Date('2026-01-01') });
+        const insurance = await addDocument('insurance', 100);
+        await addDocument('permit', 50, { entityId: new mongoose.Types.ObjectId() });
+
+        const current = await Document.findCurrent({ entityType: 'VEHICLE', entityId: vehicleId });
+
+        expect(current.map(document => document._id.toString()).sort()).toEqual([renewed._id, insurance._id].map(String).sort());
+    });
+});
+
+describe('checkEntityDocuments', () => {
+    it('reports expired and expiring documents from the current versions only', async () => {
+        await addDocument('permit', -10, { createdAt: new Date('2025-01-01'), isCurrent: false });
+        await addDocument('permit', 20, { createdAt: new Date('2026-01-01') });
+        const insurance = await addDocument('insurance', -3);
+
+        const status = await checkEntityDocuments('VEHICLE', vehicleId);
+
+        expect(status).toMatchObject({ isExpired: true, expiringSoon: true, missingDocuments: [] });
+        expect(status.expiredDocuments).toEqual([expect.objectContaining({ documentId: insurance._id, type: 'insurance', daysOverdue: 3 })]);
+        expect(status.expiringSoonDocuments).toEqual([expect.objectContaining({ type: 'permit', daysUntilExpiry: 20 })]);
+    });
+
+    it('lists required types that were never uploaded', async () => {
+        await addDocument('permit', 200);
+
+        const status = await checkEntityDocuments('VEHICLE', vehicleId);
+
+        expect(status.missingDocuments).toEqual([{ type: 'insurance', name: 'Insurance' }]);
+        expect(status.isExpired).toBe(false);
+    });
+
+    it('lists required documents whose current version is not verified', async () => {
+        const pending = await addDocument('permit', 200, { isVerified: false, reviewStatus: 'UNDER_REVIEW' });
+        const rejected = await addDocument('insurance', 200, { isVerified: false, reviewStatus: 'REJECTED' });
+
+        const status = await checkEntityDocuments('VEHICLE', vehicleId);
+
+        expect(status.unverifiedDocuments).toEqual(expect.arrayContaining([
+            { documentId: pending._id, type: 'permit', status: 'PENDING_VERIFICATION' },
+            { documentId: rejected._id, type: 'insurance', status: 'REJECTED' }
+        ]));
+    });
+});
@@ -0,0 +1,31 @@
+const { renderTemplate, getTemplateVariables } = require('../../src/utils/templateUtils');
+
+describe('renderTemplate', () => {
+    it('fills in values by dotted path and leaves missing ones empty', () => {
+        expect(renderTemplate('Hello {{ vendor.name }}, {{missing}}done', { vendor: { name: 'Metro Cabs' } }))
+            .toBe('Hello Metro Cabs, done');
+    });
+
+    it('escapes values in HTML unless the triple-brace form is used', () => {
+        const data = { name: '<b>A & B</b>' };
+
+        expect(renderTemplate('{{name}}|{{{name}}}', data, { escape: true })).toBe('&lt;b&gt;A &amp; B&lt;/b&gt;|<b>A & B</b>');
+        expect(renderTemplate('{{name}}', data)).toBe('<b>A & B</b>');
+    });
+
+    it('renders sections on truthy values and inverted sections on falsy ones', () => {
+        const template = '{{#expired}}Expired {{daysOverdue}} days ago{{/expired}}{{^expired}}Expires soon{{/expired}}';
+
+        expect(renderTemplate(template, { expired: true, daysOverdue: 3 })).toBe('Expired 3 days ago');
+        expect(renderTemplate(template, { expired: false })).toBe('Expires soon');
+        expect(renderTemplate('{{#reasons}}has reasons{{/reasons}}', { reasons: [] })).toBe('');
+    });
+});
+
+describe('getTemplateVariables', () => {
+    it('lists every variable once, including section names', () => {
+        expect(getTemplateVariables('{{#expired}}{{name}}{{/expired}} {{{name}}} {{owner.name}}').sort())
+            .toEqual(['expired', 'name', 'owner.name']);
+        expect(getTemplateVariables(undefined)).toEqual([]);
+    });
+});